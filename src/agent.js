@@ -2,21 +2,58 @@
 import {
   START,
   END,
+  Annotation,
   MessagesAnnotation,
   StateGraph,
-  MemorySaver,
 } from "@langchain/langgraph";
+import { ToolNode, toolsCondition } from "@langchain/langgraph/prebuilt";
 
 // 工具和 UUID 生成
 import { v4 as uuidv4 } from "uuid";
 
 // LLM 模型和消息处理
 import llm from "./utils/generate_mode.js";
-import { trimMessages } from "@langchain/core/messages";
+import { describeModelConfig } from "./utils/model-factory.js";
+import { CircuitOpenError } from "./utils/resilience.js";
+import { createCheckpointer, describeCheckpointer } from "./utils/checkpointer.js";
+import {
+  getThread,
+  formatPlainMessage,
+  parseThreadArg,
+  collectThreads,
+  resolveThreadId,
+  formatTimestamp,
+  exportThread,
+  deleteThread,
+} from "./utils/thread-utils.js";
+import { ThreadRegistry } from "./utils/thread-registry.js";
+import { TokenCounter } from "./utils/token-counter.js";
+import {
+  SUMMARY_STATE,
+  createSummaryNode,
+  formatSummary,
+  resolveSummaryConfig,
+  trimHistory,
+} from "./utils/summary-memory.js";
+import {
+  MEMORY_STATE,
+  createMemoryStore,
+  createRecallNode,
+  createMemorizeNode,
+  describeUserMemory,
+  formatMemories,
+  forgetUserMemories,
+  listUserMemories,
+  resolveUserMemoryConfig,
+  takeMemoryUpdates,
+} from "./utils/user-memory.js";
 
 // CLI 交互
-import readline from "node:readline/promises";
-import { stdin as input, stdout as output } from "node:process";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { Repl } from "./utils/repl.js";
+import { isNodeEnd, printStream, formatToolEvent } from "./utils/stream-events.js";
 
 // Prompt 模板
 import {
@@ -26,9 +63,17 @@ import {
 } from "@langchain/core/prompts";
 
 // RAG 相关模块
-import { buildInMemoryRetriever, buildChromaRetriever } from "./rag/retriever.js";
+import { KnowledgeBaseManager, loadKnowledgeBaseConfig, resolveKnowledgeBaseDefaults } from "./rag/retriever.js";
+import { EmbeddingsFactory } from "./rag/embeddings-factory.js";
+import { numberDocuments, buildCitations, formatCitations } from "./rag/citations.js";
+import { normalizeFilter, describeFilter } from "./rag/metadata.js";
 import { createStuffDocumentsChain } from "langchain/chains/combine_documents";
 import { createRetrievalChain } from "langchain/chains/retrieval";
+import { RunnableLambda } from "@langchain/core/runnables";
+import { StringOutputParser } from "@langchain/core/output_parsers";
+
+// 工具调用智能体的内置工具
+import { createAgentTools, collectToolCalls, resolveToolConfig } from "./tools/index.js";
 
 // 环境变量加载
 import dotenv from "dotenv";
@@ -36,36 +81,46 @@ import dotenv from "dotenv";
 // 加载环境变量
 dotenv.config();
 
-// === Google Gemini LLM 模型配置 ===
-// 从 generate_mode.js 导入已配置好的 Google Gemini 模型实例
-// 默认使用 "gemini-2.5-flash" 模型，支持流式输出
+// === LLM 模型配置 ===
+// 从 generate_mode.js 导入由模型工厂创建的实例（见 utils/model-factory.js）
+// 默认使用 Google Gemini "gemini-2.5-flash"，可通过 LLM_PROVIDER 切换到本地 OpenAI 兼容服务或离线假模型
+console.log(`🧠 对话模型: ${describeModelConfig()}`);
 
 // === RAG 检索器配置 ===
-// 强制使用 ChromaDB 持久化存储，确保数据安全
+// 仅支持持久化存储：ChromaDB（默认）或本地文件存储（VECTOR_STORE=local，无需启动服务）
+const VECTOR_STORE = process.env.VECTOR_STORE || 'chroma';
 const CHROMA_URL = process.env.CHROMA_URL || 'http://localhost:8000';
 
-// 移除内存存储选项，仅支持 ChromaDB
-console.log(`🏗️  强制使用 ChromaDB 持久化存储模式`);
-console.log(`🔗 ChromaDB 地址: ${CHROMA_URL}`);
-
-// 初始化检索器（仅支持 ChromaDB 模式）
-// 针对大文件优化：使用更高的 k 值以获取更多相关结果
-const retriever = await buildChromaRetriever({ 
-  k: 30,
-  chromaUrl: CHROMA_URL,
-  batchSize: 200, // 写入批量大幅提升吞吐
-  embedSubBatchSize: 32, // 嵌入子批量，兼顾稳定性
-  preEmbedFilter: true, // 关闭预嵌入过滤，降低额外开销
-  resetCollection: true, // 首次或全量重建时为 true，增量可设为 false
-});
+if (VECTOR_STORE === 'local') {
+  console.log(`🏗️  使用本地文件向量存储模式`);
+  console.log(`📂 存储目录: ${process.env.LOCAL_VECTOR_DIR || '.rag/vectors'}`);
+} else {
+  console.log(`🏗️  使用 ChromaDB 持久化存储模式`);
+  console.log(`🔗 ChromaDB 地址: ${CHROMA_URL}`);
+}
+
+// 初始化知识库
+// 可在 knowledge-bases.json（KB_CONFIG）中声明多个知识库，各自的目录、集合、切分与检索配置独立
+// 启动时只构建默认知识库，其余知识库在首次使用（/kb use、--kb 或 knowledgeBase 参数）时构建
+// 构建参数与 kb-admin 共用（见 resolveKnowledgeBaseDefaults）
+// 设置 RERANKER=llm|cross-encoder 时，k 个候选经重排后仅保留 RERANK_TOP_N 个送入生成链
+const knowledgeBases = new KnowledgeBaseManager(await loadKnowledgeBaseConfig(), resolveKnowledgeBaseDefaults({
+  buildOptions: {
+    // 默认按索引清单增量同步；设置 RAG_FULL_REBUILD=true 可强制全量重建
+    resetCollection: process.env.RAG_FULL_REBUILD === 'true',
+  },
+  // RAG_WATCH=true 时监听知识库目录，文件改动后只重新嵌入受影响的文件并换上新检索器，无需重启
+  watch: process.env.RAG_WATCH === 'true',
+}));
+await knowledgeBases.load(knowledgeBases.defaultName);
 
-console.log(`🔧 使用向量存储类型: ChromaDB (持久性存储)`);
-console.log(`📚 知识库初始化完成，检索器已准备好`);
+console.log(`🔧 使用向量存储类型: ${VECTOR_STORE === 'local' ? '本地文件 (持久性存储)' : 'ChromaDB (持久性存储)'}`);
+console.log(`📚 知识库初始化完成，检索器已准备好（默认知识库 ${knowledgeBases.defaultName}，共 ${knowledgeBases.names().length} 个: ${knowledgeBases.names().join(", ")}）`);
 
 // === Prompt 模板定义 ===
 // 常规对话 Prompt 模板
 const prompt = ChatPromptTemplate.fromMessages([
-  ["system", "You are a helpful assistant. Answer clearly and concisely in Chinese."],
+  ["system", "You are a helpful assistant. Answer clearly and concisely in Chinese.{memories}{summary}"],
   new MessagesPlaceholder("messages"),
 ]);
 
@@ -77,88 +132,293 @@ const ragPrompt = ChatPromptTemplate.fromMessages([
     [
       "你是一个有帮助的智能助手。请基于给定的 CONTEXT 来回答问题。",
       "如果答案不在上下文中，请诚实地说你不知道。",
-      "请用中文回答。在回答结束后，请列出 SOURCES（去重）来自元数据。",
+      "请用中文回答。CONTEXT 中每个片段都以 [编号] 开头，引用某个片段的内容时，",
+      "请在对应句子末尾标注其编号，例如 [1] 或 [2][3]；只使用 CONTEXT 中出现的编号，不要另外列出来源清单。",
       "请综合分析所有相关的上下文片段，提供完整的解答。",
       "请结合对话历史和检索到的上下文信息来提供连贯的回答。",
       "",
       "CONTEXT:",
-      "{context}",
+      "{context}{memories}{summary}",
     ].join("\n"),
   ],
   new MessagesPlaceholder("chat_history"),
   ["human", "{input}"],
 ]);
 
-// 文档格式化模板（用于 RAG 显示来源）
+// 问题改写 Prompt 模板：结合对话历史把追问改写为独立的检索查询
+const condensePrompt = ChatPromptTemplate.fromMessages([
+  [
+    "system",
+    [
+      "你的任务是改写检索查询。根据对话历史，把用户最新的问题改写成一个无需上下文也能理解的独立问题。",
+      "补全代词和省略的主语（例如把“那它的缺点呢?”改写为“LangGraph 的缺点是什么?”）。",
+      "不要回答问题，只输出改写后的问题本身；如果问题本身已经完整，原样输出。{summary}",
+    ].join("\n"),
+  ],
+  new MessagesPlaceholder("chat_history"),
+  ["human", "{input}"],
+]);
+
+// 路由分类 Prompt 模板：判断问题应直接对话还是查询知识库
+const routerPrompt = ChatPromptTemplate.fromMessages([
+  [
+    "system",
+    [
+      "你是一个问题分类器，判断用户最新的问题是否需要查询本地知识库才能回答。",
+      "知识库包含以下文档：{files}",
+      "问题涉及知识库文档中的内容（或是对之前知识库回答的追问）时输出 rag；",
+      "闲聊、通用知识、写作、翻译、计算等无需知识库的问题输出 chat。",
+      "只输出 rag 或 chat，不要输出其他内容。{summary}",
+    ].join("\n"),
+  ],
+  new MessagesPlaceholder("chat_history"),
+  ["human", "{input}"],
+]);
+
+// 工具调用智能体 Prompt 模板
+const agentPrompt = ChatPromptTemplate.fromMessages([
+  [
+    "system",
+    [
+      "你是一个可以调用工具的智能助手，请用中文回答。",
+      "涉及知识库文档的问题先用 search_knowledge_base 检索；需要计算时使用 calculator，不要心算；",
+      "涉及当前日期时间时使用 current_datetime；需要查看本地文件时使用 list_files / read_file（只读）。",
+      "工具结果不足以回答时请如实说明。{memories}{summary}",
+    ].join("\n"),
+  ],
+  new MessagesPlaceholder("messages"),
+]);
+
+// 文档格式化模板（用于 RAG 显示来源，编号与结构化引用一一对应）
 const documentPrompt = PromptTemplate.fromTemplate(
-  "SOURCE: {source}\n{page_content}"
+  "[{citation}] SOURCE: {source}\n{page_content}"
 );
 
 // 组装基础对话链：prompt -> 模型
 const chain = prompt.pipe(llm);
 
-// === 消息裁剪器配置 ===
-// 防止上下文窗口溢出，控制历史消息长度
-const trimmer = trimMessages({
-  maxTokens: 1000, // 安全上限，防止模型窗口溢出
-  strategy: "last", // 保留最近的对话
-  includeSystem: true, // 始终保留系统消息
-  allowPartial: true, // 允许截断过长的单条消息
-  // 简易 Token 估算：中文约 2 字符 = 1 token，英文约 4 字符 = 1 token
-  tokenCounter: (msgs) => {
-    const text = msgs
-      .map((m) =>
-        typeof m.content === "string" ? m.content : JSON.stringify(m.content)
-      )
-      .join(" ");
-    return Math.ceil(text.length / 3); // 中文优化的估算
-  },
+// 组装问题改写链：改写结果只用于检索，不在界面上流式展示
+const condenseChain = condensePrompt
+  .pipe(llm.withConfig({ tags: ["condense", "langsmith:nostream"] }))
+  .pipe(new StringOutputParser());
+
+// 组装路由分类链：分类结果不在界面上流式展示
+const routerChain = routerPrompt
+  .pipe(llm.withConfig({ tags: ["router", "langsmith:nostream"] }))
+  .pipe(new StringOutputParser());
+
+// === 对话状态定义 ===
+// 在消息历史之外保存滚动摘要：历史超出预算时最早的对话被折叠进摘要（见 utils/summary-memory.js）
+// 以及本轮检索到的长期用户记忆（见 utils/user-memory.js）
+const ChatAnnotation = Annotation.Root({
+  ...MessagesAnnotation.spec,
+  ...SUMMARY_STATE,
+  ...MEMORY_STATE,
+});
+
+// === RAG 状态定义 ===
+// 在消息历史之外，记录本轮用于检索的独立查询（便于调试）和回答的结构化引用
+const RAGAnnotation = Annotation.Root({
+  ...ChatAnnotation.spec,
+  standaloneQuery: Annotation(),
+  citations: Annotation(),
 });
 
+// 自动路由状态：在 RAG 状态之外记录本轮选择的路径（chat | rag）及原因
+const AssistantAnnotation = Annotation.Root({
+  ...RAGAnnotation.spec,
+  route: Annotation(),
+  routeReason: Annotation(),
+});
+
+// === 路由配置 ===
+// ROUTER_MODE：hybrid（默认，相似度达到阈值直接走 RAG，否则交给模型分类）/ score（只看相似度）/ llm（只用模型分类）
+const ROUTER_MODE = (process.env.ROUTER_MODE || "hybrid").toLowerCase();
+// 问题与知识库最相近片段的余弦相似度阈值，未设置 ROUTER_SCORE_THRESHOLD 时按嵌入提供方取默认值：
+// 语义模型的相关问题通常在 0.6 以上；本地哈希嵌入只反映词面重合，相关问题约 0.25-0.55、无关问题低于 0.16
+const ROUTER_SCORE_THRESHOLDS = { google: 0.6, "openai-compatible": 0.6, transformers: 0.45, local: 0.2 };
+const ROUTER_SCORE_THRESHOLD = (() => {
+  const value = process.env.ROUTER_SCORE_THRESHOLD;
+  if (value === undefined || value === "") {
+    return ROUTER_SCORE_THRESHOLDS[EmbeddingsFactory.resolveConfig().provider] ?? 0.6;
+  }
+  const threshold = Number(value);
+  if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+    throw new Error(`ROUTER_SCORE_THRESHOLD 必须是 0 到 1 之间的数字: ${value}`);
+  }
+  return threshold;
+})();
+
+// === 滚动摘要记忆 ===
+// 历史超过 SUMMARY_MAX_TOKENS 时，把最早的对话折叠进摘要，只保留 SUMMARY_KEEP_TOKENS 以内的最近消息
+// token 数按当前模型的真实分词计算（Gemini countTokens / tiktoken，假模型按字符数）
+const tokenCounter = new TokenCounter();
+const summarizeHistory = createSummaryNode({ llm, tokenCounter });
+const summaryConfig = resolveSummaryConfig();
+console.log(`🗜️  对话摘要: 历史超过 ${summaryConfig.maxTokens} tokens 时折叠较早的对话（分词: ${tokenCounter.describe()}）`);
+// 最近一轮本身超出预算时摘要无法再折叠，交给模型前再裁剪到预算以内（状态中的消息保持完整）
+const fitHistory = (messages) => trimHistory(messages, { tokenCounter, maxTokens: summaryConfig.maxTokens });
+
+// === 长期用户记忆 ===
+// 跨线程按用户保存事实：recall 节点把相关记忆写进系统提示，memorize 节点在回答后提取新事实
+// 用户由 configurable.user_id 指定，未指定时不读写记忆；USER_MEMORY=false 时关闭
+const memoryConfig = resolveUserMemoryConfig();
+const memoryStore = memoryConfig.enabled ? await createMemoryStore() : undefined;
+const recallMemories = createRecallNode();
+const memorizeFacts = createMemorizeNode({ llm });
+console.log(`🧠 长期记忆: ${describeUserMemory()}`);
+
 // === 模型调用节点定义 ===
 /**
  * 处理状态中的消息，调用 LLM 生成回复
- * @param {typeof MessagesAnnotation.State} state - LangGraph 状态对象
+ * @param {typeof ChatAnnotation.State} state - LangGraph 状态对象
  * @returns {Object} 返回新的消息状态
  */
 const callModel = async (state) => {
-  // 裁剪历史消息防止上下文过长
-  const trimmed = await trimmer.invoke(state.messages);
-  // 调用基础对话链生成回复
-  const response = await chain.invoke({ messages: trimmed });
+  // 调用基础对话链生成回复（较早的对话已由 summarize 节点折叠进摘要）
+  const response = await chain.invoke({
+    messages: await fitHistory(state.messages),
+    memories: formatMemories(state.memories),
+    summary: formatSummary(state.summary),
+  });
   return { messages: response }; // 返回给 LangGraph 的消息状态
 };
 
+/**
+ * 问题改写节点：结合线程历史把最新问题改写为独立的检索查询
+ * 没有历史时直接使用原问题，避免多一次模型调用
+ * @param {typeof RAGAnnotation.State} state - LangGraph 状态对象
+ * @returns {Object} 返回改写后的检索查询
+ */
+const condenseQuestion = async (state) => {
+  const lastMessage = state.messages[state.messages.length - 1];
+  const userInput = lastMessage.content;
+  const chatHistory = (await fitHistory(state.messages)).slice(0, -1);
+
+  if (chatHistory.length === 0 && !state.summary) {
+    return { standaloneQuery: userInput };
+  }
+
+  try {
+    const rewritten = (await condenseChain.invoke({
+      input: userInput,
+      chat_history: chatHistory,
+      summary: formatSummary(state.summary),
+    })).trim();
+    return { standaloneQuery: rewritten || userInput };
+  } catch (error) {
+    console.error("问题改写失败，使用原问题检索：", error.message);
+    return { standaloneQuery: userInput };
+  }
+};
+
+/**
+ * 模型分类：结合对话历史判断问题是否需要查询知识库
+ * @param {string} userInput 用户问题
+ * @param {Array} chatHistory 对话历史
+ * @param {string|null} summary 较早对话的摘要
+ * @param {string|Array<string>} knowledgeBase 当前使用的知识库
+ * @returns {Promise<"chat"|"rag">} 路径
+ */
+const classifyRoute = async (userInput, chatHistory, summary, knowledgeBase) => {
+  const files = await knowledgeBases.listIndexedFiles(knowledgeBase);
+  const output = await routerChain.invoke({
+    input: userInput,
+    chat_history: chatHistory,
+    summary: formatSummary(summary),
+    files: files.length > 0 ? files.join(", ") : "（未知）",
+  });
+  return /\brag\b/i.test(output) ? "rag" : "chat";
+};
+
+/**
+ * 路由节点：为本轮问题选择普通对话（chat）或知识库问答（rag）路径
+ * configurable.route 为 chat / rag 时直接使用（/chat、/rag 手动指定）
+ * 同时清空上一轮的检索查询与引用，避免普通对话沿用旧的引用
+ * @param {typeof AssistantAnnotation.State} state - LangGraph 状态对象
+ * @param {Object} config - 运行配置
+ * @returns {Promise<Object>} 返回路径与选择原因
+ */
+const routeQuestion = async (state, config) => {
+  const reset = { standaloneQuery: null, citations: [] };
+  const forced = config?.configurable?.route;
+  if (forced === "chat" || forced === "rag") {
+    return { ...reset, route: forced, routeReason: "手动指定" };
+  }
+
+  const lastMessage = state.messages[state.messages.length - 1];
+  const userInput = lastMessage.content;
+
+  let similarity = null;
+  if (ROUTER_MODE !== "llm") {
+    similarity = await knowledgeBases.getTopSimilarity(
+      userInput,
+      config?.configurable?.knowledgeBase,
+      config?.configurable?.filter
+    ).catch((error) => {
+      console.error("路由相似度计算失败：", error.message);
+      return null;
+    });
+    const scoreText = similarity === null ? "无" : similarity.toFixed(3);
+    if (similarity !== null && similarity >= ROUTER_SCORE_THRESHOLD) {
+      return { ...reset, route: "rag", routeReason: `相似度 ${scoreText} ≥ ${ROUTER_SCORE_THRESHOLD}` };
+    }
+    if (ROUTER_MODE === "score") {
+      return { ...reset, route: "chat", routeReason: `相似度 ${scoreText} < ${ROUTER_SCORE_THRESHOLD}` };
+    }
+  }
+
+  // 相似度不足时仍可能是追问（如“那它的缺点呢?”），交给模型结合历史判断
+  try {
+    const chatHistory = (await fitHistory(state.messages)).slice(0, -1);
+    const route = await classifyRoute(userInput, chatHistory, state.summary, config?.configurable?.knowledgeBase);
+    const scoreText = similarity === null ? "" : `，相似度 ${similarity.toFixed(3)}`;
+    return { ...reset, route, routeReason: `模型分类${scoreText}` };
+  } catch (error) {
+    console.error("路由分类失败，使用普通对话：", error.message);
+    return { ...reset, route: "chat", routeReason: "分类失败" };
+  }
+};
+
 /**
  * RAG 专用状态机节点：处理检索增强生成
- * @param {typeof MessagesAnnotation.State} state - LangGraph 状态对象
+ * configurable.knowledgeBase 为要检索的知识库（名称或名称数组，默认使用默认知识库）
+ * configurable.filter 为元数据过滤条件（如 { tag: "billing", version: "2" }），只检索匹配的片段
+ * @param {typeof RAGAnnotation.State} state - LangGraph 状态对象
+ * @param {Object} config - 运行配置
  * @returns {Object} 返回新的消息状态
  */
 // Task 1: 创建RAG专用状态机节点 - 集成检索器和会话记忆
-const callRAGModel = async (state) => {
+const callRAGModel = async (state, config) => {
   // 获取最新的用户消息
   const lastMessage = state.messages[state.messages.length - 1];
   const userInput = lastMessage.content;
   
   // 构建对话历史（排除当前用户消息）
-  const chatHistory = state.messages.slice(0, -1);
+  const chatHistory = (await fitHistory(state.messages)).slice(0, -1);
   
   try {
-    // 使用 RAG 检索链进行检索增强生成
+    // 使用 RAG 检索链进行检索增强生成：用改写后的查询检索，用原问题生成回答
     const result = await ragChain.invoke({
       input: userInput,
-      chat_history: chatHistory // 传入历史对话上下文
+      standalone_query: state.standaloneQuery ?? userInput,
+      knowledgeBase: config?.configurable?.knowledgeBase,
+      filter: config?.configurable?.filter,
+      chat_history: chatHistory, // 传入历史对话上下文
+      memories: formatMemories(state.memories),
+      summary: formatSummary(state.summary),
     });
     
     // 提取回复内容
     const reply = result?.answer ?? result?.output_text ?? "⚠️ 未找到相关信息";
     
-    // 返回 AI 消息格式
+    // 返回 AI 消息格式，并附带与 [n] 标记对应的结构化引用
     return {
       messages: [{
         role: "assistant",
         content: reply
-      }]
+      }],
+      citations: buildCitations(result?.context ?? [], { answer: reply }),
     };
   } catch (error) {
     console.error("RAG 检索失败：", error.message);
@@ -166,36 +426,129 @@ const callRAGModel = async (state) => {
       messages: [{
         role: "assistant",
         content: `❌ RAG 检索失败：${error.message}`
-      }]
+      }],
+      citations: [],
     };
   }
 };
 
+// === 工具调用智能体 ===
+// 内置工具：知识库检索、计算器、日期时间、白名单目录只读访问（TOOL_ALLOWED_DIRS）
+// 知识库检索工具按运行配置中的 configurable.knowledgeBase 选择知识库
+const tools = createAgentTools({
+  retriever: RunnableLambda.from(async (query, config) =>
+    (await knowledgeBases.getRetriever(config?.configurable?.knowledgeBase)).invoke(query)
+  ),
+});
+const agentChain = agentPrompt.pipe(llm.bindTools(tools));
+// 单轮最多的工具调用轮数（AGENT_MAX_STEPS），防止模型反复调用工具陷入循环
+const AGENT_MAX_STEPS = resolveToolConfig().maxSteps;
+
+/**
+ * 智能体模型节点：根据对话与工具结果决定继续调用工具或直接回答
+ * @param {typeof ChatAnnotation.State} state - LangGraph 状态对象
+ * @returns {Object} 返回新的消息状态（可能包含 tool_calls）
+ */
+const callAgentModel = async (state) => {
+  const response = await agentChain.invoke({
+    messages: await fitHistory(state.messages),
+    memories: formatMemories(state.memories),
+    summary: formatSummary(state.summary),
+  });
+  return { messages: response };
+};
+
 // === StateGraph 状态机架构 ===
-// 构建常规对话工作流：START -> model -> END
-const workflow = new StateGraph(MessagesAnnotation)
+// 每个工作流都以 summarize -> recall 开头：历史超出预算时先把最早的对话折叠进摘要，再检索长期用户记忆
+// 回答后经过 memorize 节点提取新的用户事实
+// 构建常规对话工作流：START -> summarize -> recall -> model -> memorize -> END
+const workflow = new StateGraph(ChatAnnotation)
+  .addNode("summarize", summarizeHistory) // 添加摘要节点
+  .addNode("recall", recallMemories)      // 添加长期记忆检索节点
   .addNode("model", callModel) // 添加模型调用节点
-  .addEdge(START, "model")     // START 节点连接到 model
-  .addEdge("model", END);      // model 节点连接到 END
+  .addNode("memorize", memorizeFacts)     // 添加长期记忆提取节点
+  .addEdge(START, "summarize") // START 节点连接到 summarize
+  .addEdge("summarize", "recall")
+  .addEdge("recall", "model")
+  .addEdge("model", "memorize")
+  .addEdge("memorize", END);   // memorize 节点连接到 END
 
-// Task 1: 创建RAG专用状态机节点 - 构建RAG工作流
-const ragWorkflow = new StateGraph(MessagesAnnotation)
-  .addNode("ragModel", callRAGModel) // 添加 RAG 模型调用节点
-  .addEdge(START, "ragModel")        // START 节点连接到 ragModel
-  .addEdge("ragModel", END);         // ragModel 节点连接到 END
+// Task 1: 创建RAG专用状态机节点 - 构建RAG工作流：START -> summarize -> recall -> condense -> ragModel -> memorize -> END
+const ragWorkflow = new StateGraph(RAGAnnotation)
+  .addNode("summarize", summarizeHistory)
+  .addNode("recall", recallMemories)
+  .addNode("condense", condenseQuestion) // 添加问题改写节点
+  .addNode("ragModel", callRAGModel)     // 添加 RAG 模型调用节点
+  .addNode("memorize", memorizeFacts)
+  .addEdge(START, "summarize")
+  .addEdge("summarize", "recall")
+  .addEdge("recall", "condense")
+  .addEdge("condense", "ragModel")       // 改写后再检索生成
+  .addEdge("ragModel", "memorize")
+  .addEdge("memorize", END);
+
+// 构建自动路由工作流：START -> summarize -> recall -> router -> (model | condense -> ragModel) -> memorize -> END
+// 普通对话与知识库问答写入同一个线程状态，共享对话记忆
+const assistantWorkflow = new StateGraph(AssistantAnnotation)
+  .addNode("summarize", summarizeHistory)
+  .addNode("recall", recallMemories)
+  .addNode("router", routeQuestion)
+  .addNode("model", callModel)
+  .addNode("condense", condenseQuestion)
+  .addNode("ragModel", callRAGModel)
+  .addNode("memorize", memorizeFacts)
+  .addEdge(START, "summarize")
+  .addEdge("summarize", "recall")
+  .addEdge("recall", "router")
+  .addConditionalEdges("router", (state) => (state.route === "rag" ? "condense" : "model"), ["condense", "model"])
+  .addEdge("condense", "ragModel")
+  .addEdge("ragModel", "memorize")
+  .addEdge("model", "memorize")
+  .addEdge("memorize", END);
+
+// 构建工具调用工作流：START -> summarize -> recall -> agent -> (tools -> agent)* -> memorize -> END
+// 模型返回 tool_calls 时进入 tools 节点执行，结果回到 agent，直到模型直接回答
+// 摘要只在每轮开始时进行，不会拆开本轮进行中的工具调用
+const agentWorkflow = new StateGraph(ChatAnnotation)
+  .addNode("summarize", summarizeHistory)
+  .addNode("recall", recallMemories)
+  .addNode("agent", callAgentModel)
+  .addNode("tools", new ToolNode(tools)) // 工具异常会作为工具结果返回给模型
+  .addNode("memorize", memorizeFacts)
+  .addEdge(START, "summarize")
+  .addEdge("summarize", "recall")
+  .addEdge("recall", "agent")
+  .addConditionalEdges("agent", toolsCondition, { tools: "tools", [END]: "memorize" })
+  .addEdge("tools", "agent")
+  .addEdge("memorize", END);
 
 // === 记忆检查点配置 ===
-// 使用 MemorySaver 实现会话持久化，支持多线程对话
-const app = workflow.compile({ 
-  checkpointer: new MemorySaver() 
+// 由 CHECKPOINTER 选择内存 / 文件 / SQLite 检查点，文件与 SQLite 模式下线程在重启后依然可用
+// 普通对话与 RAG 使用各自独立的存储；长期用户记忆存储（store）由所有图共享
+export const app = workflow.compile({ 
+  checkpointer: await createCheckpointer("chat"),
+  store: memoryStore,
 });
 
 // Task 1: 创建RAG专用状态机节点 - 编译RAG工作流为可执行应用
-const ragApp = ragWorkflow.compile({
-  checkpointer: new MemorySaver()
+export const ragApp = ragWorkflow.compile({
+  checkpointer: await createCheckpointer("rag"),
+  store: memoryStore,
+});
+
+// 编译自动路由工作流（CLI 默认使用）
+export const assistantApp = assistantWorkflow.compile({
+  checkpointer: await createCheckpointer("assistant"),
+  store: memoryStore,
 });
 
-console.log("🏠 状态机和记忆检查点初始化完成");
+// 编译工具调用工作流；每轮工具调用经过 agent、tools 两个节点，另加 summarize、recall、memorize 与最后一次 agent
+export const agentApp = agentWorkflow
+  .compile({ checkpointer: await createCheckpointer("agent"), store: memoryStore })
+  .withConfig({ recursionLimit: AGENT_MAX_STEPS * 2 + 4 });
+
+console.log(`🛠️  智能体工具: ${tools.map(t => t.name).join(", ")}（只读目录: ${resolveToolConfig().allowedDirs.map(d => path.relative(process.cwd(), d) || ".").join(", ")}）`);
+console.log(`🏠 状态机和记忆检查点初始化完成: ${describeCheckpointer("chat")}`);
 
 // === RAG 检索增强生成链 ===
 // 构建文档组合链（将检索到的文档与用户查询结合）
@@ -206,8 +559,14 @@ const docChain = await createStuffDocumentsChain({
 });
 
 // 构建完整的 RAG 检索链（检索 + 生成）
+// 检索阶段使用改写后的独立查询（standalone_query），生成阶段仍使用用户原问题
+// 按 knowledgeBase 选择一个或多个知识库，带元数据过滤条件（filter）时改用对应的过滤检索器
 const ragChain = await createRetrievalChain({
-  retriever, // 使用初始化的检索器
+  // 检索结果按顺序编号，回答中的 [n] 标记据此映射回引用
+  retriever: RunnableLambda.from(async (input) => {
+    const retriever = await knowledgeBases.getRetriever(input.knowledgeBase, input.filter);
+    return numberDocuments(await retriever.invoke(input.standalone_query ?? input.input));
+  }),
   combineDocsChain: docChain, // 使用文档组合链
 });
 
@@ -218,10 +577,12 @@ console.log("🔗 RAG 检索增强生成链构建完成");
  * 便捷的单次执行函数，返回 AI 回复和线程 ID
  * @param {string} userText - 用户输入内容
  * @param {string} threadId - 线程 ID，用于会话记忆
+ * @param {Object} options - 可选项
+ * @param {string} options.userId - 长期记忆的用户 ID（默认 USER_ID 或系统用户名）
  * @returns {Promise<{reply: string, threadId: string}>} AI 回复和线程 ID
  */
-export async function runTime(userText, threadId) {
-  const config = { configurable: { thread_id: threadId ?? uuidv4() } };
+export async function runTime(userText, threadId, options = {}) {
+  const config = { configurable: { thread_id: threadId ?? uuidv4(), user_id: options.userId ?? memoryConfig.userId } };
   const output = await app.invoke(
     { messages: [{ role: "user", content: userText }] },
     config
@@ -234,17 +595,223 @@ export async function runTime(userText, threadId) {
  * RAG 模式的便捷执行函数，支持会话持久化
  * @param {string} userText - 用户输入内容
  * @param {string} threadId - 线程 ID，用于会话记忆
- * @returns {Promise<{reply: string, threadId: string}>} RAG 回复和线程 ID
+ * @param {Object} options - 可选项
+ * @param {string} options.userId - 长期记忆的用户 ID（默认 USER_ID 或系统用户名）
+ * @param {Object} options.filter - 元数据过滤条件，如 { tag: "billing", version: "2" }（tag 可为数组，需同时包含）
+ * @param {string|Array<string>} options.knowledgeBase - 知识库名称，多个时合并检索（默认使用默认知识库）
+ * @returns {Promise<{reply: string, threadId: string, standaloneQuery: string, citations: Array<Object>}>}
+ *   RAG 回复、线程 ID、改写后的检索查询，以及结构化引用
+ *   （每项含 index、source、chunkIndex、page、excerpt、score，index 对应回答中的 [n] 标记）
  */
 // Task 2: 构建RAG工作流状态机 - 提供 RAG 专用执行函数
-export async function runRAG(userText, threadId) {
-  const config = { configurable: { thread_id: threadId ?? uuidv4() } };
+export async function runRAG(userText, threadId, options = {}) {
+  const config = {
+    configurable: {
+      thread_id: threadId ?? uuidv4(),
+      user_id: options.userId ?? memoryConfig.userId,
+      knowledgeBase: knowledgeBases.resolveNames(options.knowledgeBase),
+      filter: normalizeFilter(options.filter),
+    },
+  };
   const output = await ragApp.invoke(
     { messages: [{ role: "user", content: userText }] },
     config
   );
   const last = output.messages[output.messages.length - 1];
-  return { reply: last.content, threadId: config.configurable.thread_id };
+  return {
+    reply: last.content,
+    threadId: config.configurable.thread_id,
+    standaloneQuery: output.standaloneQuery,
+    citations: output.citations ?? [],
+  };
+}
+
+/**
+ * 自动路由的便捷执行函数：由路由节点选择普通对话或知识库问答，两者共享线程记忆
+ * @param {string} userText - 用户输入内容
+ * @param {string} threadId - 线程 ID，用于会话记忆
+ * @param {Object} options - 可选项
+ * @param {"chat"|"rag"} options.route - 手动指定路径（不指定时自动路由）
+ * @param {string} options.userId - 长期记忆的用户 ID（默认 USER_ID 或系统用户名）
+ * @param {Object} options.filter - 知识库问答的元数据过滤条件（同 runRAG）
+ * @param {string|Array<string>} options.knowledgeBase - 知识库名称（同 runRAG）
+ * @returns {Promise<{reply: string, threadId: string, route: string, routeReason: string, standaloneQuery: string|null, citations: Array<Object>}>}
+ *   回复、线程 ID、选择的路径与原因，以及（RAG 路径下的）检索查询与引用
+ */
+export async function runAssistant(userText, threadId, options = {}) {
+  const config = {
+    configurable: {
+      thread_id: threadId ?? uuidv4(),
+      route: options.route,
+      user_id: options.userId ?? memoryConfig.userId,
+      knowledgeBase: knowledgeBases.resolveNames(options.knowledgeBase),
+      filter: normalizeFilter(options.filter),
+    },
+  };
+  const output = await assistantApp.invoke(
+    { messages: [{ role: "user", content: userText }] },
+    config
+  );
+  const last = output.messages[output.messages.length - 1];
+  return {
+    reply: last.content,
+    threadId: config.configurable.thread_id,
+    route: output.route,
+    routeReason: output.routeReason,
+    standaloneQuery: output.standaloneQuery ?? null,
+    citations: output.citations ?? [],
+  };
+}
+
+/**
+ * 工具调用智能体的便捷执行函数
+ * @param {string} userText - 用户输入内容
+ * @param {string} threadId - 线程 ID，用于会话记忆
+ * @param {Object} options - 可选项
+ * @param {string} options.userId - 长期记忆的用户 ID（默认 USER_ID 或系统用户名）
+ * @param {string|Array<string>} options.knowledgeBase - 知识库检索工具使用的知识库（同 runRAG）
+ * @returns {Promise<{reply: string, threadId: string, toolCalls: Array<{name: string, args: Object, result: string|null}>}>}
+ *   最终回复、线程 ID，以及本轮的工具调用记录
+ */
+export async function runAgent(userText, threadId, options = {}) {
+  const config = {
+    configurable: {
+      thread_id: threadId ?? uuidv4(),
+      user_id: options.userId ?? memoryConfig.userId,
+      knowledgeBase: knowledgeBases.resolveNames(options.knowledgeBase),
+    },
+  };
+  const output = await agentApp.invoke(
+    { messages: [{ role: "user", content: userText }] },
+    config
+  );
+  const last = output.messages[output.messages.length - 1];
+  return {
+    reply: last.content,
+    threadId: config.configurable.thread_id,
+    toolCalls: collectToolCalls(output.messages),
+  };
+}
+
+/**
+ * 获取知识库状态：存储类型、集合、嵌入模型、文件与向量块数量、最近一次同步结果
+ * @param {string} name - 知识库名称（默认使用默认知识库）
+ * @returns {Promise<Object>} 知识库状态
+ */
+export function getKnowledgeBaseStatus(name) {
+  return knowledgeBases.getStatus(name);
+}
+
+/**
+ * 列出已声明的知识库及其状态（未加载的知识库只包含配置概要）
+ * @returns {Promise<Array<Object>>} 知识库状态列表
+ */
+export function listKnowledgeBases() {
+  return knowledgeBases.list();
+}
+
+/**
+ * 解析并校验知识库名称（名称未声明时抛出异常）
+ * @param {string|Array<string>|null} input - 知识库名称，可为逗号分隔的多个名称
+ * @returns {Array<string>} 名称列表，为空时为默认知识库
+ */
+export function resolveKnowledgeBases(input) {
+  return knowledgeBases.resolveNames(input);
+}
+
+// === 会话管理 ===
+// 各图共享线程 ID，消息分别保存在各自的检查点中
+// CLI 的对话、/chat 与 /rag 都经过自动路由图（共享记忆），chat / rag 图供 HTTP 接口与 runTime / runRAG 使用
+const THREAD_GRAPHS = { assistant: assistantApp, chat: app, rag: ragApp, agent: agentApp };
+const THREAD_LABELS = { assistant: "自动", chat: "对话", rag: "RAG", agent: "工具" };
+// /export 导出目录
+const EXPORT_DIR = process.env.THREAD_EXPORT_DIR || "exports";
+
+/**
+ * 按完整 ID 或唯一前缀查找已保存的线程，找不到时打印原因
+ * 当前线程即使还没有消息（如刚 /new 或只 /rename 过）也视为存在
+ * @param {string} input 用户输入的 ID 或前缀
+ * @param {ThreadRegistry} registry 线程标题登记表
+ * @param {string} currentThreadId 当前线程 ID
+ * @returns {Promise<Object|null>} 线程汇总信息（见 collectThreads）
+ */
+async function findThread(input, registry, currentThreadId = null) {
+  const threads = await collectThreads(THREAD_GRAPHS, registry);
+  if (input === currentThreadId && !threads.some(t => t.threadId === input)) {
+    return { threadId: input, title: registry.getTitle(input), createdAt: null, updatedAt: null, counts: {}, total: 0 };
+  }
+  const { threadId, error } = resolveThreadId(input, threads.map(t => t.threadId));
+  if (error) {
+    console.log(`⚠️  ${error}`);
+    return null;
+  }
+  return threads.find(t => t.threadId === threadId);
+}
+
+/**
+ * 格式化各图的消息数量，如 "对话 4 / RAG 2"
+ * @param {Object<string, number>} counts 图名称 -> 消息数量
+ * @returns {string} 文本
+ */
+function formatCounts(counts) {
+  return Object.keys(THREAD_GRAPHS)
+    .map(name => `${THREAD_LABELS[name]} ${counts[name] ?? 0}`)
+    .join(" / ");
+}
+
+/**
+ * 读取线程在各图中的消息记录
+ * @param {string} threadId 线程 ID
+ * @returns {Promise<Object<string, Array<{role: string, content: string}>>>} 图名称 -> 消息记录
+ */
+async function loadTranscripts(threadId) {
+  const transcripts = {};
+  for (const [name, graph] of Object.entries(THREAD_GRAPHS)) {
+    transcripts[name] = (await getThread(graph, threadId)).messages;
+  }
+  return transcripts;
+}
+
+/**
+ * 格式化摘要节点的结束事件：有消息被折叠时返回提示
+ * @param {Object} ev streamEvents 事件
+ * @returns {string|undefined} 提示文本
+ */
+function formatSummaryEvent(ev) {
+  const folded = ev.data?.output?.messages?.length ?? 0;
+  return folded > 0 ? `🗜️  已将 ${folded} 条较早的消息压缩进摘要` : undefined;
+}
+
+/**
+ * 回答结束后等待后台的记忆提取完成，打印本轮新记住或忘记的用户信息
+ * @param {string} threadId 线程 ID
+ * @returns {Promise<void>}
+ */
+async function printMemoryUpdates(threadId) {
+  const { added = [], forgotten = [] } = (await takeMemoryUpdates(threadId)) ?? {};
+  for (const text of added) console.log(`🧠 已记住: ${text}`);
+  for (const text of forgotten) console.log(`🧠 已忘记: ${text}`);
+}
+
+/**
+ * 打印调用失败的原因与排查建议
+ * @param {Error} err 异常
+ */
+function printErrorHint(err) {
+  console.error("❌ 调用失败：", err.message);
+  if (err instanceof CircuitOpenError) {
+    console.error("💡 模型服务连续失败，已暂停调用（已自动重试）：");
+    console.error("   1. 稍后再试，冷却结束后会自动发送试探请求");
+    console.error("   2. 检查服务状态与配额，可用 LLM_RPM、EMBEDDING_RPM 等限流配置降低调用频率");
+  } else if (err.message.includes('API')) {
+    console.error("💡 可能的解决方案：");
+    console.error("   1. 检查 .env 文件中的 GOOGLE_API_KEY 是否正确");
+    console.error("   2. 确认 API 密钥有效且未超出配额");
+  } else if (err.message.includes('network') || err.message.includes('timeout') || err.message.includes('ENOTFOUND')) {
+    console.error("💡 网络相关问题：请检查网络连接和防火墙设置");
+  } else {
+    console.error("💡 请尝试重新输入或使用 /new 开始新对话");
+  }
 }
 
 // === CLI 交互主程序 ===
@@ -252,171 +819,358 @@ export async function runRAG(userText, threadId) {
  * 主 CLI 交互函数，支持对话、RAG 检索和会话管理
  */
 async function main() {
-  let threadId = uuidv4();
+  const registry = await ThreadRegistry.load("agent");
+  // 可通过 --thread <id> 恢复之前的线程
+  let threadId = parseThreadArg() ?? uuidv4();
+  // 长期记忆按用户保存，/new 开启的新线程也能用到
+  const userId = memoryConfig.userId;
+  // 当前使用的知识库（/kb use 切换，可同时使用多个），切换不影响线程记忆
+  let activeKnowledgeBases = [knowledgeBases.defaultName];
   console.log("🔍 当前线程:", threadId);
-  console.log("💬 聊天开始。命令：/new 开新会话, /rag <问题> 知识库检索, /exit 退出");
+  const counts = Object.fromEntries(
+    Object.entries(await loadTranscripts(threadId)).map(([name, messages]) => [name, messages.length])
+  );
+  if (Object.values(counts).some(count => count > 0)) {
+    console.log(`♻️  已恢复线程：${formatCounts(counts)} 条消息`);
+  }
+  console.log(`🧭 自动路由: ${ROUTER_MODE}（相似度阈值 ${ROUTER_SCORE_THRESHOLD}）`);
+  console.log("💬 聊天开始。命令：/new 开新会话, /chat <问题> 直接对话, /rag <问题> 知识库检索, /help 查看全部命令, /exit 退出");
   console.log("💡 提示：在对话中遇到问题时，请检查网络连接和 API 密钥配置");
   console.log("🔥 新增：RAG模式现已支持会话持久化，可记住上下文！\n");
 
-  // 创建 readline 接口用于用户输入
-  const rl = readline.createInterface({ 
-    input, 
-    output,
-    // 增加信号处理
-    terminal: true
+  // 线程 ID 补全（/use、/history、/delete、/export）
+  const completeThreadIds = async () => (await collectThreads(THREAD_GRAPHS, registry)).map(t => t.threadId);
+  // 检查点加载时已按保留策略清理过期线程，这里同步移除它们的标题
+  await registry.retain([...await completeThreadIds(), threadId]);
+
+  /**
+   * 经自动路由图回答一轮问题：展示选择的路径、检索查询与引用
+   * @param {string} text 用户输入
+   * @param {"chat"|"rag"} route 手动指定的路径（不指定时自动路由）
+   * @param {Object} filter 知识库检索的元数据过滤条件（已规范化）
+   * @param {Array<string>} knowledgeBase 本轮使用的知识库（默认为当前知识库）
+   */
+  const ask = async (text, route, filter = null, knowledgeBase = activeKnowledgeBases) => {
+    if (knowledgeBase !== activeKnowledgeBases) {
+      console.log(`📚 知识库: ${knowledgeBase.join(", ")}`);
+    }
+    if (filter) {
+      console.log(`🏷️  过滤条件: ${describeFilter(filter)}`);
+    }
+    const stream = await assistantApp.streamEvents(
+      { messages: [{ role: "user", content: text }] },
+      { version: "v2", configurable: { thread_id: threadId, route, user_id: userId, knowledgeBase, filter } }
+    );
+
+    let chosen = route ?? "chat";
+    let citations = [];
+    const reply = await printStream(stream, {
+      prefix: () => (chosen === "rag" ? "📚 RAG: " : "🤖: "),
+      onEvent: (ev) => {
+        // 展示摘要节点折叠的较早消息
+        if (isNodeEnd(ev, "summarize")) {
+          return formatSummaryEvent(ev);
+        }
+        // 展示路由节点选择的路径
+        if (isNodeEnd(ev, "router")) {
+          chosen = ev.data?.output?.route ?? chosen;
+          const reason = ev.data?.output?.routeReason;
+          return `🧭 路由: ${chosen === "rag" ? "知识库问答" : "普通对话"}${reason ? `（${reason}）` : ""}`;
+        }
+        // 展示问题改写节点产出的检索查询（与原问题不同时）
+        if (isNodeEnd(ev, "condense")) {
+          const standaloneQuery = ev.data?.output?.standaloneQuery;
+          if (standaloneQuery && standaloneQuery !== text) {
+            return `🔎 检索查询: ${standaloneQuery}`;
+          }
+        }
+        // 记录生成节点产出的结构化引用，回答结束后统一展示
+        if (isNodeEnd(ev, "ragModel")) {
+          citations = ev.data?.output?.citations ?? [];
+        }
+      },
+    });
+
+    if (!reply) {
+      console.log(chosen === "rag" ? "📚 RAG: 抱歉，未找到相关信息。" : "🤖: 抱歉，我暂时无法生成回复。请稍后再试。");
+    }
+    if (citations.length > 0) {
+      console.log("\n📎 引用来源：");
+      console.log(formatCitations(citations));
+    }
+    // 展示本轮新记住或忘记的用户信息（提取在回答结束后进行）
+    await printMemoryUpdates(threadId);
+  };
+
+  const repl = new Repl({
+    name: "agent",
+    // === 常规输入：由路由节点自动选择普通对话或知识库问答 ===
+    onInput: (text) => ask(text),
+    onError: printErrorHint,
+    // Task 5: 更新CLI命令处理 - 添加RAG会话持久化的说明
+    helpFooter: [
+      "🧭 自动路由：",
+      "  - 直接输入的问题会自动选择普通对话或知识库问答（🧭 显示选择的路径）",
+      "  - /chat 与 /rag 可手动指定路径，三者共享同一个线程的记忆",
+      "",
+      "🧠 长期记忆：",
+      "  - 对话中提到的姓名、偏好等会按用户长期保存（🧠 显示），/new 开启的新线程也能用到",
+      "  - /memory list 查看，/memory forget <序号|all> 删除",
+      "",
+      "🔥 RAG功能升级：",
+      "  - 现在支持会话记忆，可以记住上下文",
+      "  - 支持多轮对话，可以说'之前提到的...'",
+      "  - 追问会结合历史改写为独立的检索查询（🔎 显示改写结果）",
+      "  - /rag --tag=billing --version=2 <问题> 只检索匹配元数据的片段",
+      "",
+      "📚 多知识库：",
+      "  - /kb list 查看已声明的知识库（knowledge-bases.json），/kb use <名称> 切换",
+      "  - /kb use docs,billing 同时检索多个知识库；/rag --kb=billing <问题> 只对本轮指定",
+    ],
   });
-  
-  // 优雅地处理退出信号
-  process.on('SIGINT', () => {
-    console.log("\n\n👋 接收到退出信号，再见！");
-    rl.close();
-    process.exit(0);
+
+  repl.command("new", {
+    description: "开始新的对话线程",
+    handler: () => {
+      threadId = uuidv4();
+      console.log("✅ 新线程:", threadId);
+    },
   });
-  
-  while (true) {
-    try {
-      const q = await rl.question("> ");
-      const text = q.trim();
-      if (!text) continue;
-
-      // === 命令处理 ===
-      if (text === "/exit") {
-        break;
+
+  // === 手动指定路径 ===
+  repl.command("chat", {
+    description: "不查询知识库，直接由模型回答",
+    args: [{ name: "问题", required: true, rest: true }],
+    handler: ({ args }) => ask(args["问题"], "chat"),
+  });
+
+  // 问题前的 --字段=值 作为元数据过滤条件，如 /rag --tag=billing --version=2 退款流程
+  // --kb=名称[,名称] 只对本轮指定知识库
+  repl.command("rag", {
+    description: "使用 RAG 模式检索知识库回答（可加 --kb=知识库 --tag=标签 --version=版本 等）",
+    args: [{ name: "问题", required: true, rest: true }],
+    handler: ({ args, flags }) => {
+      const { kb, ...filter } = flags;
+      return ask(args["问题"], "rag", normalizeFilter(filter), kb ? knowledgeBases.resolveNames(kb) : activeKnowledgeBases);
+    },
+  });
+
+  // === 知识库：查看与切换（切换后的问答、/rag 与 /agent 都使用新的知识库） ===
+  repl.command("kb", {
+    description: "查看或切换知识库（use 接名称，多个名称以逗号分隔时合并检索）",
+    args: [{ name: "操作", choices: ["list", "use"] }, { name: "名称" }],
+    complete: async (partial, argv) => (argv.length === 0 ? ["list", "use"] : knowledgeBases.names()),
+    handler: async ({ args }) => {
+      if (args["操作"] === "use") {
+        if (!args["名称"]) {
+          console.log(`⚠️  用法: /kb use <名称>[,<名称>...]（可选: ${knowledgeBases.names().join(", ")}）`);
+          return;
+        }
+        const names = knowledgeBases.resolveNames(args["名称"]);
+        // 首次使用的知识库在此构建并同步
+        for (const name of names) await knowledgeBases.load(name);
+        activeKnowledgeBases = names;
+        console.log(`✅ 当前知识库: ${names.join(", ")}${names.length > 1 ? "（合并检索）" : ""}`);
+        return;
       }
-      
-      if (text === "/new") {
-        threadId = uuidv4();
-        console.log("✅ 新线程:", threadId);
-        continue;
+
+      console.log(`📚 知识库（共 ${knowledgeBases.names().length} 个，* 为当前使用）：`);
+      for (const kb of await knowledgeBases.list()) {
+        const marker = activeKnowledgeBases.includes(kb.name) ? "*" : " ";
+        const detail = kb.ready
+          ? `${kb.files} 个文件 · ${kb.chunks} 块 · ${kb.collectionName}${kb.watching ? " · 监听中" : ""}`
+          : kb.error ? `加载失败: ${kb.error}` : "未加载";
+        console.log(`  ${marker} ${kb.name}${kb.default ? "（默认）" : ""}  ${kb.knowledgeDir} · ${detail}${kb.description ? `  — ${kb.description}` : ""}`);
       }
-      
-      // 帮助命令
-      if (text === "/help" || text === "/h") {
-        console.log("\n📚 可用命令：");
-        console.log("  /new        - 开始新的对话线程");
-        console.log("  /rag <问题>  - 使用 RAG 模式检索知识库（支持会话记忆）");
-        console.log("  /help (/h)  - 显示这个帮助信息");
-        console.log("  /exit       - 退出程序");
-        // Task 5: 更新CLI命令处理 - 添加RAG会话持久化的说明
-        console.log("\n🔥 RAG功能升级：");
-        console.log("  - 现在支持会话记忆，可以记住上下文");
-        console.log("  - 支持多轮对话，可以说'之前提到的...'");
-        console.log("  - 与普通聊天共享同一个线程 ID\n");
-        continue;
+    },
+  });
+
+  // === 工具调用模式：模型按需调用工具，展示每次调用与结果 ===
+  repl.command("agent", {
+    description: "使用工具调用模式回答（知识库检索、计算器、日期时间、只读文件）",
+    args: [{ name: "问题", required: true, rest: true }],
+    handler: async ({ args }) => {
+      const stream = await agentApp.streamEvents(
+        { messages: [{ role: "user", content: args["问题"] }] },
+        { version: "v2", configurable: { thread_id: threadId, user_id: userId, knowledgeBase: activeKnowledgeBases } }
+      );
+      const reply = await printStream(stream, {
+        prefix: "🤖: ",
+        onEvent: (ev) => {
+          if (isNodeEnd(ev, "summarize")) return formatSummaryEvent(ev);
+          return formatToolEvent(ev) ?? undefined;
+        },
+      });
+      if (!reply) {
+        console.log("🤖: 抱歉，我暂时无法生成回复。请稍后再试。");
       }
+      await printMemoryUpdates(threadId);
+    },
+  });
 
-      // === RAG 模式：从知识库检索并回答 ===
-      if (text.startsWith("/rag")) {
-        const question = text.slice(4).trim();
-        if (!question) {
-          console.log("⚠️  用法: /rag <问题>");
-          console.log("📚 示例: /rag 什么是 RAG?");
-          continue;
-        }
-        try {
-          console.log("🔍 正在检索知识库...");
-          
-          // Task 3: 修改RAG调用逻辑 - 使用状态机驱动的 RAG 流式输出
-          const stream = await ragApp.streamEvents(
-            { messages: [{ role: "user", content: question }] },
-            { version: "v2", configurable: { thread_id: threadId } }
-          );
-
-          let first = true;
-          let hasContent = false;
-          for await (const ev of stream) {
-            if (ev.event === "on_chat_model_stream") {
-              const chunk = ev.data?.chunk;
-              const piece = Array.isArray(chunk?.content)
-                ? chunk.content
-                    .map((c) => (typeof c === "string" ? c : c?.text ?? ""))
-                    .join("")
-                : chunk?.content ?? "";
-              
-              if (first && piece) {
-                process.stdout.write("📚 RAG: ");
-                first = false;
-              }
-              if (piece) {
-                process.stdout.write(piece);
-                hasContent = true;
-              }
-            }
-          }
-          
-          if (!hasContent) {
-            console.log("📚 RAG: 抱歉，未找到相关信息。");
-          } else {
-            process.stdout.write("\n");
-          }
-          
-        } catch (err) {
-          console.error("❌ RAG 检索失败：", err.message);
-          if (err.message.includes('API')) {
-            console.error("💡 请检查 Google API 密钥是否正确配置");
-          } else if (err.message.includes('network') || err.message.includes('ENOTFOUND')) {
-            console.error("💡 请检查网络连接是否正常");
-          }
+  // === 会话管理命令：数据来自 LangGraph 检查点 ===
+  repl.command("threads", {
+    description: "列出已保存的线程（消息数量与时间）",
+    handler: async () => {
+      const threads = await collectThreads(THREAD_GRAPHS, registry);
+      if (threads.length === 0) {
+        console.log("📭 暂无保存的线程");
+        return;
+      }
+      console.log(`📜 共 ${threads.length} 个线程（* 为当前线程）：`);
+      for (const t of threads) {
+        const marker = t.threadId === threadId ? "*" : " ";
+        const title = t.title ? ` 「${t.title}」` : "";
+        console.log(`${marker} ${t.threadId}${title}`);
+        console.log(`    ${formatCounts(t.counts)} 条消息 · 创建 ${formatTimestamp(t.createdAt)} · 更新 ${formatTimestamp(t.updatedAt)}`);
+      }
+      if (!threads.some(t => t.threadId === threadId)) {
+        console.log(`* ${threadId}（当前线程，尚无消息）`);
+      }
+    },
+  });
+
+  repl.command("use", {
+    description: "切换到指定线程（支持 ID 前缀）",
+    args: [{ name: "id", required: true }],
+    complete: completeThreadIds,
+    handler: async ({ args }) => {
+      const thread = await findThread(args.id, registry);
+      if (!thread) return;
+      threadId = thread.threadId;
+      console.log(`🔀 已切换到线程: ${threadId}${thread.title ? ` 「${thread.title}」` : ""}（${formatCounts(thread.counts)} 条消息）`);
+    },
+  });
+
+  repl.command("history", {
+    description: "查看线程的消息记录（默认当前线程）",
+    args: [{ name: "id" }],
+    complete: completeThreadIds,
+    handler: async ({ args }) => {
+      const thread = await findThread(args.id || threadId, registry, threadId);
+      if (!thread) return;
+      console.log(`📜 线程 ${thread.threadId}${thread.title ? ` 「${thread.title}」` : ""}`);
+      console.log(`   创建 ${formatTimestamp(thread.createdAt)} · 更新 ${formatTimestamp(thread.updatedAt)} · ${formatCounts(thread.counts)} 条消息`);
+      for (const [name, graph] of Object.entries(THREAD_GRAPHS)) {
+        const { messages, summary } = await getThread(graph, thread.threadId);
+        if (messages.length === 0 && !summary) continue;
+        console.log(`\n— ${THREAD_LABELS[name]} —`);
+        if (summary) {
+          console.log(`🗜️  较早对话的摘要：\n${summary}`);
         }
-        continue;
+        messages.forEach((m, i) => {
+          const icon = m.role === "user" ? "👤" : m.role === "tool" ? "📦" : "🤖";
+          console.log(`${String(i + 1).padStart(2, "0")}. ${icon} ${formatPlainMessage(m)}`);
+        });
       }
+    },
+  });
 
-      // === 常规对话模式：使用流式输出 ===
-      const stream = await app.streamEvents(
-        { messages: [{ role: "user", content: text }] },
-        { version: "v2", configurable: { thread_id: threadId } }
-      );
+  repl.command("rename", {
+    description: "重命名当前线程",
+    args: [{ name: "标题", required: true, rest: true }],
+    handler: async ({ args }) => {
+      await registry.setTitle(threadId, args["标题"]);
+      console.log(`✏️  当前线程已重命名为「${args["标题"]}」`);
+    },
+  });
 
-      let first = true;
-      let hasContent = false;
-      for await (const ev of stream) {
-        if (ev.event === "on_chat_model_stream") {
-          const chunk = ev.data?.chunk;
-          // 兼容处理不同类型的 chunk 内容
-          const piece = Array.isArray(chunk?.content)
-            ? chunk.content
-                .map((c) => (typeof c === "string" ? c : c?.text ?? ""))
-                .join("")
-            : chunk?.content ?? "";
-          
-          if (first && piece) {
-            process.stdout.write("🤖: ");
-            first = false;
-          }
-          if (piece) {
-            process.stdout.write(piece);
-            hasContent = true;
-          }
+  repl.command("delete", {
+    description: "删除线程（默认当前线程）",
+    args: [{ name: "id" }],
+    complete: completeThreadIds,
+    handler: async ({ args }) => {
+      const thread = await findThread(args.id || threadId, registry, threadId);
+      if (!thread) return;
+      for (const graph of Object.values(THREAD_GRAPHS)) {
+        await deleteThread(graph.checkpointer, thread.threadId);
+      }
+      await registry.remove([thread.threadId]);
+      console.log(`🗑️  已删除线程: ${thread.threadId}`);
+      if (thread.threadId === threadId) {
+        threadId = uuidv4();
+        console.log("✅ 新线程:", threadId);
+      }
+    },
+  });
+
+  // === 长期用户记忆 ===
+  repl.command("memory", {
+    description: "查看或删除跨线程的长期记忆（forget 接序号、ID 前缀或 all）",
+    args: [{ name: "操作", required: true, choices: ["list", "forget"] }, { name: "目标" }],
+    complete: async (partial, argv) => {
+      if (argv.length === 0) return ["list", "forget"];
+      if (argv[0] !== "forget" || !memoryStore) return [];
+      const memories = await listUserMemories(memoryStore, userId);
+      return ["all", ...memories.map((m, i) => String(i + 1))];
+    },
+    handler: async ({ args }) => {
+      if (!memoryStore) {
+        console.log("⚠️  长期记忆已关闭（USER_MEMORY=false）");
+        return;
+      }
+      const memories = await listUserMemories(memoryStore, userId);
+      if (args["操作"] === "list") {
+        if (memories.length === 0) {
+          console.log(`📭 还没有关于用户 ${userId} 的长期记忆`);
+          return;
         }
+        console.log(`🧠 用户 ${userId} 的长期记忆（共 ${memories.length} 条）：`);
+        memories.forEach((m, i) => {
+          console.log(`  ${String(i + 1).padStart(2, "0")}. ${m.text}  · ${m.key.slice(0, 8)} · ${formatTimestamp(m.createdAt)}`);
+        });
+        return;
       }
-      
-      if (!hasContent) {
-        console.log("🤖: 抱歉，我暂时无法生成回复。请稍后再试。");
-      } else {
-        process.stdout.write("\n");
+
+      const target = args["目标"];
+      if (!target) {
+        console.log("⚠️  用法: /memory forget <序号|ID 前缀|all>");
+        return;
       }
-      
-    } catch (err) {
-      console.error("❌ 调用失败：", err.message);
-      
-      // 提供具体的错误处理建议
-      if (err.message.includes('API')) {
-        console.error("💡 可能的解决方案：");
-        console.error("   1. 检查 .env 文件中的 GOOGLE_API_KEY 是否正确");
-        console.error("   2. 确认 API 密钥有效且未超出配额");
-      } else if (err.message.includes('network') || err.message.includes('timeout')) {
-        console.error("💡 网络相关问题：请检查网络连接和防火墙设置");
-      } else {
-        console.error("💡 请尝试重新输入或使用 /new 开始新对话");
+      const selected = target === "all"
+        ? memories
+        : memories.filter((m, i) => String(i + 1) === target || m.key.startsWith(target));
+      if (selected.length === 0) {
+        console.log(`⚠️  没有匹配的记忆: ${target}`);
+        return;
       }
-    }
-  }
+      if (selected.length > 1 && target !== "all") {
+        console.log(`⚠️  ${target} 匹配到多条记忆，请使用更长的 ID 前缀`);
+        return;
+      }
+      await forgetUserMemories(memoryStore, userId, selected.map(m => m.key));
+      selected.forEach(m => console.log(`🗑️  已忘记: ${m.text}`));
+    },
+  });
 
-  rl.close();
+  repl.command("export", {
+    description: `导出线程到 ${EXPORT_DIR}/ 目录（默认当前线程）`,
+    usage: "[id] <md|json>",
+    complete: async (partial, argv) => (argv.length === 0 ? ["md", "json", ...(await completeThreadIds())] : ["md", "json"]),
+    handler: async ({ argv }) => {
+      // 只给出格式时导出当前线程
+      const format = argv.length === 1 ? argv[0] : argv[1];
+      const id = argv.length === 1 ? threadId : argv[0];
+      if (!["md", "json"].includes(format)) {
+        console.log("⚠️  用法: /export [线程ID] md|json");
+        return;
+      }
+      const thread = await findThread(id, registry, threadId);
+      if (!thread) return;
+      const filePath = path.join(EXPORT_DIR, `thread-${thread.threadId}.${format}`);
+      await fs.mkdir(EXPORT_DIR, { recursive: true });
+      await fs.writeFile(filePath, exportThread(thread, await loadTranscripts(thread.threadId), format), "utf-8");
+      console.log(`📤 已导出到 ${filePath}`);
+    },
+  });
+
+  await repl.start();
   console.log("👋 再见！");
 }
 
-// 自动启动 CLI 交互
-main().catch(console.error);
+// 直接运行本文件时启动 CLI 交互（被 HTTP 服务等模块导入时不启动）
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(console.error);
+}
 
 
@@ -0,0 +1,434 @@
+#!/usr/bin/env node
+
+/**
+ * 知识库管理工具：构建 / 同步索引，查看集合与向量块，按文件删除索引，调试检索结果
+ *
+ * 用法：npm run kb -- <命令> [参数] [--kb=知识库]
+ *   ingest                      删除集合并全量重建索引
+ *   sync                        按索引清单增量同步（与启动 agent 时相同）
+ *   list                        列出知识库及向量存储中的集合
+ *   stats                       每个文件的向量块数量、向量维度与集合元数据
+ *   delete --source <路径>      从索引中删除某个文件的全部向量块
+ *   show <块ID>                 查看向量块的内容与元数据
+ *   query "<问题>" [--k=5]      调试检索结果（其余 --字段=值 作为元数据过滤条件）
+ *   cache                       查看嵌入缓存（各嵌入模型的条数、大小与当前索引使用的条数）
+ *   cache prune [--older-than=天数] [--dry-run]
+ *                               删除当前索引不再使用的嵌入缓存（指定天数时保留近期用过的）
+ *
+ * 知识库配置与 agent 一致（KB_CONFIG / knowledge-bases.json，见 knowledge-bases.js），--kb 默认使用默认知识库
+ */
+
+import { pathToFileURL } from "node:url";
+import dotenv from "dotenv";
+import { KnowledgeBaseManager, loadKnowledgeBaseConfig, resolveKnowledgeBaseDefaults } from "./rag/knowledge-bases.js";
+import { VectorStoreFactory } from "./rag/vector-store-factory.js";
+import { IndexManifest } from "./rag/index-manifest.js";
+import { BM25Index } from "./rag/bm25-index.js";
+import { EmbeddingCache, DEFAULT_EMBEDDING_CACHE_DIR, hashText } from "./rag/embedding-cache.js";
+import { getRelevanceScore } from "./rag/citations.js";
+import { normalizeFilter, describeFilter } from "./rag/metadata.js";
+
+// 加载环境变量
+dotenv.config();
+
+const VECTOR_STORE = process.env.VECTOR_STORE || "chroma";
+const CHROMA_URL = process.env.CHROMA_URL || "http://localhost:8000";
+const LOCAL_VECTOR_DIR = process.env.LOCAL_VECTOR_DIR || ".rag/vectors";
+const EMBEDDING_CACHE_DIR = process.env.EMBEDDING_CACHE_DIR || DEFAULT_EMBEDDING_CACHE_DIR;
+
+// query 默认返回数量与片段预览长度
+const DEFAULT_QUERY_K = 5;
+const PREVIEW_LENGTH = 200;
+// 不带值的选项（其余 --选项 后面的参数视为选项值）
+const BOOLEAN_FLAGS = ["help", "dry-run"];
+
+/**
+ * 解析命令行参数：支持 --key=value、--key value 与位置参数
+ * @param {Array<string>} argv 命令行参数
+ * @returns {{positionals: Array<string>, flags: Object}} 解析结果
+ */
+export function parseCommandLine(argv) {
+  const positionals = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const match = argv[i].match(/^--([\w-]+)(?:=(.*))?$/);
+    if (!match) {
+      positionals.push(argv[i]);
+    } else if (match[2] !== undefined) {
+      flags[match[1]] = match[2];
+    } else if (!BOOLEAN_FLAGS.includes(match[1]) && argv[i + 1] !== undefined && !argv[i + 1].startsWith("--")) {
+      flags[match[1]] = argv[i + 1];
+      i += 1;
+    } else {
+      flags[match[1]] = true;
+    }
+  }
+  return { positionals, flags };
+}
+
+/**
+ * 压缩空白并截断文本，便于单行展示
+ * @param {string} text 文本
+ * @param {number} length 最大长度
+ * @returns {string} 预览文本
+ */
+function preview(text, length = PREVIEW_LENGTH) {
+  const compact = String(text ?? "").replace(/\s+/g, " ").trim();
+  return compact.length > length ? `${compact.slice(0, length)}…` : compact;
+}
+
+/**
+ * 格式化字节数，如 1536 -> "1.5 KB"
+ * @param {number} bytes 字节数
+ * @returns {string} 展示文本
+ */
+function formatBytes(bytes) {
+  const units = ["B", "KB", "MB", "GB"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * 创建知识库管理器（构建参数与 agent 启动时一致）
+ * @returns {Promise<KnowledgeBaseManager>} 管理器实例
+ */
+async function createManager() {
+  return new KnowledgeBaseManager(await loadKnowledgeBaseConfig(), resolveKnowledgeBaseDefaults());
+}
+
+/**
+ * 打开知识库的已有索引（不同步、不嵌入）
+ * @param {KnowledgeBaseManager} manager 知识库管理器
+ * @param {string|undefined} name 知识库名称
+ * @param {number} minK 检索候选数量下限（可选）
+ * @returns {Promise<{name: string, builder: Object}>} 知识库名称与已打开索引的构建器
+ */
+async function openIndex(manager, name, minK = 0) {
+  const [resolved] = manager.resolveNames(name);
+  const { builder, buildOptions } = manager.createBuilder(resolved);
+  await builder.openIndex({ ...buildOptions, k: Math.max(buildOptions.k, minK) });
+  return { name: resolved, builder };
+}
+
+/**
+ * 构建（同步）知识库索引并输出同步报告
+ * @param {KnowledgeBaseManager} manager 知识库管理器
+ * @param {string|undefined} name 知识库名称
+ * @param {boolean} resetCollection 是否删除集合并全量重建
+ */
+async function buildIndex(manager, name, resetCollection) {
+  const [resolved] = manager.resolveNames(name);
+  const { builder, buildOptions } = manager.createBuilder(resolved);
+  console.log(`📚 知识库 ${resolved}: ${builder.knowledgeDir}`);
+  await builder.buildRetriever({ ...buildOptions, resetCollection });
+  const status = await builder.getStatus();
+  const sync = status.lastSync;
+  console.log(`✅ ${resetCollection ? "全量重建" : "增量同步"}完成: ${status.files} 个文件，${status.chunks} 个向量块（${status.storeType}:${status.collectionName}）`);
+  console.log(`   新增 ${sync.added}，变更 ${sync.changed}，删除 ${sync.removed}，未变 ${sync.unchanged}；写入 ${sync.chunksAdded} 块，删除 ${sync.chunksDeleted} 块`);
+  if (sync.skipped.length > 0) {
+    console.log(`   跳过 ${sync.skipped.length} 个文件（见上方日志）`);
+  }
+}
+
+/**
+ * 列出知识库（读取索引清单，不打开向量存储）及向量存储中的集合
+ * @param {KnowledgeBaseManager} manager 知识库管理器
+ */
+async function listKnowledgeBases(manager) {
+  console.log(`📚 知识库（共 ${manager.names().length} 个${manager.configPath ? `，配置 ${manager.configPath}` : ""}）：`);
+  const declared = new Set();
+  for (const name of manager.names()) {
+    const { builder } = manager.createBuilder(name);
+    const { collectionName } = builder.chromaOptions;
+    declared.add(`${builder.storeType}:${collectionName}`);
+    const manifest = await IndexManifest.load(builder.getManifestPath(collectionName));
+    const files = Object.keys(manifest.files).length;
+    const detail = files > 0 || manifest.meta.updatedAt
+      ? `${files} 个文件，${manifest.totalChunks} 块，更新于 ${manifest.meta.updatedAt ?? "未知"}`
+      : "尚未构建";
+    const marker = name === manager.defaultName ? "*" : " ";
+    console.log(` ${marker} ${name}  ${builder.storeType}:${collectionName}  ${builder.knowledgeDir}  ${detail}`);
+  }
+
+  const collections = VECTOR_STORE === "local"
+    ? await VectorStoreFactory.listLocalCollections({ localDir: LOCAL_VECTOR_DIR })
+    : (await VectorStoreFactory.listChromaCollections({ chromaUrl: CHROMA_URL })).map(collection => collection.name);
+  const undeclared = collections.filter(collection => !declared.has(`${VECTOR_STORE}:${collection}`));
+  if (undeclared.length > 0) {
+    console.log(`🗂️  未在知识库配置中声明的集合（${VECTOR_STORE}）: ${undeclared.join(", ")}`);
+  }
+}
+
+/**
+ * 输出索引统计
+ * @param {KnowledgeBaseManager} manager 知识库管理器
+ * @param {string|undefined} name 知识库名称
+ */
+async function printStats(manager, name) {
+  const { name: resolved, builder } = await openIndex(manager, name);
+  const stats = await builder.getIndexStats();
+  console.log(`📊 知识库 ${resolved}（${stats.knowledgeDir}）`);
+  console.log(`   存储: ${stats.storeType}:${stats.collection.name ?? stats.collectionName}`);
+  console.log(`   嵌入模型: ${stats.embeddingModel}`);
+  console.log(`   向量维度: ${stats.collection.dimension ?? "未知（集合为空）"}`);
+  console.log(`   文件: ${stats.files}，清单块数: ${stats.chunks}，存储中块数: ${stats.storedChunks ?? "未知"}，关键词索引: ${stats.keywordIndexSize}`);
+  if (stats.storedChunks !== null && stats.storedChunks !== stats.chunks) {
+    console.log("   ⚠️ 清单与向量存储的块数不一致，可执行 sync 或 ingest 修复");
+  }
+  console.log(`   更新时间: ${stats.updatedAt ?? "未知"}`);
+  console.log(`   集合元数据: ${JSON.stringify(stats.collection.metadata ?? {})}`);
+  if (stats.sources.length === 0) {
+    console.log("📭 索引中没有文件，可执行 sync 构建索引");
+    return;
+  }
+  console.log(`📄 各文件向量块数量（共 ${stats.sources.length} 个文件）：`);
+  const width = Math.max(...stats.sources.map(({ chunks }) => String(chunks).length));
+  for (const { source, chunks, chunking } of stats.sources) {
+    console.log(`   ${String(chunks).padStart(width)}  ${source}${chunking ? `  (${chunking})` : ""}`);
+  }
+}
+
+/**
+ * 从索引中删除某个文件
+ * @param {KnowledgeBaseManager} manager 知识库管理器
+ * @param {string|undefined} name 知识库名称
+ * @param {string} source 文件路径
+ */
+async function deleteSource(manager, name, source) {
+  const { name: resolved, builder } = await openIndex(manager, name);
+  const result = await builder.deleteSource(source);
+  if (!result) {
+    console.log(`⚠️ 知识库 ${resolved} 中没有已索引的文件: ${source}（可用 stats 查看已索引文件）`);
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`🗑️ 已从知识库 ${resolved} 删除 ${result.source} 的 ${result.chunksDeleted} 个向量块`);
+  console.log("💡 文件仍在知识库目录中时，下次同步会重新索引；如需永久移除请同时删除源文件");
+}
+
+/**
+ * 查看向量块
+ * @param {KnowledgeBaseManager} manager 知识库管理器
+ * @param {string|undefined} name 知识库名称
+ * @param {string} id 向量块 ID
+ */
+async function showChunk(manager, name, id) {
+  const { name: resolved, builder } = await openIndex(manager, name);
+  const chunk = await builder.getChunk(id);
+  if (!chunk) {
+    console.log(`⚠️ 知识库 ${resolved} 中不存在向量块: ${id}`);
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`🧩 向量块 ${chunk.id}`);
+  console.log(`   来源: ${chunk.source ?? "（不在索引清单中）"}`);
+  console.log(`   关键词索引: ${chunk.inKeywordIndex ? "已收录" : "未收录"}`);
+  console.log(`   元数据: ${JSON.stringify(chunk.metadata, null, 2).replace(/\n/g, "\n   ")}`);
+  console.log(`   内容（${chunk.pageContent.length} 字符）:`);
+  console.log(chunk.pageContent);
+}
+
+/**
+ * 调试检索：输出检索到的片段、分数与块 ID
+ * @param {KnowledgeBaseManager} manager 知识库管理器
+ * @param {string|undefined} name 知识库名称
+ * @param {string} query 查询
+ * @param {Object} options 检索选项 { k, filter }
+ */
+async function runQuery(manager, name, query, options) {
+  // 检索候选数量至少为 k，避免知识库配置的 k 较小时截断结果
+  const { name: resolved, builder } = await openIndex(manager, name, options.k);
+  const conditions = normalizeFilter(options.filter);
+  const docs = (await builder.getRetriever(conditions).invoke(query)).slice(0, options.k);
+  console.log(`🔍 知识库 ${resolved}，检索模式 ${builder.retrievalOptions.mode}${conditions ? `，过滤条件 ${describeFilter(conditions)}` : ""}`);
+  if (docs.length === 0) {
+    console.log("📭 没有检索到相关片段");
+    return;
+  }
+  docs.forEach((doc, index) => {
+    const score = getRelevanceScore(doc.metadata);
+    const page = doc.metadata.page ? ` 第 ${doc.metadata.page} 页` : "";
+    console.log(`[${index + 1}] ${builder.toSourceKey(doc.metadata.source ?? "")}${page}${score !== null ? `  分数 ${score.toFixed(3)}` : ""}`);
+    console.log(`    ID: ${doc.id ?? "未知"}`);
+    console.log(`    ${preview(doc.pageContent)}`);
+  });
+}
+
+/**
+ * 收集各知识库当前索引中的文本哈希（按嵌入模型分组），即仍在使用的嵌入缓存
+ * 读取与向量存储同步维护的 BM25 索引，无需连接向量存储
+ * @param {KnowledgeBaseManager} manager 知识库管理器
+ * @returns {Promise<Map<string, Set<string>>>} 嵌入模型标识 -> 文本哈希
+ */
+async function collectReferencedHashes(manager) {
+  const referenced = new Map();
+  for (const name of manager.names()) {
+    const { builder } = manager.createBuilder(name);
+    const keywordIndex = await BM25Index.load(builder.getKeywordIndexPath(builder.chromaOptions.collectionName));
+    if (keywordIndex.size === 0) {
+      console.warn(`⚠️ 知识库 ${name} 尚未构建，其文本不计入使用中的缓存`);
+    }
+    if (!referenced.has(builder.embeddingKey)) referenced.set(builder.embeddingKey, new Set());
+    for (const { content } of keywordIndex.docs.values()) {
+      referenced.get(builder.embeddingKey).add(hashText(content));
+    }
+  }
+  return referenced;
+}
+
+/**
+ * 查看嵌入缓存
+ * @param {KnowledgeBaseManager} manager 知识库管理器
+ */
+async function printCacheStats(manager) {
+  const caches = await EmbeddingCache.list(EMBEDDING_CACHE_DIR);
+  if (caches.length === 0) {
+    console.log(`📭 嵌入缓存为空（${EMBEDDING_CACHE_DIR}）`);
+    return;
+  }
+  const referenced = await collectReferencedHashes(manager);
+  console.log(`🧊 嵌入缓存（${EMBEDDING_CACHE_DIR}）：`);
+  for (const { namespace, dimensions, bytes } of caches) {
+    const cache = await EmbeddingCache.load({ directory: EMBEDDING_CACHE_DIR, namespace });
+    const refs = referenced.get(namespace);
+    const used = refs ? [...cache.vectors.keys()].filter(hash => refs.has(hash)).length : 0;
+    const detail = refs ? `当前索引使用 ${used} 条` : "未被任何知识库使用";
+    console.log(`   ${namespace}  ${dimensions} 维  ${cache.size} 条（${formatBytes(bytes)}）  ${detail}`);
+  }
+}
+
+/**
+ * 删除当前索引不再使用的嵌入缓存（如切分规则调整后的旧文本、已删除文件的文本、不再使用的嵌入模型）
+ * @param {KnowledgeBaseManager} manager 知识库管理器
+ * @param {Object} options 清理选项
+ * @param {number} options.olderThanDays 只删除超过该天数未使用的条目（可选）
+ * @param {boolean} options.dryRun 只统计不删除
+ */
+async function pruneCache(manager, options) {
+  const caches = await EmbeddingCache.list(EMBEDDING_CACHE_DIR);
+  if (caches.length === 0) {
+    console.log(`📭 嵌入缓存为空（${EMBEDDING_CACHE_DIR}）`);
+    return;
+  }
+  const referenced = await collectReferencedHashes(manager);
+  const cutoff = options.olderThanDays ? Date.now() - options.olderThanDays * 24 * 60 * 60 * 1000 : null;
+  let totalRemoved = 0;
+  for (const { namespace } of caches) {
+    const cache = await EmbeddingCache.load({ directory: EMBEDDING_CACHE_DIR, namespace });
+    const refs = referenced.get(namespace) ?? new Set();
+    const shouldKeep = (hash, lastUsedAt) => refs.has(hash) || (cutoff !== null && lastUsedAt !== null && lastUsedAt >= cutoff);
+    const result = options.dryRun
+      ? { removed: [...cache.vectors.keys()].filter(hash => !shouldKeep(hash, cache.usage[hash] ?? null)).length }
+      : await cache.prune(shouldKeep);
+    totalRemoved += result.removed;
+    console.log(`   ${namespace}: ${options.dryRun ? "可删除" : "删除"} ${result.removed} 条，保留 ${cache.size - (options.dryRun ? result.removed : 0)} 条`);
+  }
+  console.log(`${options.dryRun ? "🔍 预览" : "🧹 清理完成"}: 共 ${totalRemoved} 条${cutoff ? `（保留 ${options.olderThanDays} 天内用过的条目）` : ""}`);
+}
+
+/**
+ * 输出帮助信息
+ */
+function printHelp() {
+  console.log("🛠️  知识库管理工具");
+  console.log("用法: npm run kb -- <命令> [参数] [--kb=知识库]");
+  console.log("  ingest                      删除集合并全量重建索引");
+  console.log("  sync                        按索引清单增量同步");
+  console.log("  list                        列出知识库及向量存储中的集合");
+  console.log("  stats                       每个文件的向量块数量、向量维度与集合元数据");
+  console.log("  delete --source <路径>      从索引中删除某个文件的全部向量块");
+  console.log("  show <块ID>                 查看向量块的内容与元数据");
+  console.log(`  query "<问题>" [--k=${DEFAULT_QUERY_K}]      调试检索结果（其余 --字段=值 作为元数据过滤条件）`);
+  console.log("  cache                       查看嵌入缓存");
+  console.log("  cache prune [--older-than=天数] [--dry-run]");
+  console.log("                              删除当前索引不再使用的嵌入缓存");
+}
+
+/**
+ * 执行命令
+ * @param {Array<string>} argv 命令行参数
+ */
+async function main(argv = process.argv.slice(2)) {
+  const { positionals, flags } = parseCommandLine(argv);
+  const [command, ...rest] = positionals;
+  if (!command || flags.help) {
+    printHelp();
+    return;
+  }
+
+  const manager = await createManager();
+  const { kb, k, source, "older-than": olderThan, "dry-run": dryRun, ...filter } = flags;
+  switch (command) {
+    case "ingest":
+      await buildIndex(manager, kb, true);
+      break;
+    case "sync":
+      await buildIndex(manager, kb, false);
+      break;
+    case "list":
+      await listKnowledgeBases(manager);
+      break;
+    case "stats":
+      await printStats(manager, kb);
+      break;
+    case "delete":
+      if (typeof source !== "string" || !source) {
+        throw new Error("用法: delete --source <路径>");
+      }
+      await deleteSource(manager, kb, source);
+      break;
+    case "show":
+      if (!rest[0]) {
+        throw new Error("用法: show <块ID>");
+      }
+      await showChunk(manager, kb, rest[0]);
+      break;
+    case "query": {
+      const query = rest.join(" ").trim();
+      const count = Number(k ?? DEFAULT_QUERY_K);
+      if (!query) {
+        throw new Error('用法: query "<问题>" [--k=5]');
+      }
+      if (!Number.isInteger(count) || count <= 0) {
+        throw new Error("--k 必须是正整数");
+      }
+      await runQuery(manager, kb, query, { k: count, filter });
+      break;
+    }
+    case "cache": {
+      if (rest[0] === "prune") {
+        const olderThanDays = olderThan === undefined ? null : Number(olderThan);
+        if (olderThanDays !== null && !(olderThanDays > 0)) {
+          throw new Error("--older-than 必须是正数（天）");
+        }
+        await pruneCache(manager, { olderThanDays, dryRun: Boolean(dryRun) });
+      } else if (!rest[0] || rest[0] === "stats") {
+        await printCacheStats(manager);
+      } else {
+        throw new Error("用法: cache [stats|prune]");
+      }
+      break;
+    }
+    default:
+      printHelp();
+      throw new Error(`未知命令: ${command}`);
+  }
+}
+
+// 直接运行本文件时执行命令
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    if (error.message.includes("ECONNREFUSED")) {
+      console.error("💡 ChromaDB 服务未启动，请先启动: docker run -p 8000:8000 chromadb/chroma，或设置 VECTOR_STORE=local");
+    }
+    process.exit(1);
+  });
+}
+
+export { main as runKnowledgeBaseAdmin };
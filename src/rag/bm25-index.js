@@ -0,0 +1,162 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { Document } from "@langchain/core/documents";
+import { tokenize } from "./text-tokenizer.js";
+import { metadataValueEquals } from "./metadata.js";
+
+/**
+ * BM25 关键词索引 - 与向量存储同步维护，弥补向量检索对精确标识符、
+ * 错误码和生僻中文词的召回不足（分词见 text-tokenizer.js）
+ *
+ * 索引以文档块 ID 为键，支持增量添加/删除，并可持久化到 JSON 文件
+ */
+export class BM25Index {
+  /**
+   * @param {Object} options 配置选项
+   * @param {number} options.k1 词频饱和参数
+   * @param {number} options.b 文档长度归一化参数
+   */
+  constructor(options = {}) {
+    this.k1 = options.k1 ?? 1.2;
+    this.b = options.b ?? 0.75;
+    // id -> { id, content, metadata, termFreqs: Map<token, count>, length }
+    this.docs = new Map();
+    // token -> Set<id>
+    this.postings = new Map();
+    this.totalLength = 0;
+  }
+
+  /** 索引中的文档数量 */
+  get size() {
+    return this.docs.size;
+  }
+
+  /**
+   * 添加（或覆盖）文档块，文档必须带有 id
+   * @param {Array<Document>} documents 文档数组
+   */
+  addDocuments(documents) {
+    for (const doc of documents) {
+      if (!doc.id) continue;
+      this.removeDocuments([doc.id]);
+
+      const termFreqs = new Map();
+      const tokens = tokenize(doc.pageContent);
+      for (const token of tokens) {
+        termFreqs.set(token, (termFreqs.get(token) || 0) + 1);
+      }
+      for (const token of termFreqs.keys()) {
+        if (!this.postings.has(token)) this.postings.set(token, new Set());
+        this.postings.get(token).add(doc.id);
+      }
+
+      this.docs.set(doc.id, {
+        id: doc.id,
+        content: doc.pageContent,
+        metadata: doc.metadata ?? {},
+        termFreqs,
+        length: tokens.length,
+      });
+      this.totalLength += tokens.length;
+    }
+  }
+
+  /**
+   * 按 ID 删除文档块
+   * @param {Array<string>} ids 文档块 ID
+   */
+  removeDocuments(ids) {
+    for (const id of ids) {
+      const entry = this.docs.get(id);
+      if (!entry) continue;
+      for (const token of entry.termFreqs.keys()) {
+        const posting = this.postings.get(token);
+        posting?.delete(id);
+        if (posting && posting.size === 0) this.postings.delete(token);
+      }
+      this.totalLength -= entry.length;
+      this.docs.delete(id);
+    }
+  }
+
+  /** 清空索引 */
+  clear() {
+    this.docs.clear();
+    this.postings.clear();
+    this.totalLength = 0;
+  }
+
+  /**
+   * 关键词检索
+   * @param {string} query 查询文本
+   * @param {number} k 返回数量
+   * @param {Function|Object} filter 元数据过滤条件（函数或等值对象）
+   * @returns {Array<[Document, number]>} 文档与 BM25 分数（从高到低）
+   */
+  search(query, k = 10, filter = undefined) {
+    if (this.docs.size === 0) return [];
+
+    const avgLength = this.totalLength / this.docs.size || 1;
+    const scores = new Map();
+    for (const token of new Set(tokenize(query))) {
+      const posting = this.postings.get(token);
+      if (!posting) continue;
+      // BM25 IDF（加 1 保证非负）
+      const idf = Math.log(1 + (this.docs.size - posting.size + 0.5) / (posting.size + 0.5));
+      for (const id of posting) {
+        const entry = this.docs.get(id);
+        const tf = entry.termFreqs.get(token);
+        const norm = tf + this.k1 * (1 - this.b + this.b * (entry.length / avgLength));
+        scores.set(id, (scores.get(id) || 0) + idf * ((tf * (this.k1 + 1)) / norm));
+      }
+    }
+
+    const matches = (metadata) => {
+      if (!filter) return true;
+      if (typeof filter === "function") return filter(metadata);
+      return Object.entries(filter).every(([key, value]) => metadataValueEquals(metadata?.[key], value));
+    };
+
+    return [...scores.entries()]
+      .filter(([id]) => matches(this.docs.get(id).metadata))
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, k)
+      .map(([id, score]) => {
+        const entry = this.docs.get(id);
+        return [new Document({ id, pageContent: entry.content, metadata: entry.metadata }), score];
+      });
+  }
+
+  /**
+   * 从 JSON 文件加载索引，文件不存在时返回空索引
+   * @param {string} filePath 索引文件路径
+   * @param {Object} options 配置选项（同构造函数）
+   * @returns {Promise<BM25Index>} 索引实例
+   */
+  static async load(filePath, options = {}) {
+    const index = new BM25Index(options);
+    try {
+      const data = JSON.parse(await fs.readFile(filePath, "utf-8"));
+      index.addDocuments(
+        data.docs.map(item => new Document({ id: item.id, pageContent: item.content, metadata: item.metadata }))
+      );
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn(`⚠️ 关键词索引读取失败，将重新构建: ${error.message}`);
+      }
+    }
+    return index;
+  }
+
+  /**
+   * 将索引保存为 JSON 文件（仅保存原文与元数据，加载时重新分词）
+   * @param {string} filePath 索引文件路径
+   * @returns {Promise<void>}
+   */
+  async save(filePath) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const docs = [...this.docs.values()].map(({ id, content, metadata }) => ({ id, content, metadata }));
+    await fs.writeFile(`${filePath}.tmp`, JSON.stringify({ docs }), "utf-8");
+    await fs.rename(`${filePath}.tmp`, filePath);
+  }
+}
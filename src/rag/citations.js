@@ -0,0 +1,109 @@
+import { Document } from "@langchain/core/documents";
+
+/**
+ * 从文档元数据中解析页码
+ * PDF 加载器把页码写在 loc.pageNumber，入库时 loc 会被序列化为 JSON 字符串
+ * @param {Object} metadata 文档元数据
+ * @returns {number|null} 页码，无法确定时返回 null
+ */
+export function getPageNumber(metadata = {}) {
+  if (Number.isFinite(metadata.page)) return metadata.page;
+
+  let loc = metadata.loc;
+  if (typeof loc === "string") {
+    try {
+      loc = JSON.parse(loc);
+    } catch {
+      return null;
+    }
+  }
+  return Number.isFinite(loc?.pageNumber) ? loc.pageNumber : null;
+}
+
+/**
+ * 读取文档的相关性分数：优先使用重排分数，其次是融合分数与向量相似度
+ * @param {Object} metadata 文档元数据
+ * @returns {number|null} 分数，检索器未提供时返回 null
+ */
+export function getRelevanceScore(metadata = {}) {
+  const score = metadata.rerank_score ?? metadata.score ?? metadata.vector_score ?? metadata.keyword_score;
+  return Number.isFinite(score) ? score : null;
+}
+
+/**
+ * 为检索到的文档编号（从 1 开始），编号写入元数据的 citation 字段，
+ * 供文档格式化模板以 [n] 的形式呈现给模型
+ * @param {Array<Document>} documents 检索到的文档
+ * @returns {Array<Document>} 带编号的新文档数组
+ */
+export function numberDocuments(documents) {
+  return documents.map((doc, index) => new Document({
+    id: doc.id,
+    pageContent: doc.pageContent,
+    metadata: { ...doc.metadata, citation: index + 1 },
+  }));
+}
+
+/**
+ * 根据检索上下文生成结构化引用
+ * @param {Array<Document>} documents 已编号的检索文档（见 numberDocuments）
+ * @param {Object} options 配置选项
+ * @param {string} options.answer 模型回答；提供时只保留回答中实际引用的编号（无标记时保留全部）
+ * @param {number} options.excerptLength 摘录的最大字符数
+ * @returns {Array<{index: number, source: string, knowledgeBase: string|null, chunkIndex: number|null, page: number|null, excerpt: string, score: number|null}>}
+ *   引用列表（knowledgeBase 为来源知识库名称，直接使用 RetrieverBuilder 的检索器时为 null）
+ */
+export function buildCitations(documents, options = {}) {
+  const { answer, excerptLength = 200 } = options;
+  const markers = answer ? extractCitationMarkers(answer) : new Set();
+  // 回答中没有任何标记时保留全部上下文，避免丢失来源
+  const cited = markers.size > 0 ? markers : null;
+
+  return documents
+    .map((doc, position) => {
+      const metadata = doc.metadata ?? {};
+      const text = doc.pageContent.replace(/\s+/g, " ").trim();
+      return {
+        index: metadata.citation ?? position + 1,
+        source: metadata.source ?? "unknown",
+        knowledgeBase: metadata.knowledge_base ?? null,
+        chunkIndex: Number.isInteger(metadata.chunk_index) ? metadata.chunk_index : null,
+        page: getPageNumber(metadata),
+        excerpt: text.length > excerptLength ? `${text.slice(0, excerptLength)}…` : text,
+        score: getRelevanceScore(metadata),
+      };
+    })
+    .filter(citation => !cited || cited.has(citation.index));
+}
+
+/**
+ * 提取回答中的引用标记，支持 [1]、[1, 3] 与 [1][2] 写法
+ * @param {string} answer 模型回答
+ * @returns {Set<number>} 出现过的引用编号
+ */
+export function extractCitationMarkers(answer) {
+  const markers = new Set();
+  for (const match of answer.matchAll(/\[(\d+(?:\s*[,，]\s*\d+)*)\]/g)) {
+    match[1].split(/[,，]/).forEach(n => markers.add(Number(n.trim())));
+  }
+  return markers;
+}
+
+/**
+ * 将引用列表格式化为便于终端阅读的文本
+ * @param {Array<Object>} citations 引用列表（见 buildCitations）
+ * @returns {string} 格式化后的文本
+ */
+export function formatCitations(citations) {
+  return citations
+    .map(citation => {
+      const location = [
+        citation.page !== null ? `第 ${citation.page} 页` : null,
+        citation.chunkIndex !== null ? `片段 #${citation.chunkIndex}` : null,
+        citation.score !== null ? `分数 ${citation.score.toFixed(3)}` : null,
+      ].filter(Boolean).join("，");
+      const knowledgeBase = citation.knowledgeBase ? `[${citation.knowledgeBase}] ` : "";
+      return `[${citation.index}] ${knowledgeBase}${citation.source}${location ? `（${location}）` : ""}\n    ${citation.excerpt}`;
+    })
+    .join("\n");
+}
@@ -1,27 +1,177 @@
-import { DirectoryLoader } from "langchain/document_loaders/fs/directory";
+import fs from "node:fs/promises";
+import path from "node:path";
 import { PDFLoader } from "@langchain/community/document_loaders/fs/pdf";
+import { DocxLoader } from "@langchain/community/document_loaders/fs/docx";
+import { EPubLoader } from "@langchain/community/document_loaders/fs/epub";
 import { TextLoader } from "langchain/document_loaders/fs/text";
+import { Document } from "@langchain/core/documents";
+import { HtmlLoader, CsvLoader, JsonDocumentLoader, CodeLoader, CODE_LANGUAGES } from "./file-loaders.js";
+import { parseFrontMatter, normalizeMetadata, resolvePathMetadata } from "./metadata.js";
+
+// 解析 YAML front matter 的格式
+const FRONT_MATTER_FORMATS = [".md", ".txt"];
 
 /**
  * 文档加载器 - 负责从指定目录加载各种格式的文档
+ * 支持 PDF、TXT、Markdown、DOCX、HTML、CSV、JSON / JSONL、EPUB 以及常见源代码文件
+ * 不支持的格式、加载失败的文件以及跳过了部分记录的文件（如 JSON 缺少文本字段）会记录在 skippedFiles 中（文件与原因）
+ * Markdown / TXT 开头的 YAML front matter 与目录结构会写入文档元数据（见 metadata.js）
  */
 export class DocumentLoader {
-  constructor(knowledgeDir = "knowledge") {
+  /**
+   * @param {string} knowledgeDir 知识库目录
+   * @param {Object} options 配置选项
+   * @param {string} options.jsonTextField JSON / JSONL 记录的文本字段（默认 RAG_JSON_TEXT_FIELD 或 text）
+   * @param {string} options.pathMetadata 目录模式，如 "product/version"（默认 RAG_PATH_METADATA）
+   */
+  constructor(knowledgeDir = "knowledge", options = {}) {
     this.knowledgeDir = knowledgeDir;
+    const jsonOptions = { textField: options.jsonTextField || process.env.RAG_JSON_TEXT_FIELD || "text" };
+    // 目录模式：把知识库下的各层目录映射为元数据字段
+    this.pathMetadata = options.pathMetadata ?? process.env.RAG_PATH_METADATA ?? "";
     this.supportedFormats = {
       ".pdf": (path) => new PDFLoader(path),
       ".txt": (path) => new TextLoader(path),
       ".md": (path) => new TextLoader(path),
+      ".docx": (path) => new DocxLoader(path),
+      ".html": (path) => new HtmlLoader(path),
+      ".htm": (path) => new HtmlLoader(path),
+      ".csv": (path) => new CsvLoader(path),
+      ".json": (path) => new JsonDocumentLoader(path, jsonOptions),
+      ".jsonl": (path) => new JsonDocumentLoader(path, jsonOptions),
+      ".epub": (path) => new EPubLoader(path, { splitChapters: true }),
+      ...Object.fromEntries(Object.keys(CODE_LANGUAGES).map(ext => [ext, (path) => new CodeLoader(path)])),
     };
+    // 最近一次扫描 / 加载中被跳过的文件：[{ file, reason }]
+    this.skippedFiles = [];
+  }
+
+  /**
+   * 获取文件对应的加载器工厂（扩展名不区分大小写）
+   * @param {string} filePath 文件路径
+   * @returns {Function|undefined} 加载器工厂函数
+   */
+  getLoaderFactory(filePath) {
+    return this.supportedFormats[path.extname(filePath).toLowerCase()];
+  }
+
+  /**
+   * 记录被跳过的文件（同一文件只保留最新的原因）
+   * @param {string} file 文件路径
+   * @param {string} reason 原因
+   */
+  recordSkipped(file, reason) {
+    this.skippedFiles = [...this.skippedFiles.filter(s => s.file !== file), { file, reason }];
+  }
+
+  /**
+   * 文件是否已记录为跳过
+   * @param {string} file 文件路径
+   * @returns {boolean} 是否已记录
+   */
+  isSkipped(file) {
+    return this.skippedFiles.some(s => s.file === file);
   }
 
   /**
-   * 加载指定目录下的所有文档
+   * 加载指定目录下的所有文档（加载失败的文件会被跳过并记录原因）
    * @returns {Promise<Array>} 原始文档数组
    */
   async loadDocuments() {
-    const loader = new DirectoryLoader(this.knowledgeDir, this.supportedFormats);
-    return await loader.load();
+    const documents = [];
+    for (const filePath of await this.listFiles()) {
+      try {
+        const docs = await this.loadFile(filePath);
+        if (docs.length === 0 && !this.isSkipped(filePath)) this.recordSkipped(filePath, "未提取到文本内容");
+        documents.push(...docs);
+      } catch (error) {
+        this.recordSkipped(filePath, `加载失败: ${error.message}`);
+      }
+    }
+    this.reportSkipped();
+    return documents;
+  }
+
+  /**
+   * 递归列出知识库目录下所有受支持格式的文件，不支持的格式记入 skippedFiles（隐藏文件直接忽略）
+   * @returns {Promise<Array<string>>} 文件路径数组（已排序）
+   */
+  async listFiles() {
+    const files = [];
+    this.skippedFiles = [];
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === "ENOENT") return;
+        throw error;
+      }
+      for (const entry of entries) {
+        if (entry.name.startsWith(".")) continue;
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (!entry.isFile()) {
+          continue;
+        } else if (this.getLoaderFactory(entry.name)) {
+          files.push(fullPath);
+        } else {
+          this.recordSkipped(fullPath, `不支持的格式 ${path.extname(entry.name) || "（无扩展名）"}`);
+        }
+      }
+    };
+    await walk(this.knowledgeDir);
+    return files.sort();
+  }
+
+  /**
+   * 加载单个文件（附带 front matter 与目录元数据）
+   * 加载器跳过了部分记录时（见 JsonDocumentLoader.describeSkipped），文件连同原因记入 skippedFiles
+   * @param {string} filePath 文件路径
+   * @returns {Promise<Array>} 该文件的原始文档数组
+   */
+  async loadFile(filePath) {
+    const loaderFactory = this.getLoaderFactory(filePath);
+    if (!loaderFactory) {
+      throw new Error(`不支持的文件格式: ${filePath}`);
+    }
+    const loader = loaderFactory(filePath);
+    const docs = await loader.load();
+    const skipped = loader.describeSkipped?.();
+    if (skipped) this.recordSkipped(filePath, skipped);
+    return this.attachMetadata(filePath, docs);
+  }
+
+  /**
+   * 为文档附加元数据：目录元数据 < front matter < 加载器自身的元数据（如 source、CSV 行号）
+   * 带 front matter 的文件会从正文中去掉 front matter
+   * @param {string} filePath 文件路径
+   * @param {Array} docs 加载器返回的文档
+   * @returns {Array} 文档数组
+   */
+  attachMetadata(filePath, docs) {
+    const relativePath = path.relative(this.knowledgeDir, filePath).split(path.sep).join("/");
+    const pathMetadata = resolvePathMetadata(relativePath, this.pathMetadata);
+    const parseFront = FRONT_MATTER_FORMATS.includes(path.extname(filePath).toLowerCase());
+    return docs.map(doc => {
+      const { data, content } = parseFront ? parseFrontMatter(doc.pageContent) : { data: {}, content: doc.pageContent };
+      return new Document({
+        pageContent: content,
+        metadata: { ...pathMetadata, ...normalizeMetadata(data), ...doc.metadata },
+      });
+    });
+  }
+
+  /**
+   * 在日志中列出被跳过的文件及原因
+   */
+  reportSkipped() {
+    if (this.skippedFiles.length === 0) return;
+    console.log(`⏭️  跳过 ${this.skippedFiles.length} 个文件:`);
+    for (const { file, reason } of this.skippedFiles) {
+      console.log(`   - ${file}: ${reason}`);
+    }
   }
 
   /**
@@ -30,6 +180,6 @@ export class DocumentLoader {
    * @param {Function} loaderFactory 加载器工厂函数
    */
   addFormat(extension, loaderFactory) {
-    this.supportedFormats[extension] = loaderFactory;
+    this.supportedFormats[extension.toLowerCase()] = loaderFactory;
   }
-}
\ No newline at end of file
+}
@@ -1,26 +1,308 @@
-import { RecursiveCharacterTextSplitter } from "@langchain/textsplitters";
+import path from "node:path";
+import { RecursiveCharacterTextSplitter, SupportedTextSplitterLanguages } from "@langchain/textsplitters";
+import { Document } from "@langchain/core/documents";
+import { CODE_LANGUAGES } from "./file-loaders.js";
+
+/** 支持的切分策略 */
+export const CHUNKING_STRATEGIES = ["markdown", "code", "page", "recursive"];
+
+// 各扩展名的默认切分策略，未列出的扩展名使用 recursive
+const DEFAULT_STRATEGIES = {
+  ".md": "markdown",
+  ".pdf": "page",
+  ...Object.fromEntries(Object.keys(CODE_LANGUAGES).map(ext => [ext, "code"])),
+};
+
+/**
+ * 解析并校验块大小与重叠：块大小为正整数，重叠为小于块大小的非负整数，省略（空值）时为 undefined
+ * 按扩展名的规则与全局默认值（RAG_CHUNK_SIZE / RAG_CHUNK_OVERLAP）共用，非法值在启动时报错
+ * @param {string|number|undefined} chunkSize 块大小
+ * @param {string|number|undefined} chunkOverlap 重叠
+ * @param {string} label 错误信息中的配置名
+ * @returns {{size: number|undefined, overlap: number|undefined}} 解析结果
+ */
+function parseChunkParams(chunkSize, chunkOverlap, label) {
+  const isEmpty = value => value === undefined || value === null || value === "";
+  const size = isEmpty(chunkSize) ? undefined : Number(chunkSize);
+  const overlap = isEmpty(chunkOverlap) ? undefined : Number(chunkOverlap);
+  if (size !== undefined && !(Number.isInteger(size) && size > 0)) {
+    throw new Error(`${label}的块大小必须是正整数: ${chunkSize}`);
+  }
+  if (overlap !== undefined && !(Number.isInteger(overlap) && overlap >= 0)) {
+    throw new Error(`${label}的重叠必须是非负整数: ${chunkOverlap}`);
+  }
+  if (size !== undefined && overlap !== undefined && overlap >= size) {
+    throw new Error(`${label}的重叠必须小于块大小`);
+  }
+  return { size, overlap };
+}
+
+/**
+ * 解析按扩展名的切分规则，格式：".md=markdown:1500:0,.py=code:800:100,.pdf=page"
+ * 策略后可依次跟块大小（正整数）与重叠（小于块大小的非负整数），省略时使用全局默认值
+ * @param {string} text 规则文本（如 RAG_CHUNKING 环境变量）
+ * @returns {Object<string, {strategy: string, chunkSize?: number, chunkOverlap?: number}>} 扩展名 -> 规则
+ */
+export function parseChunkingRules(text = "") {
+  const rules = {};
+  for (const item of text.split(",").map(s => s.trim()).filter(Boolean)) {
+    const [extension, spec = ""] = item.split("=").map(s => s.trim());
+    const [strategy, chunkSize, chunkOverlap] = spec.split(":").map(s => s.trim());
+    if (!extension || extension === ".") {
+      throw new Error(`切分规则缺少扩展名: ${item}（格式: 扩展名=策略[:块大小[:重叠]]）`);
+    }
+    if (!CHUNKING_STRATEGIES.includes(strategy)) {
+      throw new Error(`不支持的切分策略: ${item}（可选: ${CHUNKING_STRATEGIES.join(", ")}）`);
+    }
+    const { size, overlap } = parseChunkParams(chunkSize, chunkOverlap, `切分规则 ${item} `);
+    const ext = (extension.startsWith(".") ? extension : `.${extension}`).toLowerCase();
+    rules[ext] = {
+      strategy,
+      ...(size !== undefined ? { chunkSize: size } : {}),
+      ...(overlap !== undefined ? { chunkOverlap: overlap } : {}),
+    };
+  }
+  return rules;
+}
+
+/**
+ * 将 Markdown 文本按标题层级拆分为章节（代码块内的 # 不视为标题）
+ * @param {string} text Markdown 文本
+ * @returns {Array<{headings: Array<string>, text: string}>} 章节：标题路径与正文（含标题行）
+ */
+function splitMarkdownSections(text) {
+  const sections = [];
+  const headings = [];
+  let lines = [];
+  let fence = null;
+  const flush = () => {
+    const body = lines.join("\n").trim();
+    // 只有标题、没有正文的章节并入下一个章节（其标题仍保留在下级章节的路径中）
+    if (body && !lines.every(line => !line.trim() || /^#{1,6}\s/.test(line))) {
+      sections.push({ headings: headings.filter(Boolean), text: body });
+      lines = [];
+    }
+  };
+
+  for (const line of text.split(/\r?\n/)) {
+    const fenceMatch = line.match(/^\s*(```|~~~)/);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1];
+      else if (fenceMatch[1] === fence) fence = null;
+    }
+    const heading = !fence && !fenceMatch && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      flush();
+      const level = heading[1].length;
+      headings.length = level;
+      headings[level - 1] = heading[2];
+    }
+    lines.push(line);
+  }
+  flush();
+  return sections;
+}
+
+/**
+ * 章节开头的标题行（只有标题、没有正文的上级章节会并入下级章节，因此可能有多行）
+ * @param {string} text 章节正文
+ * @returns {string} 标题行，章节没有标题时为空字符串
+ */
+function getLeadingHeadings(text) {
+  const headings = [];
+  for (const line of text.split("\n")) {
+    if (/^#{1,6}\s/.test(line)) headings.push(line);
+    else if (line.trim()) break;
+  }
+  return headings.join("\n");
+}
+
+/**
+ * 将章节正文拆为块级单元：以空行分隔段落，围栏代码块整体保留（不在代码块内部断开）
+ * @param {string} text 章节正文
+ * @returns {Array<string>} 块级单元
+ */
+function splitMarkdownBlocks(text) {
+  const blocks = [];
+  let current = [];
+  let fence = null;
+  for (const line of text.split("\n")) {
+    const fenceMatch = line.match(/^\s*(```|~~~)/);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1];
+      else if (fenceMatch[1] === fence) fence = null;
+    }
+    if (!fence && !line.trim()) {
+      if (current.length > 0) blocks.push(current.join("\n"));
+      current = [];
+    } else {
+      current.push(line);
+    }
+  }
+  if (current.length > 0) blocks.push(current.join("\n"));
+  return blocks;
+}
 
 /**
  * 文档处理器 - 负责文档切分和元数据清理
+ * 按文件扩展名选择切分策略：
+ * - markdown：按标题层级切分，标题路径写入 metadata.headings（如 "安装 > 配置"），章节内按段落 / 表格 / 代码块整体装箱
+ * - code：按 metadata.language 使用语言感知的分隔符（类、函数等边界）
+ * - page：按页切分（PDF 每页一个文档，页内超长时再细分，不跨页合并），页码写入 metadata.page
+ * - recursive：通用递归字符切分
  */
 export class DocumentProcessor {
+  /**
+   * @param {Object} options 配置选项
+   * @param {number} options.chunkSize 默认块大小
+   * @param {number} options.chunkOverlap 默认块重叠
+   * @param {Object|string} options.chunking 按扩展名覆盖的切分规则（对象或 RAG_CHUNKING 格式的文本，默认读取 RAG_CHUNKING）
+   */
   constructor(options = {}) {
-    // 针对大文件优化的切分参数
-    this.chunkSize = options.chunkSize || 1200;
-    this.chunkOverlap = options.chunkOverlap || 300;
-    this.splitter = new RecursiveCharacterTextSplitter({
-      chunkSize: this.chunkSize,
-      chunkOverlap: this.chunkOverlap,
-    });
+    // 针对大文件优化的切分参数（未设置时默认 1200 / 300，重叠超过块大小一半时按一半处理）
+    const { size, overlap } = parseChunkParams(options.chunkSize, options.chunkOverlap, "RAG_CHUNK_SIZE / RAG_CHUNK_OVERLAP ");
+    this.chunkSize = size ?? 1200;
+    this.chunkOverlap = overlap ?? 300;
+    const chunking = options.chunking ?? process.env.RAG_CHUNKING ?? "";
+    this.rules = typeof chunking === "string" ? parseChunkingRules(chunking) : chunking;
+    // 按 策略/大小/重叠/语言 缓存切分器
+    this.splitters = new Map();
   }
 
   /**
-   * 切分文档为小块
+   * 获取文件适用的切分规则
+   * @param {string} source 文件路径
+   * @returns {{strategy: string, chunkSize: number, chunkOverlap: number}} 切分规则
+   */
+  getRule(source) {
+    const extension = path.extname(source || "").toLowerCase();
+    const rule = this.rules[extension] ?? {};
+    const chunkSize = rule.chunkSize ?? this.chunkSize;
+    return {
+      strategy: rule.strategy ?? DEFAULT_STRATEGIES[extension] ?? "recursive",
+      chunkSize,
+      chunkOverlap: Math.min(rule.chunkOverlap ?? this.chunkOverlap, Math.floor(chunkSize / 2)),
+    };
+  }
+
+  /**
+   * 切分规则的签名（写入索引清单，规则变化后对应文件会重新切分与嵌入）
+   * @param {string} source 文件路径
+   * @returns {string} 签名，如 "markdown:1200:300"
+   */
+  describeRule(source) {
+    const { strategy, chunkSize, chunkOverlap } = this.getRule(source);
+    return `${strategy}:${chunkSize}:${chunkOverlap}`;
+  }
+
+  /**
+   * 获取（缓存的）递归切分器，language 为 SupportedTextSplitterLanguages 之一时使用语言分隔符
+   * @param {number} chunkSize 块大小
+   * @param {number} chunkOverlap 块重叠
+   * @param {string} language 语言（可选）
+   * @returns {RecursiveCharacterTextSplitter} 切分器
+   */
+  getSplitter(chunkSize, chunkOverlap, language) {
+    const key = `${chunkSize}:${chunkOverlap}:${language ?? ""}`;
+    if (!this.splitters.has(key)) {
+      this.splitters.set(key, language
+        ? RecursiveCharacterTextSplitter.fromLanguage(language, { chunkSize, chunkOverlap })
+        : new RecursiveCharacterTextSplitter({ chunkSize, chunkOverlap }));
+    }
+    return this.splitters.get(key);
+  }
+
+  /**
+   * 切分文档为小块（按来源文件的扩展名选择策略）
    * @param {Array} documents 原始文档数组
    * @returns {Promise<Array>} 切分后的文档数组
    */
   async splitDocuments(documents) {
-    return await this.splitter.splitDocuments(documents);
+    const chunks = [];
+    for (const doc of documents) {
+      const rule = this.getRule(doc.metadata?.source);
+      const split = {
+        markdown: () => this.splitMarkdown(doc, rule),
+        code: () => this.splitCode(doc, rule),
+        page: () => this.splitPage(doc, rule),
+        recursive: () => this.getSplitter(rule.chunkSize, rule.chunkOverlap).splitDocuments([doc]),
+      }[rule.strategy];
+      for (const chunk of await split()) {
+        chunk.metadata = { ...chunk.metadata, chunk_strategy: rule.strategy };
+        chunks.push(chunk);
+      }
+    }
+    return chunks;
+  }
+
+  /**
+   * Markdown：每个章节单独成块，标题路径写入 metadata.headings；
+   * 超出块大小的章节按段落 / 表格 / 代码块装箱，单个块级单元仍超长时才用 Markdown 分隔符细分；
+   * 拆出的后续块开头补上章节标题行，每块正文都带有标题（块大小为此预留空间）
+   * @param {Document} doc 原始文档
+   * @param {Object} rule 切分规则
+   * @returns {Promise<Array<Document>>} 文档块
+   */
+  async splitMarkdown(doc, { chunkSize, chunkOverlap }) {
+    const chunks = [];
+    for (const section of splitMarkdownSections(doc.pageContent)) {
+      const metadata = { ...doc.metadata, headings: section.headings.join(" > ") };
+      if (section.text.length <= chunkSize) {
+        chunks.push(new Document({ pageContent: section.text, metadata }));
+        continue;
+      }
+
+      const title = getLeadingHeadings(section.text);
+      const size = title ? Math.max(Math.floor(chunkSize / 2), chunkSize - title.length - 2) : chunkSize;
+      const splitter = this.getSplitter(size, Math.min(chunkOverlap, Math.floor(size / 2)), "markdown");
+      const pieces = [];
+      let current = "";
+      for (const block of splitMarkdownBlocks(section.text)) {
+        if (current && current.length + block.length + 2 > size) {
+          pieces.push(current);
+          current = "";
+        }
+        if (block.length > size) {
+          pieces.push(...await splitter.splitText(block));
+        } else {
+          current = current ? `${current}\n\n${block}` : block;
+        }
+      }
+      if (current) pieces.push(current);
+      // 第一块以标题行开头，后续块补上标题
+      chunks.push(...pieces.map((piece, index) => new Document({
+        pageContent: index > 0 && title ? `${title}\n\n${piece}` : piece,
+        metadata,
+      })));
+    }
+    return chunks;
+  }
+
+  /**
+   * 代码：按 metadata.language 使用语言感知的分隔符，不支持的语言退回通用切分
+   * @param {Document} doc 原始文档
+   * @param {Object} rule 切分规则
+   * @returns {Promise<Array<Document>>} 文档块
+   */
+  async splitCode(doc, { chunkSize, chunkOverlap }) {
+    const { language } = doc.metadata ?? {};
+    const supported = SupportedTextSplitterLanguages.includes(language) ? language : undefined;
+    return await this.getSplitter(chunkSize, chunkOverlap, supported).splitDocuments([doc]);
+  }
+
+  /**
+   * 按页：每页（每个原始文档）在块大小以内时整页成块，否则在页内细分；页码写入 metadata.page
+   * @param {Document} doc 原始文档
+   * @param {Object} rule 切分规则
+   * @returns {Promise<Array<Document>>} 文档块
+   */
+  async splitPage(doc, { chunkSize, chunkOverlap }) {
+    const page = doc.metadata?.loc?.pageNumber;
+    const metadata = { ...doc.metadata, ...(page ? { page } : {}) };
+    if (doc.pageContent.length <= chunkSize) {
+      return [new Document({ pageContent: doc.pageContent, metadata })];
+    }
+    return await this.getSplitter(chunkSize, chunkOverlap).splitDocuments([new Document({ pageContent: doc.pageContent, metadata })]);
   }
 
   /**
@@ -0,0 +1,495 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import { setTimeout as sleep } from "node:timers/promises";
+import { Embeddings } from "@langchain/core/embeddings";
+
+/**
+ * 嵌入缓存 - 按（嵌入模型，文本哈希）在本地磁盘缓存文档向量，内容未变的文本无需再次调用嵌入服务
+ *
+ * 磁盘结构（每个嵌入模型一个目录）：
+ *   <directory>/<命名空间>/meta.json     嵌入模型标识、向量维度与创建时间
+ *   <directory>/<命名空间>/entries.bin   定长记录：32 字节文本哈希 + Float32 向量（只追加）
+ *   <directory>/<命名空间>/usage.json    文本哈希 -> 最近使用时间（清理时使用）
+ *   <directory>/<命名空间>/lock          写锁，内容为持有者的进程号
+ *
+ * agent、server、kb-admin 等多个进程可能同时使用同一目录：
+ * 哈希与向量写在同一条记录中，整批记录一次追加；追加、加载、清理都在写锁内进行
+ */
+/** 默认缓存目录 */
+export const DEFAULT_EMBEDDING_CACHE_DIR = ".rag/embedding-cache";
+
+/**
+ * 计算文本哈希（sha256）
+ * @param {string} text 文本
+ * @returns {string} 十六进制哈希
+ */
+export function hashText(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+/** 哈希在记录中占用的字节数（sha256） */
+const HASH_BYTES = 32;
+
+/** 锁超过该时长未释放视为持有者已异常退出（毫秒） */
+const LOCK_STALE_MS = 30000;
+
+/**
+ * 判断锁文件是否已失效：持有进程已不存在，或超时未释放
+ * @param {string} lockPath 锁文件路径
+ * @param {import("node:fs").Stats} stat 锁文件状态
+ * @returns {Promise<boolean>} 是否失效
+ */
+async function isStaleLock(lockPath, stat) {
+  if (Date.now() - stat.mtimeMs > LOCK_STALE_MS) return true;
+  try {
+    const pid = Number(await fs.readFile(lockPath, "utf-8"));
+    if (!Number.isInteger(pid) || pid <= 0) return false;
+    process.kill(pid, 0);
+    return false;
+  } catch (error) {
+    // ESRCH: 进程不存在；ENOENT: 锁已被释放
+    return error.code === "ESRCH" || error.code === "ENOENT";
+  }
+}
+
+/**
+ * 移除失效的锁：先把锁文件原子地改名移走，再核对移走的是否仍是判定为失效的那个文件
+ * 多个等待者可能同时判定同一个锁失效，先到者移走旧锁并创建新锁后，后到者移走的是新锁，
+ * 核对不一致时把它放回原处
+ * @param {string} lockPath 锁文件路径
+ * @returns {Promise<boolean>} 锁是否已不存在（可立即重试加锁）
+ */
+async function removeStaleLock(lockPath) {
+  const stalePath = `${lockPath}.${process.pid}-${crypto.randomUUID()}.stale`;
+  try {
+    const stat = await fs.stat(lockPath);
+    if (!(await isStaleLock(lockPath, stat))) return false;
+    await fs.rename(lockPath, stalePath);
+    const moved = await fs.stat(stalePath);
+    if (moved.ino !== stat.ino || moved.mtimeMs !== stat.mtimeMs) {
+      // 其他进程刚创建的锁：放回原处（期间又有进程加锁时放回失败，由其持有）
+      await fs.link(stalePath, lockPath).catch(() => {});
+      return false;
+    }
+    return true;
+  } catch (error) {
+    if (error.code === "ENOENT") return true;
+    throw error;
+  } finally {
+    await fs.rm(stalePath, { force: true });
+  }
+}
+
+/**
+ * 在缓存目录的写锁内执行任务（跨进程互斥，基于 O_EXCL 创建锁文件）
+ * @param {string} cachePath 缓存目录
+ * @param {Function} task 异步任务
+ * @returns {Promise<*>} 任务结果
+ */
+export async function withLock(cachePath, task) {
+  await fs.mkdir(cachePath, { recursive: true });
+  const lockPath = path.join(cachePath, "lock");
+  for (;;) {
+    try {
+      await fs.writeFile(lockPath, String(process.pid), { flag: "wx" });
+      break;
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error;
+      if (await removeStaleLock(lockPath)) continue;
+      await sleep(20 + Math.random() * 30);
+    }
+  }
+  try {
+    return await task();
+  } finally {
+    await fs.rm(lockPath, { force: true });
+  }
+}
+
+/**
+ * 嵌入模型标识转换为目录名，如 "google/text-embedding-004" -> "google_text-embedding-004-<哈希>"
+ * 追加短哈希，避免不同标识转换后重名
+ * @param {string} namespace 嵌入模型标识
+ * @returns {string} 目录名
+ */
+function toDirectoryName(namespace) {
+  return `${namespace.replace(/[^\w.-]+/g, "_")}-${hashText(namespace).slice(0, 8)}`;
+}
+
+/**
+ * 单个嵌入模型的向量缓存
+ */
+export class EmbeddingCache {
+  /**
+   * @param {Object} options 配置选项
+   * @param {string} options.directory 缓存根目录
+   * @param {string} options.namespace 嵌入模型标识（如 EmbeddingsFactory.describe 的结果）
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || DEFAULT_EMBEDDING_CACHE_DIR;
+    this.namespace = options.namespace;
+    this.meta = { model: this.namespace };
+    // 文本哈希 -> Float32Array
+    this.vectors = new Map();
+    // 文本哈希 -> 最近使用时间（毫秒）
+    this.usage = {};
+    this.usageDirty = false;
+  }
+
+  /** 缓存所在目录 */
+  get cachePath() {
+    return path.join(this.directory, toDirectoryName(this.namespace));
+  }
+
+  /** 缓存的向量数量 */
+  get size() {
+    return this.vectors.size;
+  }
+
+  /** 记录文件路径 */
+  get entriesPath() {
+    return path.join(this.cachePath, "entries.bin");
+  }
+
+  /** 单条记录的字节数 */
+  get recordBytes() {
+    return HASH_BYTES + this.meta.dimensions * 4;
+  }
+
+  /**
+   * 从磁盘加载缓存，不存在时返回空缓存
+   * 记录文件末尾不完整的记录（写入中断）会被截掉，保证后续追加对齐
+   * @param {Object} options 配置选项（同构造函数）
+   * @returns {Promise<EmbeddingCache>} 缓存实例
+   */
+  static async load(options = {}) {
+    const cache = new EmbeddingCache(options);
+    return await cache.loadFromDisk();
+  }
+
+  /**
+   * 读取缓存目录中的数据（在写锁内读取，不会读到其他进程写了一半的记录）
+   * @returns {Promise<EmbeddingCache>} 缓存实例
+   */
+  async loadFromDisk() {
+    try {
+      await fs.access(path.join(this.cachePath, "meta.json"));
+    } catch (error) {
+      if (error.code === "ENOENT") return this;
+      throw error;
+    }
+    let buffer;
+    try {
+      buffer = await withLock(this.cachePath, async () => {
+        this.meta = JSON.parse(await fs.readFile(path.join(this.cachePath, "meta.json"), "utf-8"));
+        this.usage = await this.readUsage();
+        const data = await fs.readFile(this.entriesPath).catch((error) => {
+          if (error.code === "ENOENT") return Buffer.alloc(0);
+          throw error;
+        });
+        const complete = data.byteLength - (data.byteLength % this.recordBytes);
+        if (complete < data.byteLength) await fs.truncate(this.entriesPath, complete);
+        return data.subarray(0, complete);
+      });
+    } catch (error) {
+      if (error.code === "ENOENT") return this;
+      throw new Error(`嵌入缓存读取失败（${this.cachePath}）: ${error.message}`);
+    }
+
+    const dims = this.meta.dimensions;
+    const count = buffer.byteLength / this.recordBytes;
+    // 向量复制到一块连续内存，避免 Buffer 偏移量未按 4 字节对齐
+    const all = new Float32Array(count * dims);
+    const bytes = new Uint8Array(all.buffer);
+    for (let i = 0; i < count; i += 1) {
+      const offset = i * this.recordBytes;
+      bytes.set(buffer.subarray(offset + HASH_BYTES, offset + this.recordBytes), i * dims * 4);
+      this.vectors.set(buffer.toString("hex", offset, offset + HASH_BYTES), all.subarray(i * dims, (i + 1) * dims));
+    }
+    return this;
+  }
+
+  /**
+   * 读取磁盘上的使用时间，不存在或损坏时返回空对象
+   * @returns {Promise<Object>} 文本哈希 -> 最近使用时间
+   */
+  async readUsage() {
+    return await fs.readFile(path.join(this.cachePath, "usage.json"), "utf-8")
+      .then(JSON.parse)
+      .catch(() => ({}));
+  }
+
+  /**
+   * 写入使用时间（先写临时文件再重命名）
+   * @param {Object} usage 文本哈希 -> 最近使用时间
+   * @returns {Promise<void>}
+   */
+  async writeUsage(usage) {
+    const usagePath = path.join(this.cachePath, "usage.json");
+    await fs.writeFile(`${usagePath}.tmp`, JSON.stringify(usage), "utf-8");
+    await fs.rename(`${usagePath}.tmp`, usagePath);
+  }
+
+  /**
+   * 读取缓存的向量（同时记录使用时间）
+   * @param {string} hash 文本哈希
+   * @returns {Array<number>|undefined} 向量
+   */
+  get(hash) {
+    const vector = this.vectors.get(hash);
+    if (!vector) return undefined;
+    this.touch(hash);
+    return Array.from(vector);
+  }
+
+  /**
+   * 记录使用时间
+   * @param {string} hash 文本哈希
+   */
+  touch(hash) {
+    this.usage[hash] = Date.now();
+    this.usageDirty = true;
+  }
+
+  /**
+   * 追加写入向量（已存在的哈希会被跳过）
+   * @param {Array<{hash: string, vector: Array<number>}>} entries 文本哈希与向量
+   * @returns {Promise<void>}
+   */
+  async addMany(entries) {
+    const seen = new Set();
+    const fresh = entries.filter(({ hash, vector }) => {
+      if (!(vector?.length > 0) || this.vectors.has(hash) || seen.has(hash)) return false;
+      seen.add(hash);
+      return true;
+    });
+    if (fresh.length === 0) return;
+
+    await withLock(this.cachePath, async () => {
+      // 其他进程可能已创建缓存（或已清空），以磁盘上的 meta 为准
+      const meta = await fs.readFile(path.join(this.cachePath, "meta.json"), "utf-8")
+        .then(JSON.parse)
+        .catch(() => null);
+      if (meta) {
+        this.meta = meta;
+      } else {
+        this.meta = { model: this.namespace, dimensions: fresh[0].vector.length, createdAt: new Date().toISOString() };
+        await fs.writeFile(path.join(this.cachePath, "meta.json"), JSON.stringify(this.meta, null, 2), "utf-8");
+      }
+      const dims = this.meta.dimensions;
+      const valid = fresh.filter(({ vector }) => vector.length === dims);
+      if (valid.length === 0) return;
+
+      const records = Buffer.alloc(valid.length * this.recordBytes);
+      const vectors = new Float32Array(valid.length * dims);
+      valid.forEach(({ hash, vector }, index) => {
+        const offset = index * this.recordBytes;
+        records.write(hash, offset, HASH_BYTES, "hex");
+        vectors.set(vector, index * dims);
+        records.set(new Uint8Array(vectors.buffer, index * dims * 4, dims * 4), offset + HASH_BYTES);
+      });
+      // 整批记录一次追加：中断时只会留下不完整的尾部记录，加载时截掉
+      await fs.appendFile(this.entriesPath, records);
+      valid.forEach(({ hash }, index) => {
+        this.vectors.set(hash, vectors.subarray(index * dims, (index + 1) * dims));
+        this.touch(hash);
+      });
+    });
+  }
+
+  /**
+   * 将使用时间写回磁盘（与磁盘上其他进程记录的时间合并，取较新者）
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (!this.usageDirty || this.meta.dimensions === undefined) return;
+    await withLock(this.cachePath, async () => {
+      const usage = await this.readUsage();
+      for (const [hash, time] of Object.entries(this.usage)) {
+        if (!(usage[hash] >= time)) usage[hash] = time;
+      }
+      await this.writeUsage(usage);
+      this.usage = usage;
+    });
+    this.usageDirty = false;
+  }
+
+  /**
+   * 删除不需要保留的向量并压缩记录文件
+   * 在写锁内重新读取磁盘上的记录（包括其他进程新追加的），写入临时文件后替换记录文件；
+   * 缓存目录本身保持不变，正在运行的进程之后的追加仍写入同一位置
+   * @param {Function} shouldKeep (hash, lastUsedAt) => boolean
+   * @returns {Promise<{kept: number, removed: number}>} 清理结果
+   */
+  async prune(shouldKeep) {
+    try {
+      await fs.access(path.join(this.cachePath, "meta.json"));
+    } catch {
+      return { kept: 0, removed: 0 };
+    }
+    return await withLock(this.cachePath, async () => {
+      this.meta = JSON.parse(await fs.readFile(path.join(this.cachePath, "meta.json"), "utf-8"));
+      const usage = await this.readUsage();
+      for (const [hash, time] of Object.entries(this.usage)) {
+        if (!(usage[hash] >= time)) usage[hash] = time;
+      }
+      const data = await fs.readFile(this.entriesPath).catch(() => Buffer.alloc(0));
+      const count = Math.floor(data.byteLength / this.recordBytes);
+
+      // 同一哈希可能被多个进程各追加一次，只保留一条
+      const records = new Map();
+      for (let i = 0; i < count; i += 1) {
+        const offset = i * this.recordBytes;
+        records.set(data.toString("hex", offset, offset + HASH_BYTES), data.subarray(offset, offset + this.recordBytes));
+      }
+      const kept = [...records.keys()].filter(hash => shouldKeep(hash, usage[hash] ?? null));
+      const removed = records.size - kept.length;
+      const keptUsage = Object.fromEntries(kept.filter(hash => usage[hash]).map(hash => [hash, usage[hash]]));
+
+      const tmpPath = `${this.entriesPath}.tmp`;
+      await fs.writeFile(tmpPath, Buffer.concat(kept.map(hash => records.get(hash))));
+      await fs.rename(tmpPath, this.entriesPath);
+      await this.writeUsage(keptUsage);
+
+      const keptSet = new Set(kept);
+      for (const hash of [...this.vectors.keys()]) {
+        if (!keptSet.has(hash)) this.vectors.delete(hash);
+      }
+      this.usage = keptUsage;
+      this.usageDirty = false;
+      return { kept: kept.length, removed };
+    });
+  }
+
+  /**
+   * 清空缓存（删除记录与使用时间，目录保留）
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await withLock(this.cachePath, async () => {
+      for (const file of ["entries.bin", "usage.json", "meta.json"]) {
+        await fs.rm(path.join(this.cachePath, file), { force: true });
+      }
+    });
+    this.vectors.clear();
+    this.usage = {};
+    this.usageDirty = false;
+    this.meta = { model: this.namespace };
+  }
+
+  /**
+   * 列出缓存目录下各嵌入模型的缓存
+   * @param {string} directory 缓存根目录
+   * @returns {Promise<Array<{namespace: string, dimensions: number, entries: number, bytes: number, createdAt: string}>>} 缓存列表
+   */
+  static async list(directory = DEFAULT_EMBEDDING_CACHE_DIR) {
+    let entries;
+    try {
+      entries = await fs.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+    const caches = [];
+    for (const entry of entries.filter(e => e.isDirectory())) {
+      const dir = path.join(directory, entry.name);
+      try {
+        const meta = JSON.parse(await fs.readFile(path.join(dir, "meta.json"), "utf-8"));
+        const { size } = await fs.stat(path.join(dir, "entries.bin"));
+        caches.push({
+          namespace: meta.model,
+          dimensions: meta.dimensions,
+          entries: Math.floor(size / (HASH_BYTES + meta.dimensions * 4)),
+          bytes: size,
+          createdAt: meta.createdAt ?? null,
+        });
+      } catch {
+        // 不完整的缓存目录（如写入 meta 后中断）跳过
+      }
+    }
+    return caches;
+  }
+}
+
+/**
+ * 带磁盘缓存的嵌入模型 - 包装任意嵌入模型，文档向量按（模型，文本哈希）缓存
+ * 只缓存 embedDocuments（知识库文本）；embedQuery（用户问题）直接调用底层模型
+ */
+export class CachedEmbeddings extends Embeddings {
+  /**
+   * @param {Object} fields 配置项
+   * @param {Object} fields.underlying 底层嵌入模型
+   * @param {string} fields.namespace 嵌入模型标识（不同模型 / 维度的向量互不混用）
+   * @param {string} fields.directory 缓存根目录（默认 EMBEDDING_CACHE_DIR 或 .rag/embedding-cache）
+   */
+  constructor(fields) {
+    super(fields);
+    this.underlying = fields.underlying;
+    this.cache = new EmbeddingCache({
+      namespace: fields.namespace,
+      directory: fields.directory || process.env.EMBEDDING_CACHE_DIR || DEFAULT_EMBEDDING_CACHE_DIR,
+    });
+    this.loading = null;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * 首次使用时加载磁盘缓存
+   * @returns {Promise<EmbeddingCache>} 缓存实例
+   */
+  async ensureLoaded() {
+    // 加载失败（如锁或解析错误）时清除，下次调用重新加载，而不是之后一直返回同一个失败
+    this.loading ??= this.cache.loadFromDisk().catch((error) => {
+      this.loading = null;
+      throw error;
+    });
+    return await this.loading;
+  }
+
+  async embedDocuments(texts, options) {
+    const cache = await this.ensureLoaded();
+    const hashes = texts.map(hashText);
+    const results = hashes.map(hash => cache.get(hash));
+
+    // 同一批次中重复的文本只嵌入一次
+    const missing = [...new Set(hashes.filter((hash, index) => !results[index]))];
+    this.hits += results.filter(Boolean).length;
+    this.misses += texts.length - results.filter(Boolean).length;
+    if (missing.length === 0) return results;
+
+    const missingTexts = missing.map(hash => texts[hashes.indexOf(hash)]);
+    // 调用选项（如中断信号）原样传给底层模型
+    const vectors = await this.underlying.embedDocuments(missingTexts, options);
+    const computed = new Map(missing.map((hash, index) => [hash, vectors[index]]));
+    await cache.addMany(missing.map(hash => ({ hash, vector: computed.get(hash) })));
+    return results.map((vector, index) => vector ?? computed.get(hashes[index]));
+  }
+
+  async embedQuery(text, options) {
+    return await this.underlying.embedQuery(text, options);
+  }
+
+  /**
+   * 累计命中统计
+   * @returns {{hits: number, misses: number, hitRate: number|null, entries: number}} 命中、未命中、命中率与缓存条数
+   */
+  getStats() {
+    const total = this.hits + this.misses;
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: total > 0 ? this.hits / total : null,
+      entries: this.cache.size,
+    };
+  }
+
+  /**
+   * 将使用时间写回磁盘（向量在写入时已落盘）
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.loading) await this.cache.flush();
+  }
+}
@@ -0,0 +1,111 @@
+import { GoogleGenerativeAIEmbeddings } from "@langchain/google-genai";
+import { OpenAIEmbeddings } from "@langchain/openai";
+import { HuggingFaceTransformersEmbeddings } from "@langchain/community/embeddings/huggingface_transformers";
+import { LocalHashEmbeddings } from "./local-hash-embeddings.js";
+import { ResilientEmbeddings } from "./resilient-embeddings.js";
+
+// 各提供方的默认嵌入模型
+const DEFAULT_MODELS = {
+  google: "text-embedding-004",
+  "openai-compatible": undefined, // 模型名因部署而异，必须显式配置（如 nomic-embed-text）
+  local: "hash-v1",
+  transformers: "Xenova/all-MiniLM-L6-v2",
+};
+
+/**
+ * 嵌入模型工厂 - 根据配置创建远程或本地嵌入模型
+ * - google：Google Generative AI 嵌入（默认）
+ * - openai-compatible：OpenAI 兼容的 /v1/embeddings 接口（Ollama、vLLM、llama.cpp 等）
+ * - local：本地哈希嵌入，纯 CPU、无需网络
+ * - transformers：本地 ONNX 语义模型（需额外安装 @huggingface/transformers，并预先缓存模型）
+ * 远程提供方（google、openai-compatible）统一由 ResilientEmbeddings 负责限流、重试与熔断，SDK 自带的重试关闭
+ */
+export class EmbeddingsFactory {
+  /** 支持的嵌入提供方 */
+  static get providers() {
+    return Object.keys(DEFAULT_MODELS);
+  }
+
+  /**
+   * 合并环境变量与调用方覆盖项，得到最终的嵌入配置
+   * @param {Object} overrides 覆盖配置（优先级高于环境变量）
+   * @returns {Object} 嵌入配置
+   */
+  static resolveConfig(overrides = {}) {
+    const provider = (overrides.provider || process.env.EMBEDDING_PROVIDER || "google").toLowerCase();
+    if (!EmbeddingsFactory.providers.includes(provider)) {
+      throw new Error(`不支持的嵌入提供方: ${provider}（可选: ${EmbeddingsFactory.providers.join(", ")}）`);
+    }
+
+    const dimensions = overrides.dimensions ?? process.env.EMBEDDING_DIMENSIONS;
+    return {
+      provider,
+      model: overrides.model || process.env.EMBEDDING_MODEL || DEFAULT_MODELS[provider],
+      baseURL: overrides.baseURL || process.env.EMBEDDING_BASE_URL || "http://localhost:11434/v1",
+      apiKey: overrides.apiKey || process.env.EMBEDDING_API_KEY,
+      dimensions: dimensions ? Number(dimensions) : undefined,
+    };
+  }
+
+  /**
+   * 嵌入配置的唯一标识，用于索引清单判断是否需要全量重建
+   * @param {Object} config 嵌入配置
+   * @returns {string} 形如 "google/text-embedding-004" 的标识
+   */
+  static describe(config) {
+    const dims = config.dimensions ? `@${config.dimensions}` : "";
+    return `${config.provider}/${config.model ?? "unset"}${dims}`;
+  }
+
+  /**
+   * 创建嵌入模型实例
+   * @param {Object} overrides 覆盖配置
+   * @param {string} overrides.provider 提供方：google | openai-compatible | local | transformers
+   * @param {string} overrides.model 模型名称
+   * @param {string} overrides.baseURL OpenAI 兼容接口地址
+   * @param {string} overrides.apiKey API 密钥
+   * @param {number} overrides.dimensions 向量维度（local 必选，其余可选）
+   * @param {Object} overrides.resilience 远程提供方的弹性配置覆盖项（见 utils/resilience.js）
+   * @returns {import("@langchain/core/embeddings").Embeddings} 嵌入模型实例
+   */
+  static create(overrides = {}) {
+    const config = EmbeddingsFactory.resolveConfig(overrides);
+    const resilient = (underlying) => new ResilientEmbeddings({
+      underlying,
+      name: `embedding:${EmbeddingsFactory.describe(config)}`,
+      policy: overrides.resilience,
+    });
+
+    switch (config.provider) {
+      case "google":
+        return resilient(new GoogleGenerativeAIEmbeddings({
+          model: config.model,
+          apiKey: config.apiKey || process.env.GOOGLE_API_KEY,
+          maxRetries: 0,
+        }));
+
+      case "openai-compatible":
+        if (!config.model) {
+          throw new Error("使用 openai-compatible 嵌入时必须设置 EMBEDDING_MODEL（如 nomic-embed-text）");
+        }
+        return resilient(new OpenAIEmbeddings({
+          model: config.model,
+          dimensions: config.dimensions,
+          // 本地服务通常不校验密钥，但 SDK 要求非空
+          apiKey: config.apiKey || process.env.OPENAI_API_KEY || "not-needed",
+          configuration: { baseURL: config.baseURL },
+          maxRetries: 0,
+        }));
+
+      case "local":
+        return new LocalHashEmbeddings({ dimensions: config.dimensions });
+
+      case "transformers":
+        // 首次计算向量时才会动态加载 @huggingface/transformers
+        return new HuggingFaceTransformersEmbeddings({ model: config.model });
+
+      default:
+        throw new Error(`不支持的嵌入提供方: ${config.provider}`);
+    }
+  }
+}
@@ -0,0 +1,276 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { BaseDocumentLoader } from "@langchain/core/document_loaders/base";
+import { Document } from "@langchain/core/documents";
+import { htmlToText } from "html-to-text";
+
+/**
+ * 知识库的文本类文件加载器：HTML、CSV、JSON / JSONL 与源代码
+ * （DOCX、EPUB 使用 @langchain/community 自带的 DocxLoader / EPubLoader）
+ */
+
+// HTML 中与正文无关的模板元素（导航、页眉页脚、侧栏、脚本等），转换为文本时整体跳过
+const HTML_BOILERPLATE = [
+  "head", "nav", "header", "footer", "aside", "script", "style", "noscript",
+  "form", "button", "iframe", "svg", "template",
+  "[role=navigation]", "[role=banner]", "[role=contentinfo]", "[aria-hidden=true]",
+];
+
+// 源代码扩展名 -> 语言（名称与 RecursiveCharacterTextSplitter.fromLanguage 一致，便于按语言切分）
+export const CODE_LANGUAGES = {
+  ".js": "js", ".mjs": "js", ".cjs": "js", ".jsx": "js",
+  ".ts": "js", ".tsx": "js", ".vue": "js",
+  ".py": "python",
+  ".java": "java", ".kt": "java",
+  ".go": "go",
+  ".rs": "rust",
+  ".rb": "ruby",
+  ".php": "php",
+  ".c": "cpp", ".h": "cpp", ".cc": "cpp", ".cpp": "cpp", ".hpp": "cpp", ".cs": "cpp",
+  ".swift": "swift",
+  ".scala": "scala",
+  ".sol": "sol",
+  ".proto": "proto",
+  ".sh": "shell", ".sql": "sql", ".css": "css", ".scss": "css",
+  ".yaml": "yaml", ".yml": "yaml", ".toml": "toml",
+};
+
+/**
+ * 读取 UTF-8 文本文件（去掉 BOM）
+ * @param {string} filePath 文件路径
+ * @returns {Promise<string>} 文本
+ */
+async function readText(filePath) {
+  return (await fs.readFile(filePath, "utf-8")).replace(/^\uFEFF/, "");
+}
+
+/**
+ * HTML 加载器：去除导航、页眉页脚、脚本等模板内容，只保留正文文本
+ * 页面包含 <main> 或 <article> 时只取其中的内容；<title> 写入 metadata.title
+ */
+export class HtmlLoader extends BaseDocumentLoader {
+  /**
+   * @param {string} filePath 文件路径
+   */
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+  }
+
+  async load() {
+    const html = await readText(this.filePath);
+    const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1].replace(/\s+/g, " ").trim();
+    const base = ["main", "article"].find(tag => new RegExp(`<${tag}[\\s>]`, "i").test(html)) ?? "body";
+    const text = htmlToText(html, {
+      wordwrap: false,
+      baseElements: { selectors: [base], returnDomByDefault: true },
+      selectors: [
+        ...HTML_BOILERPLATE.map(selector => ({ selector, format: "skip" })),
+        { selector: "a", options: { ignoreHref: true } },
+        { selector: "img", format: "skip" },
+        { selector: "h1", options: { uppercase: false } },
+        { selector: "h2", options: { uppercase: false } },
+        { selector: "h3", options: { uppercase: false } },
+        { selector: "table", format: "dataTable", options: { uppercaseHeaderCells: false } },
+      ],
+    }).replace(/\n{3,}/g, "\n\n").trim();
+    if (!text) return [];
+    return [new Document({ pageContent: text, metadata: { source: this.filePath, ...(title ? { title } : {}) } })];
+  }
+}
+
+/**
+ * 解析 CSV 文本（支持引号包裹的字段、字段内的逗号 / 换行与 "" 转义）
+ * @param {string} text CSV 文本
+ * @param {string} delimiter 分隔符
+ * @returns {Array<Array<string>>} 行数组
+ */
+export function parseCsv(text, delimiter = ",") {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(value => value.trim() !== ""));
+}
+
+/**
+ * CSV 加载器：第一行为表头，其余每行生成一个文档
+ * 文档内容为 "列名: 值" 的多行文本；metadata 包含行号（row，从 1 开始）、表头（columns）与该行各列的值（fields）
+ */
+export class CsvLoader extends BaseDocumentLoader {
+  /**
+   * @param {string} filePath 文件路径
+   * @param {Object} options 配置选项
+   * @param {string} options.delimiter 分隔符（默认按首行自动识别逗号 / 制表符 / 分号）
+   */
+  constructor(filePath, options = {}) {
+    super();
+    this.filePath = filePath;
+    this.delimiter = options.delimiter;
+  }
+
+  async load() {
+    const text = await readText(this.filePath);
+    const firstLine = text.slice(0, text.indexOf("\n") === -1 ? undefined : text.indexOf("\n"));
+    const delimiter = this.delimiter
+      ?? [",", "\t", ";"].sort((a, b) => firstLine.split(b).length - firstLine.split(a).length)[0];
+    const [header, ...rows] = parseCsv(text, delimiter);
+    if (!header) return [];
+    const columns = header.map((name, i) => name.trim() || `column_${i + 1}`);
+
+    return rows.map((values, index) => {
+      const fields = Object.fromEntries(columns.map((name, i) => [name, (values[i] ?? "").trim()]));
+      const pageContent = Object.entries(fields)
+        .filter(([, value]) => value !== "")
+        .map(([name, value]) => `${name}: ${value}`)
+        .join("\n");
+      return new Document({
+        pageContent,
+        metadata: { source: this.filePath, row: index + 1, columns, fields },
+      });
+    });
+  }
+}
+
+/**
+ * 按点分路径读取对象字段，如 "content.body"
+ * @param {Object} value 对象
+ * @param {string} fieldPath 字段路径
+ * @returns {*} 字段值
+ */
+function getField(value, fieldPath) {
+  return fieldPath.split(".").reduce((current, key) => current?.[key], value);
+}
+
+/**
+ * JSON / JSONL 加载器：每条记录生成一个文档，正文取自可配置的文本字段
+ * - .json：顶层为数组时每个元素一条记录，否则整个对象为一条记录
+ * - .jsonl：每行一条记录（metadata.line 为行号）
+ * 记录本身是字符串时直接作为正文；记录中其余的标量字段写入 metadata
+ * 缺少文本字段的记录会被跳过，位置记录在 skippedRecords 中（由 DocumentLoader 汇总到 skippedFiles）
+ */
+export class JsonDocumentLoader extends BaseDocumentLoader {
+  /**
+   * @param {string} filePath 文件路径
+   * @param {Object} options 配置选项
+   * @param {string} options.textField 文本字段（支持点分路径，默认 text）
+   */
+  constructor(filePath, options = {}) {
+    super();
+    this.filePath = filePath;
+    this.textField = options.textField || "text";
+    // 最近一次加载中缺少文本字段的记录位置（同 readRecords 的 position）
+    this.skippedRecords = [];
+  }
+
+  /**
+   * 描述被跳过的记录，如 "2 条记录缺少文本字段 "text"（第 3、7 行）"
+   * @returns {string|null} 说明（没有跳过的记录时为 null）
+   */
+  describeSkipped() {
+    if (this.skippedRecords.length === 0) return null;
+    const shown = this.skippedRecords.slice(0, 10).map(position => position.line ?? position.record);
+    const unit = this.skippedRecords[0].line !== undefined ? "行" : "条记录";
+    const more = this.skippedRecords.length > shown.length ? " 等" : "";
+    return `${this.skippedRecords.length} 条记录缺少文本字段 "${this.textField}"（第 ${shown.join("、")}${more} ${unit}）`;
+  }
+
+  /**
+   * 读取全部记录
+   * @returns {Promise<Array<{record: *, position: Object}>>} 记录及其位置（JSONL 为 { line }，JSON 为 { record: 序号 }）
+   */
+  async readRecords() {
+    const text = await readText(this.filePath);
+    if (path.extname(this.filePath).toLowerCase() === ".jsonl") {
+      return text
+        .split(/\r?\n/)
+        .map((line, index) => ({ line: index + 1, raw: line.trim() }))
+        .filter(({ raw }) => raw)
+        .map(({ line, raw }) => {
+          try {
+            return { record: JSON.parse(raw), position: { line } };
+          } catch (error) {
+            throw new Error(`第 ${line} 行不是合法的 JSON: ${error.message}`);
+          }
+        });
+    }
+    const data = JSON.parse(text);
+    return (Array.isArray(data) ? data : [data]).map((record, index) => ({ record, position: { record: index + 1 } }));
+  }
+
+  async load() {
+    const documents = [];
+    this.skippedRecords = [];
+    for (const { record, position } of await this.readRecords()) {
+      const content = typeof record === "string" ? record : getField(record, this.textField);
+      if (typeof content !== "string" || !content.trim()) {
+        this.skippedRecords.push(position);
+        continue;
+      }
+      const fields = record && typeof record === "object"
+        ? Object.fromEntries(
+          Object.entries(record).filter(([key, value]) =>
+            key !== this.textField && ["string", "number", "boolean"].includes(typeof value))
+        )
+        : {};
+      documents.push(new Document({
+        pageContent: content,
+        metadata: { ...fields, source: this.filePath, ...position },
+      }));
+    }
+    return documents;
+  }
+}
+
+/**
+ * 源代码加载器：整个文件作为一个文档，metadata.language 记录语言（供按语言切分使用）
+ */
+export class CodeLoader extends BaseDocumentLoader {
+  /**
+   * @param {string} filePath 文件路径
+   */
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+  }
+
+  async load() {
+    const text = await readText(this.filePath);
+    if (!text.trim()) return [];
+    const extension = path.extname(this.filePath).toLowerCase();
+    return [new Document({
+      pageContent: text,
+      metadata: { source: this.filePath, language: CODE_LANGUAGES[extension] ?? extension.slice(1) },
+    })];
+  }
+}
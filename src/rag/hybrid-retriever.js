@@ -0,0 +1,125 @@
+import { BaseRetriever } from "@langchain/core/retrievers";
+import { Document } from "@langchain/core/documents";
+import { toStoreFilter } from "./metadata.js";
+
+/**
+ * 将向量存储返回的分数统一为相似度（越大越相似）
+ * ChromaDB 返回的是距离，按集合的距离度量（openChromaStore 记录在 distanceSpace 上，默认余弦）换算：
+ * - cosine：d = 1 - cos，相似度为 1 - d
+ * - l2：平方 L2 距离，对归一化向量 d = 2 - 2cos，相似度为 1 - d / 2
+ * - ip：d = 1 - 内积，相似度为 1 - d
+ * @param {Object} vectorStore 向量存储实例
+ * @param {number} score 原始分数
+ * @returns {number} 相似度
+ */
+export function toSimilarity(vectorStore, score) {
+  if (vectorStore._vectorstoreType?.() !== "chroma") return score;
+  return vectorStore.distanceSpace === "l2" ? 1 - score / 2 : 1 - score;
+}
+
+/**
+ * 向量检索器 - 与 vectorStore.asRetriever 相同的向量检索，额外在元数据中附带相似度
+ * vector_score 与 score（换算规则见 toSimilarity），供引用与工具结果展示分数
+ */
+export class ScoredVectorRetriever extends BaseRetriever {
+  static lc_name() {
+    return "ScoredVectorRetriever";
+  }
+
+  /**
+   * @param {Object} fields 配置项
+   * @param {Object} fields.vectorStore 向量存储
+   * @param {number} fields.k 返回数量
+   * @param {Object} fields.filter 元数据等值过滤条件（见 metadata.js 的 normalizeFilter）
+   */
+  constructor(fields) {
+    super(fields);
+    this.lc_namespace = ["langchain_example", "retrievers", "vector"];
+    this.vectorStore = fields.vectorStore;
+    this.k = fields.k ?? 30;
+    this.filter = fields.filter ?? null;
+  }
+
+  async _getRelevantDocuments(query) {
+    const results = await this.vectorStore.similaritySearchWithScore(query, this.k, toStoreFilter(this.vectorStore, this.filter));
+    return results.map(([doc, rawScore]) => {
+      const score = toSimilarity(this.vectorStore, rawScore);
+      return new Document({
+        id: doc.id,
+        pageContent: doc.pageContent,
+        metadata: { ...doc.metadata, vector_score: score, score },
+      });
+    });
+  }
+}
+
+/**
+ * 混合检索器 - 同时执行向量检索与 BM25 关键词检索，
+ * 使用加权倒数排名融合（Reciprocal Rank Fusion）合并两路结果：
+ *   score(d) = vectorWeight / (rrfK + rank_vector(d)) + keywordWeight / (rrfK + rank_keyword(d))
+ *
+ * 返回的文档元数据中附带 vector_score、keyword_score 与融合后的 score
+ */
+export class HybridRetriever extends BaseRetriever {
+  static lc_name() {
+    return "HybridRetriever";
+  }
+
+  /**
+   * @param {Object} fields 配置项
+   * @param {Object} fields.vectorStore 向量存储
+   * @param {import("./bm25-index.js").BM25Index} fields.keywordIndex BM25 关键词索引
+   * @param {number} fields.k 最终返回数量
+   * @param {number} fields.fetchK 每一路的候选数量（默认 2k）
+   * @param {number} fields.vectorWeight 向量检索权重
+   * @param {number} fields.keywordWeight 关键词检索权重
+   * @param {number} fields.rrfK RRF 平滑常数
+   * @param {Object} fields.filter 元数据等值过滤条件（见 metadata.js 的 normalizeFilter，两路检索同时生效）
+   */
+  constructor(fields) {
+    super(fields);
+    this.lc_namespace = ["langchain_example", "retrievers", "hybrid"];
+    this.vectorStore = fields.vectorStore;
+    this.keywordIndex = fields.keywordIndex;
+    this.k = fields.k ?? 30;
+    this.fetchK = fields.fetchK ?? this.k * 2;
+    this.vectorWeight = fields.vectorWeight ?? 1;
+    this.keywordWeight = fields.keywordWeight ?? 1;
+    this.rrfK = fields.rrfK ?? 60;
+    this.filter = fields.filter ?? null;
+  }
+
+  async _getRelevantDocuments(query) {
+    const [vectorResults, keywordResults] = await Promise.all([
+      this.vectorWeight > 0
+        ? this.vectorStore.similaritySearchWithScore(query, this.fetchK, toStoreFilter(this.vectorStore, this.filter))
+        : [],
+      this.keywordWeight > 0 && this.keywordIndex
+        ? this.keywordIndex.search(query, this.fetchK, this.filter ?? undefined)
+        : [],
+    ]);
+
+    // 以文档块 ID 合并两路结果（无 ID 时退化为内容去重）
+    const fused = new Map();
+    const accumulate = (results, weight, scoreKey, toScore) => {
+      results.forEach(([doc, rawScore], rank) => {
+        const key = doc.id ?? doc.pageContent;
+        const entry = fused.get(key) ?? { doc, score: 0, scores: {} };
+        entry.score += weight / (this.rrfK + rank + 1);
+        entry.scores[scoreKey] = toScore(rawScore);
+        fused.set(key, entry);
+      });
+    };
+    accumulate(vectorResults, this.vectorWeight, "vector_score", score => toSimilarity(this.vectorStore, score));
+    accumulate(keywordResults, this.keywordWeight, "keyword_score", score => score);
+
+    return [...fused.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.k)
+      .map(({ doc, score, scores }) => new Document({
+        id: doc.id,
+        pageContent: doc.pageContent,
+        metadata: { ...doc.metadata, ...scores, score },
+      }));
+  }
+}
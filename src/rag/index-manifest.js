@@ -0,0 +1,131 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+
+/**
+ * 索引清单 - 记录知识库中每个文件的内容哈希与对应的向量块 ID
+ * 用于增量同步：仅对新增/变更的文件重新嵌入，并删除已移除文件的向量块
+ */
+export class IndexManifest {
+  /**
+   * @param {string} manifestPath 清单文件路径
+   * @param {Object} data 清单数据（meta + files）
+   */
+  constructor(manifestPath, data = {}) {
+    this.manifestPath = manifestPath;
+    // 集合级元信息：集合名称、嵌入模型、更新时间等
+    this.meta = data.meta || {};
+    // 文件级记录：相对路径 -> { hash, chunkIds, indexedAt }
+    this.files = data.files || {};
+  }
+
+  /**
+   * 从磁盘加载清单，文件不存在或损坏时返回空清单
+   * @param {string} manifestPath 清单文件路径
+   * @returns {Promise<IndexManifest>} 清单实例
+   */
+  static async load(manifestPath) {
+    try {
+      const raw = await fs.readFile(manifestPath, "utf-8");
+      return new IndexManifest(manifestPath, JSON.parse(raw));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn(`⚠️ 索引清单读取失败，将按空清单处理: ${error.message}`);
+      }
+      return new IndexManifest(manifestPath);
+    }
+  }
+
+  /**
+   * 计算内容哈希（sha256）
+   * @param {string|Buffer} content 文件内容
+   * @returns {string} 十六进制哈希
+   */
+  static hashContent(content) {
+    return crypto.createHash("sha256").update(content).digest("hex");
+  }
+
+  /**
+   * 将清单写回磁盘（先写临时文件再重命名，避免中途退出导致清单损坏）
+   * @returns {Promise<void>}
+   */
+  async save() {
+    this.meta.updatedAt = new Date().toISOString();
+    await fs.mkdir(path.dirname(this.manifestPath), { recursive: true });
+    const tmpPath = `${this.manifestPath}.tmp`;
+    await fs.writeFile(
+      tmpPath,
+      JSON.stringify({ meta: this.meta, files: this.files }, null, 2),
+      "utf-8"
+    );
+    await fs.rename(tmpPath, this.manifestPath);
+  }
+
+  /**
+   * 清空所有文件记录并重置元信息（全量重建时使用）
+   * @param {Object} meta 新的元信息
+   */
+  reset(meta = {}) {
+    this.meta = { ...meta };
+    this.files = {};
+  }
+
+  /**
+   * 获取某个文件的记录
+   * @param {string} source 文件相对路径
+   * @returns {Object|undefined} 文件记录
+   */
+  getEntry(source) {
+    return this.files[source];
+  }
+
+  /**
+   * 写入某个文件的记录
+   * @param {string} source 文件相对路径
+   * @param {Object} entry 文件记录 { hash, chunkIds }
+   */
+  setEntry(source, entry) {
+    this.files[source] = { ...entry, indexedAt: new Date().toISOString() };
+  }
+
+  /**
+   * 删除某个文件的记录
+   * @param {string} source 文件相对路径
+   */
+  removeEntry(source) {
+    delete this.files[source];
+  }
+
+  /**
+   * 对比当前文件哈希与清单，得出需要处理的文件
+   * @param {Map<string, string>} currentHashes 当前文件：相对路径 -> 内容哈希
+   * @returns {{added: string[], changed: string[], removed: string[], unchanged: string[]}} 差异结果
+   */
+  diff(currentHashes) {
+    const added = [];
+    const changed = [];
+    const unchanged = [];
+
+    for (const [source, hash] of currentHashes) {
+      const entry = this.files[source];
+      if (!entry) {
+        added.push(source);
+      } else if (entry.hash !== hash) {
+        changed.push(source);
+      } else {
+        unchanged.push(source);
+      }
+    }
+
+    const removed = Object.keys(this.files).filter(source => !currentHashes.has(source));
+    return { added, changed, removed, unchanged };
+  }
+
+  /**
+   * 清单中记录的向量块总数
+   * @returns {number} 块数量
+   */
+  get totalChunks() {
+    return Object.values(this.files).reduce((acc, entry) => acc + (entry.chunkIds?.length || 0), 0);
+  }
+}
@@ -5,13 +5,27 @@
 
 // 核心类导出
 export { DocumentLoader } from "./document-loader.js";
-export { DocumentProcessor } from "./document-processor.js";
+export { DocumentProcessor, parseChunkingRules, CHUNKING_STRATEGIES } from "./document-processor.js";
 export { VectorStoreFactory } from "./vector-store-factory.js";
 export { RetrieverBuilder } from "./retriever-builder.js";
+export { IndexManifest } from "./index-manifest.js";
+export { EmbeddingsFactory } from "./embeddings-factory.js";
+export { LocalVectorStore } from "./local-vector-store.js";
+export { BM25Index } from "./bm25-index.js";
+export { HybridRetriever } from "./hybrid-retriever.js";
+export { RerankingRetriever, LLMReranker, CrossEncoderReranker } from "./reranker.js";
+export { LocalHashEmbeddings } from "./local-hash-embeddings.js";
+export { CachedEmbeddings, EmbeddingCache } from "./embedding-cache.js";
+export { ResilientEmbeddings } from "./resilient-embeddings.js";
+export { KnowledgeBaseManager, MultiKnowledgeBaseRetriever, loadKnowledgeBaseConfig } from "./knowledge-bases.js";
+export { buildCitations, numberDocuments, formatCitations } from "./citations.js";
+export { parseFrontMatter, normalizeFilter, resolvePathMetadata } from "./metadata.js";
 
 // 向后兼容的函数导出
 export { 
   buildInMemoryRetriever, 
   buildChromaRetriever, 
+  buildLocalRetriever,
+  buildRetriever,
   connectToExistingChromaCollection 
 } from "./retriever.js";
\ No newline at end of file
@@ -0,0 +1,344 @@
+import fs from "node:fs/promises";
+import { BaseRetriever } from "@langchain/core/retrievers";
+import { Document } from "@langchain/core/documents";
+import { RetrieverBuilder } from "./retriever-builder.js";
+
+/**
+ * 多知识库 - 按名称声明多个知识库，每个知识库有独立的目录、集合、切分与检索配置
+ *
+ * 配置文件（KB_CONFIG，默认 knowledge-bases.json）：
+ *   {
+ *     "default": "docs",
+ *     "knowledgeBases": {
+ *       "docs": { "knowledgeDir": "knowledge", "collectionName": "langchain-docs", "description": "项目文档" },
+ *       "billing": { "knowledgeDir": "kb/billing", "collectionName": "billing", "chunkSize": 800, "retrievalMode": "vector", "k": 10 }
+ *     }
+ *   }
+ * 除 description 与 k（检索数量）外，其余字段原样传给 RetrieverBuilder（见其构造参数）
+ * 未声明 collectionName 的知识库以知识库名称作为集合名；集合（及其索引清单、BM25 索引）不能被多个知识库共用
+ * 配置文件不存在时只有一个名为 default 的知识库，使用 RetrieverBuilder 的默认配置
+ */
+
+/** 未提供配置文件时的知识库名称 */
+export const DEFAULT_KNOWLEDGE_BASE = "default";
+
+// 知识库名称：字母、数字、下划线与 -
+const NAME_PATTERN = /^[\w-]+$/;
+
+/**
+ * 读取知识库配置
+ * @param {string} configPath 配置文件路径（默认 KB_CONFIG 或 knowledge-bases.json）
+ * @returns {Promise<{defaultName: string, knowledgeBases: Object<string, Object>, configPath: string|null}>} 默认知识库名称与各知识库配置
+ */
+export async function loadKnowledgeBaseConfig(configPath = process.env.KB_CONFIG || "knowledge-bases.json") {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(configPath, "utf-8"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return { defaultName: DEFAULT_KNOWLEDGE_BASE, knowledgeBases: { [DEFAULT_KNOWLEDGE_BASE]: {} }, configPath: null };
+    }
+    throw new Error(`知识库配置 ${configPath} 读取失败: ${error.message}`);
+  }
+
+  const knowledgeBases = data.knowledgeBases ?? {};
+  const names = Object.keys(knowledgeBases);
+  if (names.length === 0) {
+    throw new Error(`知识库配置 ${configPath} 中没有声明任何知识库（knowledgeBases）`);
+  }
+  const invalid = names.find(name => !NAME_PATTERN.test(name));
+  if (invalid) {
+    throw new Error(`知识库名称只能包含字母、数字、下划线与 -: ${invalid}`);
+  }
+  const defaultName = process.env.KB_DEFAULT || data.default || names[0];
+  if (!knowledgeBases[defaultName]) {
+    throw new Error(`默认知识库 ${defaultName} 未在 ${configPath} 中声明`);
+  }
+
+  // 共用集合的知识库同步时会互相删除对方的向量块，加载配置时直接拒绝
+  const resolved = {};
+  const owners = new Map();
+  for (const name of names) {
+    resolved[name] = { collectionName: name, ...knowledgeBases[name] };
+    const { collectionName } = resolved[name];
+    if (owners.has(collectionName)) {
+      throw new Error(`知识库 ${owners.get(collectionName)} 与 ${name} 使用了同一个集合 ${collectionName}，请为每个知识库配置不同的 collectionName`);
+    }
+    owners.set(collectionName, name);
+  }
+  return { defaultName, knowledgeBases: resolved, configPath };
+}
+
+/**
+ * 应用共用的知识库构建默认值：agent 与 kb-admin 都由此创建 KnowledgeBaseManager，
+ * 管理工具构建、同步与查询的索引和 agent 检索时使用的完全一致
+ * @param {Object} overrides 覆盖项（同 KnowledgeBaseManager 的 defaults，buildOptions 逐项合并）
+ * @returns {Object} KnowledgeBaseManager 的 defaults
+ */
+export function resolveKnowledgeBaseDefaults(overrides = {}) {
+  const { buildOptions = {}, ...rest } = overrides;
+  return {
+    storeType: process.env.VECTOR_STORE || "chroma",
+    chromaUrl: process.env.CHROMA_URL || "http://localhost:8000",
+    ...rest,
+    buildOptions: {
+      k: 30, // 针对大文件使用更高的 k 值以获取更多相关结果（知识库配置中的 k 优先）
+      batchSize: 200, // 写入批量大幅提升吞吐
+      embedSubBatchSize: 32, // 嵌入子批量，兼顾稳定性
+      preEmbedFilter: true, // 嵌入前跳过内容未变化的块
+      ...buildOptions,
+    },
+  };
+}
+
+/**
+ * 多知识库检索器 - 分别检索多个知识库，按各自的排名做倒数排名融合（各集合的分数不可直接比较）
+ * 返回的文档元数据中附带 knowledge_base（来源知识库名称）与融合后的 score
+ */
+export class MultiKnowledgeBaseRetriever extends BaseRetriever {
+  static lc_name() {
+    return "MultiKnowledgeBaseRetriever";
+  }
+
+  /**
+   * @param {Object} fields 配置项
+   * @param {Array<{name: string, retriever: Object}>} fields.retrievers 各知识库的检索器
+   * @param {number} fields.k 最终返回数量
+   * @param {number} fields.rrfK RRF 平滑常数
+   */
+  constructor(fields) {
+    super(fields);
+    this.lc_namespace = ["langchain_example", "retrievers", "multi_kb"];
+    this.retrievers = fields.retrievers;
+    this.k = fields.k ?? 30;
+    this.rrfK = fields.rrfK ?? 60;
+  }
+
+  async _getRelevantDocuments(query, runManager) {
+    const results = await Promise.all(this.retrievers.map(({ name, retriever }) => retriever.invoke(query, {
+      callbacks: runManager?.getChild(`kb:${name}`),
+    })));
+    const fused = [];
+    results.forEach((docs, index) => {
+      const { name } = this.retrievers[index];
+      docs.forEach((doc, rank) => {
+        fused.push(new Document({
+          id: doc.id,
+          pageContent: doc.pageContent,
+          metadata: { ...doc.metadata, knowledge_base: name, score: 1 / (this.rrfK + rank + 1) },
+        }));
+      });
+    });
+    // 同分时保持知识库的声明顺序
+    return fused
+      .sort((a, b) => b.metadata.score - a.metadata.score)
+      .slice(0, this.k);
+  }
+}
+
+/**
+ * 知识库管理器 - 按名称懒加载各知识库（首次使用时构建检索器并增量同步）
+ */
+export class KnowledgeBaseManager {
+  /**
+   * @param {Object} config 知识库配置（见 loadKnowledgeBaseConfig）
+   * @param {Object} defaults 所有知识库共用的构建器与构建参数（如 storeType、chromaUrl、batchSize、resetCollection）
+   * @param {boolean|Object} defaults.watch 构建后监听知识库目录并自动同步（对象为 RetrieverBuilder.watch 的参数）
+   */
+  constructor(config, defaults = {}) {
+    this.defaultName = config.defaultName;
+    this.configs = config.knowledgeBases;
+    this.configPath = config.configPath;
+    const { watch = false, ...builderDefaults } = defaults;
+    this.defaults = builderDefaults;
+    this.watchOptions = watch === true ? {} : watch || null;
+    // 名称 -> Promise<{ builder, retriever }>
+    this.entries = new Map();
+  }
+
+  /**
+   * 已声明的知识库名称
+   * @returns {Array<string>} 名称列表
+   */
+  names() {
+    return Object.keys(this.configs);
+  }
+
+  /**
+   * 解析知识库名称：支持单个名称、逗号分隔的多个名称或数组，为空时使用默认知识库
+   * @param {string|Array<string>|null} input 知识库名称
+   * @returns {Array<string>} 去重后的名称列表
+   */
+  resolveNames(input) {
+    const items = Array.isArray(input) ? input : String(input ?? "").split(",");
+    const names = [...new Set(items.map(name => String(name).trim()).filter(Boolean))];
+    if (names.length === 0) return [this.defaultName];
+    const unknown = names.filter(name => !this.configs[name]);
+    if (unknown.length > 0) {
+      throw new Error(`未知的知识库: ${unknown.join(", ")}（可选: ${this.names().join(", ")}）`);
+    }
+    return names;
+  }
+
+  /**
+   * 按知识库配置创建构建器（不构建检索器），供懒加载与管理工具使用
+   * @param {string} name 知识库名称（为空时使用默认知识库）
+   * @returns {{builder: RetrieverBuilder, buildOptions: Object}} 构建器与 buildRetriever 参数
+   */
+  createBuilder(name) {
+    const [resolved] = this.resolveNames(name);
+    const { description, k, ...builderOptions } = this.configs[resolved];
+    const { buildOptions = {}, ...builderDefaults } = this.defaults;
+    return {
+      builder: new RetrieverBuilder({ ...builderDefaults, ...builderOptions }),
+      buildOptions: { ...buildOptions, ...(k ? { k } : {}) },
+    };
+  }
+
+  /**
+   * 获取知识库的构建器与检索器，未构建时先构建（同一知识库只构建一次）
+   * @param {string} name 知识库名称
+   * @returns {Promise<{builder: RetrieverBuilder, retriever: Object}>} 构建器与检索器
+   */
+  async load(name) {
+    const [resolved] = this.resolveNames(name);
+    if (!this.entries.has(resolved)) {
+      const { builder, buildOptions } = this.createBuilder(resolved);
+      console.log(`📚 加载知识库 ${resolved}: ${builder.knowledgeDir}`);
+      const pending = builder
+        .buildRetriever(buildOptions)
+        .then(retriever => {
+          if (this.watchOptions) this.startWatching(resolved, builder, buildOptions);
+          return { builder, retriever };
+        });
+      // 构建失败时移除缓存，下次使用时重试
+      pending.catch(() => this.entries.delete(resolved));
+      this.entries.set(resolved, pending);
+    }
+    return await this.entries.get(resolved);
+  }
+
+  /**
+   * 监听知识库目录：文件改动后只同步受影响的文件，后续检索自动使用新索引（会话状态不受影响）
+   * 监听失败（如目录不存在）只输出警告，不影响检索
+   * @param {string} name 知识库名称
+   * @param {RetrieverBuilder} builder 已构建的构建器
+   * @param {Object} buildOptions 写入配置（batchSize 等）
+   */
+  startWatching(name, builder, buildOptions) {
+    const { k, resetCollection, ...writeOptions } = buildOptions;
+    try {
+      builder.watch({
+        onUpdate: report => console.log(
+          `\n🔄 知识库 ${name} 已更新: 新增 ${report.added}，变更 ${report.changed}，删除 ${report.removed}（写入 ${report.chunksAdded} 块，删除 ${report.chunksDeleted} 块）`
+        ),
+        ...writeOptions,
+        ...this.watchOptions,
+      });
+    } catch (error) {
+      console.warn(`⚠️ 无法监听知识库 ${name} 的目录 ${builder.knowledgeDir}: ${error.message}`);
+    }
+  }
+
+  /**
+   * 停止所有知识库的目录监听（等待进行中的同步完成）
+   * @returns {Promise<void>}
+   */
+  async close() {
+    for (const pending of this.entries.values()) {
+      const entry = await pending.catch(() => null);
+      await entry?.builder.watcher?.close();
+    }
+  }
+
+  /**
+   * 获取一个或多个知识库的检索器（多个知识库时合并检索结果）
+   * @param {string|Array<string>|null} names 知识库名称（为空时使用默认知识库）
+   * @param {Object|null} filter 元数据过滤条件（见 metadata.js 的 normalizeFilter）
+   * @returns {Promise<Object>} 检索器实例
+   */
+  async getRetriever(names, filter = null) {
+    const resolved = this.resolveNames(names);
+    // 逐个加载，避免多个知识库同时构建时日志交错
+    const entries = [];
+    for (const name of resolved) entries.push(await this.load(name));
+    if (entries.length === 1) {
+      // 单个知识库同样在元数据中标注来源知识库，引用与工具结果据此展示
+      const [name] = resolved;
+      return entries[0].builder.getRetriever(filter).pipe(docs => docs.map(doc => new Document({
+        id: doc.id,
+        pageContent: doc.pageContent,
+        metadata: { ...doc.metadata, knowledge_base: name },
+      })));
+    }
+    return new MultiKnowledgeBaseRetriever({
+      retrievers: entries.map(({ builder }, index) => ({ name: resolved[index], retriever: builder.getRetriever(filter) })),
+      k: Math.max(...entries.map(({ builder }) => builder.retrieverK)),
+    });
+  }
+
+  /**
+   * 问题与一个或多个知识库最相近片段的最高相似度
+   * @param {string} query 查询
+   * @param {string|Array<string>|null} names 知识库名称
+   * @param {Object|null} filter 元数据过滤条件
+   * @returns {Promise<number|null>} 最高相似度，知识库均为空时返回 null
+   */
+  async getTopSimilarity(query, names, filter = null) {
+    const scores = [];
+    for (const name of this.resolveNames(names)) {
+      const { builder } = await this.load(name);
+      const score = await builder.getTopSimilarity(query, filter);
+      if (score !== null) scores.push(score);
+    }
+    return scores.length > 0 ? Math.max(...scores) : null;
+  }
+
+  /**
+   * 列出一个或多个知识库中已索引的文件（多个知识库时带 "名称:" 前缀）
+   * @param {string|Array<string>|null} names 知识库名称
+   * @returns {Promise<Array<string>>} 文件列表
+   */
+  async listIndexedFiles(names) {
+    const resolved = this.resolveNames(names);
+    const files = [];
+    for (const name of resolved) {
+      const { builder } = await this.load(name);
+      files.push(...builder.listIndexedFiles().map(file => (resolved.length > 1 ? `${name}:${file}` : file)));
+    }
+    return files;
+  }
+
+  /**
+   * 获取知识库状态（未加载的知识库只返回配置概要）
+   * @param {string} name 知识库名称（为空时使用默认知识库）
+   * @returns {Promise<Object>} 状态
+   */
+  async getStatus(name) {
+    const [resolved] = this.resolveNames(name);
+    const loaded = this.entries.has(resolved);
+    let status = { ready: false, knowledgeDir: this.configs[resolved].knowledgeDir ?? "knowledge" };
+    if (loaded) {
+      try {
+        status = await (await this.load(resolved)).builder.getStatus();
+      } catch (error) {
+        status = { ...status, error: error.message };
+      }
+    }
+    return {
+      name: resolved,
+      description: this.configs[resolved].description ?? null,
+      default: resolved === this.defaultName,
+      loaded,
+      ...status,
+    };
+  }
+
+  /**
+   * 列出所有知识库及其状态
+   * @returns {Promise<Array<Object>>} 状态列表（见 getStatus）
+   */
+  async list() {
+    return await Promise.all(this.names().map(name => this.getStatus(name)));
+  }
+}
@@ -0,0 +1,68 @@
+import { Embeddings } from "@langchain/core/embeddings";
+import { tokenize } from "./text-tokenizer.js";
+
+/**
+ * 32 位 FNV-1a 哈希
+ * @param {string} text 输入字符串
+ * @returns {number} 无符号 32 位哈希值
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * 本地哈希嵌入 - 纯 CPU 计算、无需网络与模型文件
+ * 使用特征哈希（feature hashing）把词元映射到固定维度并做 L2 归一化，
+ * 检索效果弱于语义模型，但在离线或无法访问 Google 的环境中可直接使用
+ */
+export class LocalHashEmbeddings extends Embeddings {
+  /**
+   * @param {Object} fields 配置项
+   * @param {number} fields.dimensions 向量维度
+   */
+  constructor(fields = {}) {
+    super(fields);
+    this.dimensions = fields.dimensions || 768;
+  }
+
+  /**
+   * 计算单条文本的向量
+   * @param {string} text 输入文本
+   * @returns {Array<number>} 归一化后的向量
+   */
+  embedText(text) {
+    const counts = new Map();
+    for (const token of tokenize(text)) {
+      counts.set(token, (counts.get(token) || 0) + 1);
+    }
+
+    const vector = new Array(this.dimensions).fill(0);
+    for (const [token, count] of counts) {
+      const hash = fnv1a(token);
+      // 用哈希的最高位决定符号，减少哈希冲突带来的偏差
+      const sign = hash & 0x80000000 ? -1 : 1;
+      vector[hash % this.dimensions] += sign * (1 + Math.log(count));
+    }
+
+    const norm = Math.sqrt(vector.reduce((acc, v) => acc + v * v, 0));
+    if (norm === 0) {
+      // 空文本返回一个固定的非零向量，避免向量存储拒绝全零向量
+      vector[0] = 1;
+      return vector;
+    }
+    return vector.map(v => v / norm);
+  }
+
+  async embedDocuments(texts) {
+    return texts.map(text => this.embedText(text));
+  }
+
+  async embedQuery(text) {
+    return this.embedText(text);
+  }
+}
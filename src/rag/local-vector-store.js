@@ -0,0 +1,252 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { VectorStore } from "@langchain/core/vectorstores";
+import { Document } from "@langchain/core/documents";
+import { v4 as uuidv4 } from "uuid";
+import { metadataValueEquals } from "./metadata.js";
+
+/**
+ * 判断文档元数据是否满足过滤条件
+ * 支持函数过滤，或形如 { key: value } 的等值过滤（多个键需同时满足，比较规则见 metadataValueEquals）
+ * @param {Object} metadata 文档元数据
+ * @param {Function|Object} filter 过滤条件
+ * @returns {boolean} 是否匹配
+ */
+function matchesFilter(metadata, filter) {
+  if (!filter) return true;
+  if (typeof filter === "function") return filter(metadata);
+  return Object.entries(filter).every(([key, value]) => metadataValueEquals(metadata?.[key], value));
+}
+
+/**
+ * 本地文件向量存储 - 向量、文档内容与元数据保存在本地磁盘，无需额外服务
+ * 采用暴力余弦相似度检索，适合开发机与中小规模知识库
+ *
+ * 磁盘结构（每个集合一个目录）：
+ *   <directory>/<collectionName>/records.json   文档 ID、内容与元数据
+ *   <directory>/<collectionName>/vectors.bin    Float32 向量（按记录顺序连续存放）
+ */
+export class LocalVectorStore extends VectorStore {
+  _vectorstoreType() {
+    return "local";
+  }
+
+  /**
+   * @param {Object} embeddings 嵌入模型
+   * @param {Object} options 配置选项
+   * @param {string} options.directory 存储根目录
+   * @param {string} options.collectionName 集合名称
+   */
+  constructor(embeddings, options = {}) {
+    super(embeddings, options);
+    this.directory = options.directory || ".rag/vectors";
+    this.collectionName = options.collectionName || "langchain-docs";
+    this.collectionMetadata = options.collectionMetadata || {};
+    this.numDimensions = undefined;
+    // id -> { id, content, metadata, vector(Float32Array，已归一化) }
+    this.records = new Map();
+  }
+
+  /** 集合所在目录 */
+  get collectionPath() {
+    return path.join(this.directory, this.collectionName);
+  }
+
+  /**
+   * 从磁盘加载集合，不存在时返回空集合
+   * @param {Object} embeddings 嵌入模型
+   * @param {Object} options 配置选项（同构造函数）
+   * @returns {Promise<LocalVectorStore>} 向量存储实例
+   */
+  static async load(embeddings, options = {}) {
+    const store = new LocalVectorStore(embeddings, options);
+    let records;
+    let buffer;
+    try {
+      records = JSON.parse(await fs.readFile(path.join(store.collectionPath, "records.json"), "utf-8"));
+      buffer = await fs.readFile(path.join(store.collectionPath, "vectors.bin"));
+    } catch (error) {
+      if (error.code === "ENOENT") return store;
+      throw new Error(`本地向量存储读取失败（${store.collectionPath}）: ${error.message}`);
+    }
+
+    // 两个文件分别重命名，中途崩溃会留下条数不一致的文件；此时向量与记录已错位，不能继续使用
+    const dims = records.numDimensions;
+    const expectedBytes = records.items.length * (dims || 0) * Float32Array.BYTES_PER_ELEMENT;
+    if (buffer.byteLength !== expectedBytes) {
+      throw new Error(
+        `本地向量存储已损坏（${store.collectionPath}）: vectors.bin 为 ${buffer.byteLength} 字节，` +
+        `${records.items.length} 条 ${dims} 维记录应为 ${expectedBytes} 字节，请删除该目录后重建索引`
+      );
+    }
+
+    // 复制一份底层内存，避免 Buffer 偏移量未按 4 字节对齐
+    const vectors = new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+    store.numDimensions = dims;
+    store.collectionMetadata = records.collectionMetadata || {};
+    records.items.forEach((item, index) => {
+      store.records.set(item.id, {
+        ...item,
+        vector: vectors.slice(index * dims, (index + 1) * dims),
+      });
+    });
+    return store;
+  }
+
+  /**
+   * 将集合写入磁盘（先写临时文件再重命名，避免写入中断导致数据损坏）
+   * @returns {Promise<void>}
+   */
+  async save() {
+    await fs.mkdir(this.collectionPath, { recursive: true });
+    const items = [];
+    const vectors = new Float32Array(this.records.size * (this.numDimensions || 0));
+    let offset = 0;
+    for (const { vector, ...item } of this.records.values()) {
+      items.push(item);
+      vectors.set(vector, offset);
+      offset += vector.length;
+    }
+
+    const recordsPath = path.join(this.collectionPath, "records.json");
+    const vectorsPath = path.join(this.collectionPath, "vectors.bin");
+    await fs.writeFile(`${vectorsPath}.tmp`, Buffer.from(vectors.buffer));
+    await fs.writeFile(
+      `${recordsPath}.tmp`,
+      JSON.stringify({
+        numDimensions: this.numDimensions,
+        collectionMetadata: this.collectionMetadata,
+        items,
+      }),
+      "utf-8"
+    );
+    await fs.rename(`${vectorsPath}.tmp`, vectorsPath);
+    await fs.rename(`${recordsPath}.tmp`, recordsPath);
+  }
+
+  /**
+   * 删除整个集合目录
+   * @returns {Promise<void>}
+   */
+  async deleteCollection() {
+    await fs.rm(this.collectionPath, { recursive: true, force: true });
+    this.records.clear();
+    this.numDimensions = undefined;
+    this.collectionMetadata = {};
+  }
+
+  /**
+   * 写入向量与文档（ID 已存在时覆盖）
+   * @param {Array<Array<number>>} vectors 向量数组
+   * @param {Array<Document>} documents 文档数组
+   * @param {Object} options 可选，{ ids } 指定文档 ID
+   * @returns {Promise<Array<string>>} 写入的文档 ID
+   */
+  async addVectors(vectors, documents, options = {}) {
+    if (vectors.length === 0) return [];
+    if (vectors.length !== documents.length) {
+      throw new Error("向量数量与文档数量不一致");
+    }
+    // 先校验整批向量的维度再写入，维度不一致时集合保持原样
+    const numDimensions = this.numDimensions ?? vectors[0].length;
+    const mismatched = vectors.find(vector => vector.length !== numDimensions);
+    if (mismatched) {
+      throw new Error(`向量维度 ${mismatched.length} 与集合维度 ${numDimensions} 不一致`);
+    }
+    this.numDimensions = numDimensions;
+
+    const ids = options.ids ?? documents.map(doc => doc.id ?? uuidv4());
+    vectors.forEach((vector, index) => {
+      const norm = Math.sqrt(vector.reduce((acc, v) => acc + v * v, 0)) || 1;
+      this.records.set(ids[index], {
+        id: ids[index],
+        content: documents[index].pageContent,
+        metadata: documents[index].metadata ?? {},
+        vector: Float32Array.from(vector, v => v / norm),
+      });
+    });
+    return ids;
+  }
+
+  async addDocuments(documents, options) {
+    const vectors = await this.embeddings.embedDocuments(documents.map(doc => doc.pageContent));
+    return this.addVectors(vectors, documents, options);
+  }
+
+  /**
+   * 按 ID 或元数据过滤条件删除文档
+   * @param {Object} params { ids } 或 { filter }
+   * @returns {Promise<void>}
+   */
+  async delete(params = {}) {
+    if (Array.isArray(params.ids)) {
+      params.ids.forEach(id => this.records.delete(id));
+    } else if (params.filter) {
+      for (const [id, record] of this.records) {
+        if (matchesFilter(record.metadata, params.filter)) this.records.delete(id);
+      }
+    } else {
+      throw new Error('删除时必须提供 "ids" 或 "filter"');
+    }
+  }
+
+  /**
+   * 按 ID 获取文档
+   * @param {Array<string>} ids 文档 ID
+   * @returns {Array<Document>} 找到的文档
+   */
+  getDocuments(ids) {
+    return ids
+      .map(id => this.records.get(id))
+      .filter(Boolean)
+      .map(record => new Document({ id: record.id, pageContent: record.content, metadata: record.metadata }));
+  }
+
+  /**
+   * 集合中的文档数量
+   * @returns {number} 数量
+   */
+  count() {
+    return this.records.size;
+  }
+
+  /**
+   * 最近邻检索：返回余弦相似度最高的 k 个文档（分数越大越相似）
+   * @param {Array<number>} query 查询向量
+   * @param {number} k 返回数量
+   * @param {Function|Object} filter 元数据过滤条件
+   * @returns {Promise<Array<[Document, number]>>} 文档与相似度
+   */
+  async similaritySearchVectorWithScore(query, k, filter) {
+    const norm = Math.sqrt(query.reduce((acc, v) => acc + v * v, 0)) || 1;
+    const scored = [];
+    for (const record of this.records.values()) {
+      if (!matchesFilter(record.metadata, filter)) continue;
+      let dot = 0;
+      for (let i = 0; i < record.vector.length; i += 1) {
+        dot += record.vector[i] * query[i];
+      }
+      scored.push([record, dot / norm]);
+    }
+
+    scored.sort((a, b) => b[1] - a[1]);
+    return scored.slice(0, k).map(([record, score]) => [
+      new Document({ id: record.id, pageContent: record.content, metadata: record.metadata }),
+      score,
+    ]);
+  }
+
+  /**
+   * 从文档创建并持久化本地向量存储
+   * @param {Array<Document>} docs 文档数组
+   * @param {Object} embeddings 嵌入模型
+   * @param {Object} options 配置选项
+   * @returns {Promise<LocalVectorStore>} 向量存储实例
+   */
+  static async fromDocuments(docs, embeddings, options = {}) {
+    const store = await LocalVectorStore.load(embeddings, options);
+    await store.addDocuments(docs);
+    await store.save();
+    return store;
+  }
+}
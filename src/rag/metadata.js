@@ -0,0 +1,188 @@
+import path from "node:path";
+import YAML from "yaml";
+
+/**
+ * 文档元数据 - 解析 YAML 前置元数据（front matter）与目录结构，并构造检索时的元数据过滤条件
+ *
+ * 标签（tags）展开为布尔字段 tag_<标签>: true（同时保留逗号分隔的 tags 文本），
+ * 这样 ChromaDB、本地向量存储与 BM25 索引都能用简单的等值条件按标签过滤
+ */
+
+/** 标签展开后的字段前缀 */
+export const TAG_FIELD_PREFIX = "tag_";
+
+// front matter：文件开头由 --- 包裹的 YAML 块（结束行也可以是 ...）
+const FRONT_MATTER_PATTERN = /^---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+/**
+ * 规范化标签名：去掉首尾空白、转小写，内部空白替换为 -
+ * @param {string} tag 标签
+ * @returns {string} 规范化后的标签
+ */
+function normalizeTag(tag) {
+  return String(tag).trim().toLowerCase().replace(/\s+/g, "-");
+}
+
+/**
+ * 将标签值（数组或逗号分隔的文本）拆分为标签列表
+ * @param {string|Array} value 标签值
+ * @returns {Array<string>} 去重后的标签
+ */
+function toTagList(value) {
+  const items = Array.isArray(value) ? value : String(value).split(",");
+  return [...new Set(items.map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * 解析文本开头的 YAML front matter
+ * @param {string} text 文本
+ * @returns {{data: Object, content: string}} 元数据与去掉 front matter 后的正文（无 front matter 时 data 为空对象）
+ */
+export function parseFrontMatter(text) {
+  const match = text.match(FRONT_MATTER_PATTERN);
+  if (!match) return { data: {}, content: text };
+  let data;
+  try {
+    data = YAML.parse(match[1]);
+  } catch (error) {
+    throw new Error(`front matter 不是合法的 YAML: ${error.message}`);
+  }
+  return {
+    data: data && typeof data === "object" && !Array.isArray(data) ? data : {},
+    content: text.slice(match[0].length),
+  };
+}
+
+/**
+ * 将 front matter / 路径中的字段整理为可存入向量存储的元数据：
+ * 标签展开为 tag_<标签> 布尔字段，标量统一转为字符串（version: 2 与过滤条件 "2" 一致），
+ * 标量数组以 ", " 连接，嵌套对象保留 JSON 文本
+ * @param {Object} fields 原始字段
+ * @returns {Object} 元数据
+ */
+export function normalizeMetadata(fields = {}) {
+  const metadata = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === null || value === undefined) continue;
+    if (key === "tags" || key === "tag") {
+      const tags = toTagList(value);
+      if (tags.length === 0) continue;
+      metadata.tags = tags.join(", ");
+      for (const tag of tags) metadata[`${TAG_FIELD_PREFIX}${tag}`] = true;
+    } else if (value instanceof Date) {
+      metadata[key] = value.toISOString().slice(0, 10);
+    } else if (Array.isArray(value)) {
+      metadata[key] = value.map(String).join(", ");
+    } else if (typeof value === "object") {
+      metadata[key] = JSON.stringify(value);
+    } else {
+      metadata[key] = String(value);
+    }
+  }
+  return metadata;
+}
+
+/**
+ * 按目录模式从相对路径中提取元数据，如模式 "product/version" 与路径 "billing/v2/faq.md"
+ * 得到 { product: "billing", version: "2" }（version 会去掉 v 前缀）；模式中的 * 表示忽略该层目录
+ * 非根目录下的文件另外记录所在目录 directory
+ * @param {string} relativePath 相对知识库目录的路径（/ 分隔）
+ * @param {string} pattern 目录模式（如 RAG_PATH_METADATA 环境变量，可为空）
+ * @returns {Object} 元数据
+ */
+export function resolvePathMetadata(relativePath, pattern = "") {
+  const directory = path.posix.dirname(relativePath);
+  if (directory === ".") return {};
+  const segments = directory.split("/");
+  const fields = { directory };
+  pattern.split("/").map(s => s.trim()).forEach((name, index) => {
+    if (!name || name === "*" || segments[index] === undefined) return;
+    fields[name] = name === "version" ? segments[index].replace(/^v(?=\d)/i, "") : segments[index];
+  });
+  return normalizeMetadata(fields);
+}
+
+/**
+ * 判断元数据值是否等于过滤条件的值
+ * 数字与数字文本视为相等：加载器写入的 CSV 行号（row）、PDF 页码（page）、JSON 的 id 等是数字，
+ * 而 front matter 中的标量是文本，命令行给出的条件也都是文本
+ * @param {*} actual 元数据中的值
+ * @param {*} expected 过滤条件中的值
+ * @returns {boolean} 是否相等
+ */
+export function metadataValueEquals(actual, expected) {
+  if (actual === expected) return true;
+  if (typeof actual !== "number" && typeof expected !== "number") return false;
+  return isNumeric(actual) && isNumeric(expected) && Number(actual) === Number(expected);
+}
+
+/**
+ * 是否为数字或数字文本（如 3、"3"、"2.5"）
+ * @param {*} value 值
+ * @returns {boolean} 是否为数字
+ */
+function isNumeric(value) {
+  if (typeof value === "number") return Number.isFinite(value);
+  return typeof value === "string" && value.trim() !== "" && Number.isFinite(Number(value));
+}
+
+/**
+ * 将用户给出的过滤条件规范化为等值条件对象：
+ * tag / tags（数组或逗号分隔）展开为 tag_<标签>: true（需同时包含所有标签），
+ * 数字保持为数字（匹配规则见 metadataValueEquals），其余字段的值转为字符串
+ * 对已规范化的条件再次调用结果不变
+ * @param {Object|null} filter 过滤条件，如 { tag: "billing", version: 2 }
+ * @returns {Object|null} 等值条件对象，条件为空时返回 null
+ */
+export function normalizeFilter(filter) {
+  if (filter === null || filter === undefined) return null;
+  if (typeof filter !== "object" || Array.isArray(filter)) {
+    throw new Error("filter 必须是对象，如 { tag: \"billing\", version: \"2\" }");
+  }
+  const conditions = {};
+  for (const [key, value] of Object.entries(filter)) {
+    if (value === null || value === undefined || value === "") continue;
+    if (key === "tag" || key === "tags") {
+      for (const tag of toTagList(value)) conditions[`${TAG_FIELD_PREFIX}${tag}`] = true;
+    } else if (key.startsWith(TAG_FIELD_PREFIX) && value === true) {
+      // 已规范化的标签条件原样保留（可重复调用）
+      conditions[key] = true;
+    } else if (typeof value === "number") {
+      conditions[key] = value;
+    } else if (typeof value === "string" || typeof value === "boolean") {
+      conditions[key] = String(value);
+    } else {
+      throw new Error(`过滤字段 ${key} 的值必须是字符串或数字`);
+    }
+  }
+  return Object.keys(conditions).length > 0 ? conditions : null;
+}
+
+/**
+ * 将等值条件转换为向量存储的过滤参数：ChromaDB 使用 where 语法，本地向量存储直接使用等值对象
+ * ChromaDB 按类型严格比较，数字条件同时匹配数字与数字文本（与 metadataValueEquals 一致）
+ * @param {Object} vectorStore 向量存储实例
+ * @param {Object|null} conditions 等值条件（见 normalizeFilter）
+ * @returns {Object|undefined} 过滤参数
+ */
+export function toStoreFilter(vectorStore, conditions) {
+  if (!conditions) return undefined;
+  if (vectorStore._vectorstoreType?.() !== "chroma") return conditions;
+  const clauses = Object.entries(conditions).map(([key, value]) => {
+    if (!isNumeric(value)) return { [key]: value };
+    const alternative = typeof value === "number" ? String(value) : Number(value);
+    return { $or: [{ [key]: value }, { [key]: alternative }] };
+  });
+  return clauses.length === 1 ? clauses[0] : { $and: clauses };
+}
+
+/**
+ * 过滤条件的简短描述，便于日志展示，如 "tag=billing, version=2"
+ * @param {Object|null} conditions 等值条件（见 normalizeFilter）
+ * @returns {string} 描述
+ */
+export function describeFilter(conditions) {
+  return Object.entries(conditions ?? {})
+    .map(([key, value]) => (key.startsWith(TAG_FIELD_PREFIX) ? `tag=${key.slice(TAG_FIELD_PREFIX.length)}` : `${key}=${value}`))
+    .join(", ");
+}
@@ -0,0 +1,197 @@
+import { BaseRetriever } from "@langchain/core/retrievers";
+import { Document } from "@langchain/core/documents";
+import { createChatModel } from "../utils/model-factory.js";
+
+/**
+ * LLM 评审重排器 - 让对话模型为每个候选片段与问题的相关性打分（0-10）
+ * 候选按批次提交，模型只需返回 JSON 数组，解析失败的片段记 0 分
+ */
+export class LLMReranker {
+  /**
+   * @param {Object} options 配置选项
+   * @param {Object} options.llm 对话模型（默认由模型工厂创建非流式实例）
+   * @param {number} options.batchSize 每次评审的候选数量
+   * @param {number} options.maxChars 每个候选片段提交给模型的最大字符数
+   */
+  constructor(options = {}) {
+    this.llm = options.llm || createChatModel({ streaming: false, temperature: 0 });
+    this.batchSize = options.batchSize || 10;
+    this.maxChars = options.maxChars || 600;
+  }
+
+  /**
+   * 为候选文档打分
+   * @param {string} query 用户问题
+   * @param {Array<Document>} documents 候选文档
+   * @returns {Promise<Array<number>>} 与 documents 一一对应的分数（0-1）
+   */
+  async score(query, documents) {
+    const scores = new Array(documents.length).fill(0);
+    for (let start = 0; start < documents.length; start += this.batchSize) {
+      const batch = documents.slice(start, start + this.batchSize);
+      const passages = batch
+        .map((doc, i) => `[${i}] ${doc.pageContent.slice(0, this.maxChars).replace(/\s+/g, " ")}`)
+        .join("\n\n");
+      const prompt = [
+        "你是检索结果的相关性评审。请判断每个片段对回答问题的帮助程度，给出 0-10 的整数分。",
+        '只输出 JSON 数组，例如 [{"index":0,"score":7}]，不要输出其他内容。',
+        "",
+        `问题: ${query}`,
+        "",
+        "片段:",
+        passages,
+      ].join("\n");
+
+      // 评审输出不属于回答内容，标记为不流式展示
+      const response = await this.llm.invoke(prompt, { tags: ["rerank", "langsmith:nostream"] });
+      const text = typeof response.content === "string"
+        ? response.content
+        : response.content.map((c) => (typeof c === "string" ? c : c?.text ?? "")).join("");
+      const match = text.match(/\[[\s\S]*\]/);
+      if (!match) {
+        console.warn("⚠️ LLM 重排结果无法解析，本批按 0 分处理");
+        continue;
+      }
+      try {
+        for (const item of JSON.parse(match[0])) {
+          const index = Number(item.index);
+          if (Number.isInteger(index) && index >= 0 && index < batch.length) {
+            scores[start + index] = Math.max(0, Math.min(10, Number(item.score) || 0)) / 10;
+          }
+        }
+      } catch (error) {
+        console.warn(`⚠️ LLM 重排结果解析失败: ${error.message}`);
+      }
+    }
+    return scores;
+  }
+}
+
+/**
+ * 本地交叉编码器重排器 - 使用 ONNX 交叉编码模型（如 ms-marco-MiniLM）在 CPU 上打分
+ * 需额外安装 @huggingface/transformers，并预先缓存模型
+ */
+export class CrossEncoderReranker {
+  /**
+   * @param {Object} options 配置选项
+   * @param {string} options.model 交叉编码模型名称
+   * @param {number} options.batchSize 每次推理的候选数量
+   */
+  constructor(options = {}) {
+    this.model = options.model || "Xenova/ms-marco-MiniLM-L-6-v2";
+    this.batchSize = options.batchSize || 16;
+    this.pipelinePromise = null;
+  }
+
+  /**
+   * 延迟加载分词器与模型（首次打分时加载）
+   * @returns {Promise<{tokenizer: Object, model: Object}>} 分词器与模型
+   */
+  async load() {
+    if (!this.pipelinePromise) {
+      this.pipelinePromise = (async () => {
+        let transformers;
+        try {
+          transformers = await import("@huggingface/transformers");
+        } catch (error) {
+          throw new Error(`交叉编码重排需要安装 @huggingface/transformers: ${error.message}`);
+        }
+        const tokenizer = await transformers.AutoTokenizer.from_pretrained(this.model);
+        const model = await transformers.AutoModelForSequenceClassification.from_pretrained(this.model);
+        return { tokenizer, model };
+      })();
+    }
+    return this.pipelinePromise;
+  }
+
+  /**
+   * 为候选文档打分
+   * @param {string} query 用户问题
+   * @param {Array<Document>} documents 候选文档
+   * @returns {Promise<Array<number>>} 与 documents 一一对应的分数（0-1）
+   */
+  async score(query, documents) {
+    const { tokenizer, model } = await this.load();
+    const scores = [];
+    for (let start = 0; start < documents.length; start += this.batchSize) {
+      const batch = documents.slice(start, start + this.batchSize);
+      const inputs = tokenizer(new Array(batch.length).fill(query), {
+        text_pair: batch.map(doc => doc.pageContent),
+        padding: true,
+        truncation: true,
+      });
+      const { logits } = await model(inputs);
+      // 单输出的交叉编码模型返回相关性 logit，经 sigmoid 映射到 0-1
+      scores.push(...logits.tolist().map(([logit]) => 1 / (1 + Math.exp(-logit))));
+    }
+    return scores;
+  }
+}
+
+/**
+ * 创建重排器
+ * @param {Object} options 配置选项
+ * @param {string} options.type 重排器类型：llm | cross-encoder
+ * @returns {LLMReranker|CrossEncoderReranker} 重排器实例
+ */
+export function createReranker(options = {}) {
+  switch (options.type) {
+    case "llm":
+      return new LLMReranker(options);
+    case "cross-encoder":
+      return new CrossEncoderReranker(options);
+    default:
+      throw new Error(`不支持的重排器类型: ${options.type}（可选: llm, cross-encoder）`);
+  }
+}
+
+/**
+ * 重排检索器 - 先由基础检索器召回候选，再用重排器重新打分并保留前 topN 个
+ * 重排分数写入文档元数据的 rerank_score
+ */
+export class RerankingRetriever extends BaseRetriever {
+  static lc_name() {
+    return "RerankingRetriever";
+  }
+
+  /**
+   * @param {Object} fields 配置项
+   * @param {BaseRetriever} fields.baseRetriever 基础检索器（负责召回候选）
+   * @param {LLMReranker|CrossEncoderReranker} fields.reranker 重排器
+   * @param {number} fields.topN 重排后保留的数量
+   */
+  constructor(fields) {
+    super(fields);
+    this.lc_namespace = ["langchain_example", "retrievers", "reranking"];
+    this.baseRetriever = fields.baseRetriever;
+    this.reranker = fields.reranker;
+    this.topN = fields.topN ?? 8;
+  }
+
+  async _getRelevantDocuments(query, runManager) {
+    const candidates = await this.baseRetriever.invoke(query, {
+      callbacks: runManager?.getChild("candidates"),
+    });
+    if (candidates.length === 0) return [];
+
+    let scores;
+    try {
+      scores = await this.reranker.score(query, candidates);
+    } catch (error) {
+      // 重排失败时退回基础检索顺序，避免整个问答失败
+      console.warn(`⚠️ 重排失败，使用原始检索顺序: ${error.message}`);
+      return candidates.slice(0, this.topN);
+    }
+
+    return candidates
+      .map((doc, index) => ({ doc, score: scores[index] ?? 0, index }))
+      // 分数相同时保持原始检索顺序
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .slice(0, this.topN)
+      .map(({ doc, score }) => new Document({
+        id: doc.id,
+        pageContent: doc.pageContent,
+        metadata: { ...doc.metadata, rerank_score: score },
+      }));
+  }
+}
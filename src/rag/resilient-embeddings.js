@@ -0,0 +1,55 @@
+import { Embeddings } from "@langchain/core/embeddings";
+import { estimateTokens, getResiliencePolicy } from "../utils/resilience.js";
+
+/**
+ * 弹性嵌入模型 - 为远程嵌入模型的每次请求加上限流、退避重试与熔断（见 utils/resilience.js）
+ * 单个子批次遇到 429 等临时错误时在本批次内重试，不会中断整次入库
+ * 中断信号（构造参数 signal 或单次调用的 options.signal）会中止限流排队与重试等待
+ */
+export class ResilientEmbeddings extends Embeddings {
+  /**
+   * @param {Object} fields 配置项
+   * @param {Embeddings} fields.underlying 实际计算向量的嵌入模型（应关闭其自带的重试）
+   * @param {string} fields.name 策略名称，同名实例共享限流额度与熔断状态（如 "embedding:google/text-embedding-004"）
+   * @param {Object} fields.policy 弹性配置覆盖项（见 resolveResilienceConfig）
+   * @param {AbortSignal} fields.signal 默认的中断信号（可选）
+   */
+  constructor(fields) {
+    super(fields);
+    this.underlying = fields.underlying;
+    this.policy = getResiliencePolicy(fields.name, "embedding", fields.policy);
+    this.signal = fields.signal;
+  }
+
+  /**
+   * @param {Array<string>} texts 文本
+   * @param {Object} options 调用选项
+   * @param {AbortSignal} options.signal 中断信号（默认使用构造参数中的 signal）
+   */
+  async embedDocuments(texts, options = {}) {
+    return this.policy.run(
+      () => this.underlying.embedDocuments(texts),
+      { tokens: texts.reduce((sum, text) => sum + estimateTokens(text), 0), signal: options.signal ?? this.signal }
+    );
+  }
+
+  /**
+   * @param {string} text 文本
+   * @param {Object} options 调用选项
+   * @param {AbortSignal} options.signal 中断信号（默认使用构造参数中的 signal）
+   */
+  async embedQuery(text, options = {}) {
+    return this.policy.run(
+      () => this.underlying.embedQuery(text),
+      { tokens: estimateTokens(text), signal: options.signal ?? this.signal }
+    );
+  }
+
+  /**
+   * 弹性策略状态（见 ResiliencePolicy.getStatus）
+   * @returns {Object} 状态
+   */
+  getStatus() {
+    return this.policy.getStatus();
+  }
+}
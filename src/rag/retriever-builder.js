@@ -1,45 +1,237 @@
-import { GoogleGenerativeAIEmbeddings } from "@langchain/google-genai";
+import fs from "node:fs/promises";
+import { watch as watchDirectory } from "node:fs";
+import path from "node:path";
 import { DocumentLoader } from "./document-loader.js";
 import { DocumentProcessor } from "./document-processor.js";
 import { VectorStoreFactory } from "./vector-store-factory.js";
+import { IndexManifest } from "./index-manifest.js";
+import { EmbeddingsFactory } from "./embeddings-factory.js";
+import { CachedEmbeddings } from "./embedding-cache.js";
+import { BM25Index } from "./bm25-index.js";
+import { HybridRetriever, ScoredVectorRetriever, toSimilarity } from "./hybrid-retriever.js";
+import { RerankingRetriever, createReranker } from "./reranker.js";
+import { normalizeFilter, toStoreFilter } from "./metadata.js";
+
+// 按过滤条件缓存的检索器数量上限
+const FILTERED_RETRIEVER_LIMIT = 50;
+// 监听模式的默认防抖时间（毫秒）：编辑器保存一次文件常触发多个事件
+const DEFAULT_WATCH_DEBOUNCE_MS = 500;
+// 支持的检索模式
+const RETRIEVAL_MODES = ["hybrid", "vector"];
+
+/**
+ * 数字配置项：未设置或为空字符串时使用默认值（空字符串不应被当作 0）
+ * @param {number|string|undefined} value 配置值
+ * @param {number} defaultValue 默认值
+ * @returns {number} 数字（非法值为 NaN，由调用方校验）
+ */
+function toNumber(value, defaultValue) {
+  return value === undefined || value === "" ? defaultValue : Number(value);
+}
+
+/**
+ * 校验检索配置：权重为非负数且不能同时为 0，RRF 常数为正数
+ * 配置来自环境变量时，NaN 等非法值会让融合分数全部失效，因此在创建时就报错
+ * @param {Object} options 检索配置 { mode, vectorWeight, keywordWeight, rrfK }
+ * @returns {Object} 原样返回的检索配置
+ */
+function validateRetrievalOptions(options) {
+  const { mode, vectorWeight, keywordWeight, rrfK } = options;
+  if (!RETRIEVAL_MODES.includes(mode)) {
+    throw new Error(`不支持的检索模式: ${mode}（可选: ${RETRIEVAL_MODES.join(", ")}）`);
+  }
+  if (!(Number.isFinite(vectorWeight) && vectorWeight >= 0)) {
+    throw new Error(`HYBRID_VECTOR_WEIGHT 必须是非负数: ${vectorWeight}`);
+  }
+  if (!(Number.isFinite(keywordWeight) && keywordWeight >= 0)) {
+    throw new Error(`HYBRID_KEYWORD_WEIGHT 必须是非负数: ${keywordWeight}`);
+  }
+  if (mode === "hybrid" && vectorWeight === 0 && keywordWeight === 0) {
+    throw new Error("HYBRID_VECTOR_WEIGHT 与 HYBRID_KEYWORD_WEIGHT 不能同时为 0");
+  }
+  if (!(Number.isFinite(rrfK) && rrfK > 0)) {
+    throw new Error(`HYBRID_RRF_K 必须是正数: ${rrfK}`);
+  }
+  return options;
+}
 /**
- * 检索器构建器 - 优化为仅支持ChromaDB持久化存储，确保数据安全
+ * 检索器构建器 - 支持 ChromaDB 与本地文件两种持久化向量存储，确保数据安全
  * @param {Object} options 配置选项
  * @param {string} options.knowledgeDir 知识库目录
+ * @param {string} options.embeddingProvider 嵌入提供方（google | openai-compatible | local | transformers）
  * @param {string} options.embeddingModel 嵌入模型
+ * @param {Object} options.embeddings 自定义嵌入模型实例（优先于以上两项）
+ * @param {boolean} options.embeddingCache 是否启用嵌入缓存（默认读取 EMBEDDING_CACHE，未设置时启用；自定义嵌入模型实例不缓存）
+ * @param {string} options.embeddingCacheDir 嵌入缓存目录（默认读取 EMBEDDING_CACHE_DIR 或 .rag/embedding-cache）
  * @param {Object} options.processorOptions 处理器选项
  * @param {number} options.chunkSize 切分大小
  * @param {number} options.chunkOverlap 切分重叠
+ * @param {Object|string} options.chunking 按扩展名的切分规则（默认读取 RAG_CHUNKING，见 DocumentProcessor）
+ * @param {string} options.pathMetadata 目录模式，如 "product/version"（默认读取 RAG_PATH_METADATA，见 metadata.js）
  * @param {Object} options.chromaOptions ChromaDB配置
  * @param {number} options.batchSize 分批处理大小
  * @param {string} options.collectionName 集合名称
  * @param {string} options.chromaUrl ChromaDB地址
+ * @param {string} options.storeType 向量存储类型（chroma | local）
+ * @param {string} options.localDir 本地向量存储目录
+ * @param {string} options.retrievalMode 检索模式（hybrid | vector）
+ * @param {number} options.vectorWeight 混合检索中向量检索的权重
+ * @param {number} options.keywordWeight 混合检索中 BM25 关键词检索的权重
+ * @param {Object} options.rerank 重排配置 { type: llm | cross-encoder, topN, llm, model }
+ * @param {string} options.manifestDir 索引清单目录（增量同步用）
  */
 export class RetrieverBuilder {
   constructor(options = {}) {
     // 知识库目录
     this.knowledgeDir = options.knowledgeDir || "knowledge";
-    // 嵌入模型
-    this.embeddingModel = options.embeddingModel || process.env.EMBEDDING_MODEL;
+    // 嵌入模型配置（提供方与模型名可由 EMBEDDING_PROVIDER / EMBEDDING_MODEL 指定）
+    this.embeddingConfig = EmbeddingsFactory.resolveConfig({
+      provider: options.embeddingProvider,
+      model: options.embeddingModel,
+    });
+    this.embeddingModel = this.embeddingConfig.model;
+    // 嵌入标识：写入索引清单，变更后自动全量重建
+    this.embeddingKey = options.embeddings
+      ? `custom/${options.embeddings.constructor.name}`
+      : EmbeddingsFactory.describe(this.embeddingConfig);
     // 处理器选项
     // 针对大文件优化的处理参数
     this.processorOptions = {
-      chunkSize: options.chunkSize || 1200,
-      chunkOverlap: options.chunkOverlap || 300,
+      chunkSize: options.chunkSize ?? process.env.RAG_CHUNK_SIZE,
+      chunkOverlap: options.chunkOverlap ?? process.env.RAG_CHUNK_OVERLAP,
+      chunking: options.chunking,
     };
-    // ChromaDB 配置
+    // 向量存储类型：chroma（默认）或 local（本地文件，无需服务）
+    this.storeType = options.storeType || process.env.VECTOR_STORE || "chroma";
+    // 向量存储配置（ChromaDB 与本地存储共用）
     this.chromaOptions = {
       batchSize: options.batchSize || 100,
       collectionName: options.collectionName || "langchain-docs",
-      chromaUrl: options.chromaUrl || process.env.CHROMA_URL || "http://localhost:8000"
+      chromaUrl: options.chromaUrl || process.env.CHROMA_URL || "http://localhost:8000",
+      localDir: options.localDir || process.env.LOCAL_VECTOR_DIR || ".rag/vectors",
+    };
+    // 检索配置：hybrid（向量 + BM25，倒数排名融合）或 vector（仅向量）
+    this.retrievalOptions = validateRetrievalOptions({
+      mode: options.retrievalMode || process.env.RETRIEVAL_MODE || "hybrid",
+      vectorWeight: toNumber(options.vectorWeight ?? process.env.HYBRID_VECTOR_WEIGHT, 1),
+      keywordWeight: toNumber(options.keywordWeight ?? process.env.HYBRID_KEYWORD_WEIGHT, 1),
+      rrfK: toNumber(options.rrfK ?? process.env.HYBRID_RRF_K, 60),
+    });
+    // 重排配置：召回候选后由 LLM 评审或本地交叉编码器重新打分，仅保留前 topN 个
+    const rerankType = options.rerank?.type ?? process.env.RERANKER ?? "none";
+    this.rerankOptions = rerankType === "none" ? null : {
+      ...options.rerank,
+      type: rerankType,
+      topN: toNumber(options.rerank?.topN ?? process.env.RERANK_TOP_N, 8),
+      model: options.rerank?.model ?? process.env.RERANKER_MODEL,
     };
+    // topN 为 NaN 时重排结果会被截成空数组，所有回答都没有上下文，因此在创建时就报错
+    if (this.rerankOptions && !(Number.isInteger(this.rerankOptions.topN) && this.rerankOptions.topN > 0)) {
+      throw new Error(`RERANK_TOP_N 必须是正整数: ${options.rerank?.topN ?? process.env.RERANK_TOP_N}`);
+    }
+    // 索引清单目录：记录每个文件的内容哈希与向量块 ID
+    this.manifestDir = options.manifestDir || process.env.RAG_MANIFEST_DIR || ".rag";
     
-    this.documentLoader = new DocumentLoader(this.knowledgeDir);
+    this.documentLoader = new DocumentLoader(this.knowledgeDir, { pathMetadata: options.pathMetadata });
     this.documentProcessor = new DocumentProcessor(this.processorOptions);
-    this.embeddings = new GoogleGenerativeAIEmbeddings({
-      model: this.embeddingModel,
-      apiKey: process.env.GOOGLE_API_KEY,
-    });
+    // 嵌入缓存：按（嵌入模型，文本哈希）缓存文档向量，重建或调整切分后未变的文本无需再次嵌入
+    // 自定义嵌入模型实例的标识只有类名，无法区分其配置，因此不缓存
+    const embeddings = options.embeddings || EmbeddingsFactory.create(this.embeddingConfig);
+    const useCache = !options.embeddings && (options.embeddingCache ?? process.env.EMBEDDING_CACHE !== "false");
+    this.embeddings = useCache
+      ? new CachedEmbeddings({ underlying: embeddings, namespace: this.embeddingKey, directory: options.embeddingCacheDir })
+      : embeddings;
+  }
+
+  /**
+   * 获取当前知识库状态（需先调用 buildRetriever）
+   * @returns {Promise<Object>} 存储类型、集合、嵌入模型、检索配置、文件与向量块数量及最近一次同步结果
+   */
+  async getStatus() {
+    if (!this.vectorStore) {
+      return { ready: false, knowledgeDir: this.knowledgeDir };
+    }
+    return {
+      ready: true,
+      knowledgeDir: this.knowledgeDir,
+      storeType: this.activeStoreType,
+      collectionName: this.manifest.meta.collectionName,
+      embeddingModel: this.embeddingKey,
+      retrievalMode: this.retrievalOptions.mode,
+      reranker: this.rerankOptions?.type ?? "none",
+      files: Object.keys(this.manifest.files).length,
+      chunks: this.manifest.totalChunks,
+      storedChunks: await VectorStoreFactory.countDocuments(this.vectorStore),
+      keywordIndexSize: this.keywordIndex?.size ?? 0,
+      updatedAt: this.manifest.meta.updatedAt ?? null,
+      lastSync: this.lastSync ?? null,
+      watching: Boolean(this.watcher),
+      embeddingCache: this.getEmbeddingCacheStats(),
+    };
+  }
+
+  /**
+   * 查询与问题最相近的知识库片段的向量相似度，用于判断问题是否与知识库相关
+   * @param {string} query 查询
+   * @param {Object} filter 元数据过滤条件（可选，见 metadata.js 的 normalizeFilter）
+   * @returns {Promise<number|null>} 最高相似度（越大越相似），检索器未构建或知识库为空时返回 null
+   */
+  async getTopSimilarity(query, filter = null) {
+    if (!this.vectorStore) return null;
+    const storeFilter = toStoreFilter(this.vectorStore, normalizeFilter(filter));
+    const [top] = await this.vectorStore.similaritySearchWithScore(query, 1, storeFilter);
+    return top ? toSimilarity(this.vectorStore, top[1]) : null;
+  }
+
+  /**
+   * 获取带元数据过滤的检索器（需先调用 buildRetriever），沿用构建时的 k 与检索配置
+   * @param {Object|null} filter 过滤条件，如 { tag: "billing", version: "2" }；为空时返回构建时的检索器
+   * @returns {Object} 检索器实例
+   */
+  getRetriever(filter = null) {
+    if (!this.vectorStore) {
+      throw new Error("检索器尚未构建，请先调用 buildRetriever");
+    }
+    const conditions = normalizeFilter(filter);
+    if (!conditions) return this.retriever;
+
+    const key = JSON.stringify(Object.entries(conditions).sort());
+    if (!this.filteredRetrievers.has(key)) {
+      if (this.filteredRetrievers.size >= FILTERED_RETRIEVER_LIMIT) {
+        this.filteredRetrievers.delete(this.filteredRetrievers.keys().next().value);
+      }
+      this.filteredRetrievers.set(key, this.createRetriever(this.vectorStore, this.keywordIndex, {
+        k: this.retrieverK,
+        filter: conditions,
+      }));
+    }
+    return this.filteredRetrievers.get(key);
+  }
+
+  /**
+   * 列出知识库中已索引的文件（相对路径）
+   * @returns {Array<string>} 文件列表
+   */
+  listIndexedFiles() {
+    return Object.keys(this.manifest?.files ?? {});
+  }
+
+  /**
+   * 嵌入缓存的累计命中统计
+   * @returns {{hits: number, misses: number, hitRate: number|null, entries: number}|null} 统计，未启用缓存时返回 null
+   */
+  getEmbeddingCacheStats() {
+    return this.embeddings instanceof CachedEmbeddings ? this.embeddings.getStats() : null;
+  }
+
+  /**
+   * 将嵌入缓存的使用时间写回磁盘（未启用缓存时不做任何事）
+   * @returns {Promise<void>}
+   */
+  async flushEmbeddingCache() {
+    if (this.embeddings instanceof CachedEmbeddings) {
+      await this.embeddings.flush();
+    }
   }
 
   /**
@@ -48,7 +240,7 @@ export class RetrieverBuilder {
    */
   async testEmbeddings() {
     try {
-      console.log(`🧪 正在测试嵌入模型: ${this.embeddingModel}`);
+      console.log(`🧪 正在测试嵌入模型: ${this.embeddingKey}`);
       const testVector = await this.embeddings.embedQuery("测试文本");
       
       if (testVector && testVector.length > 0) {
@@ -60,8 +252,12 @@ export class RetrieverBuilder {
       }
     } catch (error) {
       console.error(`❌ 嵌入模型测试失败: ${error.message}`);
-      if (error.message.includes('API')) {
-        console.error('💡 请检查 GOOGLE_API_KEY 是否正确配置');
+      if (this.embeddingConfig.provider === 'google' && error.message.includes('API')) {
+        console.error('💡 请检查 GOOGLE_API_KEY 是否正确配置，或设置 EMBEDDING_PROVIDER=local 使用离线嵌入');
+      } else if (this.embeddingConfig.provider === 'openai-compatible') {
+        console.error(`💡 请检查嵌入服务 ${this.embeddingConfig.baseURL} 是否可访问`);
+      } else if (this.embeddingConfig.provider === 'transformers') {
+        console.error('💡 请确认已安装 @huggingface/transformers 且模型已缓存到本地');
       }
       return false;
     }
@@ -79,59 +275,347 @@ export class RetrieverBuilder {
   }
 
   /**
-   * 构建 ChromaDB 检索器（增强版，包含完整性验证）
-   * @param {Object} options 配置选项
+   * 获取集合对应的索引清单路径（不同存储类型各自维护清单）
+   * @param {string} collectionName 集合名称
+   * @param {string} storeType 向量存储类型
+   * @returns {string} 清单文件路径
+   */
+  getManifestPath(collectionName, storeType = this.storeType) {
+    const suffix = storeType === "chroma" ? "" : `.${storeType}`;
+    return path.join(this.manifestDir, `${collectionName}${suffix}.manifest.json`);
+  }
+
+  /**
+   * 获取集合对应的 BM25 关键词索引路径
+   * @param {string} collectionName 集合名称
+   * @param {string} storeType 向量存储类型
+   * @returns {string} 索引文件路径
+   */
+  getKeywordIndexPath(collectionName, storeType = this.storeType) {
+    return this.getManifestPath(collectionName, storeType).replace(/\.manifest\.json$/, ".bm25.json");
+  }
+
+  /**
+   * 按存储类型打开向量存储
+   * @param {string} storeType 向量存储类型（chroma | local）
+   * @param {Object} options 存储配置
+   * @returns {Promise<Object>} 向量存储实例
+   */
+  async openVectorStore(storeType, options) {
+    switch (storeType) {
+      case "chroma":
+        return await VectorStoreFactory.openChromaStore(this.embeddings, options);
+      case "local":
+        return await VectorStoreFactory.openLocalStore(this.embeddings, options);
+      default:
+        throw new Error(`不支持的向量存储类型: ${storeType}（可选: chroma, local）`);
+    }
+  }
+
+  /**
+   * 将文件路径转换为相对知识库目录的稳定键（统一使用 / 分隔）
+   * @param {string} filePath 文件路径
+   * @returns {string} 相对路径
+   */
+  toSourceKey(filePath) {
+    return path.relative(this.knowledgeDir, filePath).split(path.sep).join("/");
+  }
+
+  /**
+   * 扫描知识库目录并计算每个文件的内容哈希
+   * @returns {Promise<Map<string, string>>} 相对路径 -> 内容哈希
+   */
+  async scanKnowledgeFiles() {
+    const files = await this.documentLoader.listFiles();
+    const hashes = new Map();
+    for (const filePath of files) {
+      const content = await fs.readFile(filePath);
+      hashes.set(this.toSourceKey(filePath), IndexManifest.hashContent(content));
+    }
+    return hashes;
+  }
+
+  /**
+   * 加载并切分单个文件，为每个块分配稳定的 ID
+   * @param {string} source 文件相对路径
+   * @returns {Promise<{rawDocs: Array, chunks: Array}>} 原始文档与切分后的文档块
+   */
+  async processFile(source) {
+    const filePath = path.join(this.knowledgeDir, source);
+    const rawDocs = await this.documentLoader.loadFile(filePath);
+    const splitDocs = await this.documentProcessor.splitDocuments(rawDocs);
+    const sanitizedDocs = this.documentProcessor.sanitizeMetadata(splitDocs)
+      .filter(doc => typeof doc.pageContent === 'string' && doc.pageContent.trim().length > 0);
+
+    // 块 ID = 路径哈希 + 块序号，文件内容变化时先删旧块再写新块
+    const sourceId = IndexManifest.hashContent(source).slice(0, 16);
+    const chunks = sanitizedDocs.map((doc, index) => ({
+      ...doc,
+      id: `${sourceId}-${index}`,
+      metadata: { ...doc.metadata, chunk_index: index },
+    }));
+    return { rawDocs, chunks };
+  }
+
+  /**
+   * 计算指定文件的内容哈希（用于只同步部分文件），不存在、隐藏或不支持的文件会被忽略
+   * @param {Array<string>} sources 文件相对路径
+   * @returns {Promise<Map<string, string>>} 相对路径 -> 内容哈希
+   */
+  async hashSources(sources) {
+    this.documentLoader.skippedFiles = [];
+    const hashes = new Map();
+    for (const source of sources) {
+      const filePath = path.join(this.knowledgeDir, source);
+      if (source.split("/").some(part => part.startsWith(".")) || !this.documentLoader.getLoaderFactory(filePath)) {
+        continue;
+      }
+      try {
+        hashes.set(source, IndexManifest.hashContent(await fs.readFile(filePath)));
+      } catch (error) {
+        if (error.code !== "ENOENT" && error.code !== "EISDIR") throw error;
+      }
+    }
+    return hashes;
+  }
+
+  /**
+   * 按索引清单将知识库目录同步到向量存储：
+   * 仅嵌入新增/变更文件，并删除已移除或已变更文件的旧向量块
+   * 变更文件先写入新块（同 ID 覆盖）再删除多余的旧块，同步期间旧内容仍可检索
+   * @param {Object} vectorStore 已打开的向量存储
+   * @param {IndexManifest} manifest 索引清单
+   * @param {Object} options 写入配置（batchSize、embedSubBatchSize 等）
+   * @param {BM25Index} keywordIndex BM25 关键词索引（可选，与向量存储同步维护）
+   * @param {Array<string>|null} sources 只同步这些文件（相对路径，监听模式使用）；为空时扫描整个知识库目录
+   * @returns {Promise<Object>} 同步报告
+   */
+  async syncKnowledgeBase(vectorStore, manifest, options = {}, keywordIndex = null, sources = null) {
+    const currentHashes = sources ? await this.hashSources(sources) : await this.scanKnowledgeFiles();
+    const diff = manifest.diff(currentHashes);
+    const { added, changed, unchanged: sameContent } = diff;
+    // 只同步部分文件时，清单中的其余文件不视为已删除
+    const removed = sources ? diff.removed.filter(source => sources.includes(source)) : diff.removed;
+    // 切分规则或目录模式变化的文件即使内容未变也需重新切分与嵌入
+    const unchanged = [];
+    for (const source of sameContent) {
+      const entry = manifest.getEntry(source);
+      if (entry.chunking === this.documentProcessor.describeRule(source)
+        && (entry.pathMetadata ?? "") === this.documentLoader.pathMetadata) {
+        unchanged.push(source);
+      } else {
+        changed.push(source);
+      }
+    }
+    console.log(`🔎 增量扫描: 新增 ${added.length}，变更 ${changed.length}，删除 ${removed.length}，未变 ${unchanged.length}`);
+
+    let chunksDeleted = 0;
+    const deleteChunks = async (ids) => {
+      if (ids.length === 0) return;
+      await vectorStore.delete({ ids });
+      keywordIndex?.removeDocuments(ids);
+      chunksDeleted += ids.length;
+    };
+    const previousChunkIds = new Map(changed.map(source => [source, manifest.getEntry(source)?.chunkIds || []]));
+
+    // 步骤 1: 删除已移除文件的向量块
+    for (const source of removed) {
+      await deleteChunks(manifest.getEntry(source)?.chunkIds || []);
+      manifest.removeEntry(source);
+    }
+
+    // 步骤 2: 加载、切分需要（重新）嵌入的文件
+    const pending = [...added, ...changed];
+    let cacheReport = null;
+    const allRawDocs = [];
+    const allChunks = [];
+    const fileChunks = new Map();
+    for (const source of pending) {
+      const filePath = path.join(this.knowledgeDir, source);
+      let result;
+      try {
+        result = await this.processFile(source);
+      } catch (error) {
+        // 加载失败的文件删除旧块且不写入清单，下次同步时重试
+        this.documentLoader.recordSkipped(filePath, `加载失败: ${error.message}`);
+        await deleteChunks(previousChunkIds.get(source) || []);
+        previousChunkIds.delete(source);
+        manifest.removeEntry(source);
+        continue;
+      }
+      if (result.chunks.length === 0 && !this.documentLoader.isSkipped(filePath)) {
+        this.documentLoader.recordSkipped(filePath, "未提取到文本内容");
+      }
+      allRawDocs.push(...result.rawDocs);
+      allChunks.push(...result.chunks);
+      fileChunks.set(source, result.chunks.map(chunk => chunk.id));
+    }
+    this.documentLoader.reportSkipped();
+
+    if (fileChunks.size > 0) {
+      const integrityReport = this.documentProcessor.validateProcessingIntegrity(allRawDocs, allChunks);
+      console.log('📊 文档处理完整性报告:');
+      console.log(`   - 原始文档: ${integrityReport.originalDocsCount} 个`);
+      console.log(`   - 处理后块数: ${integrityReport.processedChunksCount} 个`);
+      console.log(`   - 内容保留率: ${integrityReport.contentRetentionRate}%`);
+      console.log(`   - 平均切分数: ${integrityReport.averageChunksPerDoc}`);
+
+      // 步骤 3: 嵌入并写入新块，成功后再更新清单
+      const cacheBefore = this.getEmbeddingCacheStats();
+      await VectorStoreFactory.addDocumentsInBatches(vectorStore, allChunks, this.embeddings, options);
+      if (cacheBefore) {
+        const { hits, misses } = this.getEmbeddingCacheStats();
+        cacheReport = { hits: hits - cacheBefore.hits, misses: misses - cacheBefore.misses };
+        console.log(`🧊 嵌入缓存: 命中 ${cacheReport.hits}，未命中 ${cacheReport.misses}（已缓存 ${this.embeddings.cache.size} 条）`);
+      }
+      keywordIndex?.addDocuments(allChunks);
+      for (const source of fileChunks.keys()) {
+        manifest.setEntry(source, {
+          hash: currentHashes.get(source),
+          chunking: this.documentProcessor.describeRule(source),
+          ...(this.documentLoader.pathMetadata ? { pathMetadata: this.documentLoader.pathMetadata } : {}),
+          chunkIds: fileChunks.get(source),
+        });
+      }
+    } else if (pending.length === 0) {
+      console.log('✅ 知识库无变化，跳过嵌入');
+    }
+
+    // 步骤 4: 删除变更文件中未被新块覆盖的旧块
+    for (const [source, ids] of previousChunkIds) {
+      const currentIds = new Set(fileChunks.get(source) || []);
+      await deleteChunks(ids.filter(id => !currentIds.has(id)));
+    }
+    if (chunksDeleted > 0) {
+      console.log(`🗑️ 已删除 ${chunksDeleted} 个过期向量块`);
+    }
+
+    // 步骤 5: 关键词索引缺失的未变文件（如首次启用混合检索）只需重新切分，无需嵌入
+    if (keywordIndex) {
+      const missing = unchanged.filter(source =>
+        (manifest.getEntry(source)?.chunkIds || []).some(id => !keywordIndex.docs.has(id))
+      );
+      for (const source of missing) {
+        try {
+          keywordIndex.addDocuments((await this.processFile(source)).chunks);
+        } catch (error) {
+          // 补建失败的文件仍保留向量块，只是暂时无法被关键词检索命中，记入跳过列表以便排查
+          console.warn(`⚠️ 关键词索引补建失败: ${source}（${error.message}）`);
+          this.documentLoader.recordSkipped(path.join(this.knowledgeDir, source), `关键词索引补建失败: ${error.message}`);
+        }
+      }
+      if (missing.length > 0) {
+        console.log(`🔤 已为 ${missing.length} 个未变文件补建关键词索引`);
+      }
+    }
+
+    return {
+      added: added.length,
+      changed: changed.length,
+      removed: removed.length,
+      unchanged: unchanged.length,
+      chunksAdded: allChunks.length,
+      chunksDeleted,
+      embeddingCache: cacheReport,
+      skipped: this.documentLoader.skippedFiles.map(({ file, reason }) => ({ file: this.toSourceKey(file), reason })),
+    };
+  }
+
+  /**
+   * 构建 ChromaDB 检索器
+   * @param {Object} options 配置选项（同 buildRetriever）
    * @returns {Promise<Object>} 检索器实例
    */
   async buildChromaRetriever(options = {}) {
-    const { k = 30, ...customOptions } = options;
+    return await this.buildRetriever({ ...options, storeType: "chroma" });
+  }
+
+  /**
+   * 构建本地文件向量存储检索器
+   * @param {Object} options 配置选项（同 buildRetriever）
+   * @returns {Promise<Object>} 检索器实例
+   */
+  async buildLocalRetriever(options = {}) {
+    return await this.buildRetriever({ ...options, storeType: "local" });
+  }
+
+  /**
+   * 构建检索器（增量同步，包含完整性验证）
+   * @param {Object} options 配置选项
+   * @param {number} options.k 检索数量
+   * @param {string} options.storeType 向量存储类型（默认取构造时的配置）
+   * @param {boolean} options.resetCollection 是否删除集合并全量重建
+   * @returns {Promise<Object>} 检索器实例
+   */
+  async buildRetriever(options = {}) {
+    const { k = 30, storeType = this.storeType, ...customOptions } = options;
     const chromaOptions = { ...this.chromaOptions, ...customOptions };
+    const storeLabel = storeType === "local" ? "本地向量存储" : "ChromaDB";
     
-    console.log('📁 开始构建 ChromaDB 检索器...');
+    console.log(`📁 开始构建 ${storeLabel} 检索器...`);
     
     // 步骤 0: 测试嵌入模型
     console.log('🧪 正在测试嵌入模型...');
     const embeddingTest = await this.testEmbeddings();
     if (!embeddingTest) {
-      throw new Error('嵌入模型测试失败，请检查 Google API 配置');
+      throw new Error(`嵌入模型测试失败，请检查嵌入配置（${this.embeddingKey}）`);
     }
     
     try {
-      // 步骤 1: 加载原始文档
-      console.log('📚 正在加载文档...');
-      const rawDocs = await this.documentLoader.loadDocuments();
-      console.log(`✅ 已加载 ${rawDocs.length} 个原始文档`);
-      
-      // 步骤 2: 文档切分
-      console.log('✂️ 正在切分文档...');
-      const splitDocs = await this.documentProcessor.splitDocuments(rawDocs);
-      console.log(`✅ 已切分为 ${splitDocs.length} 个文档块`);
-      
-      // 步骤 3: 元数据清理
-      console.log('🧤 正在清理元数据...');
-      const sanitizedDocs = this.documentProcessor.sanitizeMetadata(splitDocs);
-      
-      // 步骤 4: 完整性验证
-      const integrityReport = this.documentProcessor.validateProcessingIntegrity(rawDocs, sanitizedDocs);
-      console.log('📊 文档处理完整性报告:');
-      console.log(`   - 原始文档: ${integrityReport.originalDocsCount} 个`);
-      console.log(`   - 处理后块数: ${integrityReport.processedChunksCount} 个`);
-      console.log(`   - 内容保留率: ${integrityReport.contentRetentionRate}%`);
-      console.log(`   - 平均切分数: ${integrityReport.averageChunksPerDoc}`);
-      
-      // 步骤 5: 创建向量存储
-      console.log('📦 正在创建向量存储...');
-      const vectorStore = await VectorStoreFactory.createChromaStore(
-        sanitizedDocs, 
-        this.embeddings, 
-        chromaOptions
-      );
+      // 步骤 1: 读取索引清单，判断是否需要全量重建
+      const manifest = await IndexManifest.load(this.getManifestPath(chromaOptions.collectionName, storeType));
+      const manifestMeta = {
+        collectionName: chromaOptions.collectionName,
+        embeddingModel: this.embeddingKey,
+      };
+      let resetCollection = Boolean(chromaOptions.resetCollection);
+      if (!resetCollection && manifest.meta.embeddingModel && manifest.meta.embeddingModel !== this.embeddingKey) {
+        console.log(`🔄 嵌入模型已变更（${manifest.meta.embeddingModel} -> ${this.embeddingKey}），将全量重建`);
+        resetCollection = true;
+      }
+
+      // 步骤 2: 打开向量存储
+      console.log('📦 正在打开向量存储...');
+      const vectorStore = await this.openVectorStore(storeType, {
+        ...chromaOptions,
+        resetCollection,
+      });
+
+      // 集合被外部清空（如 clean_vector_db.js）而清单仍有记录时，同样全量重建
+      const existingCount = await VectorStoreFactory.countDocuments(vectorStore);
+      if (!resetCollection && manifest.totalChunks > 0 && existingCount === 0) {
+        console.log('🔄 集合为空但清单存在记录，将全量重建');
+        resetCollection = true;
+      }
+      if (resetCollection) {
+        manifest.reset(manifestMeta);
+      } else {
+        manifest.meta = { ...manifest.meta, ...manifestMeta };
+      }
+
+      // 步骤 3: 增量同步（向量存储与 BM25 关键词索引同步维护）
+      const keywordIndexPath = this.getKeywordIndexPath(chromaOptions.collectionName, storeType);
+      const keywordIndex = await BM25Index.load(keywordIndexPath);
+      if (resetCollection) {
+        keywordIndex.clear();
+      }
+      let syncReport;
+      try {
+        syncReport = await this.syncKnowledgeBase(vectorStore, manifest, chromaOptions, keywordIndex);
+      } finally {
+        // 即使中途失败也保存已完成部分，下次启动从断点继续
+        await VectorStoreFactory.persist(vectorStore);
+        await manifest.save();
+        await keywordIndex.save(keywordIndexPath);
+        await this.flushEmbeddingCache();
+      }
+      console.log(`📈 同步完成: 写入 ${syncReport.chunksAdded} 块，删除 ${syncReport.chunksDeleted} 块`);
       
-      // 步骤 6: 数据库完整性验证
+      // 步骤 4: 数据库完整性验证
       console.log('🔍 正在验证数据库完整性...');
       const dbIntegrity = await VectorStoreFactory.validateDatabaseIntegrity(
         vectorStore, 
-        sanitizedDocs.length
+        manifest.totalChunks
       );
       
       if (dbIntegrity.isValid) {
@@ -142,17 +626,285 @@ export class RetrieverBuilder {
         console.warn(`⚠️ 数据库验证失败: ${dbIntegrity.error}`);
       }
       
-      // 步骤 7: 创建检索器
-      const retriever = vectorStore.asRetriever({ k });
-      console.log(`🎉 ChromaDB 检索器构建完成，检索参数 k=${k}`);
+      // 步骤 5: 创建检索器
+      const retriever = this.activateIndex({ vectorStore, keywordIndex, keywordIndexPath, manifest, storeType, k });
+      this.lastSync = { ...syncReport, finishedAt: new Date().toISOString() };
+      console.log(`🎉 ${storeLabel} 检索器构建完成，检索模式 ${this.retrievalOptions.mode}，检索参数 k=${k}`);
       
       return retriever;
     } catch (error) {
-      console.error('❌ ChromaDB 检索器构建失败:', error.message);
+      console.error(`❌ ${storeLabel} 检索器构建失败:`, error.message);
       throw new Error(`检索器构建失败: ${error.message}`);
     }
   }
 
+  /**
+   * 打开已有索引（向量存储、索引清单与 BM25 索引）并创建检索器，不扫描知识库、不嵌入文档
+   * 供管理工具查看与维护索引；集合或清单不存在时得到空索引
+   * @param {Object} options 配置选项（同 buildRetriever，resetCollection 会被忽略）
+   * @returns {Promise<Object>} 检索器实例
+   */
+  async openIndex(options = {}) {
+    const { k = 30, storeType = this.storeType, ...customOptions } = options;
+    const chromaOptions = { ...this.chromaOptions, ...customOptions, resetCollection: false, migrateSpace: false };
+    const manifest = await IndexManifest.load(this.getManifestPath(chromaOptions.collectionName, storeType));
+    if (manifest.meta.embeddingModel && manifest.meta.embeddingModel !== this.embeddingKey) {
+      console.warn(`⚠️ 索引使用的嵌入模型为 ${manifest.meta.embeddingModel}，与当前配置 ${this.embeddingKey} 不一致，向量检索结果可能不准确`);
+    }
+    const vectorStore = await this.openVectorStore(storeType, chromaOptions);
+    const keywordIndexPath = this.getKeywordIndexPath(chromaOptions.collectionName, storeType);
+    const keywordIndex = await BM25Index.load(keywordIndexPath);
+    return this.activateIndex({ vectorStore, keywordIndex, keywordIndexPath, manifest, storeType, k });
+  }
+
+  /**
+   * 记录当前使用的索引并创建检索器（buildRetriever 与 openIndex 共用）
+   * @param {Object} index 索引 { vectorStore, keywordIndex, keywordIndexPath, manifest, storeType, k }
+   * @returns {Object} 检索器实例
+   */
+  activateIndex({ vectorStore, keywordIndex, keywordIndexPath, manifest, storeType, k }) {
+    this.vectorStore = vectorStore;
+    this.keywordIndex = keywordIndex;
+    this.keywordIndexPath = keywordIndexPath;
+    this.manifest = manifest;
+    this.activeStoreType = storeType;
+    this.retriever = this.createRetriever(vectorStore, keywordIndex, { k });
+    this.retrieverK = k;
+    this.filteredRetrievers = new Map();
+    return this.retriever;
+  }
+
+  /**
+   * 获取索引统计（需先调用 buildRetriever 或 openIndex）：知识库状态、集合概要与每个文件的向量块数量
+   * @returns {Promise<Object>} 统计结果
+   */
+  async getIndexStats() {
+    if (!this.vectorStore) {
+      throw new Error("索引尚未打开，请先调用 buildRetriever 或 openIndex");
+    }
+    const collection = await VectorStoreFactory.describeCollection(this.vectorStore);
+    const sources = Object.entries(this.manifest.files)
+      .map(([source, entry]) => ({
+        source,
+        chunks: entry.chunkIds?.length ?? 0,
+        chunking: entry.chunking ?? null,
+        indexedAt: entry.indexedAt ?? null,
+      }))
+      .sort((a, b) => b.chunks - a.chunks || a.source.localeCompare(b.source));
+    return { ...(await this.getStatus()), collection, sources };
+  }
+
+  /**
+   * 按 ID 查看向量块（需先调用 buildRetriever 或 openIndex）
+   * @param {string} id 向量块 ID
+   * @returns {Promise<Object|null>} 向量块内容、元数据与来源文件，不存在时返回 null
+   */
+  async getChunk(id) {
+    if (!this.vectorStore) {
+      throw new Error("索引尚未打开，请先调用 buildRetriever 或 openIndex");
+    }
+    const [doc] = await VectorStoreFactory.getDocumentsByIds(this.vectorStore, [id]);
+    if (!doc) return null;
+    const source = Object.keys(this.manifest.files)
+      .find(key => this.manifest.files[key].chunkIds?.includes(id)) ?? null;
+    return {
+      id,
+      source,
+      pageContent: doc.pageContent,
+      metadata: doc.metadata,
+      inKeywordIndex: this.keywordIndex?.docs.has(id) ?? false,
+    };
+  }
+
+  /**
+   * 从索引中删除某个文件的全部向量块（向量存储、BM25 索引与清单同步更新并落盘）
+   * 文件仍在知识库目录中时，下次同步会重新索引
+   * @param {string} source 文件路径（相对知识库目录，或含知识库目录的路径）
+   * @returns {Promise<{source: string, chunksDeleted: number}|null>} 删除结果，文件未被索引时返回 null
+   */
+  async deleteSource(source) {
+    if (!this.vectorStore) {
+      throw new Error("索引尚未打开，请先调用 buildRetriever 或 openIndex");
+    }
+    const key = this.manifest.getEntry(source) ? source : this.toSourceKey(source);
+    const entry = this.manifest.getEntry(key);
+    if (!entry) return null;
+
+    const ids = entry.chunkIds || [];
+    if (ids.length > 0) {
+      await this.vectorStore.delete({ ids });
+      this.keywordIndex?.removeDocuments(ids);
+    }
+    this.manifest.removeEntry(key);
+    await VectorStoreFactory.persist(this.vectorStore);
+    await this.manifest.save();
+    await this.keywordIndex?.save(this.keywordIndexPath);
+    return { source: key, chunksDeleted: ids.length };
+  }
+
+  /**
+   * 将监听到的路径展开为需要同步的文件：目录展开为其中的全部文件，
+   * 并包含清单中位于该路径下的文件（目录被删除或移走时逐个删除其向量块）
+   * @param {Array<string>} paths 相对知识库目录的路径（空字符串表示整个目录）
+   * @returns {Promise<Array<string>>} 文件相对路径
+   */
+  async expandWatchedPaths(paths) {
+    const sources = new Set();
+    for (const relativePath of paths) {
+      const prefix = relativePath ? `${relativePath}/` : "";
+      const fullPath = path.join(this.knowledgeDir, relativePath);
+      const stat = await fs.stat(fullPath).catch(() => null);
+      if (stat?.isDirectory()) {
+        for (const entry of await fs.readdir(fullPath, { recursive: true, withFileTypes: true })) {
+          if (entry.isFile()) sources.add(this.toSourceKey(path.join(entry.parentPath ?? entry.path, entry.name)));
+        }
+      } else if (relativePath) {
+        sources.add(relativePath);
+      }
+      for (const source of this.listIndexedFiles()) {
+        if (source.startsWith(prefix)) sources.add(source);
+      }
+    }
+    return [...sources];
+  }
+
+  /**
+   * 同步指定路径的改动并换上新的检索器（需先调用 buildRetriever）
+   * 向量存储、BM25 索引与清单原地更新并落盘；按过滤条件缓存的检索器会被清空，之后的检索使用新索引
+   * @param {Array<string>} paths 相对知识库目录的路径
+   * @param {Object} options 写入配置（batchSize、embedSubBatchSize 等）
+   * @returns {Promise<Object|null>} 同步报告，没有文件变化时返回 null
+   */
+  async applyChanges(paths, options = {}) {
+    if (!this.vectorStore) {
+      throw new Error("检索器尚未构建，请先调用 buildRetriever");
+    }
+    const sources = await this.expandWatchedPaths(paths);
+    if (sources.length === 0) return null;
+
+    let report;
+    try {
+      report = await this.syncKnowledgeBase(
+        this.vectorStore,
+        this.manifest,
+        { ...this.chromaOptions, ...options },
+        this.keywordIndex,
+        sources
+      );
+    } finally {
+      await VectorStoreFactory.persist(this.vectorStore);
+      await this.manifest.save();
+      await this.keywordIndex.save(this.keywordIndexPath);
+      await this.flushEmbeddingCache();
+    }
+    if (report.added + report.changed + report.removed === 0) return null;
+
+    this.retriever = this.createRetriever(this.vectorStore, this.keywordIndex, { k: this.retrieverK });
+    this.filteredRetrievers = new Map();
+    this.lastSync = { ...report, finishedAt: new Date().toISOString() };
+    return report;
+  }
+
+  /**
+   * 监听知识库目录，文件新增、修改、删除后自动增量同步（需先调用 buildRetriever）
+   * 事件按防抖时间合并后只处理受影响的文件；多次改动依次同步，不会并发写入
+   * 监听器不会阻止进程退出
+   * @param {Object} options 配置选项
+   * @param {number} options.debounceMs 防抖时间（默认 RAG_WATCH_DEBOUNCE_MS 或 500）
+   * @param {Function} options.onUpdate 同步完成后的回调，参数为同步报告
+   * @param {Function} options.onError 同步失败时的回调（默认输出错误日志）
+   * @returns {{close: Function}} 监听句柄，close() 停止监听并等待进行中的同步完成
+   */
+  watch(options = {}) {
+    if (!this.vectorStore) {
+      throw new Error("检索器尚未构建，请先调用 buildRetriever");
+    }
+    if (this.watcher) return this.watcher;
+    const {
+      debounceMs: rawDebounceMs = process.env.RAG_WATCH_DEBOUNCE_MS,
+      onUpdate,
+      onError = error => console.error(`❌ 知识库 ${this.knowledgeDir} 同步失败: ${error.message}`),
+      ...writeOptions
+    } = options;
+    // NaN 会被 setTimeout 当作 1ms，每个文件事件都会单独触发一次同步
+    const debounceMs = toNumber(rawDebounceMs, DEFAULT_WATCH_DEBOUNCE_MS);
+    if (!(Number.isInteger(debounceMs) && debounceMs >= 0)) {
+      throw new Error(`RAG_WATCH_DEBOUNCE_MS 必须是非负整数: ${rawDebounceMs}`);
+    }
+
+    const changedPaths = new Set();
+    let timer = null;
+    let running = Promise.resolve();
+    const flush = () => {
+      timer = null;
+      const paths = [...changedPaths];
+      changedPaths.clear();
+      running = running
+        .then(() => this.applyChanges(paths, writeOptions))
+        .then(report => report && onUpdate?.(report))
+        .catch(onError);
+    };
+
+    // 部分平台不提供文件名，此时按整个目录处理
+    const fsWatcher = watchDirectory(this.knowledgeDir, { recursive: true }, (eventType, filename) => {
+      changedPaths.add(filename ? String(filename).split(path.sep).join("/") : "");
+      clearTimeout(timer);
+      timer = setTimeout(flush, debounceMs);
+      timer.unref();
+    });
+    fsWatcher.on("error", onError);
+    fsWatcher.unref();
+
+    console.log(`👀 正在监听知识库目录 ${this.knowledgeDir}（防抖 ${debounceMs}ms）`);
+    this.watcher = {
+      close: async () => {
+        clearTimeout(timer);
+        fsWatcher.close();
+        this.watcher = null;
+        await running;
+      },
+    };
+    return this.watcher;
+  }
+
+  /**
+   * 按检索模式创建检索器
+   * @param {Object} vectorStore 向量存储
+   * @param {BM25Index} keywordIndex BM25 关键词索引
+   * @param {Object} options 配置选项（k、元数据过滤条件 filter 与检索配置覆盖项）
+   * @returns {Object} 检索器实例
+   */
+  createRetriever(vectorStore, keywordIndex, options = {}) {
+    const { k = 30, rerank = this.rerankOptions, filter = null, ...overrides } = options;
+    const retrievalOptions = validateRetrievalOptions({ ...this.retrievalOptions, ...overrides });
+
+    let retriever;
+    if (retrievalOptions.mode === "vector" || !keywordIndex) {
+      retriever = new ScoredVectorRetriever({ vectorStore, k, filter });
+    } else {
+      retriever = new HybridRetriever({
+        vectorStore,
+        keywordIndex,
+        k,
+        vectorWeight: retrievalOptions.vectorWeight,
+        keywordWeight: retrievalOptions.keywordWeight,
+        rrfK: retrievalOptions.rrfK,
+        filter,
+      });
+    }
+
+    // 可选的重排阶段：k 个候选 -> topN 个高相关片段
+    if (rerank) {
+      console.log(`🏅 启用重排: ${rerank.type}，保留前 ${rerank.topN} 个片段`);
+      retriever = new RerankingRetriever({
+        baseRetriever: retriever,
+        reranker: createReranker(rerank),
+        topN: rerank.topN,
+      });
+    }
+    return retriever;
+  }
+
   /**
    * 连接到现有 ChromaDB 集合并创建检索器（增强版）
    * @param {Object} options 配置选项
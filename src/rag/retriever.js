@@ -3,23 +3,56 @@ import { DocumentLoader } from "./document-loader.js";
 import { DocumentProcessor } from "./document-processor.js";
 import { VectorStoreFactory } from "./vector-store-factory.js";
 import { RetrieverBuilder } from "./retriever-builder.js";
+import { KnowledgeBaseManager, loadKnowledgeBaseConfig } from "./knowledge-bases.js";
 
 // 导出所有模块类
 export { DocumentLoader } from "./document-loader.js";
 export { DocumentProcessor } from "./document-processor.js";
 export { VectorStoreFactory } from "./vector-store-factory.js";
 export { RetrieverBuilder } from "./retriever-builder.js";
+export { IndexManifest } from "./index-manifest.js";
+export { EmbeddingsFactory } from "./embeddings-factory.js";
+export { LocalVectorStore } from "./local-vector-store.js";
+export { BM25Index } from "./bm25-index.js";
+export { HybridRetriever } from "./hybrid-retriever.js";
+export { RerankingRetriever, LLMReranker, CrossEncoderReranker } from "./reranker.js";
+export { LocalHashEmbeddings } from "./local-hash-embeddings.js";
+export { KnowledgeBaseManager, MultiKnowledgeBaseRetriever, loadKnowledgeBaseConfig, resolveKnowledgeBaseDefaults } from "./knowledge-bases.js";
+
+/**
+ * 按知识库名称创建构建器：未指定名称时使用默认知识库（与 agent.js 一致；没有配置文件时为 knowledge 目录、langchain-docs 集合）
+ * @param {Object} options 构建参数，knowledgeBase 为知识库名称（见 knowledge-bases.json）
+ * @returns {Promise<{builder: RetrieverBuilder, buildOptions: Object}>} 构建器与其余构建参数
+ */
+async function createBuilder(options = {}) {
+  const { knowledgeBase, ...buildOptions } = options;
+  const manager = new KnowledgeBaseManager(await loadKnowledgeBaseConfig());
+  const { builder, buildOptions: configured } = manager.createBuilder(knowledgeBase);
+  return { builder, buildOptions: { ...configured, ...buildOptions } };
+}
 
 /** 向后兼容：构建一个内存型 Retriever（简单、零依赖、适合入门） */
 export async function buildInMemoryRetriever(options = {}) {
-  const builder = new RetrieverBuilder();
-  return await builder.buildMemoryRetriever(options);
+  const { builder, buildOptions } = await createBuilder(options);
+  return await builder.buildMemoryRetriever(buildOptions);
 }
 
-/** 向后兼容：构建一个 ChromaDB 持久性 Retriever */
+/** 向后兼容：构建一个 ChromaDB 持久性 Retriever（options.knowledgeBase 指定知识库名称） */
 export async function buildChromaRetriever(options = {}) {
-  const builder = new RetrieverBuilder();
-  return await builder.buildChromaRetriever(options);
+  const { builder, buildOptions } = await createBuilder(options);
+  return await builder.buildChromaRetriever(buildOptions);
+}
+
+/** 构建本地文件向量存储 Retriever（无需 ChromaDB 服务） */
+export async function buildLocalRetriever(options = {}) {
+  const { builder, buildOptions } = await createBuilder(options);
+  return await builder.buildLocalRetriever(buildOptions);
+}
+
+/** 按 VECTOR_STORE（chroma | local）构建 Retriever（options.knowledgeBase 指定知识库名称） */
+export async function buildRetriever(options = {}) {
+  const { builder, buildOptions } = await createBuilder(options);
+  return await builder.buildRetriever(buildOptions);
 }
 
 /** 向后兼容：连接到已存在的 ChromaDB 集合 */
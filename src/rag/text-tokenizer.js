@@ -0,0 +1,50 @@
+/**
+ * 轻量分词工具 - 兼顾中日韩文字与拉丁字母文本，无需外部词典
+ * - 拉丁字母/数字：按单词切分并转小写（保留 ERR_42、v2.1 这类标识符）
+ * - 中日韩文字：输出单字与相邻双字（bigram），弥补没有词典分词的不足
+ */
+
+// 中日韩统一表意文字、平假名、片假名、韩文音节
+const CJK_CHAR = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uac00-\ud7af]/;
+// 一段连续的中日韩文字，或一个由字母、数字及 _ . - 组成的词
+const TOKEN_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uac00-\ud7af]+|[\p{L}\p{N}]+(?:[_.\-][\p{L}\p{N}]+)*/gu;
+
+/**
+ * 判断字符串是否以中日韩文字开头
+ * @param {string} text 文本
+ * @returns {boolean} 是否为中日韩文字
+ */
+export function isCjk(text) {
+  return CJK_CHAR.test(text.charAt(0));
+}
+
+/**
+ * 将文本切分为词元
+ * @param {string} text 输入文本
+ * @returns {Array<string>} 词元数组
+ */
+export function tokenize(text) {
+  if (typeof text !== "string" || !text) return [];
+
+  const tokens = [];
+  for (const match of text.toLowerCase().matchAll(TOKEN_PATTERN)) {
+    const segment = match[0];
+    if (!isCjk(segment)) {
+      tokens.push(segment);
+      // 带分隔符的标识符同时保留各组成部分，便于部分匹配
+      if (/[_.\-]/.test(segment)) {
+        tokens.push(...segment.split(/[_.\-]+/).filter(Boolean));
+      }
+      continue;
+    }
+
+    const chars = Array.from(segment);
+    for (let i = 0; i < chars.length; i += 1) {
+      tokens.push(chars[i]);
+      if (i + 1 < chars.length) {
+        tokens.push(chars[i] + chars[i + 1]);
+      }
+    }
+  }
+  return tokens;
+}
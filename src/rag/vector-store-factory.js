@@ -1,9 +1,16 @@
 import { Chroma } from "@langchain/community/vectorstores/chroma";
 import { ChromaClient } from "chromadb";
 import { MemoryVectorStore } from "langchain/vectorstores/memory";
+import { Document } from "@langchain/core/documents";
+import fs from "node:fs/promises";
+import { LocalVectorStore } from "./local-vector-store.js";
+
+// ChromaDB 集合使用的距离度量（距离到相似度的换算见 hybrid-retriever.js 的 toSimilarity）
+const CHROMA_SPACE = "cosine";
 
 /**
  * 向量存储工厂 - 优先支持ChromaDB持久化存储，保障数据安全
+ * 同时提供本地文件存储（local），无需启动 ChromaDB 服务
  */
 export class VectorStoreFactory {
   /**
@@ -18,6 +25,89 @@ export class VectorStoreFactory {
     return await MemoryVectorStore.fromDocuments(documents, embeddings);
   }
 
+  /**
+   * 根据地址创建 ChromaDB 客户端
+   * @param {string} chromaUrl ChromaDB 地址
+   * @returns {ChromaClient} 客户端实例
+   */
+  static createChromaClient(chromaUrl = "http://localhost:8000") {
+    const url = new URL(chromaUrl);
+    return new ChromaClient({
+      host: url.hostname,
+      port: url.port || '8000',
+      ssl: url.protocol === 'https:',
+    });
+  }
+
+  /**
+   * 读取 ChromaDB 集合的距离度量（未配置时 Chroma 默认使用平方 L2 距离）
+   * @param {Object} collection ChromaDB 集合
+   * @returns {string} l2 | cosine | ip
+   */
+  static getChromaSpace(collection) {
+    return collection.configuration?.hnsw?.space
+      ?? collection.configuration?.spann?.space
+      ?? collection.metadata?.["hnsw:space"]
+      ?? "l2";
+  }
+
+  /**
+   * 打开（不存在则创建）ChromaDB 集合，可选先重置集合
+   * 新集合显式使用余弦距离；已有集合使用其他距离度量（旧版本创建）时删除后重建，
+   * 由调用方（RetrieverBuilder）发现集合为空后全量重新嵌入
+   * @param {Object} embeddings 嵌入模型
+   * @param {Object} options 配置选项
+   * @param {boolean} options.migrateSpace 已有集合不是余弦距离时是否重建（只读打开时传 false，按实际度量换算相似度）
+   * @returns {Promise<Chroma>} ChromaDB 向量存储实例
+   */
+  static async openChromaStore(embeddings, options = {}) {
+    const {
+      collectionName = "langchain-docs",
+      chromaUrl = "http://localhost:8000",
+      batchSize = 100,
+      resetCollection = false,
+      migrateSpace = true,
+    } = options;
+
+    // 使用已创建的客户端，避免 ChromaClient 的 path 参数弃用告警
+    const client = VectorStoreFactory.createChromaClient(chromaUrl);
+
+    // 集合管理
+    if (resetCollection) {
+      try {
+        await client.deleteCollection({ name: collectionName });
+        console.log(`✅ 已删除现有集合: ${collectionName}`);
+      } catch (error) {
+        console.log(`📁 集合 ${collectionName} 不存在，将创建新集合`);
+      }
+    }
+
+    const collectionMetadata = {
+      "hnsw:space": CHROMA_SPACE,
+      "created_at": new Date().toISOString(),
+      "batch_size": batchSize
+    };
+    const openCollection = () => client.getOrCreateCollection({
+      name: collectionName,
+      embeddingFunction: null,
+      configuration: { hnsw: { space: CHROMA_SPACE } },
+      metadata: collectionMetadata,
+    });
+    let collection = await openCollection();
+    const space = VectorStoreFactory.getChromaSpace(collection);
+    if (space !== CHROMA_SPACE && migrateSpace) {
+      console.log(`🔄 集合 ${collectionName} 使用 ${space} 距离，删除后按余弦距离重建`);
+      await client.deleteCollection({ name: collectionName });
+      collection = await openCollection();
+    }
+
+    const vectorStore = new Chroma(embeddings, { collectionName, index: client, collectionMetadata });
+    vectorStore.collection = collection;
+    // 相似度换算使用集合的实际距离度量
+    vectorStore.distanceSpace = VectorStoreFactory.getChromaSpace(collection);
+    return vectorStore;
+  }
+
   /**
    * 创建 ChromaDB 向量存储（分批处理大量文档）
    * @param {Array} documents 文档数组
@@ -28,145 +118,316 @@ export class VectorStoreFactory {
   static async createChromaStore(documents, embeddings, options = {}) {
     const {
       collectionName = "langchain-docs",
-      chromaUrl = "http://localhost:8000",
       batchSize = 100, // 新增：分批处理大小
       resetCollection = true, // 新增：是否重置集合
-      embedSubBatchSize = 32, // 新增：嵌入子批量大小（加速且更稳）
-      preEmbedFilter = true // 新增：是否在写入前预嵌入并过滤空向量
     } = options;
 
     try {
-      // Task 1: 过滤空内容文档并输出统计
-      const originalCount = documents.length;
-      const filteredDocuments = documents.filter(d => {
-        const content = d?.pageContent;
-        return typeof content === 'string' && content.trim().length > 0;
+      const vectorStore = await VectorStoreFactory.openChromaStore(embeddings, {
+        ...options,
+        resetCollection,
       });
-      const removed = originalCount - filteredDocuments.length;
-      if (removed > 0) {
-        console.log(`🧹 过滤空内容文档: 移除 ${removed} 条，保留 ${filteredDocuments.length}/${originalCount}`);
-      } else {
-        console.log(`🧹 未发现空内容文档，待入库数量: ${filteredDocuments.length}`);
-      }
+      const { insertedTotal, totalBatches } = await VectorStoreFactory.addDocumentsInBatches(
+        vectorStore,
+        documents,
+        embeddings,
+        options
+      );
 
-      const url = new URL(chromaUrl);
-      const client = new ChromaClient({
-        host: url.hostname,
-        port: url.port || '8000',
-        ssl: url.protocol === 'https:',
-      });
+      console.log(`🎉 成功创建 ChromaDB 向量存储`);
+      console.log(`📋 集合名称: ${collectionName}`);
+      console.log(`📈 实际写入文档数量: ${insertedTotal}`);
+      console.log(`🔄 分批处理: ${totalBatches} 个批次，每批 ${batchSize} 个文档`);
+      
+      return vectorStore;
+    } catch (error) {
+      console.error("❌ 创建 ChromaDB 向量存储时发生错误:", error.message);
+      throw new Error(`ChromaDB 连接失败: ${error.message}`);
+    }
+  }
 
-      // 集合管理
-      if (resetCollection) {
-        try {
-          await client.deleteCollection({ name: collectionName });
-          console.log(`✅ 已删除现有集合: ${collectionName}`);
-        } catch (error) {
-          console.log(`📁 集合 ${collectionName} 不存在，将创建新集合`);
-        }
-      }
+  /**
+   * 分批嵌入并写入文档到已打开的向量存储
+   * 文档带有 id 时按 id 写入（upsert），便于增量同步时覆盖或删除
+   * @param {Object} vectorStore 向量存储实例
+   * @param {Array} documents 文档数组
+   * @param {Object} embeddings 嵌入模型
+   * @param {Object} options 配置选项
+   * @returns {Promise<{insertedTotal: number, totalBatches: number}>} 写入统计
+   */
+  static async addDocumentsInBatches(vectorStore, documents, embeddings, options = {}) {
+    const {
+      batchSize = 100,
+      embedSubBatchSize = 32, // 嵌入子批量大小（加速且更稳）
+      preEmbedFilter = true // 是否在写入前预嵌入并过滤空向量
+    } = options;
 
-      // Task 2: 使用过滤后文档进行分批处理并更新日志
-      let vectorStore;
-      const totalBatches = Math.ceil(filteredDocuments.length / batchSize) || 0;
-      let insertedTotal = 0;
+    // Task 1: 过滤空内容文档并输出统计
+    const originalCount = documents.length;
+    const filteredDocuments = documents.filter(d => {
+      const content = d?.pageContent;
+      return typeof content === 'string' && content.trim().length > 0;
+    });
+    const removed = originalCount - filteredDocuments.length;
+    if (removed > 0) {
+      console.log(`🧹 过滤空内容文档: 移除 ${removed} 条，保留 ${filteredDocuments.length}/${originalCount}`);
+    } else {
+      console.log(`🧹 未发现空内容文档，待入库数量: ${filteredDocuments.length}`);
+    }
+
+    // Task 2: 使用过滤后文档进行分批处理并更新日志
+    const totalBatches = Math.ceil(filteredDocuments.length / batchSize) || 0;
+    let insertedTotal = 0;
+    
+    console.log(`📋 开始分批处理 ${filteredDocuments.length} 个文档，共 ${totalBatches} 个批次`);
+    
+    for (let i = 0; i < filteredDocuments.length; i += batchSize) {
+      const batch = filteredDocuments.slice(i, i + batchSize);
+      const batchNumber = Math.floor(i / batchSize) + 1;
       
-      console.log(`📋 开始分批处理 ${filteredDocuments.length} 个文档，共 ${totalBatches} 个批次`);
+      console.log(`🔄 处理第 ${batchNumber}/${totalBatches} 批（${batch.length} 个文档）`);
       
-      for (let i = 0; i < filteredDocuments.length; i += batchSize) {
-        const batch = filteredDocuments.slice(i, i + batchSize);
-        const batchNumber = Math.floor(i / batchSize) + 1;
-        
-        console.log(`🔄 处理第 ${batchNumber}/${totalBatches} 批（${batch.length} 个文档）`);
-        
-        try {
-          // Task 3: 批次失败时输出诊断信息（首条长度等）
-          const firstLen = batch[0]?.pageContent?.length ?? 0;
-          const lastLen = batch[batch.length - 1]?.pageContent?.length ?? 0;
-          console.log(`   ↪️ 批次首/尾文档长度: ${firstLen}/${lastLen}`);
-          // 子批量预嵌入，并在需要时进行过滤，保证向量与文档严格对齐
-          const processDocsWithOptionalPreEmbed = async (docs) => {
-            const isArrayLike = (v) => (Array.isArray(v) || (typeof ArrayBuffer !== 'undefined' && ArrayBuffer.isView && ArrayBuffer.isView(v))) && typeof v.length === 'number';
-            const cleanedDocs = [];
-            const cleanedVectors = [];
-            let removed = 0;
-            for (let s = 0; s < docs.length; s += embedSubBatchSize) {
-              const sub = docs.slice(s, s + embedSubBatchSize);
-              const texts = sub.map(d => d.pageContent);
-              let vectors;
-              try {
-                vectors = await embeddings.embedDocuments(texts);
-              } catch (embedErr) {
-                console.error(`   ❌ 子批嵌入失败: ${embedErr.message}`);
-                throw new Error(`嵌入计算失败（第${batchNumber}批 子批${Math.floor(s/embedSubBatchSize)+1}）: ${embedErr.message}`);
-              }
-              for (let vi = 0; vi < vectors.length; vi += 1) {
-                const vec = vectors[vi];
-                if (!preEmbedFilter) {
-                  // 不过滤，全部写入
-                  cleanedDocs.push(sub[vi]);
-                  cleanedVectors.push(vec);
-                } else if (isArrayLike(vec) && vec.length > 0) {
-                  cleanedDocs.push(sub[vi]);
-                  cleanedVectors.push(vec);
-                } else {
-                  removed += 1;
-                }
+      try {
+        // Task 3: 批次失败时输出诊断信息（首条长度等）
+        const firstLen = batch[0]?.pageContent?.length ?? 0;
+        const lastLen = batch[batch.length - 1]?.pageContent?.length ?? 0;
+        console.log(`   ↪️ 批次首/尾文档长度: ${firstLen}/${lastLen}`);
+        // 子批量预嵌入，并在需要时进行过滤，保证向量与文档严格对齐
+        const processDocsWithOptionalPreEmbed = async (docs) => {
+          const isArrayLike = (v) => (Array.isArray(v) || (typeof ArrayBuffer !== 'undefined' && ArrayBuffer.isView && ArrayBuffer.isView(v))) && typeof v.length === 'number';
+          const cleanedDocs = [];
+          const cleanedVectors = [];
+          let removed = 0;
+          for (let s = 0; s < docs.length; s += embedSubBatchSize) {
+            const sub = docs.slice(s, s + embedSubBatchSize);
+            const texts = sub.map(d => d.pageContent);
+            let vectors;
+            try {
+              vectors = await embeddings.embedDocuments(texts);
+            } catch (embedErr) {
+              console.error(`   ❌ 子批嵌入失败: ${embedErr.message}`);
+              throw new Error(`嵌入计算失败（第${batchNumber}批 子批${Math.floor(s/embedSubBatchSize)+1}）: ${embedErr.message}`);
+            }
+            for (let vi = 0; vi < vectors.length; vi += 1) {
+              const vec = vectors[vi];
+              if (!preEmbedFilter) {
+                // 不过滤，全部写入
+                cleanedDocs.push(sub[vi]);
+                cleanedVectors.push(vec);
+              } else if (isArrayLike(vec) && vec.length > 0) {
+                cleanedDocs.push(sub[vi]);
+                cleanedVectors.push(vec);
+              } else {
+                removed += 1;
               }
             }
-            return { cleanedDocs, cleanedVectors, removedCount: removed };
-          };
-
-          const { cleanedDocs, cleanedVectors, removedCount } = await processDocsWithOptionalPreEmbed(batch);
-          if (removedCount > 0) {
-            console.warn(`   🧯 过滤空向量文档: ${removedCount} 条`);
-          }
-          if (!cleanedDocs.length) {
-            console.warn(`   ⚠️ 清洗后本批无有效文档，跳过该批`);
-            continue;
           }
+          return { cleanedDocs, cleanedVectors, removedCount: removed };
+        };
 
-          // 写入：首批创建（连接集合），其余批追加；显式传入 embeddings，避免服务端缺省嵌入导致空向量
-          if (!vectorStore) {
-            // 使用已创建的客户端，避免 ChromaClient 的 path 参数弃用告警
-            vectorStore = await Chroma.fromExistingCollection(
-              embeddings,
-              {
-                collectionName,
-                index: client,
-                collectionMetadata: {
-                  "hnsw:space": "cosine",
-                  "created_at": new Date().toISOString(),
-                  "batch_size": batchSize
-                },
-              }
-            );
-            await vectorStore.addVectors(cleanedVectors, cleanedDocs);
-            insertedTotal += cleanedDocs.length;
-          } else {
-            await vectorStore.addVectors(cleanedVectors, cleanedDocs);
-            insertedTotal += cleanedDocs.length;
-          }
-          
-          console.log(`✅ 第 ${batchNumber} 批处理完成`);
-        } catch (batchError) {
-          console.error(`❌ 第 ${batchNumber} 批处理失败:`, batchError.message);
-          throw new Error(`分批处理失败（第${batchNumber}批）: ${batchError.message}`);
+        const { cleanedDocs, cleanedVectors, removedCount } = await processDocsWithOptionalPreEmbed(batch);
+        if (removedCount > 0) {
+          console.warn(`   🧯 过滤空向量文档: ${removedCount} 条`);
         }
+        if (!cleanedDocs.length) {
+          console.warn(`   ⚠️ 清洗后本批无有效文档，跳过该批`);
+          continue;
+        }
+
+        // 写入：显式传入向量，避免服务端缺省嵌入导致空向量；文档带 id 时按 id 写入
+        const ids = cleanedDocs.every(d => d.id) ? cleanedDocs.map(d => d.id) : undefined;
+        await vectorStore.addVectors(cleanedVectors, cleanedDocs, ids ? { ids } : undefined);
+        insertedTotal += cleanedDocs.length;
+        
+        console.log(`✅ 第 ${batchNumber} 批处理完成`);
+      } catch (batchError) {
+        console.error(`❌ 第 ${batchNumber} 批处理失败:`, batchError.message);
+        throw new Error(`分批处理失败（第${batchNumber}批）: ${batchError.message}`);
       }
+    }
 
-      console.log(`🎉 成功创建 ChromaDB 向量存储`);
-      console.log(`📋 集合名称: ${collectionName}`);
+    return { insertedTotal, totalBatches };
+  }
+
+  /**
+   * 打开（不存在则创建）本地文件向量存储集合，可选先重置集合
+   * @param {Object} embeddings 嵌入模型
+   * @param {Object} options 配置选项
+   * @returns {Promise<LocalVectorStore>} 本地向量存储实例
+   */
+  static async openLocalStore(embeddings, options = {}) {
+    const {
+      collectionName = "langchain-docs",
+      localDir = ".rag/vectors",
+      resetCollection = false,
+    } = options;
+
+    const vectorStore = await LocalVectorStore.load(embeddings, {
+      directory: localDir,
+      collectionName,
+    });
+    if (resetCollection) {
+      await vectorStore.deleteCollection();
+      console.log(`✅ 已删除现有本地集合: ${collectionName}`);
+    }
+    if (!vectorStore.collectionMetadata.created_at) {
+      vectorStore.collectionMetadata = {
+        "created_at": new Date().toISOString(),
+      };
+    }
+    return vectorStore;
+  }
+
+  /**
+   * 创建本地文件向量存储（分批处理大量文档）
+   * @param {Array} documents 文档数组
+   * @param {Object} embeddings 嵌入模型
+   * @param {Object} options 配置选项
+   * @returns {Promise<LocalVectorStore>} 本地向量存储实例
+   */
+  static async createLocalStore(documents, embeddings, options = {}) {
+    const {
+      collectionName = "langchain-docs",
+      resetCollection = true,
+    } = options;
+
+    try {
+      const vectorStore = await VectorStoreFactory.openLocalStore(embeddings, {
+        ...options,
+        resetCollection,
+      });
+      const { insertedTotal } = await VectorStoreFactory.addDocumentsInBatches(
+        vectorStore,
+        documents,
+        embeddings,
+        options
+      );
+      await vectorStore.save();
+
+      console.log(`🎉 成功创建本地向量存储`);
+      console.log(`📋 集合名称: ${collectionName}（${vectorStore.collectionPath}）`);
       console.log(`📈 实际写入文档数量: ${insertedTotal}`);
-      console.log(`🔄 分批处理: ${totalBatches} 个批次，每批 ${batchSize} 个文档`);
-      
+
       return vectorStore;
     } catch (error) {
-      console.error("❌ 创建 ChromaDB 向量存储时发生错误:", error.message);
-      throw new Error(`ChromaDB 连接失败: ${error.message}`);
+      console.error("❌ 创建本地向量存储时发生错误:", error.message);
+      throw new Error(`本地向量存储创建失败: ${error.message}`);
     }
   }
 
+  /**
+   * 连接到现有的本地向量存储集合
+   * @param {Object} embeddings 嵌入模型
+   * @param {Object} options 配置选项
+   * @returns {Promise<LocalVectorStore>} 本地向量存储实例
+   */
+  static async connectToExistingLocal(embeddings, options = {}) {
+    const {
+      collectionName = "langchain-docs",
+      localDir = ".rag/vectors",
+    } = options;
+
+    const vectorStore = await LocalVectorStore.load(embeddings, {
+      directory: localDir,
+      collectionName,
+    });
+    console.log(`成功连接到现有本地集合: ${collectionName}（${vectorStore.count()} 个文档）`);
+    return vectorStore;
+  }
+
+  /**
+   * 列出本地向量存储目录下的所有集合
+   * @param {Object} options 配置选项
+   * @returns {Promise<Array<string>>} 集合名称列表
+   */
+  static async listLocalCollections(options = {}) {
+    const { localDir = ".rag/vectors" } = options;
+    try {
+      const entries = await fs.readdir(localDir, { withFileTypes: true });
+      return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * 将向量存储的改动落盘（仅本地存储需要，ChromaDB 写入即持久化）
+   * @param {Object} vectorStore 向量存储实例
+   * @returns {Promise<void>}
+   */
+  static async persist(vectorStore) {
+    if (vectorStore instanceof LocalVectorStore) {
+      await vectorStore.save();
+    }
+  }
+
+  /**
+   * 统计向量存储中的文档数量
+   * @param {Object} vectorStore 向量存储实例
+   * @returns {Promise<number|null>} 文档数量，无法统计时返回 null
+   */
+  static async countDocuments(vectorStore) {
+    if (vectorStore instanceof LocalVectorStore) {
+      return vectorStore.count();
+    }
+    if (typeof vectorStore?.ensureCollection === 'function') {
+      const collection = await vectorStore.ensureCollection();
+      return await collection.count();
+    }
+    return null;
+  }
+
+  /**
+   * 按 ID 读取向量存储中的文档（含元数据）
+   * @param {Object} vectorStore 向量存储实例
+   * @param {Array<string>} ids 文档 ID
+   * @returns {Promise<Array<Document>>} 找到的文档（不存在的 ID 会被忽略）
+   */
+  static async getDocumentsByIds(vectorStore, ids) {
+    if (vectorStore instanceof LocalVectorStore) {
+      return vectorStore.getDocuments(ids);
+    }
+    if (typeof vectorStore?.ensureCollection === 'function') {
+      const collection = await vectorStore.ensureCollection();
+      const result = await collection.get({ ids, include: ["documents", "metadatas"] });
+      return result.ids.map((id, index) => new Document({
+        id,
+        pageContent: result.documents[index] ?? "",
+        metadata: result.metadatas[index] ?? {},
+      }));
+    }
+    throw new Error('当前向量存储不支持按 ID 读取文档');
+  }
+
+  /**
+   * 获取集合概要：名称、文档数量、向量维度与集合元数据
+   * @param {Object} vectorStore 向量存储实例
+   * @returns {Promise<{name: string, count: number|null, dimension: number|null, metadata: Object}>} 集合概要
+   */
+  static async describeCollection(vectorStore) {
+    if (vectorStore instanceof LocalVectorStore) {
+      return {
+        name: vectorStore.collectionName,
+        count: vectorStore.count(),
+        dimension: vectorStore.numDimensions ?? null,
+        metadata: vectorStore.collectionMetadata,
+      };
+    }
+    if (typeof vectorStore?.ensureCollection === 'function') {
+      const collection = await vectorStore.ensureCollection();
+      // 取一条向量推断维度（集合为空时为 null）
+      const sample = await collection.get({ limit: 1, include: ["embeddings"] });
+      return {
+        name: collection.name,
+        count: await collection.count(),
+        dimension: sample.embeddings?.[0]?.length ?? null,
+        metadata: collection.metadata ?? {},
+      };
+    }
+    return { name: null, count: null, dimension: null, metadata: {} };
+  }
+
   /**
    * 连接到现有的 ChromaDB 集合
    * @param {Object} embeddings 嵌入模型
@@ -183,6 +444,8 @@ export class VectorStoreFactory {
       const vectorStore = new Chroma(embeddings, {
         collectionName,
         url: chromaUrl,
+        // 集合不存在时按余弦距离创建（与 openChromaStore 一致）
+        collectionMetadata: { "hnsw:space": CHROMA_SPACE },
       });
 
       console.log(`成功连接到现有 ChromaDB 集合: ${collectionName}`);
@@ -205,12 +468,7 @@ export class VectorStoreFactory {
     } = options;
 
     try {
-      const url = new URL(chromaUrl);
-      const client = new ChromaClient({
-        host: url.hostname,
-        port: url.port || '8000',
-        ssl: url.protocol === 'https:',
-      });
+      const client = VectorStoreFactory.createChromaClient(chromaUrl);
 
       console.log(`🗑️ 正在清理 ChromaDB 集合: ${collectionName}...`);
       
@@ -244,12 +502,7 @@ export class VectorStoreFactory {
     } = options;
 
     try {
-      const url = new URL(chromaUrl);
-      const client = new ChromaClient({
-        host: url.hostname,
-        port: url.port || '8000',
-        ssl: url.protocol === 'https:',
-      });
+      const client = VectorStoreFactory.createChromaClient(chromaUrl);
 
       const collections = await client.listCollections();
       console.log(`📁 找到 ${collections.length} 个集合:`);
@@ -274,12 +527,12 @@ export class VectorStoreFactory {
     try {
       // 获取数据库中的数据量
       const testQuery = await vectorStore.similaritySearch("测试查询", 1);
-      const collectionInfo = await vectorStore.client?.getCollection({ name: vectorStore.collectionName });
+      const actualCount = await VectorStoreFactory.countDocuments(vectorStore);
       
       return {
         isValid: true,
         expectedCount,
-        actualCount: collectionInfo?.count || 'unknown',
+        actualCount: actualCount ?? 'unknown',
         testQuerySuccess: testQuery.length > 0,
         timestamp: new Date().toISOString()
       };
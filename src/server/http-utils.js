@@ -0,0 +1,122 @@
+/**
+ * HTTP 工具：JSON 请求/响应、Server-Sent Events 与图的流式执行
+ */
+
+/**
+ * 带状态码的 HTTP 错误，由路由分发统一转换为 JSON 错误响应
+ */
+export class HttpError extends Error {
+  /**
+   * @param {number} status HTTP 状态码
+   * @param {string} message 错误信息
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
+
+/**
+ * 读取并解析 JSON 请求体
+ * @param {import("node:http").IncomingMessage} req 请求
+ * @param {number} limit 请求体大小上限（字节）
+ * @returns {Promise<Object>} 解析后的对象（空请求体返回 {}；不是 JSON 对象时返回 400）
+ */
+export async function readJsonBody(req, limit = 1024 * 1024) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) {
+      throw new HttpError(413, "请求体过大");
+    }
+    chunks.push(chunk);
+  }
+  const raw = Buffer.concat(chunks).toString("utf-8").trim();
+  if (!raw) return {};
+  let body;
+  try {
+    body = JSON.parse(raw);
+  } catch {
+    throw new HttpError(400, "请求体不是合法的 JSON");
+  }
+  if (body === null || typeof body !== "object" || Array.isArray(body)) {
+    throw new HttpError(400, "请求体必须是 JSON 对象");
+  }
+  return body;
+}
+
+/**
+ * 发送 JSON 响应
+ * @param {import("node:http").ServerResponse} res 响应
+ * @param {number} status HTTP 状态码
+ * @param {Object} body 响应体
+ */
+export function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * 开启 Server-Sent Events 响应流
+ * @param {import("node:http").ServerResponse} res 响应
+ * @returns {{send: Function, sendData: Function, close: Function}}
+ *   send(event, data) 发送一个具名事件；sendData(data) 发送不带事件名的 data 行（OpenAI 流式格式）；close() 结束响应
+ */
+export function openEventStream(res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // 关闭 Nginx 等反向代理的缓冲，保证逐字输出
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  return {
+    send(event, data) {
+      if (res.writableEnded) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    sendData(data) {
+      if (res.writableEnded) return;
+      res.write(`data: ${typeof data === "string" ? data : JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (!res.writableEnded) res.end();
+    },
+  };
+}
+
+/**
+ * 以 streamEvents（v2）执行一轮图调用（SSE 接口与 OpenAI 兼容接口共用）：
+ * 客户端断开连接时取消执行，结束后以检查点中的最终状态作为完整结果，与非流式调用保持一致
+ * @param {import("node:http").ServerResponse} res 响应（连接提前关闭时取消执行）
+ * @param {Object} graph 已编译的 LangGraph 应用
+ * @param {Object} input 图输入
+ * @param {Object} options 执行参数
+ * @param {Object} options.configurable 运行配置（需包含 thread_id）
+ * @param {Function} options.onEvent 处理每个 streamEvents 事件 (ev) => void
+ * @returns {Promise<Object|null>} 最终状态（图状态的 values），客户端已断开时返回 null
+ */
+export async function streamGraph(res, graph, input, { configurable, onEvent = () => {} }) {
+  const controller = new AbortController();
+  const abort = () => {
+    if (!res.writableEnded) controller.abort();
+  };
+  res.on("close", abort);
+  try {
+    const eventStream = graph.streamEvents(input, { version: "v2", configurable, signal: controller.signal });
+    for await (const ev of eventStream) {
+      onEvent(ev);
+    }
+    const snapshot = await graph.getState({ configurable: { thread_id: configurable.thread_id } });
+    return snapshot.values ?? {};
+  } catch (error) {
+    if (controller.signal.aborted) return null;
+    throw error;
+  } finally {
+    res.off("close", abort);
+  }
+}
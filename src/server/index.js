@@ -0,0 +1,113 @@
+import http from "node:http";
+import { pathToFileURL } from "node:url";
+import { routes, cleanupThreads } from "./routes.js";
+import { HttpError, sendJson } from "./http-utils.js";
+import { sendOpenAIError } from "./openai-format.js";
+import { CircuitOpenError } from "../utils/resilience.js";
+
+/**
+ * HTTP API 服务：对外提供对话、RAG、翻译、线程管理与知识库状态接口
+ * 设置请求体 stream: true 时以 Server-Sent Events 逐字推送模型输出
+ */
+
+const CORS_ORIGIN = process.env.CORS_ORIGIN || "*";
+// 过期线程清理间隔（长时间运行的服务按保留策略定期清理）
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * 请求分发：匹配路由、解析路径参数，并把异常转换为 JSON 错误响应
+ * @param {import("node:http").IncomingMessage} req 请求
+ * @param {import("node:http").ServerResponse} res 响应
+ */
+async function handleRequest(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", CORS_ORIGIN);
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
+  if (req.method === "OPTIONS") {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+  try {
+    const matched = routes.filter(route => route.regex.test(url.pathname));
+    if (matched.length === 0) {
+      throw new HttpError(404, `接口不存在: ${url.pathname}`);
+    }
+    const route = matched.find(r => r.method === req.method);
+    if (!route) {
+      throw new HttpError(405, `不支持的请求方法: ${req.method}`);
+    }
+
+    const values = url.pathname.match(route.regex).slice(1);
+    const params = Object.fromEntries(route.keys.map((key, i) => [key, decodePathParam(values[i])]));
+    await route.handler(req, res, { params, query: url.searchParams });
+  } catch (error) {
+    // 模型服务熔断时返回 503，并告知客户端多久后重试
+    const status = error instanceof HttpError ? error.status : error instanceof CircuitOpenError ? 503 : 500;
+    if (error instanceof CircuitOpenError && !res.headersSent) {
+      res.setHeader("Retry-After", String(Math.ceil(error.retryAfterMs / 1000)));
+    }
+    if (status === 500) {
+      console.error(`❌ ${req.method} ${url.pathname} 处理失败：`, error);
+    }
+    if (res.headersSent) {
+      res.end();
+    } else if (url.pathname.startsWith("/v1/")) {
+      // OpenAI 兼容接口使用 OpenAI 的错误格式，便于 SDK 解析
+      sendOpenAIError(res, status, error);
+    } else {
+      sendJson(res, status, { error: { message: error.message } });
+    }
+  }
+}
+
+/**
+ * 解码路径参数，编码不合法（如 "%E0%A4%A"）时返回 400
+ * @param {string} value 原始路径片段
+ * @returns {string} 解码后的参数
+ */
+function decodePathParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    throw new HttpError(400, `路径参数编码不合法: ${value}`);
+  }
+}
+
+/**
+ * 启动 HTTP 服务
+ * @param {Object} options 配置选项
+ * @param {number} options.port 监听端口（默认 PORT 或 3000）
+ * @param {string} options.host 监听地址（默认 HOST 或 127.0.0.1）
+ * @returns {Promise<http.Server>} 服务实例
+ */
+export async function startServer(options = {}) {
+  const port = Number(options.port ?? process.env.PORT ?? 3000);
+  const host = options.host ?? process.env.HOST ?? "127.0.0.1";
+  const server = http.createServer(handleRequest);
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+  const address = server.address();
+  console.log(`🌐 HTTP 服务已启动: http://${address.address}:${address.port}`);
+
+  const cleanupTimer = setInterval(() => {
+    cleanupThreads()
+      .then(deleted => deleted > 0 && console.log(`🧹 已清理 ${deleted} 个过期线程`))
+      .catch(error => console.warn(`⚠️ 过期线程清理失败: ${error.message}`));
+  }, CLEANUP_INTERVAL_MS);
+  cleanupTimer.unref();
+  server.on("close", () => clearInterval(cleanupTimer));
+  return server;
+}
+
+// 直接运行本文件时启动服务
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  startServer().catch((error) => {
+    console.error("❌ HTTP 服务启动失败：", error.message);
+    process.exit(1);
+  });
+}
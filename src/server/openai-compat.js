@@ -0,0 +1,173 @@
+import { v4 as uuidv4 } from "uuid";
+import { app, ragApp, assistantApp } from "../agent.js";
+import { getMessageText, getStreamToken } from "../utils/stream-events.js";
+import { deleteThread } from "../utils/thread-utils.js";
+import { HttpError, readJsonBody, sendJson, openEventStream, streamGraph } from "./http-utils.js";
+import { toGraphMessages, addUsage, toOpenAIError } from "./openai-format.js";
+
+/**
+ * OpenAI 兼容接口：POST /v1/chat/completions 与 GET /v1/models
+ *
+ * 请求中的 model 字段选择要执行的 LangGraph 图：
+ *   agent-chat  普通对话（app）
+ *   agent-rag   知识库问答（ragApp），响应额外附带 citations
+ *   agent-auto  自动路由（assistantApp），每轮自动选择普通对话或知识库问答
+ *
+ * 协议本身无状态：默认每个请求使用一个临时线程，并把 messages 全部写入图状态，响应后删除该线程；
+ * 若请求头带有 X-Thread-Id，则只把最后一条用户消息追加到该线程，由检查点提供历史。
+ * 用量（usage）只统计生成回答的模型调用（Gemini 由 streamUsage 提供），
+ * 问题改写、路由、重排、摘要、记忆提取等内部调用（标记为 langsmith:nostream）不计入。
+ * 错误响应使用 OpenAI 的格式 { error: { message, type, param, code } }（协议转换见 openai-format.js）。
+ */
+
+const MODELS = {
+  "agent-chat": { graph: app, description: "普通对话图" },
+  "agent-rag": { graph: ragApp, description: "知识库问答图（检索增强生成）" },
+  "agent-auto": { graph: assistantApp, description: "自动路由图（普通对话 / 知识库问答）" },
+};
+
+const CREATED_AT = Math.floor(Date.now() / 1000);
+
+/**
+ * 校验 Bearer 令牌（设置了 OPENAI_COMPAT_API_KEY 时生效）
+ * @param {import("node:http").IncomingMessage} req 请求
+ */
+function authorize(req) {
+  const apiKey = process.env.OPENAI_COMPAT_API_KEY;
+  if (!apiKey) return;
+  if (req.headers.authorization !== `Bearer ${apiKey}`) {
+    throw new HttpError(401, "API 密钥无效");
+  }
+}
+
+/**
+ * GET /v1/models
+ */
+export async function handleListModels(req, res) {
+  authorize(req);
+  sendJson(res, 200, {
+    object: "list",
+    data: Object.entries(MODELS).map(([id, { description }]) => ({
+      id,
+      object: "model",
+      created: CREATED_AT,
+      owned_by: "langchain-example",
+      description,
+    })),
+  });
+}
+
+/**
+ * POST /v1/chat/completions { model, messages, stream?, stream_options? }
+ */
+export async function handleChatCompletions(req, res) {
+  authorize(req);
+  const body = await readJsonBody(req);
+  const model = MODELS[body.model];
+  if (!model) {
+    throw new HttpError(404, `模型不存在: ${body.model}（可选: ${Object.keys(MODELS).join(", ")}）`);
+  }
+
+  const messages = toGraphMessages(body.messages);
+  const requestedThread = req.headers["x-thread-id"];
+  const threadId = requestedThread || `openai-${uuidv4()}`;
+  const input = { messages: requestedThread ? messages.slice(-1) : messages };
+  try {
+    await runCompletion(res, { body, graph: model.graph, threadId, input, persistent: Boolean(requestedThread) });
+  } finally {
+    // 临时线程只服务于本次请求，响应后删除，避免检查点无限增长
+    if (!requestedThread) {
+      await deleteThread(model.graph.checkpointer, threadId).catch((error) => {
+        console.warn(`⚠️ 临时线程 ${threadId} 删除失败: ${error.message}`);
+      });
+    }
+  }
+}
+
+/**
+ * 执行一轮对话并以 OpenAI 格式返回（流式或一次性响应）
+ * @param {import("node:http").ServerResponse} res 响应
+ * @param {Object} options 执行参数
+ * @param {Object} options.body 请求体
+ * @param {Object} options.graph 要执行的 LangGraph 图
+ * @param {string} options.threadId 线程 ID
+ * @param {Object} options.input 图输入
+ * @param {boolean} options.persistent 是否为客户端指定的线程（临时线程不在响应头中返回）
+ */
+async function runCompletion(res, { body, graph, threadId, input, persistent }) {
+  const id = `chatcmpl-${uuidv4()}`;
+  const created = Math.floor(Date.now() / 1000);
+  const base = { id, created, model: body.model };
+  const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+
+  // 返回线程 ID，客户端可通过 X-Thread-Id 请求头继续该线程
+  if (persistent) res.setHeader("X-Thread-Id", threadId);
+  const events = body.stream ? openEventStream(res) : null;
+  if (events) {
+    events.sendData({
+      ...base,
+      object: "chat.completion.chunk",
+      choices: [{ index: 0, delta: { role: "assistant", content: "" }, finish_reason: null }],
+    });
+  }
+
+  let finalState;
+  try {
+    finalState = await streamGraph(res, graph, input, {
+      // OpenAI 请求的 user 字段作为长期用户记忆的用户 ID
+      configurable: { thread_id: threadId, user_id: typeof body.user === "string" && body.user ? body.user : undefined },
+      onEvent: (ev) => {
+        if (ev.event === "on_chat_model_end" && !ev.tags?.includes("langsmith:nostream")) {
+          addUsage(usage, ev.data?.output?.usage_metadata);
+        }
+        const token = getStreamToken(ev);
+        if (events && token) {
+          events.sendData({
+            ...base,
+            object: "chat.completion.chunk",
+            choices: [{ index: 0, delta: { content: token }, finish_reason: null }],
+          });
+        }
+      },
+    });
+  } catch (error) {
+    if (!events) throw error;
+    console.error("❌ 流式调用失败：", error.message);
+    events.sendData(toOpenAIError(500, error));
+    events.close();
+    return;
+  }
+  // 客户端已断开连接
+  if (!finalState) return;
+
+  const last = finalState.messages[finalState.messages.length - 1];
+  // 自动路由走普通对话时不附带 citations
+  const extra = finalState.citations && finalState.route !== "chat" ? { citations: finalState.citations } : {};
+
+  if (events) {
+    events.sendData({
+      ...base,
+      object: "chat.completion.chunk",
+      choices: [{ index: 0, delta: {}, finish_reason: "stop" }],
+      ...extra,
+    });
+    if (body.stream_options?.include_usage) {
+      events.sendData({ ...base, object: "chat.completion.chunk", choices: [], usage });
+    }
+    events.sendData("[DONE]");
+    events.close();
+    return;
+  }
+
+  sendJson(res, 200, {
+    ...base,
+    object: "chat.completion",
+    choices: [{
+      index: 0,
+      message: { role: "assistant", content: getMessageText(last.content) },
+      finish_reason: "stop",
+    }],
+    usage,
+    ...extra,
+  });
+}
@@ -0,0 +1,71 @@
+import { getMessageText } from "../utils/stream-events.js";
+import { HttpError, sendJson } from "./http-utils.js";
+
+/**
+ * OpenAI 兼容接口的协议转换（不依赖具体的图，便于单独测试）：
+ * 请求消息转换为图输入、用量累加与 OpenAI 格式的错误响应
+ */
+
+// 图输入保留的消息角色（tool、function 等其他角色直接忽略）
+const ROLES = new Set(["system", "user", "assistant"]);
+
+// HTTP 状态码 -> OpenAI 错误类型
+const ERROR_TYPES = {
+  400: "invalid_request_error",
+  401: "authentication_error",
+  404: "invalid_request_error",
+  413: "invalid_request_error",
+  429: "rate_limit_error",
+};
+
+/**
+ * 生成 OpenAI 格式的错误响应体
+ * @param {number} status HTTP 状态码
+ * @param {Error} error 错误
+ * @returns {{error: {message: string, type: string, param: null, code: null}}} 错误响应体
+ */
+export function toOpenAIError(status, error) {
+  return {
+    error: { message: error.message, type: ERROR_TYPES[status] ?? "server_error", param: null, code: null },
+  };
+}
+
+/**
+ * 以 OpenAI 的错误格式发送错误响应
+ * @param {import("node:http").ServerResponse} res 响应
+ * @param {number} status HTTP 状态码
+ * @param {Error} error 错误
+ */
+export function sendOpenAIError(res, status, error) {
+  sendJson(res, status, toOpenAIError(status, error));
+}
+
+/**
+ * 将 OpenAI 格式的消息转换为图输入（仅保留 system / user / assistant 的文本内容）
+ * @param {Array<Object>} messages OpenAI 格式的消息
+ * @returns {Array<{role: string, content: string}>} 图输入消息
+ */
+export function toGraphMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new HttpError(400, '"messages" 必须是非空数组');
+  }
+  const converted = messages
+    .filter(m => ROLES.has(m?.role))
+    .map(m => ({ role: m.role, content: getMessageText(m.content) }));
+  if (converted[converted.length - 1]?.role !== "user") {
+    throw new HttpError(400, "最后一条消息必须是 user 消息");
+  }
+  return converted;
+}
+
+/**
+ * 累加模型调用的 usage_metadata
+ * @param {Object} usage 累计用量（会被修改）
+ * @param {Object} metadata 单次调用的 usage_metadata
+ */
+export function addUsage(usage, metadata) {
+  if (!metadata) return;
+  usage.prompt_tokens += metadata.input_tokens ?? 0;
+  usage.completion_tokens += metadata.output_tokens ?? 0;
+  usage.total_tokens += metadata.total_tokens ?? (metadata.input_tokens ?? 0) + (metadata.output_tokens ?? 0);
+}
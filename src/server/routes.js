@@ -0,0 +1,412 @@
+import { v4 as uuidv4 } from "uuid";
+import {
+  app,
+  ragApp,
+  assistantApp,
+  agentApp,
+  getKnowledgeBaseStatus,
+  listKnowledgeBases,
+  resolveKnowledgeBases,
+} from "../agent.js";
+import { collectToolCalls } from "../tools/index.js";
+import { app as translateApp, DEFAULT_LANGUAGE } from "../utils/translate_bot_example.js";
+import { describeModelConfig } from "../utils/model-factory.js";
+import { getResilienceStatus } from "../utils/resilience.js";
+import { getMessageText, getStreamToken, getToolEvent, isNodeEnd } from "../utils/stream-events.js";
+import { listThreadIds, deleteThread, getThread } from "../utils/thread-utils.js";
+import { takeMemoryUpdates } from "../utils/user-memory.js";
+import { normalizeFilter } from "../rag/metadata.js";
+import { HttpError, readJsonBody, sendJson, openEventStream, streamGraph } from "./http-utils.js";
+import { handleChatCompletions, handleListModels } from "./openai-compat.js";
+
+// 可通过 API 访问的图：名称 -> 已编译的 LangGraph 应用
+const GRAPHS = {
+  chat: app,
+  rag: ragApp,
+  assistant: assistantApp,
+  agent: agentApp,
+  translate: translateApp,
+};
+
+/**
+ * 按检查点保留策略清理所有图的过期线程（见 utils/checkpointer.js）
+ * @returns {Promise<number>} 删除的线程数量
+ */
+export async function cleanupThreads() {
+  let deleted = 0;
+  for (const graph of Object.values(GRAPHS)) {
+    const expired = await graph.checkpointer.cleanup?.() ?? [];
+    deleted += expired.length;
+  }
+  return deleted;
+}
+
+/**
+ * 根据查询参数选择图，未指定时返回全部
+ * @param {string|null} name 图名称
+ * @returns {Array<[string, Object]>} [名称, 图] 列表
+ */
+function selectGraphs(name) {
+  if (!name) return Object.entries(GRAPHS);
+  if (!GRAPHS[name]) {
+    throw new HttpError(400, `未知的 graph: ${name}（可选: ${Object.keys(GRAPHS).join(", ")}）`);
+  }
+  return [[name, GRAPHS[name]]];
+}
+
+/**
+ * 读取必填的文本字段
+ * @param {Object} body 请求体
+ * @param {string} field 字段名
+ * @returns {string} 去除首尾空白后的文本
+ */
+function requireText(body, field) {
+  const value = typeof body[field] === "string" ? body[field].trim() : "";
+  if (!value) {
+    throw new HttpError(400, `缺少必填字段 "${field}"`);
+  }
+  return value;
+}
+
+/**
+ * 读取可选的用户 ID（用于长期用户记忆）
+ * @param {Object} body 请求体
+ * @returns {string|undefined} 用户 ID
+ */
+function optionalUserId(body) {
+  if (body.userId === undefined || body.userId === null) return undefined;
+  if (typeof body.userId !== "string" || !body.userId.trim()) {
+    throw new HttpError(400, "userId 必须是非空字符串");
+  }
+  return body.userId.trim();
+}
+
+/**
+ * 读取可选的知识库元数据过滤条件，如 { "tag": "billing", "version": "2" }
+ * @param {Object} body 请求体
+ * @returns {Object|null} 规范化后的过滤条件
+ */
+function optionalFilter(body) {
+  try {
+    return normalizeFilter(body.filter);
+  } catch (error) {
+    throw new HttpError(400, error.message);
+  }
+}
+
+/**
+ * 读取可选的知识库名称（字符串、逗号分隔的多个名称或数组），未指定时使用默认知识库
+ * @param {*} value 请求中的知识库名称
+ * @returns {Array<string>} 知识库名称列表
+ */
+function optionalKnowledgeBase(value) {
+  if (value !== undefined && value !== null && typeof value !== "string" && !Array.isArray(value)) {
+    throw new HttpError(400, "knowledgeBase 必须是字符串或字符串数组");
+  }
+  try {
+    return resolveKnowledgeBases(value);
+  } catch (error) {
+    throw new HttpError(400, error.message);
+  }
+}
+
+/**
+ * 执行一轮图调用：stream 为 true 时以 SSE 推送增量文本，否则返回完整 JSON
+ *
+ * SSE 事件：
+ *   thread  { threadId }              开始时发送
+ *   token   { text }                  模型输出的增量文本
+ *   route   { route, routeReason }    （自动路由）选择的路径及原因
+ *   query   { standaloneQuery }       （RAG）改写后的检索查询
+ *   tool_call   { id, name, args }    （智能体）发起工具调用
+ *   tool_result { id, name, content } （智能体）工具返回结果
+ *   done    { threadId, reply, ... }  本轮结束，附带完整回复及额外字段
+ *   memory  { added, forgotten }      本轮新记住 / 忘记的长期用户记忆（请求带 userId 时，在 done 之后、后台提取完成时发送）
+ *   error   { message }               执行失败
+ *
+ * @param {Object} params 参数
+ * @param {import("node:http").ServerResponse} params.res 响应
+ * @param {Object} params.graph 已编译的 LangGraph 应用
+ * @param {string} params.text 用户输入
+ * @param {Object} params.configurable 图配置（需包含 thread_id）
+ * @param {boolean} params.stream 是否流式输出
+ * @param {Function} params.summarize 由最终状态生成额外返回字段 (values) => Object
+ */
+async function runGraph({ res, graph, text, configurable, stream, summarize = () => ({}) }) {
+  const threadId = configurable.thread_id;
+  const input = { messages: [{ role: "user", content: text }] };
+
+  if (!stream) {
+    const output = await graph.invoke(input, { configurable });
+    const last = output.messages[output.messages.length - 1];
+    sendJson(res, 200, { threadId, reply: getMessageText(last.content), ...summarize(output) });
+    return;
+  }
+
+  const events = openEventStream(res);
+  events.send("thread", { threadId });
+  try {
+    const values = await streamGraph(res, graph, input, {
+      configurable,
+      onEvent: (ev) => {
+        const token = getStreamToken(ev);
+        if (token) events.send("token", { text: token });
+        if (isNodeEnd(ev, "router") && ev.data?.output?.route) {
+          const { route, routeReason } = ev.data.output;
+          events.send("route", { route, routeReason });
+        }
+        if (isNodeEnd(ev, "condense") && ev.data?.output?.standaloneQuery) {
+          events.send("query", { standaloneQuery: ev.data.output.standaloneQuery });
+        }
+        const toolEvent = getToolEvent(ev);
+        if (toolEvent) {
+          const { type, ...data } = toolEvent;
+          events.send(type, data);
+        }
+      },
+    });
+    // 客户端已断开连接
+    if (!values) return;
+
+    // 以检查点中的最终状态作为完整回复，与非流式调用保持一致
+    const messages = values.messages ?? [];
+    const last = messages[messages.length - 1];
+    events.send("done", {
+      threadId,
+      reply: getMessageText(last?.content),
+      ...summarize(values),
+    });
+    // 长期记忆在回答结束后于后台提取，完成后再补发变化
+    if (configurable.user_id) {
+      const updates = await takeMemoryUpdates(threadId);
+      if (updates) events.send("memory", updates);
+    }
+  } catch (error) {
+    console.error("❌ 流式调用失败：", error.message);
+    events.send("error", { message: error.message });
+  } finally {
+    events.close();
+  }
+}
+
+/**
+ * POST /api/chat { message, threadId?, userId?, stream? }
+ * userId 用于跨线程的长期用户记忆（不传时不读写记忆），下同
+ */
+async function handleChat(req, res) {
+  const body = await readJsonBody(req);
+  await runGraph({
+    res,
+    graph: app,
+    text: requireText(body, "message"),
+    configurable: { thread_id: body.threadId || uuidv4(), user_id: optionalUserId(body) },
+    stream: Boolean(body.stream),
+  });
+}
+
+/**
+ * POST /api/rag { question, threadId?, userId?, knowledgeBase?, filter?, stream? }
+ * knowledgeBase 为知识库名称（多个时合并检索）；filter 为元数据过滤条件，如 { "tag": ["billing", "refund"], "version": "2" }
+ */
+async function handleRag(req, res) {
+  const body = await readJsonBody(req);
+  await runGraph({
+    res,
+    graph: ragApp,
+    text: requireText(body, "question"),
+    configurable: {
+      thread_id: body.threadId || uuidv4(),
+      user_id: optionalUserId(body),
+      knowledgeBase: optionalKnowledgeBase(body.knowledgeBase),
+      filter: optionalFilter(body),
+    },
+    stream: Boolean(body.stream),
+    summarize: (values) => ({
+      standaloneQuery: values.standaloneQuery ?? null,
+      citations: values.citations ?? [],
+    }),
+  });
+}
+
+/**
+ * POST /api/assistant { message, route?, threadId?, userId?, knowledgeBase?, filter?, stream? }
+ * 自动路由：由路由节点选择普通对话或知识库问答，route 为 chat / rag 时手动指定；knowledgeBase 与 filter 同 /api/rag
+ */
+async function handleAssistant(req, res) {
+  const body = await readJsonBody(req);
+  if (body.route !== undefined && !["chat", "rag"].includes(body.route)) {
+    throw new HttpError(400, "route 只能是 chat 或 rag");
+  }
+  await runGraph({
+    res,
+    graph: assistantApp,
+    text: requireText(body, "message"),
+    configurable: {
+      thread_id: body.threadId || uuidv4(),
+      route: body.route,
+      user_id: optionalUserId(body),
+      knowledgeBase: optionalKnowledgeBase(body.knowledgeBase),
+      filter: optionalFilter(body),
+    },
+    stream: Boolean(body.stream),
+    summarize: (values) => ({
+      route: values.route ?? null,
+      routeReason: values.routeReason ?? null,
+      standaloneQuery: values.standaloneQuery ?? null,
+      citations: values.citations ?? [],
+    }),
+  });
+}
+
+/**
+ * POST /api/agent { message, threadId?, userId?, knowledgeBase?, stream? }
+ * 工具调用智能体，返回本轮的工具调用记录；knowledgeBase 指定知识库检索工具使用的知识库
+ */
+async function handleAgent(req, res) {
+  const body = await readJsonBody(req);
+  await runGraph({
+    res,
+    graph: agentApp,
+    text: requireText(body, "message"),
+    configurable: {
+      thread_id: body.threadId || uuidv4(),
+      user_id: optionalUserId(body),
+      knowledgeBase: optionalKnowledgeBase(body.knowledgeBase),
+    },
+    stream: Boolean(body.stream),
+    summarize: (values) => ({ toolCalls: collectToolCalls(values.messages) }),
+  });
+}
+
+/**
+ * POST /api/translate { text, language?, threadId?, stream? }
+ * 目标语言保存在线程状态中，未指定时沿用该线程上次的语言（服务重启后同样有效）
+ */
+async function handleTranslate(req, res) {
+  const body = await readJsonBody(req);
+  const text = requireText(body, "text");
+  const threadId = body.threadId || uuidv4();
+  const language = typeof body.language === "string" && body.language.trim() ? body.language.trim() : undefined;
+
+  await runGraph({
+    res,
+    graph: translateApp,
+    text,
+    configurable: { thread_id: threadId, language },
+    stream: Boolean(body.stream),
+    summarize: (values) => ({ language: values.language ?? DEFAULT_LANGUAGE }),
+  });
+}
+
+/**
+ * GET /api/threads?graph=chat|rag|assistant|agent|translate
+ */
+async function handleListThreads(req, res, { query }) {
+  const threads = [];
+  for (const [name, graph] of selectGraphs(query.get("graph"))) {
+    for (const threadId of await listThreadIds(graph.checkpointer)) {
+      const thread = await getThread(graph, threadId);
+      threads.push({
+        threadId,
+        graph: name,
+        messageCount: thread.messages.length,
+        updatedAt: thread.updatedAt,
+      });
+    }
+  }
+  threads.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+  sendJson(res, 200, { threads });
+}
+
+/**
+ * POST /api/threads —— 分配一个新的线程 ID（首次对话时才会写入检查点）
+ */
+async function handleCreateThread(req, res) {
+  sendJson(res, 201, { threadId: uuidv4() });
+}
+
+/**
+ * GET /api/threads/:id?graph=chat|rag|assistant|agent|translate
+ */
+async function handleGetThread(req, res, { params, query }) {
+  const result = [];
+  for (const [name, graph] of selectGraphs(query.get("graph"))) {
+    const thread = await getThread(graph, params.id);
+    if (thread.messages.length > 0) result.push({ graph: name, ...thread });
+  }
+  if (result.length === 0) {
+    throw new HttpError(404, `线程不存在: ${params.id}`);
+  }
+  sendJson(res, 200, { threadId: params.id, graphs: result });
+}
+
+/**
+ * DELETE /api/threads/:id?graph=chat|rag|assistant|agent|translate
+ */
+async function handleDeleteThread(req, res, { params, query }) {
+  const deleted = [];
+  for (const [name, graph] of selectGraphs(query.get("graph"))) {
+    const ids = await listThreadIds(graph.checkpointer);
+    if (!ids.includes(params.id)) continue;
+    await deleteThread(graph.checkpointer, params.id);
+    deleted.push(name);
+  }
+  if (deleted.length === 0) {
+    throw new HttpError(404, `线程不存在: ${params.id}`);
+  }
+  sendJson(res, 200, { threadId: params.id, deleted });
+}
+
+/**
+ * GET /api/kb —— 列出已声明的知识库及其状态
+ */
+async function handleListKnowledgeBases(req, res) {
+  sendJson(res, 200, { knowledgeBases: await listKnowledgeBases() });
+}
+
+/**
+ * GET /api/kb/status?kb=名称（默认知识库）
+ */
+async function handleKnowledgeBaseStatus(req, res, { query }) {
+  const [name] = optionalKnowledgeBase(query.get("kb"));
+  sendJson(res, 200, await getKnowledgeBaseStatus(name));
+}
+
+/**
+ * GET /api/health —— 服务状态；resilience 为各远程模型的熔断状态与调用统计，有模型熔断时 status 为 degraded
+ */
+async function handleHealth(req, res) {
+  const resilience = getResilienceStatus();
+  const degraded = resilience.some(policy => policy.state !== "closed");
+  sendJson(res, 200, { status: degraded ? "degraded" : "ok", model: describeModelConfig(), resilience });
+}
+
+/**
+ * 路由表：method + 路径模式（:name 为路径参数）-> 处理函数
+ */
+export const routes = [
+  ["GET", "/api/health", handleHealth],
+  ["POST", "/api/chat", handleChat],
+  ["POST", "/api/rag", handleRag],
+  ["POST", "/api/assistant", handleAssistant],
+  ["POST", "/api/agent", handleAgent],
+  ["POST", "/api/translate", handleTranslate],
+  ["GET", "/api/threads", handleListThreads],
+  ["POST", "/api/threads", handleCreateThread],
+  ["GET", "/api/threads/:id", handleGetThread],
+  ["DELETE", "/api/threads/:id", handleDeleteThread],
+  ["GET", "/api/kb", handleListKnowledgeBases],
+  ["GET", "/api/kb/status", handleKnowledgeBaseStatus],
+  // OpenAI 兼容接口（见 openai-compat.js）
+  ["GET", "/v1/models", handleListModels],
+  ["POST", "/v1/chat/completions", handleChatCompletions],
+].map(([method, pattern, handler]) => {
+  const keys = [];
+  const regex = new RegExp(
+    `^${pattern.replace(/:([a-zA-Z]+)/g, (_, key) => {
+      keys.push(key);
+      return "([^/]+)";
+    })}$`
+  );
+  return { method, regex, keys, handler };
+});
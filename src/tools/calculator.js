@@ -0,0 +1,158 @@
+/**
+ * 安全的数学表达式求值（不使用 eval）
+ * 支持 + - * / % ^（或 **）、括号、常量 pi / e 以及常用函数
+ */
+
+// 可用函数：名称 -> 实现
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  ln: Math.log,
+  log: Math.log10,
+  log2: Math.log2,
+  exp: Math.exp,
+  min: Math.min,
+  max: Math.max,
+  pow: Math.pow,
+};
+
+// 可用常量
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E,
+};
+
+/**
+ * 词法分析：把表达式切分为数字、标识符与运算符
+ * @param {string} expression 表达式
+ * @returns {Array<{type: string, value: string|number}>} 词元
+ */
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z_][a-z0-9_]*)|(\*\*|[-+*/%^(),]))/giy;
+  let index = 0;
+  while (index < expression.length) {
+    if (/^\s*$/.test(expression.slice(index))) break;
+    pattern.lastIndex = index;
+    const match = pattern.exec(expression);
+    if (!match) {
+      throw new Error(`无法识别的字符: "${expression.slice(index).trim()[0]}"`);
+    }
+    if (match[1] !== undefined) tokens.push({ type: "number", value: Number(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: "name", value: match[2].toLowerCase() });
+    else tokens.push({ type: "op", value: match[3] === "**" ? "^" : match[3] });
+    index = pattern.lastIndex;
+  }
+  return tokens;
+}
+
+/**
+ * 计算数学表达式
+ * @param {string} expression 表达式，如 "(1 + 2) * sqrt(16) / 3"
+ * @returns {number} 计算结果
+ */
+export function evaluateExpression(expression) {
+  const tokens = tokenize(String(expression));
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOp = (value) => peek()?.type === "op" && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) throw new Error(`缺少 "${value}"`);
+    position += 1;
+  };
+
+  // expr := term (("+" | "-") term)*
+  const parseExpression = () => {
+    let value = parseTerm();
+    while (isOp("+") || isOp("-")) {
+      const op = tokens[position++].value;
+      const right = parseTerm();
+      value = op === "+" ? value + right : value - right;
+    }
+    return value;
+  };
+
+  // term := unary (("*" | "/" | "%") unary)*
+  const parseTerm = () => {
+    let value = parseUnary();
+    while (isOp("*") || isOp("/") || isOp("%")) {
+      const op = tokens[position++].value;
+      const right = parseUnary();
+      if (op === "*") value *= right;
+      else if (op === "/") value /= right;
+      else value %= right;
+    }
+    return value;
+  };
+
+  // unary := ("+" | "-") unary | power
+  const parseUnary = () => {
+    if (isOp("+") || isOp("-")) {
+      const op = tokens[position++].value;
+      const value = parseUnary();
+      return op === "-" ? -value : value;
+    }
+    return parsePower();
+  };
+
+  // power := primary ("^" unary)?（右结合）
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (isOp("^")) {
+      position += 1;
+      return base ** parseUnary();
+    }
+    return base;
+  };
+
+  // primary := number | constant | name "(" args ")" | "(" expr ")"
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw new Error("表达式不完整");
+    position += 1;
+
+    if (token.type === "number") return token.value;
+    if (token.type === "op" && token.value === "(") {
+      const value = parseExpression();
+      expect(")");
+      return value;
+    }
+    if (token.type === "name") {
+      // 只查自身属性，避免 constructor、toString 等原型链上的名称被当作函数或常量
+      if (Object.hasOwn(FUNCTIONS, token.value)) {
+        expect("(");
+        const args = [parseExpression()];
+        while (isOp(",")) {
+          position += 1;
+          args.push(parseExpression());
+        }
+        expect(")");
+        return FUNCTIONS[token.value](...args);
+      }
+      if (Object.hasOwn(CONSTANTS, token.value)) return CONSTANTS[token.value];
+      throw new Error(`未知的函数或常量: ${token.value}`);
+    }
+    throw new Error(`意外的符号: "${token.value}"`);
+  };
+
+  if (tokens.length === 0) throw new Error("表达式为空");
+  const result = parseExpression();
+  if (position < tokens.length) {
+    throw new Error(`意外的符号: "${tokens[position].value}"`);
+  }
+  return result;
+}
+
+/** 可用函数与常量名称（用于工具说明） */
+export const CALCULATOR_SYMBOLS = [...Object.keys(FUNCTIONS), ...Object.keys(CONSTANTS)];
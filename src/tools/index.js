@@ -0,0 +1,254 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { tool } from "@langchain/core/tools";
+import { z } from "zod";
+import { evaluateExpression, CALCULATOR_SYMBOLS } from "./calculator.js";
+import { numberDocuments, getPageNumber, getRelevanceScore } from "../rag/citations.js";
+import { getMessageText } from "../utils/stream-events.js";
+
+/**
+ * 工具调用智能体的内置工具
+ * - search_knowledge_base：检索知识库
+ * - calculator：计算数学表达式
+ * - current_datetime：获取当前日期时间
+ * - list_files / read_file：只读访问白名单目录（TOOL_ALLOWED_DIRS）
+ */
+
+/**
+ * 解析正整数配置，未设置时使用默认值，非法值（如 NaN、0、小数）直接报错
+ * @param {string|number|undefined} value 取值
+ * @param {number} defaultValue 默认值
+ * @param {string} name 配置名（用于错误信息）
+ * @returns {number} 解析结果
+ */
+function parsePositiveInteger(value, defaultValue, name) {
+  if (value === undefined || value === "") return defaultValue;
+  const number = Number(value);
+  if (!(Number.isInteger(number) && number > 0)) {
+    throw new Error(`${name} 必须是正整数: ${value}`);
+  }
+  return number;
+}
+
+/**
+ * 解析工具配置（环境变量），非法的数值配置在启动时报错
+ * @param {Object} overrides 覆盖配置
+ * @returns {{allowedDirs: Array<string>, maxReadChars: number, searchLimit: number, maxSteps: number}} 工具配置
+ */
+export function resolveToolConfig(overrides = {}) {
+  const dirs = overrides.allowedDirs ?? (process.env.TOOL_ALLOWED_DIRS || "knowledge").split(",");
+  return {
+    allowedDirs: dirs.map(d => d.trim()).filter(Boolean).map(d => path.resolve(d)),
+    maxReadChars: parsePositiveInteger(overrides.maxReadChars ?? process.env.TOOL_READ_MAX_CHARS, 8000, "TOOL_READ_MAX_CHARS"),
+    searchLimit: parsePositiveInteger(overrides.searchLimit ?? process.env.TOOL_SEARCH_LIMIT, 5, "TOOL_SEARCH_LIMIT"),
+    // 单轮最多的工具调用轮数，决定智能体图的 recursionLimit；NaN 会让 LangGraph 的步数上限失效
+    maxSteps: parsePositiveInteger(overrides.maxSteps ?? process.env.AGENT_MAX_STEPS, 8, "AGENT_MAX_STEPS"),
+  };
+}
+
+/**
+ * 包装工具函数：异常转换为文本结果返回给模型，使失败的调用也能在事件流中展示为工具结果
+ * @param {Function} fn 工具函数
+ * @returns {Function} 包装后的工具函数
+ */
+function safely(fn) {
+  return async (input, config) => {
+    try {
+      return await fn(input, config);
+    } catch (error) {
+      return `❌ 工具执行失败: ${error.message}`;
+    }
+  };
+}
+
+/**
+ * 把用户给出的路径解析到白名单目录内，越界（包括经符号链接越界）时抛出异常
+ * 相对路径依次在各白名单目录下查找
+ * @param {string} target 目标路径
+ * @param {Array<string>} allowedDirs 白名单目录（绝对路径）
+ * @returns {Promise<string>} 真实的绝对路径
+ */
+async function resolveAllowedPath(target, allowedDirs) {
+  const candidates = path.isAbsolute(target)
+    ? [target]
+    : [...allowedDirs.map(dir => path.resolve(dir, target)), path.resolve(target)];
+
+  for (const candidate of candidates) {
+    let realPath;
+    try {
+      realPath = await fs.realpath(candidate);
+    } catch {
+      continue;
+    }
+    for (const dir of allowedDirs) {
+      const realDir = await fs.realpath(dir).catch(() => dir);
+      const relative = path.relative(realDir, realPath);
+      // 只拒绝真正位于上级目录的路径，"..notes.md" 这类以 .. 开头的文件名是合法的
+      if (relative !== ".." && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative)) {
+        return realPath;
+      }
+    }
+    throw new Error(`拒绝访问：${target} 不在允许的目录内（${allowedDirs.join(", ")}）`);
+  }
+  throw new Error(`文件不存在: ${target}`);
+}
+
+/**
+ * 创建知识库检索工具
+ * @param {Object} retriever 检索器（RetrieverBuilder 构建的实例，或按运行配置选择知识库的 Runnable）
+ * @param {number} limit 返回的片段数量
+ * @returns {import("@langchain/core/tools").StructuredTool} 工具
+ */
+export function createKnowledgeBaseTool(retriever, limit = 5) {
+  return tool(
+    safely(async ({ query }, config) => {
+      const docs = numberDocuments((await retriever.invoke(query, config)).slice(0, limit));
+      if (docs.length === 0) return "知识库中没有找到相关内容。";
+      return docs
+        .map(doc => {
+          const page = getPageNumber(doc.metadata);
+          const score = getRelevanceScore(doc.metadata);
+          const header = [
+            `[${doc.metadata.citation}] ${doc.metadata.source ?? "未知来源"}`,
+            page ? `第 ${page} 页` : null,
+            score !== null ? `分数 ${score.toFixed(3)}` : null,
+          ].filter(Boolean).join(" · ");
+          return `${header}\n${doc.pageContent}`;
+        })
+        .join("\n\n");
+    }),
+    {
+      name: "search_knowledge_base",
+      description: "在本地知识库中检索与问题相关的文档片段。回答涉及项目文档、流程或知识库内容的问题前应先调用。",
+      schema: z.object({
+        query: z.string().describe("独立、完整的检索查询"),
+      }),
+    }
+  );
+}
+
+/** 计算器工具 */
+export const calculatorTool = tool(
+  safely(async ({ expression }) => {
+    const result = evaluateExpression(expression);
+    if (!Number.isFinite(result)) {
+      return `计算结果不是有限数值: ${result}`;
+    }
+    return String(result);
+  }),
+  {
+    name: "calculator",
+    description: `计算数学表达式。支持 + - * / % ^、括号以及 ${CALCULATOR_SYMBOLS.join(", ")}。需要精确计算时使用。`,
+    schema: z.object({
+      expression: z.string().describe("数学表达式，如 (3 + 5) * sqrt(16)"),
+    }),
+  }
+);
+
+/** 当前日期时间工具 */
+export const dateTimeTool = tool(
+  async ({ timezone }) => {
+    const now = new Date();
+    const timeZone = timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    let local;
+    try {
+      local = new Intl.DateTimeFormat("zh-CN", {
+        timeZone,
+        dateStyle: "full",
+        timeStyle: "long",
+      }).format(now);
+    } catch {
+      return `无效的时区: ${timezone}`;
+    }
+    return JSON.stringify({ iso: now.toISOString(), timezone: timeZone, local });
+  },
+  {
+    name: "current_datetime",
+    description: "获取当前的日期、时间与星期。涉及“今天”“现在”等时间相关问题时使用。",
+    schema: z.object({
+      timezone: z.string().optional().describe("IANA 时区，如 Asia/Shanghai；默认使用本机时区"),
+    }),
+  }
+);
+
+/**
+ * 创建只读文件工具：列出目录与读取文本文件，仅限白名单目录
+ * @param {Object} config 工具配置（见 resolveToolConfig）
+ * @returns {Array<import("@langchain/core/tools").StructuredTool>} 工具列表
+ */
+export function createFileTools({ allowedDirs, maxReadChars }) {
+  const listFiles = tool(
+    safely(async ({ directory }) => {
+      const dirs = directory ? [await resolveAllowedPath(directory, allowedDirs)] : allowedDirs;
+      const lines = [];
+      for (const dir of dirs) {
+        const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+        lines.push(`${path.relative(process.cwd(), dir) || "."}/`);
+        for (const entry of entries) {
+          lines.push(`  ${entry.name}${entry.isDirectory() ? "/" : ""}`);
+        }
+      }
+      return lines.join("\n");
+    }),
+    {
+      name: "list_files",
+      description: `列出允许访问的目录中的文件。允许的目录: ${allowedDirs.map(d => path.relative(process.cwd(), d) || ".").join(", ")}`,
+      schema: z.object({
+        directory: z.string().optional().describe("要列出的子目录；省略时列出所有允许的目录"),
+      }),
+    }
+  );
+
+  const readFile = tool(
+    safely(async ({ file }) => {
+      const filePath = await resolveAllowedPath(file, allowedDirs);
+      const stat = await fs.stat(filePath);
+      if (!stat.isFile()) return `不是文件: ${file}`;
+      const content = await fs.readFile(filePath, "utf-8");
+      if (content.length <= maxReadChars) return content;
+      return `${content.slice(0, maxReadChars)}\n\n…（已截断，共 ${content.length} 字符，仅显示前 ${maxReadChars} 字符）`;
+    }),
+    {
+      name: "read_file",
+      description: "只读读取允许目录中的文本文件内容（过长时截断）。路径可以是相对于允许目录的路径。",
+      schema: z.object({
+        file: z.string().describe("文件路径，如 chat_bot_example_flow.md"),
+      }),
+    }
+  );
+
+  return [listFiles, readFile];
+}
+
+/**
+ * 创建智能体的全部内置工具
+ * @param {Object} options 配置选项
+ * @param {Object} options.retriever 知识库检索器
+ * @param {Array<string>} options.allowedDirs 只读白名单目录（默认 TOOL_ALLOWED_DIRS）
+ * @returns {Array<import("@langchain/core/tools").StructuredTool>} 工具列表
+ */
+export function createAgentTools({ retriever, ...overrides }) {
+  const config = resolveToolConfig(overrides);
+  return [
+    createKnowledgeBaseTool(retriever, config.searchLimit),
+    calculatorTool,
+    dateTimeTool,
+    ...createFileTools(config),
+  ];
+}
+
+/**
+ * 汇总本轮（最后一条用户消息之后）的工具调用及其结果
+ * @param {Array<Object>} messages 线程消息（LangChain 消息对象）
+ * @returns {Array<{name: string, args: Object, result: string|null}>} 工具调用记录
+ */
+export function collectToolCalls(messages = []) {
+  const lastHuman = messages.findLastIndex(m => m._getType?.() === "human");
+  const turn = messages.slice(lastHuman + 1);
+  const results = new Map(
+    turn.filter(m => m._getType?.() === "tool").map(m => [m.tool_call_id, getMessageText(m.content)])
+  );
+  return turn.flatMap(m =>
+    (m.tool_calls ?? []).map(call => ({ name: call.name, args: call.args, result: results.get(call.id) ?? null }))
+  );
+}
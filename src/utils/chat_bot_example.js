@@ -1,16 +1,19 @@
 import {
   START,
   END,
+  Annotation,
   MessagesAnnotation,
   StateGraph,
-  MemorySaver,
 } from "@langchain/langgraph";
 import { v4 as uuidv4 } from "uuid";
 import llm from "./generate_mode.js";
-import readline from "node:readline/promises";
-import { stdin as input, stdout as output } from "node:process";
+import { createCheckpointer } from "./checkpointer.js";
+import { parseThreadArg } from "./thread-utils.js";
+import { Repl } from "./repl.js";
+import { printStream } from "./stream-events.js";
+import { TokenCounter } from "./token-counter.js";
+import { SUMMARY_STATE, createSummaryNode, formatSummary, trimHistory } from "./summary-memory.js";
 
-import { trimMessages } from "@langchain/core/messages";
 import { buildInMemoryRetriever, buildChromaRetriever } from "../rag/retriever.js";
 import {
   ChatPromptTemplate,
@@ -24,7 +27,7 @@ import { createRetrievalChain } from "langchain/chains/retrieval";
 
 // === 定义一个可复用的 Prompt（含 system + 历史占位） ===
 const prompt = ChatPromptTemplate.fromMessages([
-  ["system", "You are a helpful assistant. Answer clearly and concisely."],
+  ["system", "You are a helpful assistant. Answer clearly and concisely.{summary}"],
   // 这里把状态里的历史消息插进来
   new MessagesPlaceholder("messages"),
 ]);
@@ -75,42 +78,38 @@ const ragChain = await createRetrievalChain({
   combineDocsChain: docChain,
 });
 
-// === 定义裁剪器：控制历史长度，防止窗口爆掉 ===
-const trimmer = trimMessages({
-  maxTokens: 1000, // 自行按需调整；先给一个安全上限
-  strategy: "last", // 保留最近的对话
-  includeSystem: true, // 始终保留最前面的 system
-  allowPartial: true, // 必要时允许截断一条过长消息
-  // 简易估算 token 数，够用即可；要精确可换成专用 tokenizer
-  tokenCounter: (msgs) => {
-    const text = msgs
-      .map((m) =>
-        typeof m.content === "string" ? m.content : JSON.stringify(m.content)
-      )
-      .join(" ");
-    // 英文大约 4 字符 ≈ 1 token；中文可把分母改小些（比如 2）
-    return Math.ceil(text.length / 4);
-  },
+// === 滚动摘要：历史超过 SUMMARY_MAX_TOKENS 时，把最早的对话折叠进摘要，不再直接丢弃 ===
+// token 数按当前模型的真实分词计算
+const tokenCounter = new TokenCounter();
+const summarize = createSummaryNode({ llm, tokenCounter });
+
+// 状态 = 消息历史 + 较早对话的摘要
+const ChatAnnotation = Annotation.Root({
+  ...MessagesAnnotation.spec,
+  ...SUMMARY_STATE,
 });
 
 /**
- * 把累积的 messages 丢给模型
- * @param {typeof MessagesAnnotation.State} state
+ * 把累积的 messages 丢给模型（摘要写进系统提示）
+ * @param {typeof ChatAnnotation.State} state
  * @returns
  */
 const callModel = async (state) => {
-  const trimmed = await trimmer.invoke(state.messages);
-  const response = await chain.invoke({ messages: trimmed });
+  // 最近一轮本身超出预算时，只把裁剪后的消息交给模型
+  const messages = await trimHistory(state.messages, { tokenCounter });
+  const response = await chain.invoke({ messages, summary: formatSummary(state.summary) });
   return { messages: response }; // 仍然返给 LangGraph 的消息状态
 };
-// 组装工作流（一个节点，从 START → model → END）
-const workflow = new StateGraph(MessagesAnnotation)
+// 组装工作流（START → summarize → model → END）
+const workflow = new StateGraph(ChatAnnotation)
+  .addNode("summarize", summarize)
   .addNode("model", callModel)
-  .addEdge(START, "model")
+  .addEdge(START, "summarize")
+  .addEdge("summarize", "model")
   .addEdge("model", END);
 
-// 打开内存型检查点（持久化消息历史）
-const app = workflow.compile({ checkpointer: new MemorySaver() });
+// 打开检查点（持久化消息历史；CHECKPOINTER=file|sqlite 时重启后依然可用）
+const app = workflow.compile({ checkpointer: await createCheckpointer("chat-bot") });
 
 // 一个便捷方法：执行一次，并返回最后一条回复和 threadId
 /**
@@ -130,71 +129,44 @@ export async function runTime(userText, threadId) {
 }
 
 async function main() {
-  let threadId = uuidv4();
+  // 可通过 --thread <id> 恢复之前的线程
+  let threadId = parseThreadArg() ?? uuidv4();
   console.log("当前线程:", threadId);
-  console.log("💬 Chat started. Commands: /new 开新会话, /rag <问题> 知识库检索, /exit 退出");
-
-  // 解释：读取输入流，创建一个readline接口，用于读取用户输入
-  const rl = readline.createInterface({ input, output });
-  while (true) {
-    const q = await rl.question("> ");
-    const text = q.trim();
-    if (!text) continue;
-    if (text === "/exit") break;
-    if (text === "/new") {
-      threadId = uuidv4();
-      console.log("✅ 新线程:", threadId);
-      continue;
-    }
-
-    // RAG 模式：从知识库检索并回答
-    if (text.startsWith("/rag")) {
-      const question = text.slice(4).trim();
-      if (!question) {
-        console.log("用法: /rag <问题>");
-        continue;
-      }
-      try {
-        const result = await ragChain.invoke({ input: question, chat_history: [] });
-        const reply = result?.answer ?? result?.output_text ?? "(无答案)";
-        console.log("📚:", reply);
-      } catch (err) {
-        console.error("RAG 调用失败：", err);
-      }
-      continue;
-    }
-
-    try {
-      // === 改成事件流：保持 thread_id 以维持记忆 ===
+  console.log("💬 Chat started. 输入 /help 查看命令");
+
+  const repl = new Repl({
+    name: "chat-bot",
+    // 普通输入：事件流输出，保持 thread_id 以维持记忆
+    onInput: async (text) => {
       const stream = await app.streamEvents(
         { messages: [{ role: "user", content: text }] },
         { version: "v2", configurable: { thread_id: threadId } }
       );
-
-      let first = true;
-      for await (const ev of stream) {
-        if (ev.event === "on_chat_model_stream") {
-          const chunk = ev.data?.chunk;
-          // chunk.content 可能是字符串或富文本片段数组，这里做兼容拼接
-          const piece = Array.isArray(chunk?.content)
-            ? chunk.content
-                .map((c) => (typeof c === "string" ? c : c?.text ?? ""))
-                .join("")
-            : chunk?.content ?? "";
-          if (first) {
-            process.stdout.write("🤖: ");
-            first = false;
-          }
-          process.stdout.write(piece);
-        }
-      }
-      process.stdout.write("\n");
-    } catch (err) {
-      console.error("调用失败：", err);
-    }
-  }
-
-  rl.close();
+      await printStream(stream, { prefix: "🤖: " });
+    },
+    onError: (err) => console.error("调用失败：", err),
+  });
+
+  repl.command("new", {
+    description: "开新会话",
+    handler: () => {
+      threadId = uuidv4();
+      console.log("✅ 新线程:", threadId);
+    },
+  });
+
+  // RAG 模式：从知识库检索并回答
+  repl.command("rag", {
+    description: "知识库检索",
+    args: [{ name: "问题", required: true, rest: true }],
+    handler: async ({ args }) => {
+      const result = await ragChain.invoke({ input: args["问题"], chat_history: [] });
+      const reply = result?.answer ?? result?.output_text ?? "(无答案)";
+      console.log("📚:", reply);
+    },
+  });
+
+  await repl.start();
   console.log("👋 Bye");
 }
 
@@ -0,0 +1,483 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { MemorySaver } from "@langchain/langgraph";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * 会话检查点存储 - 让线程在进程重启后依然可用
+ *
+ * 通过 CHECKPOINTER 选择实现：
+ *   memory  进程内存（默认，重启即丢失）
+ *   file    每个线程一个只追加的 JSONL 日志：<CHECKPOINT_DIR>/<图名称>/<线程ID>.jsonl
+ *   sqlite  SQLite 数据库：<CHECKPOINT_DIR>/<图名称>.sqlite（需额外安装 @langchain/langgraph-checkpoint-sqlite）
+ *
+ * 所有实现都提供 listThreads / deleteThread / cleanup，用于线程管理与过期清理：
+ *   CHECKPOINT_RETENTION_DAYS  超过天数未更新的线程会被删除（0 表示永久保留）
+ *   CHECKPOINT_MAX_THREADS     最多保留的线程数量，超出时删除最久未更新的线程（0 表示不限）
+ *   CHECKPOINT_KEEP_PER_THREAD 每个线程保留的最近检查点数量（0 表示全部保留）
+ */
+
+export const SUPPORTED_CHECKPOINTERS = ["memory", "file", "sqlite"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 合并环境变量与调用方覆盖项，得到检查点配置
+ * @param {Object} overrides 覆盖配置（优先级高于环境变量）
+ * @returns {Object} 检查点配置
+ */
+export function resolveCheckpointerConfig(overrides = {}) {
+  const type = (overrides.type || process.env.CHECKPOINTER || "memory").toLowerCase();
+  if (!SUPPORTED_CHECKPOINTERS.includes(type)) {
+    throw new Error(`不支持的 CHECKPOINTER: ${type}（可选: ${SUPPORTED_CHECKPOINTERS.join(", ")}）`);
+  }
+  return {
+    type,
+    directory: overrides.directory || process.env.CHECKPOINT_DIR || ".checkpoints",
+    retentionDays: Number(overrides.retentionDays ?? process.env.CHECKPOINT_RETENTION_DAYS ?? 30),
+    maxThreads: Number(overrides.maxThreads ?? process.env.CHECKPOINT_MAX_THREADS ?? 0),
+    keepPerThread: Number(overrides.keepPerThread ?? process.env.CHECKPOINT_KEEP_PER_THREAD ?? 20),
+  };
+}
+
+/**
+ * 根据保留策略挑选需要删除的线程
+ * @param {Array<{threadId: string, updatedAt: string}>} threads 线程列表
+ * @param {Object} policy 保留策略 { retentionDays, maxThreads }
+ * @returns {Array<string>} 需要删除的线程 ID
+ */
+function selectExpiredThreads(threads, { retentionDays, maxThreads }) {
+  const sorted = [...threads].sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+  const cutoff = retentionDays > 0 ? new Date(Date.now() - retentionDays * DAY_MS).toISOString() : null;
+  return sorted
+    .filter((thread, index) => (cutoff && String(thread.updatedAt) < cutoff) || (maxThreads > 0 && index >= maxThreads))
+    .map(thread => thread.threadId);
+}
+
+/**
+ * 带线程管理能力的内存检查点：记录每个线程的创建/更新时间，
+ * 支持列出线程、按保留策略清理，以及裁剪单个线程的历史检查点
+ */
+export class ManagedMemorySaver extends MemorySaver {
+  /**
+   * @param {Object} options 配置选项（见 resolveCheckpointerConfig）
+   */
+  constructor(options = {}) {
+    super();
+    this.retentionDays = options.retentionDays ?? 0;
+    this.maxThreads = options.maxThreads ?? 0;
+    this.keepPerThread = options.keepPerThread ?? 0;
+    // threadId -> { createdAt, updatedAt }
+    this.threadTimes = {};
+  }
+
+  async put(config, checkpoint, metadata) {
+    const result = await super.put(config, checkpoint, metadata);
+    const threadId = result.configurable.thread_id;
+    const times = this.threadTimes[threadId] ?? { createdAt: checkpoint.ts };
+    this.threadTimes[threadId] = { ...times, updatedAt: checkpoint.ts };
+    this.pruneCheckpoints(threadId);
+    return result;
+  }
+
+  /**
+   * 仅保留线程最近的 keepPerThread 个检查点（检查点 ID 按时间递增）
+   * @param {string} threadId 线程 ID
+   */
+  pruneCheckpoints(threadId) {
+    if (!(this.keepPerThread > 0)) return;
+    const removed = new Set();
+    for (const checkpoints of Object.values(this.storage[threadId] ?? {})) {
+      const ids = Object.keys(checkpoints).sort((a, b) => b.localeCompare(a));
+      for (const checkpointId of ids.slice(this.keepPerThread)) {
+        delete checkpoints[checkpointId];
+        removed.add(checkpointId);
+      }
+    }
+    if (removed.size === 0) return;
+    // 待写入记录的键为 JSON [threadId, namespace, checkpointId]
+    for (const key of Object.keys(this.writes)) {
+      const [writeThreadId, , checkpointId] = JSON.parse(key);
+      if (writeThreadId === threadId && removed.has(checkpointId)) delete this.writes[key];
+    }
+  }
+
+  /**
+   * 列出所有线程（按最近更新时间倒序）
+   * @returns {Promise<Array<{threadId: string, createdAt: string, updatedAt: string}>>} 线程列表
+   */
+  async listThreads() {
+    return Object.keys(this.storage)
+      .map(threadId => ({ threadId, ...this.threadTimes[threadId] }))
+      .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+  }
+
+  async deleteThread(threadId) {
+    await super.deleteThread(threadId);
+    delete this.threadTimes[threadId];
+  }
+
+  /**
+   * 按保留策略删除过期线程
+   * @returns {Promise<Array<string>>} 被删除的线程 ID
+   */
+  async cleanup() {
+    const expired = selectExpiredThreads(await this.listThreads(), this);
+    for (const threadId of expired) {
+      await this.deleteThread(threadId);
+    }
+    return expired;
+  }
+}
+
+/** 日志记录数低于该值时不压缩 */
+const MIN_COMPACT_RECORDS = 200;
+
+const encode = (value) => (value instanceof Uint8Array ? Buffer.from(value).toString("base64") : value);
+const decode = (value) => (typeof value === "string" ? new Uint8Array(Buffer.from(value, "base64")) : value);
+
+/**
+ * 文件检查点：在内存检查点的基础上，把每个线程的操作追加写入一个 JSONL 日志文件
+ * 每次 put / putWrites 只追加本次新增的检查点或待写入记录，不重写整个文件；
+ * 日志中已被裁剪的检查点累积到一定数量后，整体压缩为当前快照（先写临时文件再重命名）
+ *
+ * 日志记录（序列化的检查点以 base64 保存）：
+ *   { type: "thread", threadId, createdAt, updatedAt }               线程头，位于文件首行
+ *   { type: "checkpoint", namespace, id, value: [检查点, 元数据, 父 ID], ts }
+ *   { type: "writes", key, writes: { 内部键: [taskId, channel, value] } }
+ */
+export class FileCheckpointSaver extends ManagedMemorySaver {
+  /**
+   * @param {Object} options 配置选项
+   * @param {string} options.directory 线程日志目录
+   */
+  constructor(options = {}) {
+    super(options);
+    this.directory = options.directory;
+    // threadId -> 正在进行的写入（同一线程的写入串行执行）
+    this.pendingSaves = new Map();
+    // threadId -> { records: 日志中的记录数, compactAt: 超过该记录数时压缩 }
+    this.logs = new Map();
+  }
+
+  /**
+   * 创建文件检查点并加载已有线程，随后按保留策略清理
+   * @param {Object} options 配置选项（同构造函数）
+   * @returns {Promise<FileCheckpointSaver>} 检查点实例
+   */
+  static async load(options = {}) {
+    const saver = new FileCheckpointSaver(options);
+    await fs.mkdir(saver.directory, { recursive: true });
+    for (const file of await fs.readdir(saver.directory)) {
+      if (!file.endsWith(".jsonl")) continue;
+      try {
+        const content = await fs.readFile(path.join(saver.directory, file), "utf-8");
+        const threadId = saver.restoreThread(content);
+        // 末行不完整（写入中断）时重写日志，避免后续追加接在半行之后
+        if (threadId !== undefined && !content.endsWith("\n")) await saver.compactThread(threadId);
+      } catch (error) {
+        console.warn(`⚠️ 线程文件读取失败，已跳过 ${file}: ${error.message}`);
+      }
+    }
+    await saver.cleanup();
+    return saver;
+  }
+
+  /**
+   * 线程日志路径
+   * @param {string} threadId 线程 ID
+   * @returns {string} 文件路径
+   */
+  getThreadPath(threadId) {
+    return path.join(this.directory, `${encodeURIComponent(threadId)}.jsonl`);
+  }
+
+  /**
+   * 重放线程日志，恢复到内存
+   * 写入中断留下的不完整行会被跳过；重放检查点时按相同的保留策略裁剪
+   * @param {string} content 日志内容
+   * @returns {string|undefined} 线程 ID（缺少线程头时为 undefined）
+   */
+  restoreThread(content) {
+    let threadId;
+    let records = 0;
+    for (const line of content.split("\n")) {
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      records += 1;
+      if (record.type === "thread") {
+        threadId = record.threadId;
+        this.threadTimes[threadId] = { createdAt: record.createdAt, updatedAt: record.updatedAt ?? record.createdAt };
+      } else if (threadId !== undefined) {
+        this.applyRecord(threadId, record);
+      }
+    }
+    if (threadId === undefined) return undefined;
+    this.logs.set(threadId, { records, compactAt: this.nextCompactAt(threadId) });
+    return threadId;
+  }
+
+  /**
+   * 把一条日志记录应用到内存
+   * @param {string} threadId 线程 ID
+   * @param {Object} record 日志记录
+   */
+  applyRecord(threadId, record) {
+    if (record.type === "checkpoint") {
+      const [checkpoint, metadata, parentId] = record.value;
+      this.storage[threadId] ??= {};
+      this.storage[threadId][record.namespace] ??= {};
+      this.storage[threadId][record.namespace][record.id] = [decode(checkpoint), decode(metadata), parentId ?? undefined];
+      if (record.ts) this.threadTimes[threadId].updatedAt = record.ts;
+      this.pruneCheckpoints(threadId);
+    } else if (record.type === "writes") {
+      // 所属检查点已被裁剪时丢弃
+      const [, namespace, checkpointId] = JSON.parse(record.key);
+      if (!this.storage[threadId]?.[namespace ?? ""]?.[checkpointId]) return;
+      this.writes[record.key] ??= {};
+      for (const [innerKey, [taskId, channel, value]] of Object.entries(record.writes)) {
+        this.writes[record.key][innerKey] = [taskId, channel, decode(value)];
+      }
+    }
+  }
+
+  /**
+   * 当前内存中的线程快照（压缩日志时写入）
+   * @param {string} threadId 线程 ID
+   * @returns {Array<Object>} 日志记录
+   */
+  snapshotRecords(threadId) {
+    const records = [{ type: "thread", threadId, ...this.threadTimes[threadId] }];
+    for (const [namespace, items] of Object.entries(this.storage[threadId] ?? {})) {
+      for (const [id, [checkpoint, metadata, parentId]] of Object.entries(items)) {
+        records.push({ type: "checkpoint", namespace, id, value: [encode(checkpoint), encode(metadata), parentId ?? null] });
+      }
+    }
+    for (const [key, inner] of Object.entries(this.writes)) {
+      const [writeThreadId, namespace, checkpointId] = JSON.parse(key);
+      if (writeThreadId !== threadId || !this.storage[threadId]?.[namespace ?? ""]?.[checkpointId]) continue;
+      records.push({ type: "writes", key, writes: this.encodeWrites(inner) });
+    }
+    return records;
+  }
+
+  /**
+   * 序列化待写入记录
+   * @param {Object} inner 内部键 -> [taskId, channel, value]
+   * @returns {Object} 可写入 JSON 的记录
+   */
+  encodeWrites(inner) {
+    return Object.fromEntries(
+      Object.entries(inner).map(([innerKey, [taskId, channel, value]]) => [innerKey, [taskId, channel, encode(value)]])
+    );
+  }
+
+  /**
+   * 下次压缩的阈值：日志记录数超过当前快照的 3 倍（至少 MIN_COMPACT_RECORDS 条）
+   * @param {string} threadId 线程 ID
+   * @returns {number} 记录数阈值
+   */
+  nextCompactAt(threadId) {
+    return Math.max(MIN_COMPACT_RECORDS, this.snapshotRecords(threadId).length * 3);
+  }
+
+  /**
+   * 同一线程的文件操作串行执行
+   * @param {string} threadId 线程 ID
+   * @param {Function} task 异步任务
+   * @returns {Promise<void>}
+   */
+  enqueue(threadId, task) {
+    const previous = this.pendingSaves.get(threadId) ?? Promise.resolve();
+    const current = previous.then(task);
+    // 写入失败不阻塞后续写入，错误由本次调用方处理
+    this.pendingSaves.set(threadId, current.catch(() => {}));
+    return current;
+  }
+
+  /**
+   * 追加日志记录；新线程先写线程头，记录过多时改为压缩整个日志
+   * @param {string} threadId 线程 ID
+   * @param {Array<Object>} records 日志记录
+   * @returns {Promise<void>}
+   */
+  appendRecords(threadId, records) {
+    return this.enqueue(threadId, async () => {
+      if (!this.storage[threadId]) return;
+      const log = this.logs.get(threadId);
+      if (!log || log.records + records.length > log.compactAt) {
+        await this.compactThread(threadId);
+        return;
+      }
+      await fs.appendFile(this.getThreadPath(threadId), records.map(record => `${JSON.stringify(record)}\n`).join(""), "utf-8");
+      log.records += records.length;
+    });
+  }
+
+  /**
+   * 把线程当前快照写成新的日志（先写临时文件再重命名）
+   * @param {string} threadId 线程 ID
+   * @returns {Promise<void>}
+   */
+  async compactThread(threadId) {
+    const threadPath = this.getThreadPath(threadId);
+    const records = this.snapshotRecords(threadId);
+    await fs.writeFile(`${threadPath}.tmp`, records.map(record => `${JSON.stringify(record)}\n`).join(""), "utf-8");
+    await fs.rename(`${threadPath}.tmp`, threadPath);
+    this.logs.set(threadId, { records: records.length, compactAt: Math.max(MIN_COMPACT_RECORDS, records.length * 3) });
+  }
+
+  async put(config, checkpoint, metadata) {
+    const result = await super.put(config, checkpoint, metadata);
+    const { thread_id: threadId, checkpoint_ns: namespace, checkpoint_id: id } = result.configurable;
+    const stored = this.storage[threadId]?.[namespace]?.[id];
+    // 超出 keepPerThread 被立即裁剪时无需写入
+    if (!stored) return result;
+    const [serializedCheckpoint, serializedMetadata, parentId] = stored;
+    await this.appendRecords(threadId, [{
+      type: "checkpoint",
+      namespace,
+      id,
+      value: [encode(serializedCheckpoint), encode(serializedMetadata), parentId ?? null],
+      ts: checkpoint.ts,
+    }]);
+    return result;
+  }
+
+  async putWrites(config, writes, taskId) {
+    await super.putWrites(config, writes, taskId);
+    const { thread_id: threadId, checkpoint_ns: namespace, checkpoint_id: checkpointId } = config.configurable;
+    // 与 MemorySaver 生成的键一致
+    const key = JSON.stringify([threadId, namespace, checkpointId]);
+    // 内部键以 taskId 开头，只追加本任务的记录
+    const inner = Object.fromEntries(
+      Object.entries(this.writes[key] ?? {}).filter(([, [writeTaskId]]) => writeTaskId === taskId)
+    );
+    if (Object.keys(inner).length === 0) return;
+    await this.appendRecords(threadId, [{ type: "writes", key, writes: this.encodeWrites(inner) }]);
+  }
+
+  async deleteThread(threadId) {
+    await super.deleteThread(threadId);
+    await this.enqueue(threadId, async () => {
+      await fs.rm(this.getThreadPath(threadId), { force: true });
+      this.logs.delete(threadId);
+    });
+  }
+}
+
+/**
+ * 创建 SQLite 检查点（基于 @langchain/langgraph-checkpoint-sqlite 的 SqliteSaver）
+ * 额外维护 thread_meta 表记录线程的创建/更新时间，用于线程列表与过期清理
+ * @param {Object} options 配置选项（见 resolveCheckpointerConfig）
+ * @param {string} options.dbPath 数据库文件路径
+ * @returns {Promise<Object>} 检查点实例
+ */
+async function createSqliteCheckpointer(options) {
+  let SqliteSaver;
+  try {
+    ({ SqliteSaver } = await import("@langchain/langgraph-checkpoint-sqlite"));
+  } catch (error) {
+    throw new Error(`SQLite 检查点需要安装 @langchain/langgraph-checkpoint-sqlite: ${error.message}`);
+  }
+
+  class ManagedSqliteSaver extends SqliteSaver {
+    setup() {
+      if (this.isSetup) return;
+      super.setup();
+      this.db.exec(`
+CREATE TABLE IF NOT EXISTS thread_meta (
+  thread_id TEXT PRIMARY KEY,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);`);
+    }
+
+    async put(config, checkpoint, metadata) {
+      const result = await super.put(config, checkpoint, metadata);
+      const threadId = result.configurable.thread_id;
+      this.db
+        .prepare(`INSERT INTO thread_meta (thread_id, created_at, updated_at) VALUES (?, ?, ?)
+          ON CONFLICT(thread_id) DO UPDATE SET updated_at = excluded.updated_at`)
+        .run(threadId, checkpoint.ts, checkpoint.ts);
+      if (options.keepPerThread > 0) {
+        // 检查点 ID 按时间递增，只保留最近的 keepPerThread 个
+        const stale = `SELECT checkpoint_id FROM checkpoints WHERE thread_id = ?
+          ORDER BY checkpoint_id DESC LIMIT -1 OFFSET ?`;
+        this.db.prepare(`DELETE FROM writes WHERE thread_id = ? AND checkpoint_id IN (${stale})`)
+          .run(threadId, threadId, options.keepPerThread);
+        this.db.prepare(`DELETE FROM checkpoints WHERE thread_id = ? AND checkpoint_id IN (${stale})`)
+          .run(threadId, threadId, options.keepPerThread);
+      }
+      return result;
+    }
+
+    async listThreads() {
+      this.setup();
+      return this.db
+        .prepare(`SELECT thread_id AS threadId, created_at AS createdAt, updated_at AS updatedAt
+          FROM thread_meta ORDER BY updated_at DESC`)
+        .all();
+    }
+
+    async deleteThread(threadId) {
+      this.setup();
+      await super.deleteThread(threadId);
+      this.db.prepare(`DELETE FROM thread_meta WHERE thread_id = ?`).run(threadId);
+    }
+
+    async cleanup() {
+      const expired = selectExpiredThreads(await this.listThreads(), options);
+      for (const threadId of expired) {
+        await this.deleteThread(threadId);
+      }
+      return expired;
+    }
+  }
+
+  await fs.mkdir(path.dirname(options.dbPath), { recursive: true });
+  const saver = ManagedSqliteSaver.fromConnString(options.dbPath);
+  await saver.cleanup();
+  return saver;
+}
+
+/**
+ * 为指定的图创建检查点存储（不同的图使用独立的存储，互不影响）
+ * @param {string} name 图名称（如 chat、rag、translate），用作文件目录或数据库名
+ * @param {Object} overrides 覆盖配置（见 resolveCheckpointerConfig）
+ * @returns {Promise<ManagedMemorySaver|FileCheckpointSaver|Object>} 检查点实例
+ */
+export async function createCheckpointer(name, overrides = {}) {
+  const config = resolveCheckpointerConfig(overrides);
+  switch (config.type) {
+    case "file":
+      return FileCheckpointSaver.load({ ...config, directory: path.join(config.directory, name) });
+    case "sqlite":
+      return createSqliteCheckpointer({ ...config, dbPath: path.join(config.directory, `${name}.sqlite`) });
+    default:
+      return new ManagedMemorySaver(config);
+  }
+}
+
+/**
+ * 描述检查点配置，便于在启动日志中展示
+ * @param {string} name 图名称
+ * @param {Object} overrides 覆盖配置
+ * @returns {string} 描述文本
+ */
+export function describeCheckpointer(name, overrides = {}) {
+  const config = resolveCheckpointerConfig(overrides);
+  if (config.type === "memory") return "memory（进程内存，重启后丢失）";
+  const location = config.type === "file"
+    ? path.join(config.directory, name)
+    : path.join(config.directory, `${name}.sqlite`);
+  const retention = config.retentionDays > 0 ? `保留 ${config.retentionDays} 天` : "永久保留";
+  return `${config.type}（${location}，${retention}）`;
+}
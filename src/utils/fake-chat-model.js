@@ -0,0 +1,151 @@
+import { BaseChatModel } from "@langchain/core/language_models/chat_models";
+import { AIMessage, AIMessageChunk } from "@langchain/core/messages";
+import { ChatGenerationChunk } from "@langchain/core/outputs";
+
+/**
+ * 离线假模型 - 不访问网络，对同样的输入始终给出同样的输出
+ * 默认回显最后一条用户消息；传入 responses 时按顺序循环返回预设回复
+ * 适合在无网络环境中调试对话流程或编写可重复的测试
+ * 返回的 usage_metadata 按字符数模拟 token 用量（流式时附在最后一个片段上，与 Gemini streamUsage 一致）
+ *
+ * 工具调用：预设回复写成 "tool:<工具名> <JSON 参数>"（如 tool:calculator {"expression":"1+2"}）时返回对应的工具调用；
+ * 回显模式下最后一条消息是工具结果时回显工具结果，便于离线调试工具调用流程
+ */
+export class FakeEchoChatModel extends BaseChatModel {
+  static lc_name() {
+    return "FakeEchoChatModel";
+  }
+
+  /**
+   * @param {Object} fields 配置项
+   * @param {string} fields.model 模型名称（仅用于展示）
+   * @param {Array<string>} fields.responses 预设回复列表（可选）
+   * @param {string} fields.prefix 回显模式下的回复前缀
+   * @param {number} fields.chunkSize 流式输出时每个片段的字符数
+   */
+  constructor(fields = {}) {
+    super(fields);
+    this.model = fields.model || "fake-echo";
+    this.responses = fields.responses || [];
+    this.prefix = fields.prefix ?? "[fake] ";
+    this.chunkSize = fields.chunkSize || 8;
+    this.responseIndex = 0;
+  }
+
+  _llmType() {
+    return "fake-echo";
+  }
+
+  /**
+   * 假模型不会自行决定调用工具，工具调用由预设回复指定（见类说明）
+   * @returns {FakeEchoChatModel} 当前实例
+   */
+  bindTools() {
+    return this;
+  }
+
+  /**
+   * 生成回复：有预设回复时循环返回，否则回显最后一条用户消息（或工具结果）
+   * @param {Array} messages 输入消息
+   * @returns {{text: string, toolCalls: Array<Object>}} 回复文本与工具调用
+   */
+  _buildResponse(messages) {
+    const text = this._buildReply(messages);
+    const match = text.match(/^tool:(\S+)\s*([\s\S]*)$/);
+    if (!match) return { text, toolCalls: [] };
+    return {
+      text: "",
+      toolCalls: [{
+        id: `call_${this.responseIndex}_${match[1]}`,
+        name: match[1],
+        args: match[2] ? JSON.parse(match[2]) : {},
+        type: "tool_call",
+      }],
+    };
+  }
+
+  /**
+   * 生成回复文本：有预设回复时循环返回，否则回显最后一条用户消息
+   * @param {Array} messages 输入消息
+   * @returns {string} 回复文本
+   */
+  _buildReply(messages) {
+    if (this.responses.length > 0) {
+      const reply = this.responses[this.responseIndex % this.responses.length];
+      this.responseIndex += 1;
+      return reply;
+    }
+    const last = messages[messages.length - 1];
+    const lastHuman = last?._getType?.() === "tool"
+      ? last
+      : [...messages].reverse().find((m) => m._getType?.() === "human") ?? last;
+    const content = lastHuman?.content ?? "";
+    const text = Array.isArray(content)
+      ? content.map((c) => (typeof c === "string" ? c : c?.text ?? "")).join("")
+      : content;
+    return `${this.prefix}${text}`;
+  }
+
+  /**
+   * 按字符数模拟用量
+   * @param {Array} messages 输入消息
+   * @param {string} text 回复文本
+   * @returns {{input_tokens: number, output_tokens: number, total_tokens: number}} 用量
+   */
+  _buildUsage(messages, text) {
+    const inputTokens = messages.reduce(
+      (acc, m) => acc + (typeof m.content === "string" ? m.content : JSON.stringify(m.content)).length,
+      0
+    );
+    return { input_tokens: inputTokens, output_tokens: text.length, total_tokens: inputTokens + text.length };
+  }
+
+  async _generate(messages, _options, runManager) {
+    const { text, toolCalls } = this._buildResponse(messages);
+    await runManager?.handleLLMNewToken(text);
+    return {
+      generations: [{
+        message: new AIMessage({ content: text, tool_calls: toolCalls, usage_metadata: this._buildUsage(messages, text) }),
+        text,
+      }],
+      llmOutput: {},
+    };
+  }
+
+  async *_streamResponseChunks(messages, _options, runManager) {
+    const { text, toolCalls } = this._buildResponse(messages);
+    if (toolCalls.length > 0) {
+      // 工具调用作为一个完整片段输出
+      const chunk = new ChatGenerationChunk({
+        message: new AIMessageChunk({
+          content: "",
+          tool_call_chunks: toolCalls.map((call, index) => ({
+            id: call.id,
+            name: call.name,
+            args: JSON.stringify(call.args),
+            index,
+            type: "tool_call_chunk",
+          })),
+          usage_metadata: this._buildUsage(messages, JSON.stringify(toolCalls)),
+        }),
+        text: "",
+      });
+      yield chunk;
+      await runManager?.handleLLMNewToken("", undefined, undefined, undefined, undefined, { chunk });
+      return;
+    }
+    for (let i = 0; i < text.length; i += this.chunkSize) {
+      const piece = text.slice(i, i + this.chunkSize);
+      const isLast = i + this.chunkSize >= text.length;
+      const chunk = new ChatGenerationChunk({
+        message: new AIMessageChunk({
+          content: piece,
+          ...(isLast ? { usage_metadata: this._buildUsage(messages, text) } : {}),
+        }),
+        text: piece,
+      });
+      yield chunk;
+      await runManager?.handleLLMNewToken(piece, undefined, undefined, undefined, undefined, { chunk });
+    }
+  }
+}
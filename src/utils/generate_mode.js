@@ -1,14 +1,10 @@
-import { ChatGoogleGenerativeAI } from "@langchain/google-genai";
 import dotenv from "dotenv";
+import { createChatModel } from "./model-factory.js";
 
 dotenv.config();
 
-export const llm = new ChatGoogleGenerativeAI({
-  model: "gemini-2.5-flash",
-  temperature: 0,
-  apiKey: process.env.GOOGLE_API_KEY,
-  streaming: true,
-  streamUsage: true,
-});
+// 由模型工厂按配置创建（LLM_PROVIDER / LLM_MODEL / LLM_TEMPERATURE 等）
+// 默认仍为 Google Gemini "gemini-2.5-flash"，支持流式输出
+export const llm = createChatModel();
 
-export default llm;
\ No newline at end of file
+export default llm;
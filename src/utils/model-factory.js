@@ -0,0 +1,128 @@
+import { ChatGoogleGenerativeAI } from "@langchain/google-genai";
+import { ChatOpenAI } from "@langchain/openai";
+import dotenv from "dotenv";
+import { FakeEchoChatModel } from "./fake-chat-model.js";
+import { ResilientChatModel } from "./resilient-chat-model.js";
+
+dotenv.config();
+
+// 各提供方的默认模型
+const DEFAULT_MODELS = {
+  google: "gemini-2.5-flash",
+  "openai-compatible": undefined, // 本地服务的模型名因部署而异，必须显式配置
+  fake: "fake-echo",
+};
+
+/** 支持的对话模型提供方 */
+export const SUPPORTED_PROVIDERS = Object.keys(DEFAULT_MODELS);
+
+/**
+ * 解析布尔型环境变量
+ * @param {string|undefined} value 环境变量值
+ * @param {boolean} defaultValue 默认值
+ * @returns {boolean} 解析结果
+ */
+function parseBoolean(value, defaultValue) {
+  if (value === undefined || value === "") return defaultValue;
+  return ["true", "1", "yes", "on"].includes(String(value).toLowerCase());
+}
+
+/**
+ * 合并环境变量与调用方覆盖项，得到最终的模型配置
+ * @param {Object} overrides 覆盖配置（优先级高于环境变量）
+ * @returns {Object} 模型配置
+ */
+export function resolveModelConfig(overrides = {}) {
+  const provider = (overrides.provider || process.env.LLM_PROVIDER || "google").toLowerCase();
+  if (!SUPPORTED_PROVIDERS.includes(provider)) {
+    throw new Error(`不支持的模型提供方: ${provider}（可选: ${SUPPORTED_PROVIDERS.join(", ")}）`);
+  }
+
+  const rawTemperature = overrides.temperature ?? process.env.LLM_TEMPERATURE;
+  const temperature = rawTemperature === undefined || rawTemperature === "" ? 0 : Number(rawTemperature);
+  // Gemini 与 OpenAI 兼容接口的温度范围均为 0 ~ 2，非法值在启动时报错，而不是在首次调用时才失败
+  if (!(Number.isFinite(temperature) && temperature >= 0 && temperature <= 2)) {
+    throw new Error(`LLM_TEMPERATURE 必须是 0 ~ 2 之间的数字: ${rawTemperature}`);
+  }
+  return {
+    provider,
+    model: overrides.model || process.env.LLM_MODEL || DEFAULT_MODELS[provider],
+    temperature,
+    streaming: overrides.streaming ?? parseBoolean(process.env.LLM_STREAMING, true),
+    streamUsage: overrides.streamUsage ?? parseBoolean(process.env.LLM_STREAM_USAGE, true),
+    baseURL: overrides.baseURL || process.env.LLM_BASE_URL || "http://localhost:11434/v1",
+    apiKey: overrides.apiKey || process.env.LLM_API_KEY,
+    responses: overrides.responses,
+  };
+}
+
+/**
+ * 对话模型工厂 - 根据配置创建 Gemini、OpenAI 兼容接口或离线假模型
+ * 远程提供方统一由 ResilientChatModel 负责限流、重试与熔断，SDK 自带的重试关闭
+ * @param {Object} overrides 覆盖配置
+ * @param {string} overrides.provider 提供方：google | openai-compatible | fake
+ * @param {string} overrides.model 模型名称
+ * @param {number} overrides.temperature 温度
+ * @param {boolean} overrides.streaming 是否流式输出
+ * @param {boolean} overrides.streamUsage 是否在流式输出中返回用量信息
+ * @param {string} overrides.baseURL OpenAI 兼容接口地址（如 Ollama / llama.cpp）
+ * @param {string} overrides.apiKey API 密钥
+ * @param {Object} overrides.resilience 远程提供方的弹性配置覆盖项（见 resilience.js）
+ * @returns {import("@langchain/core/language_models/chat_models").BaseChatModel} 对话模型实例
+ */
+export function createChatModel(overrides = {}) {
+  const config = resolveModelConfig(overrides);
+  const resilient = (model) => new ResilientChatModel({
+    model,
+    name: `llm:${config.provider}/${config.model}`,
+    policy: overrides.resilience,
+  });
+
+  switch (config.provider) {
+    case "google":
+      return resilient(new ChatGoogleGenerativeAI({
+        model: config.model,
+        temperature: config.temperature,
+        apiKey: config.apiKey || process.env.GOOGLE_API_KEY,
+        streaming: config.streaming,
+        streamUsage: config.streamUsage,
+        maxRetries: 0,
+      }));
+
+    case "openai-compatible":
+      if (!config.model) {
+        throw new Error("使用 openai-compatible 提供方时必须设置 LLM_MODEL（如 qwen2.5:7b）");
+      }
+      return resilient(new ChatOpenAI({
+        model: config.model,
+        temperature: config.temperature,
+        streaming: config.streaming,
+        streamUsage: config.streamUsage,
+        // 本地服务通常不校验密钥，但 SDK 要求非空
+        apiKey: config.apiKey || process.env.OPENAI_API_KEY || "not-needed",
+        configuration: { baseURL: config.baseURL },
+        maxRetries: 0,
+      }));
+
+    case "fake": {
+      const envResponses = process.env.FAKE_LLM_RESPONSES;
+      return new FakeEchoChatModel({
+        model: config.model,
+        responses: config.responses || (envResponses ? envResponses.split("||") : undefined),
+      });
+    }
+
+    default:
+      throw new Error(`不支持的模型提供方: ${config.provider}`);
+  }
+}
+
+/**
+ * 返回当前配置的简要描述，便于启动日志展示
+ * @param {Object} overrides 覆盖配置
+ * @returns {string} 形如 "google/gemini-2.5-flash" 的描述
+ */
+export function describeModelConfig(overrides = {}) {
+  const { provider, model } = resolveModelConfig(overrides);
+  return `${provider}/${model ?? "unset"}`;
+}
@@ -0,0 +1,344 @@
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import readline from "node:readline";
+import { stdin as input, stdout as output } from "node:process";
+
+/**
+ * 通用命令行交互框架（REPL）
+ *
+ * - 以 "/" 开头的输入按注册的命令分发，其余输入交给 onInput 处理（如发送给模型）
+ * - 自动生成 /help，内置 /exit
+ * - 参数解析：位置参数（支持引号）、--key=value / --flag 选项、最后一个参数可吞掉剩余文本
+ * - Tab 补全命令名与参数（命令可提供 complete 函数）
+ * - 输入历史保存到 <REPL_HISTORY_DIR>/<name>.history，下次启动可用方向键翻阅
+ *
+ * 用法：
+ *   const repl = new Repl({ name: "agent", onInput: async (text) => { ... } });
+ *   repl.command("new", { description: "开始新线程", handler: () => { ... } });
+ *   await repl.start();
+ */
+
+/**
+ * 将命令参数切分为词元，支持单/双引号包裹含空格的参数
+ * @param {string} text 命令名之后的文本
+ * @returns {Array<{value: string, start: number}>} 词元及其在原文中的起始位置
+ */
+export function tokenizeArgs(text) {
+  const tokens = [];
+  const pattern = /"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(\S+)/g;
+  for (const match of text.matchAll(pattern)) {
+    const value = match[1] ?? match[2] ?? match[3];
+    tokens.push({ value: value.replace(/\\(["'\\])/g, "$1"), start: match.index });
+  }
+  return tokens;
+}
+
+/**
+ * 按命令的参数定义解析参数
+ * @param {string} text 命令名之后的文本
+ * @param {Array<Object>} specs 参数定义 [{ name, required, choices, rest }]
+ * @returns {{args: Object, flags: Object, argv: Array<string>, rest: string, error?: string}} 解析结果
+ */
+export function parseArgs(text, specs = []) {
+  const tokens = tokenizeArgs(text);
+  const args = {};
+  const flags = {};
+  const argv = [];
+  let specIndex = 0;
+
+  for (let i = 0; i < tokens.length; i += 1) {
+    const { value, start } = tokens[i];
+    const spec = specs[specIndex];
+    // 选项（--key=value / --flag）只在剩余文本参数之前解析
+    const flag = value.match(/^--([\w-]+)(?:=(.*))?$/);
+    if (flag) {
+      flags[flag[1]] = flag[2] ?? true;
+      continue;
+    }
+    // 剩余文本参数：保留原文（包括引号与空格），整体被一对引号包裹时去掉引号
+    if (spec?.rest) {
+      args[spec.name] = i === tokens.length - 1 ? value : text.slice(start).trim();
+      argv.push(...tokens.slice(i).map(t => t.value));
+      specIndex += 1;
+      break;
+    }
+    argv.push(value);
+    if (spec) {
+      args[spec.name] = value;
+      specIndex += 1;
+    }
+  }
+
+  for (const spec of specs) {
+    const value = args[spec.name];
+    if (value === undefined || value === "") {
+      if (spec.required) return { args, flags, argv, rest: text.trim(), error: `缺少参数 <${spec.name}>` };
+      continue;
+    }
+    if (spec.choices && !spec.choices.includes(value)) {
+      return { args, flags, argv, rest: text.trim(), error: `参数 <${spec.name}> 只能是 ${spec.choices.join(" | ")}` };
+    }
+  }
+  return { args, flags, argv, rest: text.trim() };
+}
+
+/**
+ * 计算文本在终端中的显示宽度（中日韩等全角字符占两列）
+ * @param {string} text 文本
+ * @returns {number} 显示宽度
+ */
+function displayWidth(text) {
+  let width = 0;
+  for (const char of text) {
+    width += /[\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6]/.test(char) ? 2 : 1;
+  }
+  return width;
+}
+
+/**
+ * 生成参数用法说明，如 "<id> [md|json]"
+ * @param {Array<Object>} specs 参数定义
+ * @returns {string} 用法说明
+ */
+function formatUsage(specs = []) {
+  return specs
+    .map(spec => {
+      const label = spec.choices ? spec.choices.join("|") : spec.rest ? `${spec.name}...` : spec.name;
+      return spec.required ? `<${label}>` : `[${label}]`;
+    })
+    .join(" ");
+}
+
+export class Repl {
+  /**
+   * @param {Object} options 配置选项
+   * @param {string} options.name 名称（用于历史文件名）
+   * @param {string} options.prompt 提示符
+   * @param {Function} options.onInput 处理非命令输入 (text, repl) => Promise<void>
+   * @param {Function} options.onError 处理命令或输入执行时的异常 (error, repl) => void
+   * @param {Array<string>} options.helpFooter /help 末尾附加的说明行
+   * @param {string} options.historyFile 历史文件路径（默认 <REPL_HISTORY_DIR>/<name>.history，null 表示不保存）
+   * @param {number} options.historySize 保存的历史条数
+   */
+  constructor(options = {}) {
+    this.name = options.name || "repl";
+    this.prompt = options.prompt ?? "> ";
+    this.onInput = options.onInput;
+    this.onError = options.onError || ((error) => console.error("❌ 调用失败：", error.message));
+    this.helpFooter = options.helpFooter || [];
+    this.historyFile = options.historyFile === undefined
+      ? path.join(process.env.REPL_HISTORY_DIR || path.join(os.homedir(), ".langchain-example"), `${this.name}.history`)
+      : options.historyFile;
+    this.historySize = options.historySize ?? 500;
+    // 串行的历史写入与等待写入的最新快照
+    this.historyWrite = Promise.resolve();
+    this.pendingHistory = undefined;
+    // 命令名（含别名）-> 命令定义
+    this.commands = new Map();
+    this.rl = null;
+
+    this.command("help", {
+      aliases: ["h"],
+      description: "显示这个帮助信息",
+      handler: () => this.printHelp(),
+    });
+    this.command("exit", {
+      aliases: ["quit"],
+      description: "退出程序",
+      handler: () => this.stop(),
+    });
+  }
+
+  /**
+   * 注册命令（同名命令会被覆盖）
+   * @param {string} name 命令名（不含 "/"）
+   * @param {Object} definition 命令定义
+   * @param {string} definition.description 说明（显示在 /help 中）
+   * @param {Array<Object>} definition.args 参数定义 [{ name, required, choices, rest }]
+   * @param {string} definition.usage 自定义用法说明（默认由 args 生成）
+   * @param {Array<string>} definition.aliases 别名
+   * @param {Function} definition.complete 参数补全 (partial, argv) => Array<string> | Promise<Array<string>>
+   * @param {Function} definition.handler 处理函数 ({ args, flags, argv, rest }, repl) => Promise<void>
+   * @returns {Repl} 当前实例（便于链式注册）
+   */
+  command(name, definition) {
+    const command = { name, aliases: [], args: [], ...definition };
+    command.usage ??= formatUsage(command.args);
+    for (const key of [name, ...command.aliases]) {
+      this.commands.set(key, command);
+    }
+    return this;
+  }
+
+  /** 已注册的命令（去除别名，按注册顺序，内置命令排在最后） */
+  get commandList() {
+    const unique = [...new Set(this.commands.values())];
+    const builtins = unique.filter(c => c.name === "help" || c.name === "exit");
+    return [...unique.filter(c => !builtins.includes(c)), ...builtins];
+  }
+
+  /** 打印自动生成的帮助信息 */
+  printHelp() {
+    const rows = this.commandList.map(c => {
+      const names = [`/${c.name}`, ...c.aliases.map(a => `/${a}`)].join(", ");
+      return [`${names}${c.usage ? ` ${c.usage}` : ""}`, c.description ?? ""];
+    });
+    const width = Math.max(...rows.map(([left]) => displayWidth(left)));
+    console.log("\n📚 可用命令：");
+    for (const [left, description] of rows) {
+      console.log(`  ${left}${" ".repeat(width - displayWidth(left))}  - ${description}`);
+    }
+    if (this.helpFooter.length > 0) {
+      console.log("");
+      this.helpFooter.forEach(line => console.log(line));
+    }
+    console.log("");
+  }
+
+  /**
+   * 执行一行输入：命令按注册表分发，其余交给 onInput
+   * @param {string} line 输入
+   * @returns {Promise<void>}
+   */
+  async execute(line) {
+    const text = line.trim();
+    if (!text) return;
+
+    if (!text.startsWith("/")) {
+      await this.onInput?.(text, this);
+      return;
+    }
+
+    const [, name, rest = ""] = text.match(/^\/(\S+)\s*([\s\S]*)$/);
+    const command = this.commands.get(name);
+    if (!command) {
+      console.log(`⚠️  未知命令: /${name}，输入 /help 查看可用命令`);
+      return;
+    }
+    const parsed = parseArgs(rest, command.args);
+    if (parsed.error) {
+      console.log(`⚠️  ${parsed.error}`);
+      console.log(`   用法: /${command.name} ${command.usage}`.trimEnd());
+      return;
+    }
+    await command.handler(parsed, this);
+  }
+
+  /**
+   * Tab 补全：补全命令名，或交给命令的 complete 函数补全参数
+   * @param {string} line 当前输入
+   * @returns {Promise<[Array<string>, string]>} 候选项与被补全的片段
+   */
+  async complete(line) {
+    if (!line.startsWith("/")) return [[], line];
+    const spaceIndex = line.indexOf(" ");
+    if (spaceIndex === -1) {
+      const names = [...this.commands.keys()].map(n => `/${n}`);
+      const hits = names.filter(n => n.startsWith(line));
+      return [hits.length ? hits : names, line];
+    }
+
+    const command = this.commands.get(line.slice(1, spaceIndex));
+    if (!command) return [[], line];
+    const tokens = line.slice(spaceIndex + 1).split(/\s+/);
+    const partial = tokens.pop();
+    const candidates = command.complete
+      ? await command.complete(partial, tokens)
+      : command.args[tokens.length]?.choices ?? [];
+    return [candidates.filter(c => c.startsWith(partial)), partial];
+  }
+
+  /**
+   * 读取历史文件（最新的在前，与 readline 的 history 顺序一致）
+   * @returns {Promise<Array<string>>} 历史记录
+   */
+  async loadHistory() {
+    if (!this.historyFile) return [];
+    try {
+      const lines = (await fs.readFile(this.historyFile, "utf-8")).split("\n").filter(Boolean);
+      return lines.reverse().slice(0, this.historySize);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn(`⚠️ 历史记录读取失败: ${error.message}`);
+      }
+      return [];
+    }
+  }
+
+  /**
+   * 保存历史记录（文件中按时间顺序存放，最新的在最后）
+   * 写入串行执行；前一次写入期间到达的多次保存只写最后一份，避免旧快照覆盖新快照
+   * @param {Array<string>} history readline 的历史记录（最新的在前）
+   * @returns {Promise<void>} 包含本次快照的写入完成后 resolve
+   */
+  saveHistory(history) {
+    if (!this.historyFile) return Promise.resolve();
+    const pending = this.pendingHistory === undefined;
+    this.pendingHistory = [...history];
+    if (pending) {
+      this.historyWrite = this.historyWrite.then(() => this.writeHistory());
+    }
+    return this.historyWrite;
+  }
+
+  /**
+   * 写入最近一次待保存的历史记录快照
+   * @returns {Promise<void>}
+   */
+  async writeHistory() {
+    const history = this.pendingHistory;
+    this.pendingHistory = undefined;
+    try {
+      await fs.mkdir(path.dirname(this.historyFile), { recursive: true });
+      await fs.writeFile(this.historyFile, `${history.reverse().join("\n")}\n`, "utf-8");
+    } catch (error) {
+      console.warn(`⚠️ 历史记录保存失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 启动交互循环，直到 /exit、Ctrl+C 或输入结束
+   * 输入在处理期间会排队，逐行顺序执行
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.rl = readline.createInterface({
+      input,
+      output,
+      history: await this.loadHistory(),
+      historySize: this.historySize,
+      removeHistoryDuplicates: true,
+      completer: (line, callback) => {
+        this.complete(line).then(result => callback(null, result), error => callback(error));
+      },
+    });
+    this.rl.on("history", history => {
+      this.saveHistory(history);
+    });
+    this.rl.on("SIGINT", () => {
+      console.log("\n\n👋 接收到退出信号，再见！");
+      this.stop();
+    });
+
+    this.rl.setPrompt(this.prompt);
+    this.rl.prompt();
+    for await (const line of this.rl) {
+      try {
+        await this.execute(line);
+      } catch (error) {
+        this.onError(error, this);
+      }
+      if (this.closed) break;
+      this.rl.prompt();
+    }
+    this.stop();
+  }
+
+  /** 结束交互循环 */
+  stop() {
+    if (this.closed) return;
+    this.closed = true;
+    this.rl?.close();
+  }
+}
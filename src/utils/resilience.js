@@ -0,0 +1,428 @@
+/**
+ * 调用弹性层 - 对话模型与嵌入模型共用的重试、限流与熔断
+ * - 重试：429、5xx、超时与网络错误按指数退避（带随机抖动）重试，服务端给出 Retry-After 时按其等待
+ * - 限流：按最近 60 秒的请求数（RPM）与估算 token 数（TPM）排队，超出时等待而不是报错
+ * - 熔断：连续多次调用（重试耗尽后）失败时暂停调用，冷却后放行一次试探请求，成功则恢复
+ * 同一提供方与模型共用一个策略实例（见 getResiliencePolicy），限流额度与熔断状态在各调用方之间共享
+ */
+
+// 限流统计窗口
+const WINDOW_MS = 60_000;
+// 可重试的 HTTP 状态码
+const RETRYABLE_STATUS = [408, 409, 425, 429, 500, 502, 503, 504, 529];
+// 可重试的网络错误码
+const RETRYABLE_CODES = ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN", "EPIPE", "UND_ERR_SOCKET", "UND_ERR_CONNECT_TIMEOUT"];
+// 没有状态码时按错误信息识别的临时错误
+const RETRYABLE_MESSAGE = /rate limit|too many requests|connection error|resource[_ ]exhausted|overloaded|unavailable|timed? ?out|fetch failed|socket hang up/i;
+
+/**
+ * 熔断中的调用被拒绝时抛出的错误
+ */
+export class CircuitOpenError extends Error {
+  /**
+   * @param {Object} status 熔断器状态（见 CircuitBreaker.getStatus）
+   */
+  constructor(status) {
+    const seconds = Math.max(1, Math.ceil((status.retryAt - Date.now()) / 1000));
+    super(
+      `${status.name} 已熔断：连续 ${status.consecutiveFailures} 次调用失败（最近一次：${status.lastError}），约 ${seconds} 秒后重试`
+    );
+    this.name = "CircuitOpenError";
+    this.status = status;
+    this.retryAfterMs = Math.max(0, status.retryAt - Date.now());
+  }
+}
+
+/**
+ * 解析非负整数型环境变量
+ * @param {string|number|undefined} value 取值
+ * @param {number} defaultValue 默认值
+ * @returns {number} 解析结果
+ */
+function parseCount(value, defaultValue) {
+  if (value === undefined || value === "") return defaultValue;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : defaultValue;
+}
+
+/**
+ * 合并环境变量与调用方覆盖项，得到弹性层配置
+ * 重试次数与 RPM / TPM 按用途分别配置（LLM_* / EMBEDDING_*），退避与熔断参数共用
+ * @param {"llm"|"embedding"} scope 用途
+ * @param {Object} overrides 覆盖配置（优先级高于环境变量）
+ * @returns {{maxRetries: number, baseDelayMs: number, maxDelayMs: number, rpm: number, tpm: number, failureThreshold: number, cooldownMs: number}} 配置
+ */
+export function resolveResilienceConfig(scope, overrides = {}) {
+  const prefix = scope === "embedding" ? "EMBEDDING" : "LLM";
+  const env = process.env;
+  return {
+    maxRetries: parseCount(overrides.maxRetries ?? env[`${prefix}_MAX_RETRIES`], 3),
+    baseDelayMs: parseCount(overrides.baseDelayMs ?? env.RETRY_BASE_DELAY_MS, 1000),
+    maxDelayMs: parseCount(overrides.maxDelayMs ?? env.RETRY_MAX_DELAY_MS, 60_000),
+    // 0 表示不限
+    rpm: parseCount(overrides.rpm ?? env[`${prefix}_RPM`], 0),
+    tpm: parseCount(overrides.tpm ?? env[`${prefix}_TPM`], 0),
+    // 0 表示关闭熔断
+    failureThreshold: parseCount(overrides.failureThreshold ?? env.CIRCUIT_BREAKER_THRESHOLD, 5),
+    cooldownMs: parseCount(overrides.cooldownMs ?? env.CIRCUIT_BREAKER_COOLDOWN_MS, 30_000),
+  };
+}
+
+/**
+ * 粗略估算文本的 token 数（CJK 字符按 1 个，其余按 4 个字符 1 个），仅用于 TPM 限流
+ * @param {string} text 文本
+ * @returns {number} 估算的 token 数
+ */
+export function estimateTokens(text) {
+  const value = String(text ?? "");
+  const cjk = value.match(/[\u3000-\u9fff\uac00-\ud7af\uff00-\uffef]/g)?.length ?? 0;
+  return cjk + Math.ceil((value.length - cjk) / 4);
+}
+
+/**
+ * 提取错误的 HTTP 状态码（兼容 OpenAI、Google 与 fetch 风格的错误）
+ * @param {Error} error 异常
+ * @returns {number|undefined} 状态码
+ */
+function getErrorStatus(error) {
+  const status = error?.status ?? error?.statusCode ?? error?.response?.status;
+  if (status !== undefined && Number.isFinite(Number(status))) return Number(status);
+  // Google SDK 的错误信息形如 "[429 Too Many Requests] ..."
+  const match = String(error?.message ?? "").match(/\[(\d{3})[^\]]*\]/);
+  return match ? Number(match[1]) : undefined;
+}
+
+/**
+ * 判断错误是否为可重试的临时错误（限流、服务端错误、超时与网络错误）
+ * 参数错误、鉴权失败等客户端错误重试也不会成功，直接抛出
+ * @param {Error} error 异常
+ * @returns {boolean} 是否可重试
+ */
+export function isRetryableError(error) {
+  if (!error || error.name === "AbortError" || error instanceof CircuitOpenError) return false;
+  const status = getErrorStatus(error);
+  if (status !== undefined) return RETRYABLE_STATUS.includes(status);
+  const code = error.code ?? error.cause?.code;
+  if (code && RETRYABLE_CODES.includes(code)) return true;
+  return RETRYABLE_MESSAGE.test(error.message ?? "");
+}
+
+/**
+ * 读取服务端要求的等待时间：Retry-After 头（秒数或 HTTP 日期）或 Google 的 RetryInfo.retryDelay
+ * @param {Error} error 异常
+ * @returns {number|null} 等待毫秒数，未提供时返回 null
+ */
+export function getRetryAfterMs(error) {
+  const headers = error?.headers ?? error?.response?.headers;
+  const header = typeof headers?.get === "function"
+    ? headers.get("retry-after")
+    : headers?.["retry-after"] ?? headers?.["Retry-After"];
+  if (header !== undefined && header !== null && header !== "") {
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+  const retryInfo = error?.errorDetails?.find?.(detail => String(detail?.["@type"] ?? "").endsWith("RetryInfo"));
+  const delay = String(retryInfo?.retryDelay ?? "").match(/^([\d.]+)s$/);
+  return delay ? Math.round(Number(delay[1]) * 1000) : null;
+}
+
+/**
+ * 等待指定时间，可被 AbortSignal 中断
+ * @param {number} ms 毫秒数
+ * @param {AbortSignal} signal 中断信号
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  if (ms <= 0) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason ?? new Error("AbortError"));
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason ?? new Error("AbortError"));
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * 滑动窗口限流器 - 最近 60 秒内的请求数不超过 rpm、token 数不超过 tpm（0 表示不限）
+ */
+export class RateLimiter {
+  /**
+   * @param {Object} options 配置项
+   * @param {number} options.rpm 每分钟请求数上限
+   * @param {number} options.tpm 每分钟 token 数上限
+   */
+  constructor({ rpm = 0, tpm = 0 } = {}) {
+    this.rpm = rpm;
+    this.tpm = tpm;
+    // 窗口内的请求：[{ time, tokens }]，tokens 可在调用完成后按实际用量修正
+    this.window = [];
+    // 服务端要求暂停（Retry-After）时，所有请求等到该时间之后
+    this.blockedUntil = 0;
+    // 排队串行化，保证先到先得
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * 需要等待的毫秒数（0 表示可以立即发出）
+   * @param {number} tokens 本次请求的估算 token 数
+   * @param {number} now 当前时间
+   * @returns {number} 等待毫秒数
+   */
+  getWaitMs(tokens, now) {
+    this.window = this.window.filter(entry => entry.time > now - WINDOW_MS);
+    let wait = Math.max(0, this.blockedUntil - now);
+    if (this.rpm > 0 && this.window.length >= this.rpm) {
+      wait = Math.max(wait, this.window[this.window.length - this.rpm].time + WINDOW_MS - now);
+    }
+    if (this.tpm > 0 && this.window.length > 0) {
+      // 单次请求超过 TPM 时，等窗口清空后放行，避免永远等待
+      const budget = this.tpm - Math.min(tokens, this.tpm);
+      let used = this.window.reduce((sum, entry) => sum + entry.tokens, 0);
+      for (const entry of this.window) {
+        if (used <= budget) break;
+        used -= entry.tokens;
+        wait = Math.max(wait, entry.time + WINDOW_MS - now);
+      }
+    }
+    return wait;
+  }
+
+  /**
+   * 申请发出一次请求，超出限额时排队等待
+   * @param {number} tokens 估算 token 数
+   * @param {AbortSignal} signal 中断信号
+   * @returns {Promise<{time: number, tokens: number, waitedMs: number}>} 窗口记录（可修改 tokens 为实际用量）
+   */
+  acquire(tokens = 0, signal) {
+    const acquired = this.queue.then(async () => {
+      const start = Date.now();
+      for (let wait = this.getWaitMs(tokens, start); wait > 0; wait = this.getWaitMs(tokens, Date.now())) {
+        await sleep(wait, signal);
+      }
+      const entry = { time: Date.now(), tokens, waitedMs: Date.now() - start };
+      this.window.push(entry);
+      return entry;
+    });
+    this.queue = acquired.catch(() => {});
+    return acquired;
+  }
+
+  /**
+   * 暂停发出请求（如服务端返回 Retry-After）
+   * @param {number} ms 暂停毫秒数
+   */
+  pause(ms) {
+    this.blockedUntil = Math.max(this.blockedUntil, Date.now() + ms);
+  }
+}
+
+/**
+ * 熔断器 - closed（正常）→ 连续失败达到阈值 → open（拒绝调用）→ 冷却结束 → half-open（放行一次试探）
+ */
+export class CircuitBreaker {
+  /**
+   * @param {Object} options 配置项
+   * @param {string} options.name 名称（用于日志与错误信息）
+   * @param {number} options.failureThreshold 连续失败阈值（0 表示关闭熔断）
+   * @param {number} options.cooldownMs 熔断冷却时间
+   */
+  constructor({ name, failureThreshold = 5, cooldownMs = 30_000 }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = "closed";
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    // half-open 状态下是否已有试探请求在进行
+    this.probing = false;
+  }
+
+  /**
+   * 调用前检查：熔断中抛出 CircuitOpenError，冷却结束后只放行一个试探请求
+   */
+  beforeCall() {
+    if (this.state === "closed") return;
+    if (this.state === "open" && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = "half-open";
+      console.warn(`🔌 ${this.name} 熔断冷却结束，发送试探请求`);
+    }
+    if (this.state === "half-open" && !this.probing) {
+      this.probing = true;
+      return;
+    }
+    throw new CircuitOpenError(this.getStatus());
+  }
+
+  /**
+   * 记录调用成功
+   */
+  onSuccess() {
+    if (this.state !== "closed") {
+      console.log(`✅ ${this.name} 已恢复`);
+    }
+    this.state = "closed";
+    this.consecutiveFailures = 0;
+    this.probing = false;
+  }
+
+  /**
+   * 记录调用失败（重试耗尽后的临时错误），达到阈值或试探失败时熔断
+   * @param {Error} error 异常
+   */
+  onFailure(error) {
+    this.consecutiveFailures += 1;
+    this.lastError = error.message;
+    this.probing = false;
+    const trip = this.state === "half-open" || (this.failureThreshold > 0 && this.consecutiveFailures >= this.failureThreshold);
+    if (trip) {
+      if (this.state !== "open") {
+        console.warn(`⛔ ${this.name} 连续 ${this.consecutiveFailures} 次调用失败，暂停调用 ${Math.round(this.cooldownMs / 1000)} 秒`);
+      }
+      this.state = "open";
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * 熔断器状态
+   * @returns {{name: string, state: string, consecutiveFailures: number, lastError: string|null, retryAt: number|null}} 状态
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      lastError: this.lastError,
+      retryAt: this.state === "open" ? this.openedAt + this.cooldownMs : null,
+    };
+  }
+}
+
+/**
+ * 弹性调用策略 - 组合限流、重试与熔断
+ */
+export class ResiliencePolicy {
+  /**
+   * @param {Object} options 配置项（见 resolveResilienceConfig）
+   * @param {string} options.name 名称，如 "llm:google/gemini-2.5-flash"
+   */
+  constructor({ name, ...config }) {
+    this.name = name;
+    this.config = config;
+    this.limiter = new RateLimiter(config);
+    this.breaker = new CircuitBreaker({ name, ...config });
+    this.stats = { calls: 0, retries: 0, failures: 0, throttledMs: 0 };
+  }
+
+  /**
+   * 第 attempt 次重试前的等待时间：服务端要求的时间优先，否则指数退避加随机抖动
+   * @param {Error} error 异常
+   * @param {number} attempt 重试序号（从 0 开始）
+   * @returns {number|null} 等待毫秒数，服务端要求的时间超过上限时返回 null（不再重试）
+   */
+  getRetryDelay(error, attempt) {
+    const retryAfter = getRetryAfterMs(error);
+    if (retryAfter !== null) {
+      return retryAfter > this.config.maxDelayMs ? null : retryAfter;
+    }
+    const capped = Math.min(this.config.maxDelayMs, this.config.baseDelayMs * 2 ** attempt);
+    return Math.round(capped / 2 + Math.random() * capped / 2);
+  }
+
+  /**
+   * 执行一次远程调用：熔断检查 → 限流排队 → 调用，临时错误按退避重试
+   * @param {Function} task 调用函数，参数为限流窗口记录（可把 tokens 修正为实际用量）
+   * @param {Object} options 调用选项
+   * @param {number} options.tokens 估算 token 数（用于 TPM）
+   * @param {AbortSignal} options.signal 中断信号
+   * @returns {Promise<*>} 调用结果
+   */
+  async run(task, { tokens = 0, signal } = {}) {
+    this.breaker.beforeCall();
+    this.stats.calls += 1;
+    for (let attempt = 0; ; attempt += 1) {
+      let entry;
+      try {
+        entry = await this.limiter.acquire(tokens, signal);
+      } catch (error) {
+        // 排队时被中断，释放试探名额
+        this.breaker.probing = false;
+        throw error;
+      }
+      this.stats.throttledMs += entry.waitedMs;
+      try {
+        const result = await task(entry);
+        this.breaker.onSuccess();
+        return result;
+      } catch (error) {
+        if (!isRetryableError(error)) {
+          // 客户端错误说明服务可用，不计入熔断
+          this.breaker.probing = false;
+          throw error;
+        }
+        const delay = attempt < this.config.maxRetries ? this.getRetryDelay(error, attempt) : null;
+        if (delay === null) {
+          this.stats.failures += 1;
+          this.breaker.onFailure(error);
+          throw error;
+        }
+        if (getRetryAfterMs(error) !== null) this.limiter.pause(delay);
+        this.stats.retries += 1;
+        console.warn(
+          `⏳ ${this.name} 调用失败（${error.message.split("\n")[0].slice(0, 120)}），${(delay / 1000).toFixed(1)} 秒后第 ${attempt + 1}/${this.config.maxRetries} 次重试`
+        );
+        await sleep(delay, signal);
+      }
+    }
+  }
+
+  /**
+   * 策略状态：熔断器状态、限流配置与调用统计
+   * @returns {Object} 状态
+   */
+  getStatus() {
+    return {
+      ...this.breaker.getStatus(),
+      rpm: this.config.rpm,
+      tpm: this.config.tpm,
+      ...this.stats,
+    };
+  }
+}
+
+// 名称 -> ResiliencePolicy
+const policies = new Map();
+
+/**
+ * 获取（或创建）指定名称的弹性调用策略，同名调用方共享限流额度与熔断状态
+ * @param {string} name 名称，如 "llm:google/gemini-2.5-flash"
+ * @param {"llm"|"embedding"} scope 用途（决定读取哪组环境变量）
+ * @param {Object} overrides 覆盖配置（仅在首次创建时生效）
+ * @returns {ResiliencePolicy} 策略实例
+ */
+export function getResiliencePolicy(name, scope, overrides = {}) {
+  if (!policies.has(name)) {
+    policies.set(name, new ResiliencePolicy({ name, ...resolveResilienceConfig(scope, overrides) }));
+  }
+  return policies.get(name);
+}
+
+/**
+ * 列出所有弹性调用策略的状态，便于在健康检查与错误提示中展示
+ * @returns {Array<Object>} 状态列表（见 ResiliencePolicy.getStatus）
+ */
+export function getResilienceStatus() {
+  return [...policies.values()].map(policy => policy.getStatus());
+}
@@ -0,0 +1,108 @@
+import { BaseChatModel } from "@langchain/core/language_models/chat_models";
+import { estimateTokens, getResiliencePolicy } from "./resilience.js";
+import { getMessageText } from "./stream-events.js";
+
+/**
+ * 弹性对话模型 - 为远程对话模型的每次调用加上限流、退避重试与熔断（见 resilience.js）
+ * 直接委托给被包装模型的 _generate / _streamResponseChunks，回调与流式事件仍由本模型发出，不会重复
+ * 流式调用只在第一个片段到达前重试，已经输出的内容不会重复
+ * TPM 先按输入估算，调用完成后按 usage_metadata 的实际用量修正
+ */
+export class ResilientChatModel extends BaseChatModel {
+  static lc_name() {
+    return "ResilientChatModel";
+  }
+
+  /**
+   * @param {Object} fields 配置项
+   * @param {BaseChatModel} fields.model 被包装的对话模型（应关闭其自带的重试）
+   * @param {string} fields.name 策略名称，同名实例共享限流额度与熔断状态（如 "llm:google/gemini-2.5-flash"）
+   * @param {Object} fields.policy 弹性配置覆盖项（见 resolveResilienceConfig）
+   */
+  constructor({ model, name, policy, ...fields }) {
+    // name 是策略名称，不作为 Runnable 的名称（事件中仍显示为本类名）
+    super(fields);
+    this.model = model;
+    this.policy = getResiliencePolicy(name, "llm", policy);
+  }
+
+  _llmType() {
+    // 父类构造函数中调用时被包装模型尚未赋值
+    return this.model?._llmType() ?? "resilient";
+  }
+
+  _combineLLMOutput(...outputs) {
+    return this.model._combineLLMOutput?.(...outputs) ?? {};
+  }
+
+  invocationParams(options) {
+    return this.model.invocationParams(options);
+  }
+
+  getLsParams(options) {
+    return this.model.getLsParams(options);
+  }
+
+  /**
+   * 绑定工具：被包装模型返回的是携带工具参数的绑定，这里把同样的调用参数绑定到本模型上
+   * @param {Array} tools 工具列表
+   * @param {Object} kwargs 其他调用参数
+   * @returns {Object} 绑定了工具的可运行对象
+   */
+  bindTools(tools, kwargs) {
+    const bound = this.model.bindTools(tools, kwargs);
+    return bound === this.model ? this : this.withConfig(bound.config);
+  }
+
+  /**
+   * 按输入消息估算本次调用的 token 数
+   * @param {Array} messages 输入消息
+   * @returns {number} 估算的 token 数
+   */
+  _estimateTokens(messages) {
+    return messages.reduce((sum, message) => sum + estimateTokens(getMessageText(message.content)), 0);
+  }
+
+  async _generate(messages, options, runManager) {
+    return this.policy.run(async (entry) => {
+      const result = await this.model._generate(messages, options, runManager);
+      const usage = result.generations[0]?.message?.usage_metadata;
+      if (usage?.total_tokens) entry.tokens = usage.total_tokens;
+      return result;
+    }, { tokens: this._estimateTokens(messages), signal: options?.signal });
+  }
+
+  async *_streamResponseChunks(messages, options, runManager) {
+    let entry;
+    const { iterator, first } = await this.policy.run(async (slot) => {
+      entry = slot;
+      const stream = this.model._streamResponseChunks(messages, options, runManager)[Symbol.asyncIterator]();
+      try {
+        return { iterator: stream, first: await stream.next() };
+      } catch (error) {
+        // 关闭失败的这次尝试的流（释放连接），再由策略决定是否重试
+        await stream.return?.().catch(() => {});
+        throw error;
+      }
+    }, { tokens: this._estimateTokens(messages), signal: options?.signal });
+
+    try {
+      for (let step = first; !step.done; step = await iterator.next()) {
+        const usage = step.value.message?.usage_metadata;
+        if (usage?.total_tokens) entry.tokens = usage.total_tokens;
+        yield step.value;
+      }
+    } finally {
+      // 调用方中途停止读取（如中断）或读取出错时同样关闭底层流
+      await iterator.return?.().catch(() => {});
+    }
+  }
+
+  /**
+   * 弹性策略状态（见 ResiliencePolicy.getStatus）
+   * @returns {Object} 状态
+   */
+  getStatus() {
+    return this.policy.getStatus();
+  }
+}
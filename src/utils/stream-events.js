@@ -0,0 +1,118 @@
+/**
+ * streamEvents 辅助函数：统一提取模型流式输出中的文本
+ */
+
+/**
+ * 将消息内容展平为纯文本（兼容字符串与多段内容数组）
+ * @param {string|Array} content 消息内容
+ * @returns {string} 文本
+ */
+export function getMessageText(content) {
+  if (Array.isArray(content)) {
+    return content.map((c) => (typeof c === "string" ? c : c?.text ?? "")).join("");
+  }
+  return content ?? "";
+}
+
+/**
+ * 从 streamEvents（v2）事件中提取应展示给用户的增量文本
+ * 标记为 langsmith:nostream 的内部模型调用（如重排评审、问题改写）不展示
+ * @param {Object} ev streamEvents 事件
+ * @returns {string} 增量文本，非模型输出事件返回空字符串
+ */
+export function getStreamToken(ev) {
+  if (ev.event !== "on_chat_model_stream" || ev.tags?.includes("langsmith:nostream")) {
+    return "";
+  }
+  return getMessageText(ev.data?.chunk?.content);
+}
+
+/**
+ * 判断事件是否为指定 LangGraph 节点的结束事件
+ * @param {Object} ev streamEvents 事件
+ * @param {string} node 节点名称
+ * @returns {boolean} 是否匹配
+ */
+export function isNodeEnd(ev, node) {
+  return ev.event === "on_chain_end" && ev.name === node && ev.metadata?.langgraph_node === node;
+}
+
+/**
+ * 从工具事件中提取工具调用或工具结果
+ * @param {Object} ev streamEvents 事件
+ * @returns {{type: "tool_call"|"tool_result", id: string|null, name: string, args?: Object, content?: string}|null}
+ *   工具调用（on_tool_start）或工具结果（on_tool_end），其他事件返回 null
+ */
+export function getToolEvent(ev) {
+  if (ev.event === "on_tool_start") {
+    // 结构化工具的 input 为 { input: "<JSON 参数>" }
+    let args = ev.data?.input?.input ?? ev.data?.input ?? {};
+    if (typeof args === "string") {
+      try {
+        args = JSON.parse(args);
+      } catch {
+        // 非 JSON 参数原样保留
+      }
+    }
+    return { type: "tool_call", id: ev.run_id ?? null, name: ev.name, args };
+  }
+  if (ev.event === "on_tool_end") {
+    const output = ev.data?.output;
+    return {
+      type: "tool_result",
+      id: ev.run_id ?? null,
+      name: ev.name,
+      content: typeof output === "string" ? output : getMessageText(output?.content),
+    };
+  }
+  return null;
+}
+
+/**
+ * 将工具事件格式化为一行终端展示文本（结果过长时截断）
+ * @param {Object} ev streamEvents 事件
+ * @param {number} maxLength 工具结果最多展示的字符数
+ * @returns {string|null} 展示文本，非工具事件返回 null
+ */
+export function formatToolEvent(ev, maxLength = 200) {
+  const toolEvent = getToolEvent(ev);
+  if (!toolEvent) return null;
+  if (toolEvent.type === "tool_call") {
+    return `🛠️  调用工具 ${toolEvent.name}(${JSON.stringify(toolEvent.args)})`;
+  }
+  const text = toolEvent.content.replace(/\s+/g, " ").trim();
+  return `📦 ${toolEvent.name} 返回: ${text.length > maxLength ? `${text.slice(0, maxLength)}…` : text}`;
+}
+
+/**
+ * 将 streamEvents 中的模型输出逐段写到终端
+ * 每段连续输出前打印前缀；其他事件交给 onEvent 处理（如展示改写查询、收集引用），
+ * onEvent 返回字符串时单独成行打印（如工具调用），之后的模型输出重新加前缀
+ * @param {AsyncIterable<Object>} stream streamEvents 事件流
+ * @param {Object} options 配置选项
+ * @param {string|Function} options.prefix 回复前缀，如 "🤖: "；也可以是返回前缀的函数（前缀取决于事件时）
+ * @param {Function} options.onEvent 处理每个事件 (ev) => string | void
+ * @returns {Promise<string>} 完整的输出文本（无输出时为空字符串）
+ */
+export async function printStream(stream, options = {}) {
+  const { prefix = "", onEvent } = options;
+  let text = "";
+  // 当前行是否有未换行的模型输出
+  let lineOpen = false;
+  for await (const ev of stream) {
+    const line = onEvent?.(ev);
+    if (typeof line === "string") {
+      if (lineOpen) process.stdout.write("\n");
+      lineOpen = false;
+      console.log(line);
+    }
+    const piece = getStreamToken(ev);
+    if (!piece) continue;
+    if (!lineOpen) process.stdout.write(typeof prefix === "function" ? prefix() : prefix);
+    process.stdout.write(piece);
+    lineOpen = true;
+    text += piece;
+  }
+  if (lineOpen) process.stdout.write("\n");
+  return text;
+}
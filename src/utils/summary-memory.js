@@ -0,0 +1,209 @@
+import { Annotation } from "@langchain/langgraph";
+import { RemoveMessage } from "@langchain/core/messages";
+import { ChatPromptTemplate } from "@langchain/core/prompts";
+import { StringOutputParser } from "@langchain/core/output_parsers";
+import { toPlainMessage, formatPlainMessage } from "./thread-utils.js";
+import { getMessageText } from "./stream-events.js";
+
+/**
+ * 滚动摘要记忆 - 对话历史超出 token 预算时，把最早的若干轮对话折叠进图状态中的摘要，
+ * 摘要随后一直出现在系统提示中，较早的事实不会因裁剪而丢失
+ *
+ * 用法：
+ *   const State = Annotation.Root({ ...MessagesAnnotation.spec, ...SUMMARY_STATE });
+ *   graph.addNode("summarize", createSummaryNode({ llm, tokenCounter })).addEdge(START, "summarize")
+ *   系统提示中加入 {summary} 占位，调用时传入 formatSummary(state.summary)
+ *   调用模型前用 trimHistory 兜底：最近一轮本身超出预算（如超长的输入或工具结果）时，摘要无法再折叠，
+ *   只把裁剪后的消息交给模型，状态中的消息保持完整
+ */
+
+/** 摘要状态字段：合并进图的 Annotation.Root */
+export const SUMMARY_STATE = {
+  summary: Annotation(),
+};
+
+/**
+ * 解析正整数型 token 预算，未设置时使用默认值
+ * @param {string|number|undefined} value 取值
+ * @param {number} defaultValue 默认值
+ * @param {string} name 配置名（用于错误信息）
+ * @returns {number} 解析结果
+ */
+function parseTokenBudget(value, defaultValue, name) {
+  if (value === undefined || value === "") return defaultValue;
+  const number = Number(value);
+  if (!(Number.isInteger(number) && number > 0)) {
+    throw new Error(`${name} 必须是正整数: ${value}`);
+  }
+  return number;
+}
+
+/**
+ * 解析摘要配置（环境变量）
+ * 预算为 NaN 或 0 时 trimHistory 会把最新的用户消息截成只剩截断提示，因此非法值在启动时报错
+ * @param {Object} overrides 覆盖配置
+ * @returns {{maxTokens: number, keepTokens: number}} 触发摘要的历史预算，以及折叠后保留的最近消息预算
+ */
+export function resolveSummaryConfig(overrides = {}) {
+  const maxTokens = parseTokenBudget(overrides.maxTokens ?? process.env.SUMMARY_MAX_TOKENS, 2000, "SUMMARY_MAX_TOKENS");
+  const keepTokens = parseTokenBudget(
+    overrides.keepTokens ?? process.env.SUMMARY_KEEP_TOKENS,
+    Math.max(Math.floor(maxTokens / 2), 1),
+    "SUMMARY_KEEP_TOKENS"
+  );
+  if (keepTokens > maxTokens) {
+    throw new Error(`SUMMARY_KEEP_TOKENS（${keepTokens}）不能大于 SUMMARY_MAX_TOKENS（${maxTokens}）`);
+  }
+  return { maxTokens, keepTokens };
+}
+
+/**
+ * 生成放入系统提示的摘要段落（无摘要时为空字符串）
+ * Gemini 只允许第一条消息为系统消息，因此摘要写进已有的系统提示，而不是另插一条系统消息
+ * @param {string|null} summary 摘要
+ * @returns {string} 系统提示片段
+ */
+export function formatSummary(summary) {
+  return summary ? `\n\n以下是较早对话的摘要，回答时可以参考：\n${summary}` : "";
+}
+
+// 摘要 Prompt 模板：把新折叠的对话并入已有摘要
+const summaryPrompt = ChatPromptTemplate.fromMessages([
+  [
+    "system",
+    [
+      "你负责维护一段对话的滚动摘要。请把已有摘要与新的对话内容合并为一份更新后的摘要。",
+      "保留用户提供的事实、偏好、决定、待办事项与关键结论，人名、数字、专有名词原样保留；省略寒暄和重复内容。",
+      "使用与对话相同的语言，条目式书写，只输出摘要本身。",
+    ].join("\n"),
+  ],
+  ["human", "已有摘要：\n{summary}\n\n需要并入的对话：\n{conversation}"],
+]);
+
+/**
+ * 将消息整理为摘要用的对话文本
+ * @param {Array<Object>} messages LangChain 消息
+ * @returns {string} 对话文本
+ */
+function formatConversation(messages) {
+  const labels = { user: "用户", assistant: "助手", tool: "工具" };
+  return messages
+    .map(toPlainMessage)
+    .map(m => `${labels[m.role] ?? m.role}: ${formatPlainMessage(m)}`)
+    .join("\n");
+}
+
+/**
+ * 选择要折叠的消息：从最新消息往前保留 keepTokens 以内的消息，
+ * 折叠边界对齐到用户消息（避免拆开工具调用与结果），且至少保留最后一条用户消息
+ * @param {Array<Object>} messages LangChain 消息
+ * @param {import("./token-counter.js").TokenCounter} tokenCounter token 计数器
+ * @param {number} keepTokens 保留的最近消息预算
+ * @returns {Promise<number>} 折叠的消息数量（从头开始）
+ */
+async function findFoldBoundary(messages, tokenCounter, keepTokens) {
+  const isHuman = (m) => m._getType?.() === "human";
+  let kept = 0;
+  let cut = messages.length;
+  for (let i = messages.length - 1; i >= 0; i -= 1) {
+    kept += await tokenCounter.countMessages([messages[i]]);
+    if (kept > keepTokens) break;
+    cut = i;
+  }
+  while (cut < messages.length && !isHuman(messages[cut])) cut += 1;
+  const lastHuman = messages.findLastIndex(isHuman);
+  return lastHuman === -1 ? 0 : Math.min(cut, lastHuman);
+}
+
+// 截断超长消息时附加的提示
+const TRUNCATED_MARK = "\n…（内容过长，已截断）";
+
+/**
+ * 复制消息并替换正文（保留工具调用、ID 等其他字段）
+ * @param {Object} message LangChain 消息
+ * @param {string} content 新正文
+ * @returns {Object} 新消息
+ */
+function withContent(message, content) {
+  const fields = Object.fromEntries(
+    Object.entries(message).filter(([key]) => key !== "type" && !key.startsWith("lc_"))
+  );
+  return new message.constructor({ ...fields, content });
+}
+
+/**
+ * 把消息裁剪到 maxTokens 以内（只影响交给模型的消息，不修改状态）：
+ * 先从最早的整轮对话开始丢弃（边界对齐到用户消息）；只剩最近一轮仍超出预算时，
+ * 按比例截断其中最长的消息正文，保留开头部分
+ * @param {Array<Object>} messages LangChain 消息
+ * @param {Object} options 配置选项
+ * @param {import("./token-counter.js").TokenCounter} options.tokenCounter token 计数器
+ * @param {number} options.maxTokens 预算（默认 SUMMARY_MAX_TOKENS）
+ * @returns {Promise<Array<Object>>} 裁剪后的消息
+ */
+export async function trimHistory(messages, { tokenCounter, maxTokens = resolveSummaryConfig().maxTokens }) {
+  if (await tokenCounter.countMessages(messages) <= maxTokens) return messages;
+
+  const isHuman = (m) => m._getType?.() === "human";
+  const lastHuman = Math.max(messages.findLastIndex(isHuman), 0);
+  for (let start = 1; start <= lastHuman; start += 1) {
+    if (isHuman(messages[start]) && await tokenCounter.countMessages(messages.slice(start)) <= maxTokens) {
+      return messages.slice(start);
+    }
+  }
+
+  const kept = messages.slice(lastHuman);
+  // 计数不一定与字符数成正比，最多截断几次
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    const counts = [];
+    for (const message of kept) counts.push(await tokenCounter.countMessages([message]));
+    const excess = counts.reduce((sum, count) => sum + count, 0) - maxTokens;
+    if (excess <= 0) break;
+    const longest = counts.indexOf(Math.max(...counts));
+    const text = getMessageText(kept[longest].content);
+    const ratio = Math.max(0, 1 - excess / counts[longest]);
+    kept[longest] = withContent(kept[longest], text.slice(0, Math.floor(text.length * ratio * 0.95)) + TRUNCATED_MARK);
+  }
+  return kept;
+}
+
+/**
+ * 创建摘要节点：历史超出预算时折叠最早的消息，并用 RemoveMessage 从状态中移除
+ * @param {Object} options 配置选项
+ * @param {import("@langchain/core/language_models/chat_models").BaseChatModel} options.llm 用于生成摘要的模型
+ * @param {import("./token-counter.js").TokenCounter} options.tokenCounter token 计数器
+ * @param {number} options.maxTokens 触发摘要的历史预算（默认 SUMMARY_MAX_TOKENS）
+ * @param {number} options.keepTokens 折叠后保留的最近消息预算（默认 SUMMARY_KEEP_TOKENS）
+ * @returns {Function} LangGraph 节点 (state) => Promise<Object>
+ */
+export function createSummaryNode({ llm, tokenCounter, ...overrides }) {
+  const { maxTokens, keepTokens } = resolveSummaryConfig(overrides);
+  // 摘要调用不在界面上流式展示
+  const summaryChain = summaryPrompt
+    .pipe(llm.withConfig({ tags: ["summarize", "langsmith:nostream"] }))
+    .pipe(new StringOutputParser());
+
+  return async (state) => {
+    const { messages } = state;
+    if (await tokenCounter.countMessages(messages) <= maxTokens) return {};
+
+    const boundary = await findFoldBoundary(messages, tokenCounter, keepTokens);
+    if (boundary <= 0) return {};
+    const folded = messages.slice(0, boundary);
+
+    try {
+      const summary = (await summaryChain.invoke({
+        summary: state.summary || "（无）",
+        conversation: formatConversation(folded),
+      })).trim();
+      return {
+        summary: summary || state.summary,
+        messages: folded.map(m => new RemoveMessage({ id: m.id })),
+      };
+    } catch (error) {
+      // 摘要失败时保留原消息，下一轮再尝试
+      console.error("对话摘要失败，本轮保留完整历史：", error.message);
+      return {};
+    }
+  };
+}
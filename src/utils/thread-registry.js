@@ -0,0 +1,97 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { resolveCheckpointerConfig } from "./checkpointer.js";
+
+/**
+ * 线程标题登记表 - 检查点只保存消息，线程标题（/rename）单独记录
+ * 持久化检查点（file / sqlite）模式下保存到 <CHECKPOINT_DIR>/<名称>-titles.json，内存模式下只保存在进程内
+ */
+export class ThreadRegistry {
+  /**
+   * @param {string|null} filePath 登记表文件路径（null 表示不落盘）
+   */
+  constructor(filePath = null) {
+    this.filePath = filePath;
+    // threadId -> { title, renamedAt }
+    this.threads = {};
+  }
+
+  /**
+   * 按检查点配置加载登记表
+   * @param {string} name 登记表名称（通常为应用名）
+   * @returns {Promise<ThreadRegistry>} 登记表实例
+   */
+  static async load(name) {
+    const config = resolveCheckpointerConfig();
+    const filePath = config.type === "memory" ? null : path.join(config.directory, `${name}-titles.json`);
+    const registry = new ThreadRegistry(filePath);
+    if (!filePath) return registry;
+    try {
+      registry.threads = JSON.parse(await fs.readFile(filePath, "utf-8")).threads ?? {};
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn(`⚠️ 线程标题读取失败: ${error.message}`);
+      }
+    }
+    return registry;
+  }
+
+  /**
+   * 获取线程标题
+   * @param {string} threadId 线程 ID
+   * @returns {string|null} 标题
+   */
+  getTitle(threadId) {
+    return this.threads[threadId]?.title ?? null;
+  }
+
+  /**
+   * 设置线程标题
+   * @param {string} threadId 线程 ID
+   * @param {string} title 标题
+   * @returns {Promise<void>}
+   */
+  async setTitle(threadId, title) {
+    this.threads[threadId] = { title, renamedAt: new Date().toISOString() };
+    await this.save();
+  }
+
+  /**
+   * 移除线程记录
+   * @param {Array<string>} threadIds 线程 ID
+   * @returns {Promise<void>}
+   */
+  async remove(threadIds) {
+    let changed = false;
+    for (const threadId of threadIds) {
+      if (this.threads[threadId]) {
+        delete this.threads[threadId];
+        changed = true;
+      }
+    }
+    if (changed) await this.save();
+  }
+
+  /**
+   * 只保留仍然存在的线程的记录（检查点按保留策略清理线程后，移除对应的标题）
+   * @param {Array<string>} threadIds 仍然存在的线程 ID
+   * @returns {Promise<Array<string>>} 被移除记录的线程 ID
+   */
+  async retain(threadIds) {
+    const existing = new Set(threadIds);
+    const removed = Object.keys(this.threads).filter(threadId => !existing.has(threadId));
+    await this.remove(removed);
+    return removed;
+  }
+
+  /**
+   * 保存登记表（先写临时文件再重命名）
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (!this.filePath) return;
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(`${this.filePath}.tmp`, JSON.stringify({ threads: this.threads }, null, 2), "utf-8");
+    await fs.rename(`${this.filePath}.tmp`, this.filePath);
+  }
+}
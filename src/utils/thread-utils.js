@@ -0,0 +1,183 @@
+import { getMessageText } from "./stream-events.js";
+
+/**
+ * 会话线程工具：基于 LangGraph 检查点列出、读取与删除线程
+ */
+
+/**
+ * 列出检查点中保存的所有线程 ID
+ * @param {Object} checkpointer 检查点存储（如 MemorySaver）
+ * @returns {Promise<Array<string>>} 线程 ID
+ */
+export async function listThreadIds(checkpointer) {
+  // 见 utils/checkpointer.js：托管的检查点按最近更新时间列出线程
+  if (typeof checkpointer.listThreads === "function") {
+    return (await checkpointer.listThreads()).map(thread => thread.threadId);
+  }
+  return Object.keys(checkpointer.storage ?? {});
+}
+
+/**
+ * 列出线程及其创建/更新时间（普通 MemorySaver 没有时间记录，返回 null）
+ * @param {Object} checkpointer 检查点存储
+ * @returns {Promise<Array<{threadId: string, createdAt: string|null, updatedAt: string|null}>>} 线程列表
+ */
+export async function listThreads(checkpointer) {
+  if (typeof checkpointer.listThreads === "function") {
+    return checkpointer.listThreads();
+  }
+  return Object.keys(checkpointer.storage ?? {}).map(threadId => ({ threadId, createdAt: null, updatedAt: null }));
+}
+
+/**
+ * 汇总多个图中的线程：同一线程 ID 在各图中的消息数量、最早创建与最近更新时间，以及标题
+ * @param {Object<string, Object>} graphs 图名称 -> 已编译的 LangGraph 应用
+ * @param {import("./thread-registry.js").ThreadRegistry} registry 线程标题登记表（可选）
+ * @returns {Promise<Array<{threadId: string, title: string|null, createdAt: string|null, updatedAt: string|null, counts: Object<string, number>, total: number}>>}
+ *   按最近更新时间倒序排列的线程
+ */
+export async function collectThreads(graphs, registry = null) {
+  const merged = new Map();
+  for (const [name, graph] of Object.entries(graphs)) {
+    for (const { threadId, createdAt, updatedAt } of await listThreads(graph.checkpointer)) {
+      const { messages } = await getThread(graph, threadId);
+      const entry = merged.get(threadId) ?? {
+        threadId,
+        title: registry?.getTitle(threadId) ?? null,
+        createdAt,
+        updatedAt,
+        counts: {},
+        total: 0,
+      };
+      if (createdAt && (!entry.createdAt || createdAt < entry.createdAt)) entry.createdAt = createdAt;
+      if (updatedAt && (!entry.updatedAt || updatedAt > entry.updatedAt)) entry.updatedAt = updatedAt;
+      entry.counts[name] = messages.length;
+      entry.total += messages.length;
+      merged.set(threadId, entry);
+    }
+  }
+  return [...merged.values()].sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+/**
+ * 按完整 ID 或唯一前缀查找线程
+ * @param {string} input 用户输入的 ID 或前缀
+ * @param {Array<string>} threadIds 已有线程 ID
+ * @returns {{threadId?: string, error?: string}} 匹配结果或错误说明
+ */
+export function resolveThreadId(input, threadIds) {
+  if (threadIds.includes(input)) return { threadId: input };
+  const matches = threadIds.filter(id => id.startsWith(input));
+  if (matches.length === 1) return { threadId: matches[0] };
+  if (matches.length === 0) return { error: `线程不存在: ${input}` };
+  return { error: `前缀 ${input} 匹配到多个线程: ${matches.map(id => id.slice(0, 8)).join(", ")}` };
+}
+
+/**
+ * 格式化时间为本地时间（无时间返回 "-"）
+ * @param {string|null} timestamp ISO 时间
+ * @returns {string} 本地时间文本
+ */
+export function formatTimestamp(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString("zh-CN", { hour12: false }) : "-";
+}
+
+/**
+ * 将线程导出为 Markdown 或 JSON
+ * @param {Object} thread 线程（collectThreads 的一项）
+ * @param {Object<string, Array<{role: string, content: string}>>} transcripts 图名称 -> 消息记录
+ * @param {string} format md | json
+ * @returns {string} 导出内容
+ */
+export function exportThread(thread, transcripts, format) {
+  if (format === "json") {
+    return JSON.stringify({ ...thread, exportedAt: new Date().toISOString(), transcripts }, null, 2);
+  }
+
+  const lines = [
+    `# ${thread.title ?? thread.threadId}`,
+    "",
+    `- 线程 ID: ${thread.threadId}`,
+    `- 创建时间: ${formatTimestamp(thread.createdAt)}`,
+    `- 更新时间: ${formatTimestamp(thread.updatedAt)}`,
+    `- 消息数量: ${thread.total}`,
+  ];
+  for (const [name, messages] of Object.entries(transcripts)) {
+    if (messages.length === 0) continue;
+    lines.push("", `## ${name}`);
+    for (const message of messages) {
+      const label = message.role === "user" ? "用户" : message.role === "tool" ? "工具" : "助手";
+      lines.push("", `**${label}**:`, "", formatPlainMessage(message));
+    }
+  }
+  return `${lines.join("\n").trimEnd()}\n`;
+}
+
+/**
+ * 删除线程的全部检查点
+ * @param {Object} checkpointer 检查点存储
+ * @param {string} threadId 线程 ID
+ * @returns {Promise<void>}
+ */
+export async function deleteThread(checkpointer, threadId) {
+  await checkpointer.deleteThread(threadId);
+}
+
+/**
+ * 解析启动参数中的 --thread <id> / --thread=<id>，用于恢复已有线程
+ * @param {Array<string>} argv 命令行参数
+ * @returns {string|undefined} 线程 ID
+ */
+export function parseThreadArg(argv = process.argv.slice(2)) {
+  const index = argv.findIndex(arg => arg === "--thread" || arg.startsWith("--thread="));
+  if (index === -1) return undefined;
+  return argv[index].includes("=") ? argv[index].split("=")[1] : argv[index + 1];
+}
+
+/**
+ * 将消息对象转换为便于展示与序列化的 { role, content }
+ * 模型发起的工具调用记录在 toolCalls 中，工具结果消息附带工具名称 name
+ * @param {Object} message LangChain 消息
+ * @returns {{role: string, content: string, toolCalls?: Array<{name: string, args: Object}>, name?: string}} 简化后的消息
+ */
+export function toPlainMessage(message) {
+  const type = message._getType?.() ?? message.role;
+  const role = type === "human" || type === "user" ? "user"
+    : type === "ai" || type === "assistant" ? "assistant"
+    : type;
+  const plain = { role, content: getMessageText(message.content) };
+  if (message.tool_calls?.length) {
+    plain.toolCalls = message.tool_calls.map(({ name, args }) => ({ name, args }));
+  }
+  if (role === "tool" && message.name) {
+    plain.name = message.name;
+  }
+  return plain;
+}
+
+/**
+ * 将简化后的消息格式化为一行展示文本（工具调用显示为 🛠️ 名称(参数)）
+ * @param {{role: string, content: string, toolCalls?: Array<Object>, name?: string}} message 简化后的消息
+ * @returns {string} 展示文本
+ */
+export function formatPlainMessage(message) {
+  const calls = (message.toolCalls ?? []).map(call => `🛠️ ${call.name}(${JSON.stringify(call.args)})`);
+  const content = message.role === "tool" && message.name ? `[${message.name}] ${message.content}` : message.content;
+  return [content, ...calls].filter(Boolean).join(" ");
+}
+
+/**
+ * 读取线程的消息记录与最后更新时间
+ * @param {Object} graph 已编译的 LangGraph 应用
+ * @param {string} threadId 线程 ID
+ * @returns {Promise<{threadId: string, messages: Array<{role: string, content: string}>, summary: string|null, updatedAt: string|null}>} 线程详情（summary 为已折叠对话的滚动摘要）
+ */
+export async function getThread(graph, threadId) {
+  const snapshot = await graph.getState({ configurable: { thread_id: threadId } });
+  return {
+    threadId,
+    messages: (snapshot.values?.messages ?? []).map(toPlainMessage),
+    summary: snapshot.values?.summary ?? null,
+    updatedAt: snapshot.createdAt ?? null,
+  };
+}
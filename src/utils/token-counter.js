@@ -0,0 +1,169 @@
+import crypto from "node:crypto";
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { getEncoding, encodingForModel } from "js-tiktoken";
+import { resolveModelConfig } from "./model-factory.js";
+import { getMessageText } from "./stream-events.js";
+
+/**
+ * Token 计数器 - 按当前配置的对话模型选择真实的分词方式
+ * - gemini：调用 Gemini countTokens 接口（按消息缓存，每条消息只计数一次；
+ *   失败时本次退回 tiktoken 估算且不缓存，GEMINI_RETRY_MS 之后重新尝试接口）
+ * - tiktoken：本地 BPE 分词（按模型名选择编码，未知模型使用 TOKENIZER_ENCODING，默认 o200k_base）
+ * - chars：按字符数计数（与离线假模型的用量统计一致）
+ */
+
+/** 支持的分词方式 */
+export const SUPPORTED_TOKENIZERS = ["auto", "gemini", "tiktoken", "chars"];
+
+// 各提供方在 TOKENIZER=auto 时使用的分词方式
+const PROVIDER_TOKENIZERS = {
+  google: "gemini",
+  "openai-compatible": "tiktoken",
+  fake: "chars",
+};
+
+// 每条消息的固定开销（角色标记等）
+const MESSAGE_OVERHEAD = 4;
+// 缓存的消息计数上限
+const CACHE_LIMIT = 5000;
+// Gemini countTokens 失败后，在该时长内直接使用 tiktoken 估算，之后重新尝试接口
+const GEMINI_RETRY_MS = 60 * 1000;
+
+/**
+ * 解析分词配置
+ * @param {Object} overrides 覆盖配置
+ * @returns {{type: string, model: string, encoding: string, apiKey: string}} 分词配置
+ */
+export function resolveTokenizerConfig(overrides = {}) {
+  const modelConfig = resolveModelConfig(overrides);
+  const requested = (overrides.tokenizer || process.env.TOKENIZER || "auto").toLowerCase();
+  if (!SUPPORTED_TOKENIZERS.includes(requested)) {
+    throw new Error(`不支持的分词方式: ${requested}（可选: ${SUPPORTED_TOKENIZERS.join(", ")}）`);
+  }
+  return {
+    type: requested === "auto" ? PROVIDER_TOKENIZERS[modelConfig.provider] : requested,
+    model: modelConfig.model,
+    encoding: overrides.encoding || process.env.TOKENIZER_ENCODING || "o200k_base",
+    apiKey: modelConfig.apiKey || process.env.GOOGLE_API_KEY,
+  };
+}
+
+/**
+ * 将消息转换为参与计数的文本（包括工具调用参数）
+ * @param {Object} message LangChain 消息
+ * @returns {string} 文本
+ */
+function messageToText(message) {
+  const text = getMessageText(message.content);
+  return message.tool_calls?.length ? `${text}${JSON.stringify(message.tool_calls)}` : text;
+}
+
+export class TokenCounter {
+  /**
+   * @param {Object} overrides 覆盖配置（见 resolveTokenizerConfig）
+   */
+  constructor(overrides = {}) {
+    this.config = resolveTokenizerConfig(overrides);
+    this.type = this.config.type;
+    // 文本哈希 -> token 数
+    this.cache = new Map();
+    this.encoder = null;
+    this.geminiModel = null;
+    // Gemini countTokens 失败后，在该时间点之前不再调用接口
+    this.geminiRetryAt = 0;
+  }
+
+  /** 分词方式描述，便于启动日志展示 */
+  describe() {
+    if (this.type === "gemini") return `gemini countTokens (${this.config.model})`;
+    if (this.type === "tiktoken") return `tiktoken (${this.getEncoderName()})`;
+    return "chars";
+  }
+
+  /**
+   * 选择 tiktoken 编码：模型名可识别时使用对应编码，否则使用配置的默认编码
+   * @returns {string} 编码名称或模型名
+   */
+  getEncoderName() {
+    try {
+      encodingForModel(this.config.model);
+      return this.config.model;
+    } catch {
+      return this.config.encoding;
+    }
+  }
+
+  /**
+   * 懒加载 tiktoken 编码器（首次加载约需 1 秒）
+   * @returns {Object} 编码器
+   */
+  getEncoder() {
+    if (!this.encoder) {
+      const name = this.getEncoderName();
+      this.encoder = name === this.config.model ? encodingForModel(name) : getEncoding(name);
+    }
+    return this.encoder;
+  }
+
+  /**
+   * 使用 Gemini countTokens 接口计数
+   * 调用失败后的 GEMINI_RETRY_MS 内不再调用接口，期间返回 null，由调用方改用 tiktoken 估算
+   * @param {string} text 文本
+   * @returns {Promise<number|null>} token 数（接口不可用时为 null）
+   */
+  async countWithGemini(text) {
+    if (Date.now() < this.geminiRetryAt) return null;
+    try {
+      this.geminiModel ??= new GoogleGenerativeAI(this.config.apiKey).getGenerativeModel({ model: this.config.model });
+      const { totalTokens } = await this.geminiModel.countTokens({
+        contents: [{ role: "user", parts: [{ text }] }],
+      });
+      return totalTokens;
+    } catch (error) {
+      console.warn(`⚠️ Gemini countTokens 调用失败，${GEMINI_RETRY_MS / 1000} 秒内改用 tiktoken 估算: ${error.message}`);
+      this.geminiRetryAt = Date.now() + GEMINI_RETRY_MS;
+      return null;
+    }
+  }
+
+  /**
+   * 计算文本的 token 数（带缓存）
+   * @param {string} text 文本
+   * @returns {Promise<number>} token 数
+   */
+  async countText(text) {
+    if (!text) return 0;
+    const key = crypto.createHash("sha1").update(text).digest("hex");
+    if (this.cache.has(key)) return this.cache.get(key);
+
+    let count;
+    if (this.type === "gemini") {
+      count = await this.countWithGemini(text);
+      // 估算值不缓存，接口恢复后按真实分词重新计数
+      if (count === null) return this.getEncoder().encode(text).length;
+    } else if (this.type === "tiktoken") {
+      count = this.getEncoder().encode(text).length;
+    } else {
+      count = text.length;
+    }
+
+    if (this.cache.size >= CACHE_LIMIT) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(key, count);
+    return count;
+  }
+
+  /**
+   * 计算消息列表的 token 数（每条消息另加固定开销）
+   * @param {Array<Object>} messages LangChain 消息
+   * @returns {Promise<number>} token 数
+   */
+  async countMessages(messages) {
+    let total = 0;
+    for (const message of messages) {
+      total += (await this.countText(messageToText(message))) + MESSAGE_OVERHEAD;
+    }
+    return total;
+  }
+}
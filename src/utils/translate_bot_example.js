@@ -1,23 +1,26 @@
 import {
   START,
   END,
+  Annotation,
   MessagesAnnotation,
   StateGraph,
-  MemorySaver,
 } from "@langchain/langgraph";
 import { v4 as uuidv4 } from "uuid";
 import llm from "./generate_mode.js";
-import readline from "node:readline/promises";
-import { stdin as input, stdout as output } from "node:process";
+import { pathToFileURL } from "node:url";
 import { ChatPromptTemplate } from "@langchain/core/prompts";
+import { createCheckpointer } from "./checkpointer.js";
+import { getThread, listThreadIds, parseThreadArg } from "./thread-utils.js";
+import { Repl } from "./repl.js";
+import { getMessageText, printStream } from "./stream-events.js";
 
 // -----------------------------
 // 0) 会话仓库（仅进程内）
-//    - language: 每个会话的目标语言（默认 Chinese）
+//    - language: 每个会话的目标语言（默认 Chinese，同时保存在图状态中，重启后从检查点恢复）
 //    - transcript: 该会话的对话记录（[{role, content}]）
 // -----------------------------
-const sessions = new Map(); // threadId -> { language, transcript: [...] }
-const DEFAULT_LANGUAGE = "Chinese";
+export const sessions = new Map(); // threadId -> { language, transcript: [...] }
+export const DEFAULT_LANGUAGE = "Chinese";
 
 // -----------------------------
 // 1) Prompt：真正做“翻译”的模板
@@ -44,13 +47,21 @@ const prompt = ChatPromptTemplate.fromMessages([
 const chain = prompt.pipe(llm);
 
 // -----------------------------
-// 3) 模型节点：
+// 3) 图状态：消息 + 目标语言（随检查点持久化）
+// -----------------------------
+const TranslateAnnotation = Annotation.Root({
+  ...MessagesAnnotation.spec,
+  language: Annotation(),
+});
+
+// -----------------------------
+// 4) 模型节点：
 //    - 从 state 里抓“最后一条用户消息”作为 {text}
-//    - 从 config.configurable.language 取目标语言（无则用默认值）
-//    - 调用 chain 得到翻译，并作为 AI 消息返回给图
+//    - 从 config.configurable.language 取目标语言（无则沿用 state 中该线程上次的语言，再无则用默认值）
+//    - 调用 chain 得到翻译，并作为 AI 消息返回给图，同时记录本轮使用的语言
 // -----------------------------
 /**
- * @param {typeof MessagesAnnotation.State} state
+ * @param {typeof TranslateAnnotation.State} state
  * @param {{configurable?: { thread_id?: string, language?: string }}} config
  */
 const callModel = async (state, config) => {
@@ -65,33 +76,48 @@ const callModel = async (state, config) => {
       : c ?? "";
 
   const text = extractText(lastUserMsg?.content ?? "");
-  const language = config?.configurable?.language || DEFAULT_LANGUAGE;
+  const language = config?.configurable?.language || state.language || DEFAULT_LANGUAGE;
 
   // 运行链：得到翻译（AIMessage）
   const response = await chain.invoke({ language, text });
 
-  // 让 LangGraph 把它并入消息状态
-  return { messages: response };
+  // 让 LangGraph 把它并入消息状态，语言写入状态后随线程持久化
+  return { messages: response, language };
 };
 
 // -----------------------------
-// 4) 组装工作流 & 检查点（持久化消息历史到内存）
+// 5) 组装工作流 & 检查点（CHECKPOINTER=file|sqlite 时消息历史与目标语言在重启后依然可用）
 // -----------------------------
-const workflow = new StateGraph(MessagesAnnotation)
+const workflow = new StateGraph(TranslateAnnotation)
   .addNode("model", callModel)
   .addEdge(START, "model")
   .addEdge("model", END);
 
-const app = workflow.compile({ checkpointer: new MemorySaver() });
+export const app = workflow.compile({ checkpointer: await createCheckpointer("translate") });
+
+/**
+ * 从检查点恢复会话（进程重启后 sessions 为空，但线程的消息与目标语言仍保存在检查点中）
+ * @param {string} threadId 线程 ID
+ * @returns {Promise<boolean>} 是否找到该线程
+ */
+async function restoreSession(threadId) {
+  if (sessions.has(threadId)) return true;
+  if (!(await listThreadIds(app.checkpointer)).includes(threadId)) return false;
+  const { messages } = await getThread(app, threadId);
+  const { values } = await app.getState({ configurable: { thread_id: threadId } });
+  sessions.set(threadId, { language: values.language || DEFAULT_LANGUAGE, transcript: messages });
+  return true;
+}
 
 // -----------------------------
-// 5)（保留）一次性调用：非流式时可用
+// 6)（保留）一次性调用：非流式时可用
 // -----------------------------
 export async function runTime(userText, threadId) {
   const config = {
     configurable: {
       thread_id: threadId ?? uuidv4(),
-      language: sessions.get(threadId)?.language || DEFAULT_LANGUAGE,
+      // 未知会话不传语言，由图状态沿用该线程上次的语言
+      language: sessions.get(threadId)?.language,
     },
   };
   const output = await app.invoke(
@@ -103,112 +129,93 @@ export async function runTime(userText, threadId) {
 }
 
 // -----------------------------
-// 6) CLI：支持 /new /use /history /exit （流式输出）
+// 7) CLI：支持 /new /use /history /exit （流式输出）
 // -----------------------------
 async function main() {
-  let threadId = uuidv4();
+  // 可通过 --thread <id> 恢复之前的线程
+  let threadId = parseThreadArg() ?? uuidv4();
   // 初始化默认会话
-  sessions.set(threadId, { language: DEFAULT_LANGUAGE, transcript: [] });
+  if (!(await restoreSession(threadId))) {
+    sessions.set(threadId, { language: DEFAULT_LANGUAGE, transcript: [] });
+  }
 
   console.log("当前线程:", threadId);
-  console.log("💬 Chat started.");
-  console.log("/new               start a new session (memory resets)");
-  console.log('/use <id>          switch to an existing session');
-  console.log("/history [id]      list all sessions or show one session's transcript");
-  console.log("/exit              quit");
-
-  const rl = readline.createInterface({ input, output });
-
-  while (true) {
-    const q = await rl.question("> ");
-    const raw = q.trim();
-    if (!raw) continue;
+  console.log("💬 Chat started. Type /help for commands.");
 
-    // -------- commands --------
-    if (raw === "/exit") break;
+  const repl = new Repl({
+    name: "translate",
+    // -------- normal message (translate) --------
+    onInput: async (userText) => {
+      const session = sessions.get(threadId);
+      session.transcript.push({ role: "user", content: userText });
+      const stream = await app.streamEvents(
+        { messages: [{ role: "user", content: userText }] },
+        {
+          version: "v2",
+          configurable: { thread_id: threadId, language: session.language },
+        }
+      );
+      const reply = await printStream(stream, { prefix: process.stdout.isTTY ? "🤖: " : "" });
+      session.transcript.push({ role: "assistant", content: reply });
+    },
+    onError: (err) => console.error("调用失败：", err),
+  });
 
-    if (raw === "/new") {
+  repl.command("new", {
+    description: "start a new session (memory resets)",
+    handler: () => {
       threadId = uuidv4();
       sessions.set(threadId, { language: DEFAULT_LANGUAGE, transcript: [] });
       console.log("✅ new session:", threadId, `(language=${DEFAULT_LANGUAGE})`);
-      continue;
-    }
-
-    if (raw.startsWith("/use ")) {
-      const id = raw.slice(5).trim();
-      if (!sessions.has(id)) {
-        console.log("⚠️  session not found:", id);
-        continue;
+    },
+  });
+
+  repl.command("use", {
+    description: "switch to an existing session",
+    args: [{ name: "id", required: true }],
+    complete: () => [...sessions.keys()],
+    handler: async ({ args }) => {
+      if (!(await restoreSession(args.id))) {
+        console.log("⚠️  session not found:", args.id);
+        return;
       }
-      threadId = id;
+      threadId = args.id;
       console.log("🔀 switched to:", threadId, `(language=${sessions.get(threadId).language})`);
-      continue;
-    }
-
-    if (raw === "/history" || raw.startsWith("/history ")) {
-      const arg = raw.split(/\s+/)[1];
-      if (!arg) {
+    },
+  });
+
+  repl.command("history", {
+    description: "list all sessions or show one session's transcript",
+    args: [{ name: "id" }],
+    complete: () => [...sessions.keys()],
+    handler: ({ args }) => {
+      if (!args.id) {
         // 列出所有会话
         console.log("📜 Sessions:");
         for (const [id, s] of sessions.entries()) {
           console.log(`- ${id} (turns=${s.transcript.length})`);
         }
-      } else {
-        // 打印指定会话的完整 transcript
-        const s = sessions.get(arg);
-        if (!s) {
-          console.log("⚠️  session not found:", arg);
-        } else {
-          console.log(`📜 Transcript of ${arg} (language=${s.language}):`);
-          s.transcript.forEach((m, i) => {
-            const role = m.role === "user" ? "👤" : "🤖";
-            const text =
-              Array.isArray(m.content)
-                ? m.content.map((x) => (typeof x === "string" ? x : x?.text ?? "")).join("")
-                : m.content;
-            console.log(`${String(i + 1).padStart(2, "0")}. ${role} ${text}`);
-          });
-        }
+        return;
       }
-      continue;
-    }
-
-    // -------- normal message (translate) --------
-    const userText = raw;
-    const session = sessions.get(threadId);
-    session.transcript.push({ role: "user", content: userText });
-
-    try {
-      const stream = await app.streamEvents(
-        { messages: [{ role: "user", content: userText }] },
-        {
-          version: "v2",
-          configurable: { thread_id: threadId, language: session.language },
-        }
-      );
-
-      if (process.stdout.isTTY) process.stdout.write("🤖: ");
-
-      let acc = "";
-      for await (const ev of stream) {
-        if (ev.event === "on_chat_model_stream") {
-          const chunk = ev.data?.chunk;
-          const piece = Array.isArray(chunk?.content)
-            ? chunk.content.map((c) => (typeof c === "string" ? c : c?.text ?? "")).join("")
-            : chunk?.content ?? "";
-          acc += piece;
-          process.stdout.write(piece);
-        }
+      // 打印指定会话的完整 transcript
+      const s = sessions.get(args.id);
+      if (!s) {
+        console.log("⚠️  session not found:", args.id);
+        return;
       }
-      process.stdout.write("\n");
-      session.transcript.push({ role: "assistant", content: acc });
-    } catch (err) {
-      console.error("调用失败：", err);
-    }
-  }
+      console.log(`📜 Transcript of ${args.id} (language=${s.language}):`);
+      s.transcript.forEach((m, i) => {
+        const role = m.role === "user" ? "👤" : "🤖";
+        console.log(`${String(i + 1).padStart(2, "0")}. ${role} ${getMessageText(m.content)}`);
+      });
+    },
+  });
 
-  rl.close();
+  await repl.start();
   console.log("👋 Bye");
 }
 
-main().catch(console.error);
+// 直接运行本文件时启动 CLI（被 HTTP 服务导入时不启动）
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(console.error);
+}
@@ -0,0 +1,418 @@
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { v4 as uuidv4 } from "uuid";
+import { Annotation, InMemoryStore } from "@langchain/langgraph";
+import { AsyncLocalStorageProviderSingleton } from "@langchain/core/singletons";
+import { ChatPromptTemplate } from "@langchain/core/prompts";
+import { StringOutputParser } from "@langchain/core/output_parsers";
+import { EmbeddingsFactory } from "../rag/embeddings-factory.js";
+import { getMessageText } from "./stream-events.js";
+
+/**
+ * 跨线程的长期用户记忆 - 基于 LangGraph Store，按用户保存可长期使用的事实（姓名、偏好、背景等）
+ *
+ * - recall 节点：每轮开始时按用户问题检索最相关的记忆，写进系统提示
+ * - memorize 节点：每轮结束后由模型从本轮对话中提取新事实，并删除被新信息推翻的旧记忆；
+ *   提取在后台进行，不延迟本轮回答的结束，变化由 takeMemoryUpdates(threadId) 取得
+ * - 用户由 configurable.user_id 指定（CLI 默认 USER_ID 或系统用户名），未指定时两个节点都不做任何事
+ *
+ * 通过 USER_MEMORY_STORE 选择存储：
+ *   memory  进程内存（重启即丢失）
+ *   file    每个用户一个 JSON 文件：<USER_MEMORY_DIR>/<命名空间>.json（默认）
+ *
+ * 用法：
+ *   const State = Annotation.Root({ ...MessagesAnnotation.spec, ...MEMORY_STATE });
+ *   graph.addNode("recall", createRecallNode()).addNode("memorize", createMemorizeNode({ llm }))
+ *   graph.compile({ checkpointer, store: await createMemoryStore() })
+ *   系统提示中加入 {memories} 占位，调用时传入 formatMemories(state.memories)
+ */
+
+export const SUPPORTED_MEMORY_STORES = ["memory", "file"];
+
+/** 记忆状态字段：合并进图的 Annotation.Root */
+export const MEMORY_STATE = {
+  // 本轮检索到的记忆
+  memories: Annotation(),
+};
+
+// 后台记忆提取：用户 ID -> 最近一次提取（同一用户的提取串行执行，recall 节点先等待其完成）
+const userMemorizations = new Map();
+// 线程 ID -> 本轮提取的结果，供 takeMemoryUpdates 取走
+const threadMemorizations = new Map();
+// 未被取走的提取结果上限，超出时丢弃最早的
+const PENDING_UPDATES_LIMIT = 1000;
+
+/**
+ * 解析长期记忆配置（环境变量）
+ * @param {Object} overrides 覆盖配置
+ * @returns {{enabled: boolean, type: string, directory: string, limit: number, userId: string}} 记忆配置
+ */
+export function resolveUserMemoryConfig(overrides = {}) {
+  const type = (overrides.type || process.env.USER_MEMORY_STORE || "file").toLowerCase();
+  if (!SUPPORTED_MEMORY_STORES.includes(type)) {
+    throw new Error(`不支持的 USER_MEMORY_STORE: ${type}（可选: ${SUPPORTED_MEMORY_STORES.join(", ")}）`);
+  }
+  return {
+    enabled: (overrides.enabled ?? process.env.USER_MEMORY ?? "true").toString() !== "false",
+    type,
+    directory: overrides.directory || process.env.USER_MEMORY_DIR || ".memory",
+    limit: Number(overrides.limit ?? process.env.USER_MEMORY_LIMIT ?? 5),
+    userId: overrides.userId || process.env.USER_ID || os.userInfo().username,
+  };
+}
+
+/**
+ * 用户记忆的命名空间（标签中不能出现 "."，用户 ID 经编码后使用；末尾的 facts 避免前缀匹配到其他用户）
+ * @param {string} userId 用户 ID
+ * @returns {Array<string>} 命名空间
+ */
+export function memoryNamespace(userId) {
+  return ["memories", encodeURIComponent(userId).replace(/\./g, "%2E"), "facts"];
+}
+
+/**
+ * 文件记忆存储：在内存存储的基础上，把每个命名空间的条目与向量保存为一个 JSON 文件
+ * 启动时加载目录下的全部文件；每次写入后只重写发生变化的命名空间文件
+ * 嵌入模型变化时，启动后重新计算已有条目的向量
+ */
+export class FileMemoryStore extends InMemoryStore {
+  /**
+   * @param {Object} options 配置选项
+   * @param {string} options.directory 存储目录
+   * @param {Object} options.index 向量索引配置 { embeddings, fields }
+   * @param {string} options.embeddingId 嵌入模型标识（见 EmbeddingsFactory.describe）
+   */
+  constructor(options = {}) {
+    super({ index: options.index });
+    this.directory = options.directory;
+    this.embeddingId = options.embeddingId;
+    // 正在进行的写入（串行执行）
+    this.pendingSave = Promise.resolve();
+  }
+
+  /**
+   * 创建文件记忆存储并加载已有条目
+   * @param {Object} options 配置选项（同构造函数）
+   * @returns {Promise<FileMemoryStore>} 存储实例
+   */
+  static async load(options = {}) {
+    const store = new FileMemoryStore(options);
+    await fs.mkdir(store.directory, { recursive: true });
+    const stale = [];
+    for (const file of await fs.readdir(store.directory)) {
+      if (!file.endsWith(".json")) continue;
+      try {
+        const data = JSON.parse(await fs.readFile(path.join(store.directory, file), "utf-8"));
+        store.restoreNamespace(data);
+        if (data.embedding !== store.embeddingId) stale.push(...data.items);
+      } catch (error) {
+        console.warn(`⚠️ 记忆文件读取失败，已跳过 ${file}: ${error.message}`);
+      }
+    }
+    if (stale.length > 0) {
+      console.log(`🧠 嵌入模型已变化，重新计算 ${stale.length} 条记忆的向量`);
+      await store.batch(stale.map(item => ({ namespace: item.namespace, key: item.key, value: item.value })));
+    }
+    return store;
+  }
+
+  /**
+   * 命名空间文件路径
+   * @param {string} namespaceKey 以 ":" 连接的命名空间
+   * @returns {string} 文件路径
+   */
+  getNamespacePath(namespaceKey) {
+    return path.join(this.directory, `${encodeURIComponent(namespaceKey)}.json`);
+  }
+
+  /**
+   * 把命名空间文件内容恢复到内存
+   * @param {Object} data 命名空间文件内容
+   */
+  restoreNamespace(data) {
+    const items = new Map();
+    const vectors = new Map();
+    for (const item of data.items) {
+      items.set(item.key, { ...item, createdAt: new Date(item.createdAt), updatedAt: new Date(item.updatedAt) });
+      if (data.embedding === this.embeddingId && item.vectors) {
+        vectors.set(item.key, new Map(Object.entries(item.vectors)));
+      }
+    }
+    this.data.set(data.namespace, items);
+    this.vectors.set(data.namespace, vectors);
+  }
+
+  /**
+   * 将命名空间写入磁盘（先写临时文件再重命名），已删除条目的向量一并清理
+   * @param {string} namespaceKey 以 ":" 连接的命名空间
+   * @returns {Promise<void>}
+   */
+  async saveNamespace(namespaceKey) {
+    const filePath = this.getNamespacePath(namespaceKey);
+    const items = this.data.get(namespaceKey) ?? new Map();
+    const vectors = this.vectors.get(namespaceKey) ?? new Map();
+    for (const key of vectors.keys()) {
+      if (!items.has(key)) vectors.delete(key);
+    }
+    if (items.size === 0) {
+      await fs.rm(filePath, { force: true });
+      return;
+    }
+    const data = {
+      namespace: namespaceKey,
+      embedding: this.embeddingId,
+      items: [...items.values()].map(item => ({
+        ...item,
+        vectors: Object.fromEntries(vectors.get(item.key) ?? []),
+      })),
+    };
+    await fs.writeFile(`${filePath}.tmp`, JSON.stringify(data), "utf-8");
+    await fs.rename(`${filePath}.tmp`, filePath);
+  }
+
+  async batch(operations) {
+    const results = await super.batch(operations);
+    const changed = new Set(operations.filter(op => "value" in op).map(op => op.namespace.join(":")));
+    if (changed.size > 0) {
+      const current = this.pendingSave.then(async () => {
+        for (const namespaceKey of changed) {
+          await this.saveNamespace(namespaceKey);
+        }
+      });
+      // 写入失败不阻塞后续写入，错误由本次调用方处理
+      this.pendingSave = current.catch(() => {});
+      await current;
+    }
+    return results;
+  }
+}
+
+/**
+ * 创建长期记忆存储（按 text 字段建立向量索引，复用知识库的嵌入配置）
+ * @param {Object} overrides 覆盖配置（见 resolveUserMemoryConfig）
+ * @param {import("@langchain/core/embeddings").Embeddings} overrides.embeddings 嵌入模型（默认 EmbeddingsFactory.create()）
+ * @returns {Promise<InMemoryStore|FileMemoryStore>} 存储实例
+ */
+export async function createMemoryStore(overrides = {}) {
+  const config = resolveUserMemoryConfig(overrides);
+  const embeddings = overrides.embeddings ?? EmbeddingsFactory.create();
+  const index = { embeddings, fields: ["text"] };
+  if (config.type === "file") {
+    return FileMemoryStore.load({
+      directory: config.directory,
+      index,
+      embeddingId: EmbeddingsFactory.describe(EmbeddingsFactory.resolveConfig()),
+    });
+  }
+  return new InMemoryStore({ index });
+}
+
+/**
+ * 描述长期记忆配置，便于在启动日志中展示
+ * @param {Object} overrides 覆盖配置
+ * @returns {string} 描述文本
+ */
+export function describeUserMemory(overrides = {}) {
+  const config = resolveUserMemoryConfig(overrides);
+  if (!config.enabled) return "已关闭";
+  const location = config.type === "file" ? `file（${config.directory}）` : "memory（进程内存，重启后丢失）";
+  return `${location}，用户 ${config.userId}，每轮检索 ${config.limit} 条`;
+}
+
+/**
+ * 生成放入系统提示的记忆段落（无记忆时为空字符串）
+ * @param {Array<string>|null} memories 记忆文本
+ * @returns {string} 系统提示片段
+ */
+export function formatMemories(memories) {
+  if (!memories?.length) return "";
+  return `\n\n关于当前用户，你在之前的对话中记住了以下信息，回答时可以自然地使用：\n${memories.map(m => `- ${m}`).join("\n")}`;
+}
+
+/**
+ * 取最后一条用户消息的文本
+ * @param {Array<Object>} messages LangChain 消息
+ * @returns {string} 文本
+ */
+function getLastHumanText(messages) {
+  const last = messages.findLast(m => m._getType?.() === "human");
+  return last ? getMessageText(last.content) : "";
+}
+
+/**
+ * 创建记忆检索节点：按最后一条用户消息检索当前用户最相关的记忆
+ * @param {Object} options 配置选项
+ * @param {number} options.limit 检索的记忆数量（默认 USER_MEMORY_LIMIT）
+ * @returns {Function} LangGraph 节点 (state, config) => Promise<Object>
+ */
+export function createRecallNode(options = {}) {
+  const { limit } = resolveUserMemoryConfig(options);
+  return async (state, config) => {
+    const userId = config.configurable?.user_id;
+    if (!config.store || !userId) return { memories: [] };
+    // 上一轮的提取可能仍在后台进行，等它写完再检索
+    await userMemorizations.get(userId);
+    try {
+      const items = await config.store.search(memoryNamespace(userId), {
+        query: getLastHumanText(state.messages) || undefined,
+        limit,
+      });
+      return { memories: items.map(item => item.value.text) };
+    } catch (error) {
+      console.error("长期记忆检索失败：", error.message);
+      return { memories: [] };
+    }
+  };
+}
+
+// 记忆提取 Prompt 模板：对比已有记忆，输出需要新增与删除的事实
+const memorizePrompt = ChatPromptTemplate.fromMessages([
+  [
+    "system",
+    [
+      "你负责维护关于用户的长期记忆，这些记忆会在用户以后开启的新对话中使用。",
+      "请从本轮对话中找出值得长期记住的用户信息：姓名、身份、所在地、偏好、习惯、长期目标、重要背景等。",
+      "忽略一次性的提问、临时内容以及助手自己说的话；已有记忆中已经包含的信息不要重复添加。",
+      "如果新信息与某条已有记忆矛盾或使其过时，把那条记忆的 id 放进 forget。",
+      "每条新记忆写成一句独立、完整的陈述，如“用户叫小王”“用户喜欢喝绿茶”。",
+      '只输出 JSON：{{"add": ["..."], "forget": ["id"]}}；没有变化时输出 {{"add": [], "forget": []}}。',
+    ].join("\n"),
+  ],
+  ["human", "已有记忆（id: 内容）：\n{memories}\n\n本轮对话：\n用户: {input}\n助手: {reply}"],
+]);
+
+/**
+ * 解析记忆提取结果（容忍代码块与多余文本，无法解析时视为没有变化）
+ * @param {string} output 模型输出
+ * @returns {{add: Array<string>, forget: Array<string>}} 变化
+ */
+function parseMemoryUpdates(output) {
+  const json = output.slice(output.indexOf("{"), output.lastIndexOf("}") + 1);
+  try {
+    const parsed = JSON.parse(json);
+    const strings = (value) => (Array.isArray(value) ? value.filter(v => typeof v === "string" && v.trim()) : []);
+    return { add: strings(parsed.add).map(s => s.trim()), forget: strings(parsed.forget) };
+  } catch {
+    return { add: [], forget: [] };
+  }
+}
+
+/**
+ * 取得图运行时 config.store 包装的底层存储
+ * 运行期间 LangGraph 把存储包装为 AsyncBatchedStore，本轮结束后包装层停止处理，后台任务需直接使用底层存储
+ * @param {Object} store LangGraph Store
+ * @returns {Object} 底层存储
+ */
+function unwrapStore(store) {
+  return store.lg_name === "AsyncBatchedStore" ? store.store : store;
+}
+
+/**
+ * 取走线程最近一轮的记忆提取结果（提取仍在后台进行时等待其完成）
+ * @param {string} threadId 线程 ID
+ * @returns {Promise<{added: Array<string>, forgotten: Array<string>}|null>} 本轮新记住 / 忘记的内容（未提取或提取失败时为 null）
+ */
+export async function takeMemoryUpdates(threadId) {
+  const task = threadMemorizations.get(threadId);
+  threadMemorizations.delete(threadId);
+  return (await task) ?? null;
+}
+
+/**
+ * 创建记忆提取节点：本轮回答结束后在后台提取新事实写入存储，并删除被推翻的旧记忆
+ * 节点本身立即返回，不延迟本轮回答的结束；提取结果由 takeMemoryUpdates(threadId) 取得
+ * @param {Object} options 配置选项
+ * @param {import("@langchain/core/language_models/chat_models").BaseChatModel} options.llm 用于提取记忆的模型
+ * @returns {Function} LangGraph 节点 (state, config) => Promise<Object>
+ */
+export function createMemorizeNode({ llm }) {
+  // 提取调用不在界面上流式展示
+  const memorizeChain = memorizePrompt
+    .pipe(llm.withConfig({ tags: ["memorize", "langsmith:nostream"] }))
+    .pipe(new StringOutputParser());
+
+  /**
+   * 提取并写入记忆
+   * @returns {Promise<{added: Array<string>, forgotten: Array<string>}|null>} 记忆变化
+   */
+  const memorize = async ({ store, userId, threadId, input, reply }) => {
+    const namespace = memoryNamespace(userId);
+    try {
+      const existing = await store.search(namespace, { query: input, limit: 10 });
+      const output = await memorizeChain.invoke({
+        memories: existing.map(item => `${item.key}: ${item.value.text}`).join("\n") || "（无）",
+        input,
+        reply,
+      });
+      const { add, forget } = parseMemoryUpdates(output);
+
+      const known = new Set(existing.map(item => item.value.text));
+      const added = [...new Set(add)].filter(text => !known.has(text));
+      const forgotten = existing.filter(item => forget.includes(item.key));
+      for (const item of forgotten) {
+        await store.delete(namespace, item.key);
+      }
+      for (const text of added) {
+        await store.put(namespace, uuidv4(), { text, threadId });
+      }
+      return { added, forgotten: forgotten.map(item => item.value.text) };
+    } catch (error) {
+      // 提取失败不影响本轮回答
+      console.error("长期记忆提取失败：", error.message);
+      return null;
+    }
+  };
+
+  return async (state, config) => {
+    const userId = config.configurable?.user_id;
+    const threadId = config.configurable?.thread_id ?? null;
+    const input = getLastHumanText(state.messages);
+    const last = state.messages[state.messages.length - 1];
+    if (!config.store || !userId || !input || last?._getType?.() !== "ai") return {};
+
+    const job = { store: unwrapStore(config.store), userId, threadId, input, reply: getMessageText(last.content) };
+    // 脱离本轮运行的上下文执行：回调与流式事件已随本轮结束，取消本轮也不会中断提取
+    const task = (userMemorizations.get(userId) ?? Promise.resolve())
+      .then(() => AsyncLocalStorageProviderSingleton.runWithConfig({}, () => memorize(job), true));
+    userMemorizations.set(userId, task);
+    task.then(() => {
+      if (userMemorizations.get(userId) === task) userMemorizations.delete(userId);
+    });
+    if (threadId) {
+      threadMemorizations.delete(threadId);
+      if (threadMemorizations.size >= PENDING_UPDATES_LIMIT) {
+        threadMemorizations.delete(threadMemorizations.keys().next().value);
+      }
+      threadMemorizations.set(threadId, task);
+    }
+    return {};
+  };
+}
+
+/**
+ * 列出用户的全部记忆（按创建时间排序）
+ * @param {Object} store LangGraph Store
+ * @param {string} userId 用户 ID
+ * @returns {Promise<Array<{key: string, text: string, threadId: string|null, createdAt: Date}>>} 记忆列表
+ */
+export async function listUserMemories(store, userId) {
+  const items = await store.search(memoryNamespace(userId), { limit: 10000 });
+  return items
+    .map(item => ({ key: item.key, text: item.value.text, threadId: item.value.threadId ?? null, createdAt: item.createdAt }))
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+/**
+ * 删除用户的记忆
+ * @param {Object} store LangGraph Store
+ * @param {string} userId 用户 ID
+ * @param {Array<string>} keys 要删除的记忆 key
+ * @returns {Promise<void>}
+ */
+export async function forgetUserMemories(store, userId, keys) {
+  const namespace = memoryNamespace(userId);
+  for (const key of keys) {
+    await store.delete(namespace, key);
+  }
+}
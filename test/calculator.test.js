@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { evaluateExpression } from "../src/tools/calculator.js";
+
+test("按运算符优先级与结合性计算", () => {
+  assert.equal(evaluateExpression("1 + 2 * 3"), 7);
+  assert.equal(evaluateExpression("(1 + 2) * sqrt(16) / 3"), 4);
+  assert.equal(evaluateExpression("2 ^ 3 ^ 2"), 512);
+  assert.equal(evaluateExpression("2 ** 3"), 8);
+  assert.equal(evaluateExpression("-2 ^ 2"), -4);
+  assert.equal(evaluateExpression("10 % 4"), 2);
+  assert.equal(evaluateExpression("1.5e2 + .5"), 150.5);
+});
+
+test("支持常量与多参数函数", () => {
+  assert.equal(evaluateExpression("max(1, 5, 3)"), 5);
+  assert.equal(evaluateExpression("pow(2, 10)"), 1024);
+  assert.equal(evaluateExpression("PI"), Math.PI);
+  assert.equal(evaluateExpression("log(1000)"), 3);
+});
+
+test("原型链上的名称不是函数或常量", () => {
+  for (const name of ["constructor", "toString", "__proto__", "hasOwnProperty", "valueOf"]) {
+    assert.throws(() => evaluateExpression(name), /未知的函数或常量/);
+    assert.throws(() => evaluateExpression(`${name}(1)`), /未知的函数或常量/);
+  }
+});
+
+test("非法表达式给出明确的错误", () => {
+  assert.throws(() => evaluateExpression(""), /表达式为空/);
+  assert.throws(() => evaluateExpression("1 +"), /表达式不完整/);
+  assert.throws(() => evaluateExpression("(1 + 2"), /缺少 "\)"/);
+  assert.throws(() => evaluateExpression("1 2"), /意外的符号/);
+  assert.throws(() => evaluateExpression("2 & 3"), /无法识别的字符/);
+  assert.throws(() => evaluateExpression("foo(1)"), /未知的函数或常量: foo/);
+});
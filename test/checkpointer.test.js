@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { START, END, MessagesAnnotation, StateGraph } from "@langchain/langgraph";
+import { AIMessage } from "@langchain/core/messages";
+import { FileCheckpointSaver } from "../src/utils/checkpointer.js";
+
+/**
+ * 用给定的检查点编译一个回显图
+ * @param {FileCheckpointSaver} checkpointer 检查点存储
+ */
+function compileEcho(checkpointer) {
+  return new StateGraph(MessagesAnnotation)
+    .addNode("echo", (state) => ({ messages: new AIMessage(`echo: ${state.messages.at(-1).content}`) }))
+    .addEdge(START, "echo")
+    .addEdge("echo", END)
+    .compile({ checkpointer });
+}
+
+async function withTempDir(run) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), "checkpointer-"));
+  try {
+    await run(directory);
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+}
+
+const config = { configurable: { thread_id: "t1" } };
+
+test("每轮只追加日志，重启后恢复线程", async () => {
+  await withTempDir(async (directory) => {
+    const saver = await FileCheckpointSaver.load({ directory, keepPerThread: 3 });
+    const graph = compileEcho(saver);
+    await graph.invoke({ messages: [{ role: "user", content: "one" }] }, config);
+    const before = await fs.readFile(saver.getThreadPath("t1"), "utf-8");
+    await graph.invoke({ messages: [{ role: "user", content: "two" }] }, config);
+    const after = await fs.readFile(saver.getThreadPath("t1"), "utf-8");
+    assert.ok(after.startsWith(before), "已有内容不应被重写");
+    assert.ok(after.length > before.length);
+
+    const reloaded = await FileCheckpointSaver.load({ directory, keepPerThread: 3 });
+    const { values } = await compileEcho(reloaded).getState(config);
+    assert.deepEqual(values.messages.map(m => m.content), ["one", "echo: one", "two", "echo: two"]);
+    assert.deepEqual((await reloaded.listThreads()).map(t => t.threadId), ["t1"]);
+    assert.deepEqual(await reloaded.listThreads(), await saver.listThreads());
+  });
+});
+
+test("日志过长时压缩，裁剪后的检查点数量与内存一致", async () => {
+  await withTempDir(async (directory) => {
+    const saver = await FileCheckpointSaver.load({ directory, keepPerThread: 2 });
+    const graph = compileEcho(saver);
+    for (let i = 0; i < 60; i += 1) {
+      await graph.invoke({ messages: [{ role: "user", content: `m${i}` }] }, config);
+    }
+    const lines = (await fs.readFile(saver.getThreadPath("t1"), "utf-8")).split("\n").filter(Boolean);
+    assert.ok(lines.length <= 200, `日志应被压缩，实际 ${lines.length} 行`);
+
+    const reloaded = await FileCheckpointSaver.load({ directory, keepPerThread: 2 });
+    assert.deepEqual(Object.keys(reloaded.storage.t1[""]).sort(), Object.keys(saver.storage.t1[""]).sort());
+    const { values } = await compileEcho(reloaded).getState(config);
+    assert.equal(values.messages.length, 120);
+    assert.equal(values.messages.at(-1).content, "echo: m59");
+  });
+});
+
+test("跳过写入中断留下的不完整行，删除线程时删除日志", async () => {
+  await withTempDir(async (directory) => {
+    const saver = await FileCheckpointSaver.load({ directory });
+    await compileEcho(saver).invoke({ messages: [{ role: "user", content: "one" }] }, config);
+    await fs.appendFile(saver.getThreadPath("t1"), '{"type":"checkpoint","name');
+
+    const reloaded = await FileCheckpointSaver.load({ directory });
+    const graph = compileEcho(reloaded);
+    assert.equal((await graph.getState(config)).values.messages.length, 2);
+    await graph.invoke({ messages: [{ role: "user", content: "two" }] }, config);
+
+    const again = await FileCheckpointSaver.load({ directory });
+    assert.equal((await compileEcho(again).getState(config)).values.messages.length, 4);
+
+    await reloaded.deleteThread("t1");
+    await assert.rejects(fs.access(reloaded.getThreadPath("t1")), { code: "ENOENT" });
+  });
+});
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Document } from "@langchain/core/documents";
+import {
+  buildCitations,
+  extractCitationMarkers,
+  formatCitations,
+  getPageNumber,
+  getRelevanceScore,
+  numberDocuments,
+} from "../src/rag/citations.js";
+
+const documents = numberDocuments([
+  new Document({ pageContent: "退款在  7 个工作日内\n原路退回。", metadata: { source: "billing.md", chunk_index: 2, score: 0.031 } }),
+  new Document({ pageContent: "发票可在订单页申请。", metadata: { source: "invoice.pdf", chunk_index: 0, loc: JSON.stringify({ pageNumber: 4 }) } }),
+  new Document({ pageContent: "会员每月赠送优惠券。", metadata: { source: "member.md", rerank_score: 0.8, score: 0.02 } }),
+]);
+
+test("extractCitationMarkers 支持 [1]、[1, 3]、全角逗号与连续标记", () => {
+  assert.deepEqual([...extractCitationMarkers("见 [1]，另参考 [2, 3] 与 [4，5][6]。")], [1, 2, 3, 4, 5, 6]);
+  assert.deepEqual([...extractCitationMarkers("没有引用，数组 [a] 也不算")], []);
+});
+
+test("buildCitations 只保留回答中引用的编号，回答没有标记时保留全部", () => {
+  assert.deepEqual(buildCitations(documents, { answer: "可以退款 [1]，会员另有优惠 [3]。" }).map(c => c.index), [1, 3]);
+  assert.deepEqual(buildCitations(documents, { answer: "可以退款。" }).map(c => c.index), [1, 2, 3]);
+  assert.deepEqual(buildCitations(documents).map(c => c.index), [1, 2, 3]);
+  // 引用了不存在的编号时不会凭空生成引用
+  assert.deepEqual(buildCitations(documents, { answer: "见 [9]" }), []);
+});
+
+test("buildCitations 提取来源、片段序号、页码、分数与摘录", () => {
+  const [refund, invoice, member] = buildCitations(documents, { excerptLength: 8 });
+  assert.equal(refund.source, "billing.md");
+  assert.equal(refund.chunkIndex, 2);
+  assert.equal(refund.page, null);
+  assert.equal(refund.score, 0.031);
+  assert.equal(refund.excerpt, "退款在 7 个工…");
+
+  assert.equal(invoice.page, 4);
+  assert.equal(invoice.chunkIndex, 0);
+  assert.equal(invoice.score, null);
+
+  // 重排分数优先于融合分数
+  assert.equal(member.score, 0.8);
+  assert.equal(member.chunkIndex, null);
+});
+
+test("页码与分数解析兼容不同的元数据写法", () => {
+  assert.equal(getPageNumber({ page: 3 }), 3);
+  assert.equal(getPageNumber({ loc: { pageNumber: 5 } }), 5);
+  assert.equal(getPageNumber({ loc: "not json" }), null);
+  assert.equal(getRelevanceScore({ vector_score: 0.7 }), 0.7);
+  assert.equal(getRelevanceScore({ score: "0.5" }), null);
+});
+
+test("formatCitations 在来源后列出页码、片段与分数", () => {
+  const [, invoice] = buildCitations(documents);
+  assert.equal(formatCitations([invoice]), "[2] invoice.pdf（第 4 页，片段 #0）\n    发票可在订单页申请。");
+});
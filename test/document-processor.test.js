@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Document } from "@langchain/core/documents";
+import { DocumentProcessor, parseChunkingRules } from "../src/rag/document-processor.js";
+
+test("parseChunkingRules 解析扩展名、策略、块大小与重叠", () => {
+  assert.deepEqual(parseChunkingRules(".md=markdown:1500:0, py=code:800:100,.PDF=page"), {
+    ".md": { strategy: "markdown", chunkSize: 1500, chunkOverlap: 0 },
+    ".py": { strategy: "code", chunkSize: 800, chunkOverlap: 100 },
+    ".pdf": { strategy: "page" },
+  });
+  assert.deepEqual(parseChunkingRules(""), {});
+});
+
+test("parseChunkingRules 拒绝非法的策略、块大小与重叠", () => {
+  assert.throws(() => parseChunkingRules(".md=semantic"), /不支持的切分策略/);
+  assert.throws(() => parseChunkingRules("=markdown"), /缺少扩展名/);
+  for (const size of ["abc", "0", "-100", "1.5"]) {
+    assert.throws(() => parseChunkingRules(`.md=markdown:${size}`), /块大小必须是正整数/);
+  }
+  for (const overlap of ["x", "-1", "2.5"]) {
+    assert.throws(() => parseChunkingRules(`.md=markdown:800:${overlap}`), /重叠必须是非负整数/);
+  }
+  assert.throws(() => parseChunkingRules(".md=markdown:800:800"), /重叠必须小于块大小/);
+});
+
+test("全局块大小与重叠（RAG_CHUNK_SIZE / RAG_CHUNK_OVERLAP）使用同样的校验", () => {
+  const defaults = new DocumentProcessor({ chunking: "" });
+  assert.deepEqual([defaults.chunkSize, defaults.chunkOverlap], [1200, 300]);
+  const fromEnv = new DocumentProcessor({ chunkSize: "800", chunkOverlap: "0", chunking: "" });
+  assert.deepEqual([fromEnv.chunkSize, fromEnv.chunkOverlap], [800, 0]);
+  // 空字符串视为未设置，而不是 0
+  assert.equal(new DocumentProcessor({ chunkSize: "", chunkOverlap: "", chunking: "" }).chunkOverlap, 300);
+
+  assert.throws(() => new DocumentProcessor({ chunkSize: "abc", chunking: "" }), /RAG_CHUNK_SIZE .*块大小必须是正整数: abc/);
+  assert.throws(() => new DocumentProcessor({ chunkOverlap: "-1", chunking: "" }), /重叠必须是非负整数/);
+  assert.throws(() => new DocumentProcessor({ chunkSize: 500, chunkOverlap: 500, chunking: "" }), /重叠必须小于块大小/);
+});
+
+test("超长 Markdown 章节拆出的每块都带有章节标题", async () => {
+  const paragraphs = Array.from({ length: 6 }, (_, i) => `第 ${i + 1} 段：${"内容".repeat(40)}`);
+  const text = ["# 用户指南", "", "## 安装配置", "", ...paragraphs.flatMap(p => [p, ""]), "## 常见问题", "", "简短回答"].join("\n");
+  const processor = new DocumentProcessor({ chunkSize: 200, chunkOverlap: 0, chunking: "" });
+  const chunks = await processor.splitDocuments([new Document({ pageContent: text, metadata: { source: "guide.md" } })]);
+
+  const install = chunks.filter(chunk => chunk.metadata.headings === "用户指南 > 安装配置");
+  assert.ok(install.length > 1);
+  for (const chunk of install) {
+    assert.ok(chunk.pageContent.startsWith("# 用户指南\n\n## 安装配置") || chunk.pageContent.startsWith("# 用户指南\n## 安装配置"));
+    assert.ok(chunk.pageContent.length <= 200, `块长度 ${chunk.pageContent.length} 超过块大小`);
+  }
+  // 正文没有丢失
+  for (const paragraph of paragraphs) {
+    assert.ok(install.some(chunk => chunk.pageContent.includes(paragraph)));
+  }
+  const faq = chunks.find(chunk => chunk.metadata.headings === "用户指南 > 常见问题");
+  assert.equal(faq.pageContent, "## 常见问题\n\n简短回答");
+});
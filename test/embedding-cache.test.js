@@ -0,0 +1,151 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { EmbeddingCache, CachedEmbeddings, hashText, withLock } from "../src/rag/embedding-cache.js";
+
+/**
+ * 在临时缓存目录中执行测试
+ * @param {Function} run (directory) => Promise
+ */
+async function withTempDir(run) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), "embedding-cache-"));
+  try {
+    await run(directory);
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+}
+
+/** 由文本生成确定的向量，便于校验哈希与向量是否对应 */
+const vectorOf = text => [text.length, text.charCodeAt(0), text.charCodeAt(text.length - 1)];
+
+const entriesOf = texts => texts.map(text => ({ hash: hashText(text), vector: vectorOf(text) }));
+
+test("写入后重新加载得到相同的向量", async () => {
+  await withTempDir(async (directory) => {
+    const cache = new EmbeddingCache({ directory, namespace: "test/model" });
+    await cache.addMany(entriesOf(["alpha", "beta", "gamma"]));
+    await cache.flush();
+
+    const loaded = await EmbeddingCache.load({ directory, namespace: "test/model" });
+    assert.equal(loaded.size, 3);
+    assert.equal(loaded.meta.dimensions, 3);
+    for (const text of ["alpha", "beta", "gamma"]) {
+      assert.deepEqual(loaded.get(hashText(text)), vectorOf(text));
+    }
+    assert.ok(loaded.usage[hashText("alpha")] > 0);
+
+    const [listed] = await EmbeddingCache.list(directory);
+    assert.equal(listed.namespace, "test/model");
+    assert.equal(listed.entries, 3);
+  });
+});
+
+test("同一目录上的多个实例并发追加时哈希与向量保持对应", async () => {
+  await withTempDir(async (directory) => {
+    const texts = Array.from({ length: 40 }, (_, i) => `text-${i}-${"x".repeat(i)}`);
+    const caches = [0, 1, 2].map(() => new EmbeddingCache({ directory, namespace: "test/model" }));
+    await Promise.all(caches.flatMap((cache, c) =>
+      [0, 1, 2, 3].map(batch => cache.addMany(entriesOf(texts.filter((_, i) => i % 12 === c * 4 + batch))))
+    ));
+
+    const loaded = await EmbeddingCache.load({ directory, namespace: "test/model" });
+    assert.equal(loaded.size, texts.length);
+    for (const text of texts) {
+      assert.deepEqual(loaded.get(hashText(text)), vectorOf(text));
+    }
+  });
+});
+
+test("加载时截掉写入中断留下的不完整记录", async () => {
+  await withTempDir(async (directory) => {
+    const cache = new EmbeddingCache({ directory, namespace: "test/model" });
+    await cache.addMany(entriesOf(["alpha", "beta"]));
+    await fs.appendFile(cache.entriesPath, Buffer.alloc(7));
+
+    const loaded = await EmbeddingCache.load({ directory, namespace: "test/model" });
+    assert.equal(loaded.size, 2);
+    await loaded.addMany(entriesOf(["gamma"]));
+
+    const reloaded = await EmbeddingCache.load({ directory, namespace: "test/model" });
+    assert.deepEqual(reloaded.get(hashText("gamma")), vectorOf("gamma"));
+    assert.deepEqual(reloaded.get(hashText("beta")), vectorOf("beta"));
+  });
+});
+
+test("prune 保留目录，并包含其他实例新追加的记录", async () => {
+  await withTempDir(async (directory) => {
+    const pruner = new EmbeddingCache({ directory, namespace: "test/model" });
+    await pruner.addMany(entriesOf(["alpha", "beta"]));
+    const writer = await EmbeddingCache.load({ directory, namespace: "test/model" });
+    await writer.addMany(entriesOf(["gamma"]));
+
+    const result = await pruner.prune(hash => hash !== hashText("beta"));
+    assert.deepEqual(result, { kept: 2, removed: 1 });
+
+    // 清理后原实例继续追加到同一目录
+    await writer.addMany(entriesOf(["delta"]));
+    const loaded = await EmbeddingCache.load({ directory, namespace: "test/model" });
+    assert.deepEqual([...loaded.vectors.keys()].sort(), ["alpha", "gamma", "delta"].map(hashText).sort());
+    assert.deepEqual(loaded.get(hashText("delta")), vectorOf("delta"));
+  });
+});
+
+test("CachedEmbeddings 只为未命中的文本调用底层模型", async () => {
+  await withTempDir(async (directory) => {
+    const calls = [];
+    const underlying = {
+      embedDocuments: async (texts) => {
+        calls.push(texts);
+        return texts.map(vectorOf);
+      },
+    };
+    const first = new CachedEmbeddings({ underlying, namespace: "test/model", directory });
+    assert.deepEqual(await first.embedDocuments(["alpha", "beta", "alpha"]), ["alpha", "beta", "alpha"].map(vectorOf));
+    assert.deepEqual(calls, [["alpha", "beta"]]);
+
+    const second = new CachedEmbeddings({ underlying, namespace: "test/model", directory });
+    assert.deepEqual(await second.embedDocuments(["beta", "gamma"]), ["beta", "gamma"].map(vectorOf));
+    assert.deepEqual(calls.at(-1), ["gamma"]);
+    assert.deepEqual(second.getStats(), { hits: 1, misses: 1, hitRate: 0.5, entries: 3 });
+  });
+});
+
+test("CachedEmbeddings 加载失败后下次调用重新加载", async () => {
+  await withTempDir(async (directory) => {
+    const underlying = { embedDocuments: async texts => texts.map(vectorOf) };
+    const embeddings = new CachedEmbeddings({ underlying, namespace: "test/model", directory });
+    const metaPath = path.join(embeddings.cache.cachePath, "meta.json");
+    await fs.mkdir(embeddings.cache.cachePath, { recursive: true });
+    await fs.writeFile(metaPath, "{ 损坏的 JSON");
+
+    await assert.rejects(embeddings.embedDocuments(["alpha"]), /嵌入缓存读取失败/);
+    await fs.rm(metaPath);
+    assert.deepEqual(await embeddings.embedDocuments(["alpha"]), [vectorOf("alpha")]);
+  });
+});
+
+test("多个等待者同时判定锁失效时仍然互斥", async () => {
+  await withTempDir(async (directory) => {
+    let active = 0;
+    let maxActive = 0;
+    const task = async () => {
+      active += 1;
+      maxActive = Math.max(maxActive, active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active -= 1;
+    };
+    // 每轮先留下一个超时未释放的锁（持有者已异常退出），再让多个等待者同时争抢
+    const lockPath = path.join(directory, "lock");
+    const past = new Date(Date.now() - 60_000);
+    for (let round = 0; round < 20; round += 1) {
+      await fs.writeFile(lockPath, String(process.pid));
+      await fs.utimes(lockPath, past, past);
+      await Promise.all(Array.from({ length: 8 }, () => withLock(directory, task)));
+    }
+    assert.equal(maxActive, 1);
+    assert.deepEqual(await fs.readdir(directory), []);
+  });
+});
@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { parseCsv } from "../src/rag/file-loaders.js";
+import { DocumentLoader } from "../src/rag/document-loader.js";
+
+test("parseCsv 处理引号、转义、字段内的分隔符与换行", () => {
+  const text = 'name,note\r\n"Smith, J","说 ""你好""\n第二行"\nplain,\n';
+  assert.deepEqual(parseCsv(text), [
+    ["name", "note"],
+    ["Smith, J", '说 "你好"\n第二行'],
+    ["plain", ""],
+  ]);
+});
+
+test("parseCsv 支持其他分隔符，跳过空行并保留没有结尾换行的最后一行", () => {
+  assert.deepEqual(parseCsv("a;b\n\n ; \n1;2", ";"), [["a", "b"], ["1", "2"]]);
+  assert.deepEqual(parseCsv(""), []);
+});
+
+test("缺少文本字段的 JSON / JSONL 记录连同位置记入 skippedFiles", async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), "file-loaders-"));
+  try {
+    await fs.writeFile(path.join(directory, "faq.jsonl"), '{"text":"一"}\n{"title":"无正文"}\n\n{"text":"  "}\n');
+    await fs.writeFile(path.join(directory, "empty.json"), '[{"body":"x"}]');
+    const loader = new DocumentLoader(directory);
+    const docs = await loader.loadDocuments();
+
+    assert.deepEqual(docs.map(doc => doc.pageContent), ["一"]);
+    assert.deepEqual(loader.skippedFiles, [
+      { file: path.join(directory, "empty.json"), reason: '1 条记录缺少文本字段 "text"（第 1 条记录）' },
+      { file: path.join(directory, "faq.jsonl"), reason: '2 条记录缺少文本字段 "text"（第 2、4 行）' },
+    ]);
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+});
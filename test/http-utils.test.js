@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { Readable } from "node:stream";
+import { HttpError, readJsonBody, streamGraph } from "../src/server/http-utils.js";
+
+const request = body => Readable.from([Buffer.from(body)]);
+
+test("readJsonBody 解析 JSON 对象，空请求体返回 {}", async () => {
+  assert.deepEqual(await readJsonBody(request('{"message":"hi"}')), { message: "hi" });
+  assert.deepEqual(await readJsonBody(request("  ")), {});
+});
+
+test("readJsonBody 对非对象或非法 JSON 返回 400", async () => {
+  for (const body of ["null", "[1]", "42", '"text"', "{"]) {
+    await assert.rejects(readJsonBody(request(body)), (error) => error instanceof HttpError && error.status === 400);
+  }
+});
+
+test("readJsonBody 超过大小上限时返回 413", async () => {
+  await assert.rejects(readJsonBody(request('{"a":"0123456789"}'), 8), { status: 413 });
+});
+
+/**
+ * 模拟的图：逐个产出事件，每个事件之间让出一次事件循环；结束后 getState 返回最终状态
+ */
+function createGraph(events, values) {
+  return {
+    calls: [],
+    async *streamEvents(input, config) {
+      this.calls.push(config);
+      for (const ev of events) {
+        await new Promise(resolve => setImmediate(resolve));
+        if (config.signal.aborted) throw new Error("Aborted");
+        yield ev;
+      }
+    },
+    async getState({ configurable }) {
+      return { values: { ...values, threadId: configurable.thread_id } };
+    },
+  };
+}
+
+test("streamGraph 逐个转交事件并返回检查点中的最终状态", async () => {
+  const graph = createGraph([{ event: "a" }, { event: "b" }], { messages: ["done"] });
+  const seen = [];
+  const values = await streamGraph(new EventEmitter(), graph, { messages: [] }, {
+    configurable: { thread_id: "t1", user_id: "u1" },
+    onEvent: ev => seen.push(ev.event),
+  });
+  assert.deepEqual(seen, ["a", "b"]);
+  assert.deepEqual(values, { messages: ["done"], threadId: "t1" });
+  assert.equal(graph.calls[0].version, "v2");
+  assert.deepEqual(graph.calls[0].configurable, { thread_id: "t1", user_id: "u1" });
+});
+
+test("streamGraph 在客户端断开连接时取消执行并返回 null，其他错误照常抛出", async () => {
+  const res = new EventEmitter();
+  const graph = createGraph([{ event: "a" }, { event: "b" }, { event: "c" }], {});
+  const seen = [];
+  const values = await streamGraph(res, graph, {}, {
+    configurable: { thread_id: "t1" },
+    onEvent: (ev) => {
+      seen.push(ev.event);
+      res.emit("close");
+    },
+  });
+  assert.equal(values, null);
+  assert.deepEqual(seen, ["a"]);
+  assert.equal(res.listenerCount("close"), 0);
+
+  const failing = { async *streamEvents() { throw new Error("模型不可用"); } };
+  await assert.rejects(streamGraph(new EventEmitter(), failing, {}, { configurable: { thread_id: "t1" } }), /模型不可用/);
+});
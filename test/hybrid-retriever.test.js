@@ -0,0 +1,112 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Document } from "@langchain/core/documents";
+import { BM25Index } from "../src/rag/bm25-index.js";
+import { HybridRetriever, ScoredVectorRetriever, toSimilarity } from "../src/rag/hybrid-retriever.js";
+import { VectorStoreFactory } from "../src/rag/vector-store-factory.js";
+import { tokenize } from "../src/rag/text-tokenizer.js";
+
+const doc = (id, pageContent, metadata = {}) => new Document({ id, pageContent, metadata });
+
+/**
+ * 按预设结果返回的向量存储
+ * @param {Array<[Document, number]>} results similaritySearchWithScore 的结果
+ * @param {Object} extra 其他字段（如 _vectorstoreType、distanceSpace）
+ */
+function fakeVectorStore(results, extra = {}) {
+  return { similaritySearchWithScore: async () => results, ...extra };
+}
+
+test("tokenize 保留完整标识符并为中文输出单字与双字", () => {
+  const tokens = tokenize("ERR_PAY_4031 v2.1");
+  assert.ok(tokens.includes("err_pay_4031"));
+  assert.ok(tokens.includes("v2.1"));
+  assert.deepEqual(tokenize("退款").sort(), ["退", "退款", "款"].sort());
+});
+
+test("BM25 检索按相关度排序，支持覆盖、删除与元数据过滤", () => {
+  const index = new BM25Index();
+  index.addDocuments([
+    doc("a", "支付错误 ERR_PAY_4031 表示余额不足", { tag: "billing" }),
+    doc("b", "登录失败请检查密码", { tag: "auth" }),
+    doc("c", "ERR_PAY_4031 ERR_PAY_4031 重试支付", { tag: "billing" }),
+  ]);
+  assert.deepEqual(index.search("ERR_PAY_4031").map(([d]) => d.id), ["c", "a"]);
+  assert.deepEqual(index.search("ERR_PAY_4031", 10, { tag: "auth" }), []);
+
+  index.addDocuments([doc("c", "与支付无关的内容")]);
+  assert.deepEqual(index.search("ERR_PAY_4031").map(([d]) => d.id), ["a"]);
+  index.removeDocuments(["a"]);
+  assert.equal(index.size, 2);
+  assert.deepEqual(index.search("ERR_PAY_4031"), []);
+});
+
+test("toSimilarity 按 Chroma 集合的距离度量换算", () => {
+  const chroma = (distanceSpace) => ({ _vectorstoreType: () => "chroma", distanceSpace });
+  assert.equal(toSimilarity(chroma("cosine"), 0.2), 0.8);
+  assert.equal(toSimilarity(chroma(undefined), 0.2), 0.8);
+  // 归一化向量的平方 L2 距离 = 2 - 2cos
+  assert.equal(toSimilarity(chroma("l2"), 2 - 2 * 0.9), 0.9);
+  assert.equal(toSimilarity({ _vectorstoreType: () => "local" }, 0.7), 0.7);
+});
+
+test("混合检索按加权倒数排名融合两路结果", async () => {
+  const keywordIndex = new BM25Index();
+  keywordIndex.addDocuments([doc("k1", "关键词 命中"), doc("both", "关键词 命中 两路")]);
+  const vectorStore = fakeVectorStore(
+    [[doc("both", "关键词 命中 两路"), 0.1], [doc("v1", "只有向量命中"), 0.3]],
+    { _vectorstoreType: () => "chroma", distanceSpace: "cosine" }
+  );
+  const retriever = new HybridRetriever({ vectorStore, keywordIndex, k: 3, rrfK: 60 });
+  const docs = await retriever.invoke("关键词 命中");
+
+  // both：向量第 1、关键词第 2（k1 更短，BM25 分数更高）
+  assert.equal(docs[0].id, "both");
+  assert.equal(docs[0].metadata.score, 1 / 61 + 1 / 62);
+  assert.equal(docs[0].metadata.vector_score, 0.9);
+  assert.ok(docs[0].metadata.keyword_score > 0);
+  assert.deepEqual(docs.map(d => d.id).sort(), ["both", "k1", "v1"]);
+
+  const vectorOnly = new HybridRetriever({ vectorStore, keywordIndex, k: 3, keywordWeight: 0 });
+  assert.deepEqual((await vectorOnly.invoke("关键词")).map(d => d.id), ["both", "v1"]);
+});
+
+test("向量检索模式在元数据中附带相似度", async () => {
+  const vectorStore = fakeVectorStore(
+    [[doc("a", "第一段", { source: "a.md" }), 0.2], [doc("b", "第二段"), 0.5]],
+    { _vectorstoreType: () => "chroma", distanceSpace: "cosine" }
+  );
+  const docs = await new ScoredVectorRetriever({ vectorStore, k: 2 }).invoke("问题");
+  assert.deepEqual(docs.map(d => [d.id, d.metadata.score, d.metadata.vector_score]), [["a", 0.8, 0.8], ["b", 0.5, 0.5]]);
+  assert.equal(docs[0].metadata.source, "a.md");
+});
+
+test("openChromaStore 以余弦距离创建集合，旧的 L2 集合删除后重建", async (t) => {
+  const collections = new Map([["old", { name: "old", configuration: { hnsw: { space: "l2" } }, metadata: {} }]]);
+  const deleted = [];
+  const client = {
+    getOrCreateCollection: async ({ name, configuration, metadata }) => {
+      if (!collections.has(name)) collections.set(name, { name, configuration, metadata });
+      return collections.get(name);
+    },
+    deleteCollection: async ({ name }) => {
+      deleted.push(name);
+      collections.delete(name);
+    },
+  };
+  t.mock.method(VectorStoreFactory, "createChromaClient", () => client);
+  t.mock.method(console, "log", () => {});
+
+  const fresh = await VectorStoreFactory.openChromaStore(null, { collectionName: "fresh" });
+  assert.equal(fresh.distanceSpace, "cosine");
+  assert.equal(collections.get("fresh").configuration.hnsw.space, "cosine");
+
+  // 只读打开时保留旧集合，按 L2 距离换算
+  const readOnly = await VectorStoreFactory.openChromaStore(null, { collectionName: "old", migrateSpace: false });
+  assert.equal(readOnly.distanceSpace, "l2");
+  assert.deepEqual(deleted, []);
+
+  const migrated = await VectorStoreFactory.openChromaStore(null, { collectionName: "old" });
+  assert.deepEqual(deleted, ["old"]);
+  assert.equal(migrated.distanceSpace, "cosine");
+});
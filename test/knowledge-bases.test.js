@@ -0,0 +1,110 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { Document } from "@langchain/core/documents";
+import { BaseRetriever } from "@langchain/core/retrievers";
+import {
+  KnowledgeBaseManager,
+  loadKnowledgeBaseConfig,
+  MultiKnowledgeBaseRetriever,
+  resolveKnowledgeBaseDefaults,
+} from "../src/rag/knowledge-bases.js";
+
+/**
+ * 把配置写入临时文件并加载
+ * @param {Object} config 知识库配置
+ */
+async function loadConfig(config) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "kb-config-"));
+  const file = path.join(dir, "knowledge-bases.json");
+  await fs.writeFile(file, JSON.stringify(config));
+  try {
+    return await loadKnowledgeBaseConfig(file);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test("未声明 collectionName 的知识库以名称作为集合名", async () => {
+  const { defaultName, knowledgeBases } = await loadConfig({
+    default: "b",
+    knowledgeBases: { a: { knowledgeDir: "kb/a" }, b: { knowledgeDir: "kb/b", collectionName: "billing" } },
+  });
+  assert.equal(defaultName, "b");
+  assert.equal(knowledgeBases.a.collectionName, "a");
+  assert.equal(knowledgeBases.b.collectionName, "billing");
+});
+
+test("多个知识库共用集合时拒绝加载", async () => {
+  await assert.rejects(
+    loadConfig({ knowledgeBases: { a: { collectionName: "docs" }, b: { collectionName: "docs" } } }),
+    /知识库 a 与 b 使用了同一个集合 docs/
+  );
+  await assert.rejects(
+    loadConfig({ knowledgeBases: { a: {}, b: { collectionName: "a" } } }),
+    /同一个集合 a/
+  );
+});
+
+test("没有配置文件时只有 default 知识库", async () => {
+  const config = await loadKnowledgeBaseConfig(path.join(os.tmpdir(), "missing-kb-config.json"));
+  assert.deepEqual(config, { defaultName: "default", knowledgeBases: { default: {} }, configPath: null });
+});
+
+test("共用的构建默认值合并覆盖项，知识库配置中的 k 优先", () => {
+  const defaults = resolveKnowledgeBaseDefaults({ buildOptions: { resetCollection: true }, watch: true });
+  assert.equal(defaults.watch, true);
+  assert.deepEqual(defaults.buildOptions, {
+    k: 30, batchSize: 200, embedSubBatchSize: 32, preEmbedFilter: true, resetCollection: true,
+  });
+
+  const manager = new KnowledgeBaseManager(
+    { defaultName: "docs", knowledgeBases: { docs: { k: 8 }, faq: {} } },
+    resolveKnowledgeBaseDefaults({ storeType: "local", embeddingProvider: "local" })
+  );
+  assert.equal(manager.createBuilder("docs").buildOptions.k, 8);
+  assert.equal(manager.createBuilder("faq").buildOptions.k, 30);
+  assert.equal(manager.createBuilder("faq").builder.storeType, "local");
+});
+
+class StaticRetriever extends BaseRetriever {
+  lc_namespace = ["test"];
+
+  constructor(docs) {
+    super();
+    this.docs = docs;
+  }
+
+  async _getRelevantDocuments() {
+    return this.docs;
+  }
+}
+
+test("多知识库检索按排名融合并把回调传给子检索器", async () => {
+  const retriever = new MultiKnowledgeBaseRetriever({
+    retrievers: [
+      { name: "docs", retriever: new StaticRetriever([new Document({ id: "d1", pageContent: "d1" }), new Document({ id: "d2", pageContent: "d2" })]) },
+      { name: "billing", retriever: new StaticRetriever([new Document({ id: "b1", pageContent: "b1" })]) },
+    ],
+    k: 3,
+  });
+  const started = [];
+  const docs = await retriever.invoke("q", {
+    callbacks: [{ handleRetrieverStart: (_retriever, _query, _runId, _parentRunId, _tags, _metadata, name) => started.push(name) }],
+  });
+  assert.deepEqual(docs.map(doc => [doc.id, doc.metadata.knowledge_base]), [["d1", "docs"], ["b1", "billing"], ["d2", "docs"]]);
+  // 外层检索器与两个子检索器都产生了运行记录
+  assert.equal(started.length, 3);
+});
+
+test("单个知识库的检索结果同样标注来源知识库", async () => {
+  const manager = new KnowledgeBaseManager({ defaultName: "docs", knowledgeBases: { docs: {}, billing: {} } });
+  const docs = [new Document({ id: "d1", pageContent: "d1", metadata: { source: "a.md", score: 0.8 } })];
+  // 跳过构建，直接使用预设的构建器
+  manager.entries.set("docs", Promise.resolve({ builder: { getRetriever: () => new StaticRetriever(docs) } }));
+
+  const [result] = await (await manager.getRetriever(null)).invoke("q");
+  assert.deepEqual(result.metadata, { source: "a.md", score: 0.8, knowledge_base: "docs" });
+});
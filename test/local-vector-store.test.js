@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { Document } from "@langchain/core/documents";
+import { LocalVectorStore } from "../src/rag/local-vector-store.js";
+
+// 按文本取固定向量的嵌入模型，便于断言相似度顺序
+const VECTORS = { 苹果: [1, 0, 0], 香蕉: [0, 1, 0], 樱桃: [0, 0, 1], 水果: [1, 1, 0] };
+const embeddings = {
+  embedDocuments: async texts => texts.map(text => VECTORS[text]),
+  embedQuery: async text => VECTORS[text],
+};
+
+async function createStore(t) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), "local-store-"));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  const options = { directory, collectionName: "test" };
+  const store = await LocalVectorStore.load(embeddings, options);
+  await store.addDocuments(
+    ["苹果", "香蕉", "樱桃"].map((text, i) => new Document({ pageContent: text, metadata: { index: i } })),
+    { ids: ["a", "b", "c"] }
+  );
+  return { store, options, collectionPath: store.collectionPath };
+}
+
+test("保存后重新加载，记录、元数据与向量保持对应", async (t) => {
+  const { store, options } = await createStore(t);
+  await store.delete({ ids: ["b"] });
+  await store.addDocuments([new Document({ pageContent: "水果", metadata: { index: 3 } })], { ids: ["d"] });
+  await store.save();
+
+  const loaded = await LocalVectorStore.load(embeddings, options);
+  assert.equal(loaded.count(), 3);
+  assert.equal(loaded.numDimensions, 3);
+  assert.deepEqual(loaded.getDocuments(["a", "b", "d"]).map(doc => [doc.id, doc.pageContent, doc.metadata.index]), [
+    ["a", "苹果", 0],
+    ["d", "水果", 3],
+  ]);
+  const [[top, score]] = await loaded.similaritySearchVectorWithScore(VECTORS.樱桃, 1);
+  assert.equal(top.id, "c");
+  assert.ok(Math.abs(score - 1) < 1e-6);
+  assert.deepEqual((await loaded.similaritySearch("苹果", 2)).map(doc => doc.id), ["a", "d"]);
+});
+
+test("vectors.bin 与记录条数不一致时加载失败，而不是错位读取", async (t) => {
+  const { store, options, collectionPath } = await createStore(t);
+  await store.save();
+  const vectorsPath = path.join(collectionPath, "vectors.bin");
+  const buffer = await fs.readFile(vectorsPath);
+
+  // 模拟两个文件重命名之间崩溃：向量文件比记录少一条
+  await fs.writeFile(vectorsPath, buffer.subarray(0, buffer.length - 3 * Float32Array.BYTES_PER_ELEMENT));
+  await assert.rejects(LocalVectorStore.load(embeddings, options), /本地向量存储已损坏.*vectors\.bin/);
+
+  await fs.writeFile(vectorsPath, Buffer.concat([buffer, buffer.subarray(0, 4)]));
+  await assert.rejects(LocalVectorStore.load(embeddings, options), /已损坏/);
+});
+
+test("addVectors 在整批校验通过前不修改集合", async (t) => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), "local-store-"));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  const empty = new LocalVectorStore(embeddings, { directory, collectionName: "empty" });
+  const docs = [new Document({ pageContent: "x" }), new Document({ pageContent: "y" })];
+
+  await assert.rejects(empty.addVectors([[1, 0], [1, 0, 0]], docs, { ids: ["x", "y"] }), /向量维度 3 与集合维度 2 不一致/);
+  assert.equal(empty.count(), 0);
+  assert.equal(empty.numDimensions, undefined);
+
+  const { store } = await createStore(t);
+  await assert.rejects(store.addVectors([[1, 0, 0], [1, 0]], docs, { ids: ["x", "y"] }), /不一致/);
+  assert.equal(store.count(), 3);
+  assert.deepEqual(store.getDocuments(["x"]), []);
+});
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { metadataValueEquals, normalizeFilter, toStoreFilter } from "../src/rag/metadata.js";
+import { LocalVectorStore } from "../src/rag/local-vector-store.js";
+
+const chroma = { _vectorstoreType: () => "chroma" };
+
+test("normalizeFilter 展开标签，数字保持为数字", () => {
+  assert.deepEqual(normalizeFilter({ tag: "Billing, FAQ", version: 2, page: 3, source: "a.md", draft: false }), {
+    tag_billing: true,
+    tag_faq: true,
+    version: 2,
+    page: 3,
+    source: "a.md",
+    draft: "false",
+  });
+  assert.deepEqual(normalizeFilter({ tags: ["x"], empty: "", missing: null }), { tag_x: true });
+  assert.equal(normalizeFilter({}), null);
+  assert.equal(normalizeFilter(null), null);
+});
+
+test("normalizeFilter 对已规范化的条件结果不变", () => {
+  const once = normalizeFilter({ tag: "billing", row: 7, version: "2" });
+  assert.deepEqual(normalizeFilter(once), once);
+});
+
+test("normalizeFilter 拒绝非对象条件与嵌套值", () => {
+  assert.throws(() => normalizeFilter("tag=billing"), /filter 必须是对象/);
+  assert.throws(() => normalizeFilter([1]), /filter 必须是对象/);
+  assert.throws(() => normalizeFilter({ version: { $gt: 1 } }), /version 的值必须是字符串或数字/);
+});
+
+test("数字与数字文本视为相等", () => {
+  assert.ok(metadataValueEquals(3, "3"));
+  assert.ok(metadataValueEquals("2", 2));
+  assert.ok(metadataValueEquals(3, 3));
+  assert.ok(!metadataValueEquals("03", "3"));
+  assert.ok(!metadataValueEquals("abc", 0));
+  assert.ok(!metadataValueEquals("", 0));
+  assert.ok(!metadataValueEquals(true, "true"));
+});
+
+test("toStoreFilter 为 ChromaDB 生成同时匹配数字与文本的条件", () => {
+  assert.deepEqual(toStoreFilter(chroma, { page: 3 }), { $or: [{ page: 3 }, { page: "3" }] });
+  assert.deepEqual(toStoreFilter(chroma, { tag_billing: true, version: "2" }), {
+    $and: [{ tag_billing: true }, { $or: [{ version: "2" }, { version: 2 }] }],
+  });
+  const conditions = { page: 3 };
+  assert.equal(toStoreFilter({ _vectorstoreType: () => "local" }, conditions), conditions);
+  assert.equal(toStoreFilter(chroma, null), undefined);
+});
+
+test("本地向量存储按数字元数据过滤", async () => {
+  const embeddings = { embedDocuments: async texts => texts.map(() => [1, 0]), embedQuery: async () => [1, 0] };
+  const store = new LocalVectorStore(embeddings, { collectionName: "test" });
+  await store.addDocuments([
+    { pageContent: "第 1 页", metadata: { page: 1 } },
+    { pageContent: "第 3 页", metadata: { page: 3 } },
+  ]);
+  const results = await store.similaritySearch("页", 5, normalizeFilter({ page: "3" }));
+  assert.deepEqual(results.map(doc => doc.pageContent), ["第 3 页"]);
+});
@@ -0,0 +1,15 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveModelConfig } from "../src/utils/model-factory.js";
+
+test("LLM_TEMPERATURE 未设置时默认为 0，合法值转为数字", () => {
+  assert.equal(resolveModelConfig({ provider: "fake", temperature: "" }).temperature, 0);
+  assert.equal(resolveModelConfig({ provider: "fake", temperature: "0.7" }).temperature, 0.7);
+  assert.equal(resolveModelConfig({ provider: "fake", temperature: 2 }).temperature, 2);
+});
+
+test("非法的 LLM_TEMPERATURE 立即报错", () => {
+  for (const value of ["warm", "-0.1", "2.5", "NaN", "Infinity"]) {
+    assert.throws(() => resolveModelConfig({ provider: "fake", temperature: value }), /LLM_TEMPERATURE 必须是 0 ~ 2 之间的数字/);
+  }
+});
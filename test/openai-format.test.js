@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { HttpError } from "../src/server/http-utils.js";
+import { toGraphMessages, addUsage, toOpenAIError } from "../src/server/openai-format.js";
+
+test("toGraphMessages 保留 system / user / assistant 的文本内容，忽略其他角色", () => {
+  const messages = toGraphMessages([
+    { role: "system", content: "你是助手" },
+    { role: "user", content: [{ type: "text", text: "你好" }, { type: "text", text: "，在吗" }] },
+    { role: "tool", content: "工具结果", tool_call_id: "call-1" },
+    { role: "assistant", content: "在的" },
+    null,
+    { role: "user", content: "介绍一下退款流程" },
+  ]);
+  assert.deepEqual(messages, [
+    { role: "system", content: "你是助手" },
+    { role: "user", content: "你好，在吗" },
+    { role: "assistant", content: "在的" },
+    { role: "user", content: "介绍一下退款流程" },
+  ]);
+});
+
+test("toGraphMessages 拒绝空消息列表与不以 user 消息结尾的请求", () => {
+  const isBadRequest = (error) => error instanceof HttpError && error.status === 400;
+  assert.throws(() => toGraphMessages([]), isBadRequest);
+  assert.throws(() => toGraphMessages("hi"), isBadRequest);
+  assert.throws(() => toGraphMessages([{ role: "user", content: "hi" }, { role: "assistant", content: "hello" }]), /最后一条消息必须是 user 消息/);
+  // 被忽略的角色不算最后一条消息
+  assert.throws(() => toGraphMessages([{ role: "assistant", content: "hi" }, { role: "tool", content: "x" }]), isBadRequest);
+});
+
+test("addUsage 累加 usage_metadata，缺少 total_tokens 时按输入与输出相加", () => {
+  const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  addUsage(usage, { input_tokens: 10, output_tokens: 5, total_tokens: 15 });
+  addUsage(usage, { input_tokens: 3, output_tokens: 2 });
+  addUsage(usage, undefined);
+  assert.deepEqual(usage, { prompt_tokens: 13, completion_tokens: 7, total_tokens: 20 });
+});
+
+test("toOpenAIError 按状态码生成 OpenAI 格式的错误", () => {
+  assert.deepEqual(toOpenAIError(401, new Error("API 密钥无效")), {
+    error: { message: "API 密钥无效", type: "authentication_error", param: null, code: null },
+  });
+  assert.equal(toOpenAIError(404, new Error("x")).error.type, "invalid_request_error");
+  assert.equal(toOpenAIError(429, new Error("x")).error.type, "rate_limit_error");
+  assert.equal(toOpenAIError(503, new Error("x")).error.type, "server_error");
+});
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { Repl, tokenizeArgs, parseArgs } from "../src/utils/repl.js";
+
+test("连续保存历史时文件以最后一次快照为准", async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), "repl-"));
+  try {
+    const historyFile = path.join(directory, "nested", "test.history");
+    const repl = new Repl({ name: "test", historyFile });
+    const saves = [];
+    for (let i = 1; i <= 20; i += 1) {
+      // readline 的历史最新的在前
+      saves.push(repl.saveHistory(Array.from({ length: i }, (_, j) => `cmd${i - j}`)));
+    }
+    await Promise.all(saves);
+    const lines = (await fs.readFile(historyFile, "utf-8")).split("\n").filter(Boolean);
+    assert.equal(lines.length, 20);
+    assert.equal(lines.at(-1), "cmd20");
+    assert.deepEqual(await repl.loadHistory(), Array.from({ length: 20 }, (_, j) => `cmd${20 - j}`));
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+});
+
+test("tokenizeArgs 支持单双引号包裹含空格的参数与转义引号，并记录起始位置", () => {
+  assert.deepEqual(tokenizeArgs(`a "b c" 'd \\'e' f\\"g`), [
+    { value: "a", start: 0 },
+    { value: "b c", start: 2 },
+    { value: "d 'e", start: 8 },
+    { value: 'f"g', start: 16 },
+  ]);
+  assert.deepEqual(tokenizeArgs("   "), []);
+});
+
+const exportSpecs = [{ name: "id", required: true }, { name: "format", choices: ["md", "json"] }];
+
+test("parseArgs 按定义解析位置参数与 --key=value / --flag 选项", () => {
+  assert.deepEqual(parseArgs("abc json --out=x.md --force", exportSpecs), {
+    args: { id: "abc", format: "json" },
+    flags: { out: "x.md", force: true },
+    argv: ["abc", "json"],
+    rest: "abc json --out=x.md --force",
+  });
+  // 多出的位置参数只出现在 argv 中
+  assert.deepEqual(parseArgs("a b c", [{ name: "id" }]).args, { id: "a" });
+  assert.deepEqual(parseArgs("a b c", [{ name: "id" }]).argv, ["a", "b", "c"]);
+});
+
+test("parseArgs 检查必填参数与可选值", () => {
+  assert.equal(parseArgs("", exportSpecs).error, "缺少参数 <id>");
+  assert.equal(parseArgs("abc pdf", exportSpecs).error, "参数 <format> 只能是 md | json");
+  assert.equal(parseArgs("abc", exportSpecs).error, undefined);
+});
+
+test("parseArgs 的剩余文本参数保留原文，整体被引号包裹时去掉引号", () => {
+  const specs = [{ name: "id", required: true }, { name: "title", rest: true, required: true }];
+  assert.equal(parseArgs(`t1 hello  "big" world`, specs).args.title, `hello  "big" world`);
+  assert.equal(parseArgs(`t1 "hello world"`, specs).args.title, "hello world");
+  // 剩余文本之后的 --xxx 属于文本本身，之前的仍按选项解析
+  const parsed = parseArgs("t1 --lang=en hello --raw", specs);
+  assert.deepEqual(parsed.flags, { lang: "en" });
+  assert.equal(parsed.args.title, "hello --raw");
+  assert.equal(parseArgs("t1", specs).error, "缺少参数 <title>");
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Document } from "@langchain/core/documents";
+import { RunnableLambda } from "@langchain/core/runnables";
+import { AIMessage } from "@langchain/core/messages";
+import { RerankingRetriever, LLMReranker } from "../src/rag/reranker.js";
+
+const candidates = ["甲", "乙", "丙", "丁"].map((text, i) => new Document({
+  id: `doc-${i}`,
+  pageContent: text,
+  metadata: { source: `${i}.md` },
+}));
+const baseRetriever = RunnableLambda.from(async () => candidates);
+
+test("按重排分数降序保留前 topN 个，分数写入 rerank_score，同分保持原顺序", async () => {
+  const reranker = { score: async (query, docs) => docs.map((_, i) => [0.2, 0.9, 0.2, 0.5][i]) };
+  const retriever = new RerankingRetriever({ baseRetriever, reranker, topN: 3 });
+  const docs = await retriever.invoke("问题");
+
+  assert.deepEqual(docs.map(d => d.pageContent), ["乙", "丁", "甲"]);
+  assert.deepEqual(docs.map(d => d.metadata.rerank_score), [0.9, 0.5, 0.2]);
+  assert.equal(docs[0].id, "doc-1");
+  assert.equal(docs[0].metadata.source, "1.md");
+  // 不修改召回的原始文档
+  assert.equal(candidates[1].metadata.rerank_score, undefined);
+});
+
+test("重排失败时退回原始检索顺序", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const reranker = { score: async () => { throw new Error("模型不可用"); } };
+  const retriever = new RerankingRetriever({ baseRetriever, reranker, topN: 2 });
+  const docs = await retriever.invoke("问题");
+
+  assert.deepEqual(docs.map(d => d.pageContent), ["甲", "乙"]);
+  assert.equal(docs[0].metadata.rerank_score, undefined);
+});
+
+test("LLM 评审分数归一化到 0-1，缺失或越界的条目记 0 分", async () => {
+  const llm = { invoke: async () => new AIMessage('结果：[{"index":1,"score":7},{"index":0,"score":15},{"index":9,"score":5}]') };
+  const scores = await new LLMReranker({ llm }).score("问题", candidates);
+  assert.deepEqual(scores, [1, 0.7, 0, 0]);
+});
@@ -0,0 +1,154 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CircuitBreaker, CircuitOpenError, RateLimiter, ResiliencePolicy } from "../src/utils/resilience.js";
+import { ResilientEmbeddings } from "../src/rag/resilient-embeddings.js";
+import { ResilientChatModel } from "../src/utils/resilient-chat-model.js";
+import { FakeEchoChatModel } from "../src/utils/fake-chat-model.js";
+
+const policyConfig = {
+  maxRetries: 2, baseDelayMs: 1, maxDelayMs: 10, rpm: 0, tpm: 0, failureThreshold: 2, cooldownMs: 60_000,
+};
+
+const transientError = () => Object.assign(new Error("rate limit"), { status: 429 });
+
+test("RateLimiter 按 RPM 与 TPM 计算等待时间，单次超过 TPM 时等窗口清空", () => {
+  const limiter = new RateLimiter({ rpm: 2, tpm: 100 });
+  limiter.window = [{ time: 1_000, tokens: 10 }, { time: 2_000, tokens: 10 }];
+  assert.equal(limiter.getWaitMs(0, 3_000), 60_000 - 2_000, "第 3 次请求等最早的记录移出窗口");
+
+  limiter.window = [{ time: 1_000, tokens: 60 }];
+  assert.equal(limiter.getWaitMs(30, 3_000), 0);
+  assert.equal(limiter.getWaitMs(50, 3_000), 58_000);
+  assert.equal(limiter.getWaitMs(500, 3_000), 58_000);
+  assert.equal(limiter.getWaitMs(50, 61_001), 0, "窗口外的记录不再计数");
+});
+
+test("RateLimiter 暂停期间排队，等待可被中断", async () => {
+  const limiter = new RateLimiter();
+  assert.equal((await limiter.acquire(5)).tokens, 5);
+  limiter.pause(60_000);
+  const controller = new AbortController();
+  const pending = limiter.acquire(0, controller.signal);
+  controller.abort(new Error("cancelled"));
+  await assert.rejects(pending, /cancelled/);
+  // 被中断的请求不影响后续排队
+  limiter.blockedUntil = 0;
+  assert.equal((await limiter.acquire(1)).tokens, 1);
+});
+
+test("CircuitBreaker 连续失败后熔断，冷却后只放行一次试探", () => {
+  const breaker = new CircuitBreaker({ name: "test", failureThreshold: 2, cooldownMs: 1_000 });
+  breaker.beforeCall();
+  breaker.onFailure(new Error("boom"));
+  assert.equal(breaker.state, "closed");
+  breaker.onFailure(new Error("boom"));
+  assert.equal(breaker.state, "open");
+  assert.throws(() => breaker.beforeCall(), CircuitOpenError);
+
+  breaker.openedAt -= 1_000;
+  breaker.beforeCall();
+  assert.equal(breaker.state, "half-open");
+  assert.throws(() => breaker.beforeCall(), CircuitOpenError, "试探进行中时拒绝其他调用");
+  breaker.onSuccess();
+  assert.deepEqual([breaker.state, breaker.consecutiveFailures], ["closed", 0]);
+});
+
+test("CircuitBreaker 试探失败时立即重新熔断", () => {
+  const breaker = new CircuitBreaker({ name: "test", failureThreshold: 5, cooldownMs: 0 });
+  breaker.state = "open";
+  breaker.openedAt = 0;
+  breaker.beforeCall();
+  breaker.onFailure(new Error("still down"));
+  assert.equal(breaker.state, "open");
+});
+
+test("ResiliencePolicy 重试临时错误，客户端错误直接抛出且不计入熔断", async () => {
+  const policy = new ResiliencePolicy({ name: "test", ...policyConfig });
+  let calls = 0;
+  const result = await policy.run(async () => {
+    calls += 1;
+    if (calls < 3) throw transientError();
+    return "ok";
+  });
+  assert.deepEqual([result, calls, policy.stats.retries], ["ok", 3, 2]);
+
+  const badRequest = Object.assign(new Error("bad request"), { status: 400 });
+  await assert.rejects(policy.run(async () => { throw badRequest; }), /bad request/);
+  assert.equal(policy.breaker.consecutiveFailures, 0);
+});
+
+test("ResiliencePolicy 重试耗尽后计入熔断，熔断后不再调用", async () => {
+  const policy = new ResiliencePolicy({ name: "test", ...policyConfig, maxRetries: 0 });
+  let calls = 0;
+  const failing = async () => {
+    calls += 1;
+    throw transientError();
+  };
+  await assert.rejects(policy.run(failing), /rate limit/);
+  await assert.rejects(policy.run(failing), /rate limit/);
+  await assert.rejects(policy.run(failing), CircuitOpenError);
+  assert.equal(calls, 2);
+});
+
+test("ResilientEmbeddings 把中断信号传给弹性策略", async () => {
+  let calls = 0;
+  const underlying = {
+    embedDocuments: async (texts) => {
+      calls += 1;
+      return texts.map(() => [1]);
+    },
+    embedQuery: async () => [1],
+  };
+  const embeddings = new ResilientEmbeddings({ underlying, name: "embedding:test/abort", policy: policyConfig });
+  assert.deepEqual(await embeddings.embedDocuments(["a"]), [[1]]);
+
+  embeddings.policy.limiter.pause(60_000);
+  const controller = new AbortController();
+  const pending = embeddings.embedDocuments(["b"], { signal: controller.signal });
+  controller.abort(new Error("cancelled"));
+  await assert.rejects(pending, /cancelled/);
+
+  const aborted = AbortSignal.abort(new Error("shutdown"));
+  const withDefault = new ResilientEmbeddings({ underlying, name: "embedding:test/abort", signal: aborted });
+  await assert.rejects(withDefault.embedQuery("c"), /shutdown/);
+  assert.equal(calls, 1);
+});
+
+test("ResilientChatModel 关闭失败重试与中途停止读取的底层流", async () => {
+  const closed = [];
+  let attempts = 0;
+  // 第一次尝试在首个片段前失败，第二次尝试正常输出
+  class FlakyStreamModel extends FakeEchoChatModel {
+    _streamResponseChunks(messages, options, runManager) {
+      const attempt = ++attempts;
+      const inner = super._streamResponseChunks(messages, options, runManager);
+      return {
+        [Symbol.asyncIterator]() {
+          return this;
+        },
+        async next() {
+          if (attempt === 1) throw transientError();
+          return inner.next();
+        },
+        async return() {
+          closed.push(attempt);
+          return inner.return();
+        },
+      };
+    }
+  }
+  const model = new ResilientChatModel({
+    model: new FlakyStreamModel({ chunkSize: 2 }),
+    name: "llm:test/stream-close",
+    policy: policyConfig,
+  });
+
+  const chunks = [];
+  for await (const chunk of await model.stream("一段较长的回答内容")) {
+    chunks.push(chunk.content);
+    if (chunks.length === 2) break;
+  }
+  assert.equal(attempts, 2);
+  assert.equal(chunks.length, 2);
+  assert.deepEqual(closed, [1, 2]);
+});
@@ -0,0 +1,167 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { RetrieverBuilder } from "../src/rag/retriever-builder.js";
+import { IndexManifest } from "../src/rag/index-manifest.js";
+import { LocalHashEmbeddings } from "../src/rag/local-hash-embeddings.js";
+
+const create = options => new RetrieverBuilder({ embeddingProvider: "local", storeType: "local", ...options });
+
+test("检索配置使用默认值，空字符串视为未设置", () => {
+  const { retrievalOptions } = create({ vectorWeight: "", keywordWeight: 0.5, rrfK: "", retrievalMode: "hybrid" });
+  assert.deepEqual(retrievalOptions, { mode: "hybrid", vectorWeight: 1, keywordWeight: 0.5, rrfK: 60 });
+  assert.equal(create({ vectorWeight: 0, retrievalMode: "hybrid" }).retrievalOptions.vectorWeight, 0);
+});
+
+test("非法的混合检索权重与 RRF 常数在创建时报错", () => {
+  assert.throws(() => create({ vectorWeight: "abc" }), /HYBRID_VECTOR_WEIGHT 必须是非负数/);
+  assert.throws(() => create({ keywordWeight: -1 }), /HYBRID_KEYWORD_WEIGHT 必须是非负数/);
+  assert.throws(() => create({ vectorWeight: 0, keywordWeight: 0, retrievalMode: "hybrid" }), /不能同时为 0/);
+  assert.throws(() => create({ rrfK: 0 }), /HYBRID_RRF_K 必须是正数/);
+  assert.throws(() => create({ retrievalMode: "semantic" }), /不支持的检索模式: semantic/);
+});
+
+test("启用重排时 RERANK_TOP_N 必须是正整数", () => {
+  assert.equal(create({ rerank: { type: "llm", topN: "" } }).rerankOptions.topN, 8);
+  assert.equal(create({ rerank: { type: "llm", topN: "3" } }).rerankOptions.topN, 3);
+  assert.throws(() => create({ rerank: { type: "llm", topN: "abc" } }), /RERANK_TOP_N 必须是正整数: abc/);
+  assert.throws(() => create({ rerank: { type: "llm", topN: 0 } }), /RERANK_TOP_N/);
+  assert.equal(create({ rerank: { type: "none", topN: "abc" } }).rerankOptions, null);
+});
+
+/**
+ * 在临时目录中创建知识库与索引目录，每次构建使用新的 RetrieverBuilder（模拟重新启动）
+ * build 返回构建器、检索器、索引清单与本次构建嵌入的文本数量，prepare 可在构建前修改构建器
+ */
+async function createSyncFixture(t) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "rag-sync-"));
+  t.after(() => fs.rm(root, { recursive: true, force: true }));
+  t.mock.method(console, "log", () => {});
+  const embedDocuments = t.mock.method(LocalHashEmbeddings.prototype, "embedDocuments");
+  const knowledgeDir = path.join(root, "knowledge");
+  await fs.mkdir(knowledgeDir);
+  const build = async (prepare = () => {}) => {
+    embedDocuments.mock.resetCalls();
+    const builder = create({
+      knowledgeDir,
+      localDir: path.join(root, "vectors"),
+      manifestDir: path.join(root, "manifest"),
+      embeddingCache: false,
+      chunkSize: 200,
+      chunkOverlap: 20,
+    });
+    await prepare(builder);
+    const retriever = await builder.buildRetriever({ k: 4 });
+    const manifest = await IndexManifest.load(builder.getManifestPath(builder.chromaOptions.collectionName));
+    const embedded = embedDocuments.mock.calls.reduce((sum, call) => sum + call.arguments[0].length, 0);
+    return { builder, retriever, manifest, embedded };
+  };
+  const write = (file, text) => fs.writeFile(path.join(knowledgeDir, file), text);
+  return { knowledgeDir, build, write };
+}
+
+test("增量同步：只嵌入新增与变更的文件，删除已移除文件与变更文件多余的旧块", async (t) => {
+  const { knowledgeDir, build, write } = await createSyncFixture(t);
+  await write("a.md", "# 甲\n\n苹果的产地与品种介绍。\n\n" + "苹果段落。".repeat(60));
+  await write("b.txt", "香蕉富含钾元素。");
+  await write("c.txt", "樱桃的保存方法。");
+
+  const first = await build();
+  const oldAIds = first.manifest.getEntry("a.md").chunkIds;
+  const bIds = first.manifest.getEntry("b.txt").chunkIds;
+  const cIds = first.manifest.getEntry("c.txt").chunkIds;
+  assert.ok(oldAIds.length > 1);
+  assert.equal(first.embedded, first.manifest.totalChunks);
+  assert.equal(first.builder.vectorStore.count(), first.manifest.totalChunks);
+
+  // 缩短 a.md（旧块多于新块）、删除 b.txt、新增 d.txt，c.txt 不变
+  await write("a.md", "# 甲\n\n苹果改为只介绍产地。");
+  await fs.rm(path.join(knowledgeDir, "b.txt"));
+  await write("d.txt", "榴莲气味浓烈。");
+
+  const second = await build();
+  // 只嵌入变更的 a.md 与新增的 d.txt 各一块
+  assert.equal(second.embedded, 2);
+  assert.equal(second.manifest.getEntry("b.txt"), undefined);
+  assert.deepEqual(Object.keys(second.manifest.files).sort(), ["a.md", "c.txt", "d.txt"]);
+  assert.deepEqual(second.manifest.getEntry("c.txt").chunkIds, cIds);
+  for (const id of [...bIds, ...oldAIds.slice(1)]) {
+    assert.equal(second.builder.vectorStore.records.has(id), false, `过期的向量块 ${id} 应被删除`);
+    assert.equal(second.builder.keywordIndex.docs.has(id), false, `过期的关键词索引 ${id} 应被删除`);
+  }
+  assert.equal(second.builder.vectorStore.count(), second.manifest.totalChunks);
+  assert.equal(second.builder.vectorStore.count(), 3);
+  const [top] = await second.retriever.invoke("榴莲");
+  assert.equal(top.metadata.source.endsWith("d.txt"), true);
+
+  const third = await build();
+  assert.equal(third.embedded, 0);
+  assert.equal(third.builder.vectorStore.count(), 3);
+});
+
+test("关键词索引补建失败的文件记入跳过列表", async (t) => {
+  const { build, write } = await createSyncFixture(t);
+  await write("a.txt", "苹果的产地。");
+  const first = await build();
+  await fs.rm(first.builder.getKeywordIndexPath(first.builder.chromaOptions.collectionName, "local"));
+
+  const warn = t.mock.method(console, "warn", () => {});
+  const second = await build(builder => {
+    builder.processFile = async () => { throw new Error("读取失败"); };
+  });
+  assert.equal(second.builder.lastSync.unchanged, 1);
+  assert.deepEqual(second.builder.lastSync.skipped, [{ file: "a.txt", reason: "关键词索引补建失败: 读取失败" }]);
+  assert.match(warn.mock.calls.at(-1).arguments[0], /关键词索引补建失败: a.txt/);
+});
+
+test("applyChanges 同步改动的文件与被删除的目录，并换上新的检索器", async (t) => {
+  const { knowledgeDir, build, write } = await createSyncFixture(t);
+  await fs.mkdir(path.join(knowledgeDir, "faq"));
+  await write("a.txt", "苹果的产地。");
+  await write("faq/b.txt", "香蕉富含钾元素。");
+  await write("faq/c.txt", "樱桃的保存方法。");
+  const { builder } = await build();
+  const oldRetriever = builder.retriever;
+  builder.getRetriever({ source: "a.txt" });
+  assert.equal(builder.filteredRetrievers.size, 1);
+  const faqIds = ["faq/b.txt", "faq/c.txt"].flatMap(source => builder.manifest.getEntry(source).chunkIds);
+
+  // 没有变化的路径不触发同步
+  assert.equal(await builder.applyChanges(["a.txt"]), null);
+  assert.equal(builder.retriever, oldRetriever);
+
+  await write("a.txt", "苹果改为介绍榴莲的气味。");
+  await fs.rm(path.join(knowledgeDir, "faq"), { recursive: true });
+  // 被删除的目录展开为清单中位于其下的文件
+  const expanded = await builder.expandWatchedPaths(["faq"]);
+  assert.ok(expanded.includes("faq/b.txt") && expanded.includes("faq/c.txt"));
+
+  const report = await builder.applyChanges(["a.txt", "faq"]);
+  assert.deepEqual([report.added, report.changed, report.removed], [0, 1, 2]);
+  assert.deepEqual(Object.keys(builder.manifest.files), ["a.txt"]);
+  for (const id of faqIds) {
+    assert.equal(builder.vectorStore.records.has(id), false);
+  }
+  assert.notEqual(builder.retriever, oldRetriever);
+  assert.equal(builder.filteredRetrievers.size, 0);
+  assert.equal(builder.lastSync.removed, 2);
+  const [top] = await builder.retriever.invoke("榴莲");
+  assert.match(top.pageContent, /榴莲/);
+
+  // 改动已落盘，重新启动后无需再同步
+  const { builder: restarted } = await build();
+  assert.deepEqual([restarted.lastSync.changed, restarted.lastSync.removed, restarted.lastSync.unchanged], [0, 0, 1]);
+});
+
+test("监听的防抖时间必须是非负整数", async (t) => {
+  const { build, write } = await createSyncFixture(t);
+  await write("a.txt", "苹果的产地。");
+  const { builder } = await build();
+  assert.throws(() => builder.watch({ debounceMs: "abc" }), /RAG_WATCH_DEBOUNCE_MS 必须是非负整数: abc/);
+  assert.throws(() => builder.watch({ debounceMs: -1 }), /RAG_WATCH_DEBOUNCE_MS/);
+  assert.equal(builder.watcher, undefined);
+  const watcher = builder.watch({ debounceMs: "" });
+  await watcher.close();
+});
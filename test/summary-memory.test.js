@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { AIMessage, HumanMessage, ToolMessage } from "@langchain/core/messages";
+import { trimHistory, resolveSummaryConfig } from "../src/utils/summary-memory.js";
+import { TokenCounter } from "../src/utils/token-counter.js";
+
+const tokenCounter = new TokenCounter({ provider: "fake", tokenizer: "chars" });
+
+test("摘要预算必须是正整数，且保留预算不能超过触发预算", () => {
+  assert.deepEqual(resolveSummaryConfig({ maxTokens: "2000" }), { maxTokens: 2000, keepTokens: 1000 });
+  assert.deepEqual(resolveSummaryConfig({ maxTokens: 1 }), { maxTokens: 1, keepTokens: 1 });
+  assert.deepEqual(resolveSummaryConfig({ maxTokens: 800, keepTokens: "800" }), { maxTokens: 800, keepTokens: 800 });
+
+  assert.throws(() => resolveSummaryConfig({ maxTokens: "abc" }), /SUMMARY_MAX_TOKENS/);
+  assert.throws(() => resolveSummaryConfig({ maxTokens: 0 }), /SUMMARY_MAX_TOKENS/);
+  assert.throws(() => resolveSummaryConfig({ maxTokens: 2000, keepTokens: "1e2.5" }), /SUMMARY_KEEP_TOKENS/);
+  assert.throws(() => resolveSummaryConfig({ maxTokens: 2000, keepTokens: -1 }), /SUMMARY_KEEP_TOKENS/);
+  assert.throws(() => resolveSummaryConfig({ maxTokens: 500, keepTokens: 600 }), /不能大于/);
+});
+
+test("trimHistory 在预算内原样返回，超出时整轮丢弃最早的对话", async () => {
+  const messages = [
+    new HumanMessage("a".repeat(40)),
+    new AIMessage("b".repeat(40)),
+    new HumanMessage("c".repeat(10)),
+    new AIMessage("d".repeat(10)),
+  ];
+  assert.equal(await trimHistory(messages, { tokenCounter, maxTokens: 200 }), messages);
+  assert.deepEqual(await trimHistory(messages, { tokenCounter, maxTokens: 60 }), messages.slice(2));
+});
+
+test("trimHistory 在最近一轮超出预算时截断最长的消息，保留工具调用", async () => {
+  const messages = [
+    new HumanMessage("问题"),
+    new AIMessage({ content: "", tool_calls: [{ id: "call-1", name: "search", args: {} }] }),
+    new ToolMessage({ content: "x".repeat(5000), tool_call_id: "call-1" }),
+  ];
+  const trimmed = await trimHistory(messages, { tokenCounter, maxTokens: 500 });
+  assert.ok(await tokenCounter.countMessages(trimmed) <= 500);
+  assert.equal(trimmed.length, 3);
+  assert.equal(trimmed[2].tool_call_id, "call-1");
+  assert.match(trimmed[2].content, /已截断/);
+  assert.equal(messages[2].content.length, 5000, "原消息不应被修改");
+});
+
+test("Gemini countTokens 失败后暂用 tiktoken 估算，之后重新调用接口", async () => {
+  const counter = new TokenCounter({ provider: "fake", tokenizer: "gemini" });
+  let available = false;
+  counter.geminiModel = {
+    countTokens: async () => {
+      if (!available) throw new Error("unavailable");
+      return { totalTokens: 42 };
+    },
+  };
+  const estimated = await counter.countText("hello world");
+  assert.notEqual(estimated, 42);
+  assert.equal(counter.cache.size, 0, "估算值不应缓存");
+
+  available = true;
+  counter.geminiRetryAt = 0;
+  assert.equal(await counter.countText("hello world"), 42);
+  assert.equal(counter.type, "gemini");
+});
@@ -0,0 +1,23 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { ThreadRegistry } from "../src/utils/thread-registry.js";
+
+test("retain 移除已不存在的线程的标题并落盘", async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), "thread-registry-"));
+  try {
+    const filePath = path.join(directory, "agent-titles.json");
+    const registry = new ThreadRegistry(filePath);
+    await registry.setTitle("kept", "保留");
+    await registry.setTitle("expired", "过期");
+
+    assert.deepEqual(await registry.retain(["kept", "untitled"]), ["expired"]);
+    assert.equal(registry.getTitle("expired"), null);
+    const saved = JSON.parse(await fs.readFile(filePath, "utf-8")).threads;
+    assert.deepEqual(Object.keys(saved), ["kept"]);
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { resolveToolConfig, createFileTools } from "../src/tools/index.js";
+
+test("数值配置必须是正整数，未设置时使用默认值", () => {
+  const config = resolveToolConfig({ allowedDirs: ["knowledge"] });
+  assert.equal(config.maxReadChars, 8000);
+  assert.equal(config.searchLimit, 5);
+  assert.equal(config.maxSteps, 8);
+  assert.equal(resolveToolConfig({ maxSteps: "3" }).maxSteps, 3);
+
+  assert.throws(() => resolveToolConfig({ maxSteps: "abc" }), /AGENT_MAX_STEPS/);
+  assert.throws(() => resolveToolConfig({ maxSteps: 0 }), /AGENT_MAX_STEPS/);
+  assert.throws(() => resolveToolConfig({ maxReadChars: "1.5" }), /TOOL_READ_MAX_CHARS/);
+  assert.throws(() => resolveToolConfig({ searchLimit: "ten" }), /TOOL_SEARCH_LIMIT/);
+});
+
+test("read_file 允许以 .. 开头的文件名，拒绝白名单目录之外的路径", async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "tools-"));
+  try {
+    const allowed = path.join(root, "allowed");
+    await fs.mkdir(allowed);
+    await fs.writeFile(path.join(allowed, "..notes.md"), "笔记内容");
+    await fs.writeFile(path.join(root, "secret.txt"), "机密");
+    const [, readFile] = createFileTools({ allowedDirs: [allowed], maxReadChars: 100 });
+
+    assert.equal(await readFile.invoke({ file: "..notes.md" }), "笔记内容");
+    assert.match(await readFile.invoke({ file: "../secret.txt" }), /拒绝访问/);
+    assert.match(await readFile.invoke({ file: path.join(root, "secret.txt") }), /拒绝访问/);
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
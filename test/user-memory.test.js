@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Annotation, END, InMemoryStore, MessagesAnnotation, START, StateGraph } from "@langchain/langgraph";
+import { AIMessage } from "@langchain/core/messages";
+import { RunnableLambda } from "@langchain/core/runnables";
+import { MEMORY_STATE, createMemorizeNode, createRecallNode, listUserMemories, takeMemoryUpdates } from "../src/utils/user-memory.js";
+
+test("记忆提取在后台进行，不延迟本轮结束，下一轮检索前等待其完成", async () => {
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  // 提取模型在 gate 打开前不返回
+  const llm = RunnableLambda.from(async () => {
+    await gate;
+    return '{"add": ["用户叫小王"], "forget": []}';
+  });
+  const store = new InMemoryStore();
+  const graph = new StateGraph(Annotation.Root({ ...MessagesAnnotation.spec, ...MEMORY_STATE }))
+    .addNode("recall", createRecallNode({ limit: 5 }))
+    .addNode("model", (state) => ({ messages: new AIMessage(`记忆 ${state.memories.length} 条`) }))
+    .addNode("memorize", createMemorizeNode({ llm }))
+    .addEdge(START, "recall")
+    .addEdge("recall", "model")
+    .addEdge("model", "memorize")
+    .addEdge("memorize", END)
+    .compile({ store });
+  const config = { configurable: { thread_id: "t1", user_id: "u1" } };
+
+  const first = await graph.invoke({ messages: [{ role: "user", content: "我叫小王" }] }, config);
+  assert.equal(first.messages.at(-1).content, "记忆 0 条");
+  assert.equal((await listUserMemories(store, "u1")).length, 0, "提取尚未完成");
+
+  const second = graph.invoke({ messages: [{ role: "user", content: "我是谁" }] }, config);
+  release();
+  assert.equal((await second).messages.at(-1).content, "记忆 1 条");
+  assert.deepEqual(await takeMemoryUpdates("t1"), { added: [], forgotten: [] });
+  assert.equal(await takeMemoryUpdates("t1"), null);
+  assert.deepEqual((await listUserMemories(store, "u1")).map(m => m.text), ["用户叫小王"]);
+});